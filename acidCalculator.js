@@ -0,0 +1,186 @@
+// acidCalculator.js - Buffer-aware acidification and deacidification
+// Acids release only the protons that dissociate at wine pH, so the pH drop depends on
+// each acid's pKa values as well as the wine's buffer capacity; all of their protons count
+// towards TA, which is titrated to pH 8.2.
+const ACID_AGENTS = {
+    tartaric: { name: 'Tartaric acid', kind: 'acid', molarMass: 150.09, pKa: [3.04, 4.34] },
+    malic: { name: 'Malic acid', kind: 'acid', molarMass: 134.09, pKa: [3.40, 5.20] },
+    citric: { name: 'Citric acid', kind: 'acid', molarMass: 192.12, pKa: [3.13, 4.76, 6.40], maxGL: 1 },
+    lactic: { name: 'Lactic acid', kind: 'acid', molarMass: 90.08, pKa: [3.86] },
+    potassiumBicarbonate: { name: 'Potassium bicarbonate', kind: 'base', molarMass: 100.12, equivalents: 1 },
+    calciumCarbonate: { name: 'Calcium carbonate', kind: 'base', molarMass: 100.09, equivalents: 2 }
+};
+
+// TA is reported as g/L tartaric acid: 75.04 mg per milliequivalent
+const TA_GRAMS_PER_MEQ = 0.07504;
+
+// EU limit on acidification, expressed as tartaric acid
+const ACIDIFICATION_LIMIT_GL = 4;
+
+// Steps used to integrate an addition, since dissociation changes as the pH moves
+const MODEL_STEPS = 20;
+
+class AcidCalculator {
+    static get agents() {
+        return ACID_AGENTS;
+    }
+
+    // Without a bench titration, wines typically buffer about half their titratable
+    // acidity per pH unit (mEq/L per pH)
+    static defaultBufferCapacity(ta) {
+        return 0.5 * ta / TA_GRAMS_PER_MEQ;
+    }
+
+    // Bench titration: titrantMl of a base of the given normality added to sampleMl of wine
+    // moved the pH from phBefore to phAfter. Returns mEq/L per pH unit.
+    static bufferFromTitration({ sampleMl, titrantMl, normality = 0.1, phBefore, phAfter }) {
+        const shift = Math.abs(phAfter - phBefore);
+        if (!(sampleMl > 0) || !(titrantMl > 0) || !(shift > 0)) {
+            return null;
+        }
+        return (titrantMl * normality * 1000 / sampleMl) / shift;
+    }
+
+    // Average number of protons an acid molecule has given up at this pH
+    static protonsReleased(agent, ph) {
+        const h = Math.pow(10, -ph);
+        // Relative amounts of each species: H_nA, H_(n-1)A-, ... from successive Ka values
+        const amounts = [1];
+        agent.pKa.forEach((pKa, i) => {
+            amounts.push(amounts[i] * Math.pow(10, -pKa) / h);
+        });
+        const total = amounts.reduce((sum, amount) => sum + amount, 0);
+        return amounts.reduce((sum, amount, i) => sum + i * amount, 0) / total;
+    }
+
+    // Predicted pH and TA (g/L tartaric) after adding rate g/L of an agent
+    static predict({ ph, ta, bufferCapacity = null, agent, rate }) {
+        const definition = ACID_AGENTS[agent];
+        if (!definition) {
+            throw new Error(`Unknown agent: ${agent}`);
+        }
+        const buffer = bufferCapacity ?? AcidCalculator.defaultBufferCapacity(ta);
+        const mmolPerStep = rate / definition.molarMass * 1000 / MODEL_STEPS;
+        let currentPH = ph;
+        let taMeq = ta / TA_GRAMS_PER_MEQ;
+
+        for (let step = 0; step < MODEL_STEPS; step++) {
+            if (definition.kind === 'acid') {
+                taMeq += mmolPerStep * definition.pKa.length;
+                currentPH -= mmolPerStep * AcidCalculator.protonsReleased(definition, currentPH) / buffer;
+            } else {
+                const meq = mmolPerStep * definition.equivalents;
+                taMeq -= meq;
+                currentPH += meq / buffer;
+            }
+        }
+
+        const predictedTA = Math.max(0, taMeq * TA_GRAMS_PER_MEQ);
+        return {
+            ph: currentPH,
+            ta: predictedTA,
+            phChange: currentPH - ph,
+            taChange: predictedTA - ta,
+            bufferCapacity: buffer
+        };
+    }
+
+    // Finds the rate (g/L) that reaches target.ph or target.ta. Returns
+    // { valid, agent, rate, total (g for volume L), predicted, warnings } or { valid: false, error }.
+    static solve({ ph, ta, volume = 0, bufferCapacity = null, agent = 'tartaric', target }) {
+        const definition = ACID_AGENTS[agent];
+        if (!definition) {
+            return { valid: false, error: `Unknown agent: ${agent}` };
+        }
+        if (!Number.isFinite(ph) || !Number.isFinite(ta) || ta <= 0) {
+            return { valid: false, error: 'Current pH and TA are required' };
+        }
+        const field = Number.isFinite(target?.ph) ? 'ph' : Number.isFinite(target?.ta) ? 'ta' : null;
+        if (!field) {
+            return { valid: false, error: 'Enter a target pH or TA' };
+        }
+
+        const current = field === 'ph' ? ph : ta;
+        const goal = target[field];
+        // Acids lower pH and raise TA; bases do the opposite
+        const raises = (definition.kind === 'acid') === (field === 'ta');
+        if (goal === current || (goal > current) !== raises) {
+            return {
+                valid: false,
+                error: `${definition.name} can't move ${field === 'ph' ? 'pH' : 'TA'} from ${current} to ${goal}`
+            };
+        }
+
+        const outcome = (rate) => AcidCalculator.predict({ ph, ta, bufferCapacity, agent, rate })[field];
+        let low = 0;
+        let high = 20;
+        if ((outcome(high) - goal) * (raises ? 1 : -1) < 0) {
+            return { valid: false, error: `Target is out of reach with ${definition.name.toLowerCase()}` };
+        }
+        for (let i = 0; i < 50; i++) {
+            const mid = (low + high) / 2;
+            if ((outcome(mid) - goal) * (raises ? 1 : -1) < 0) low = mid;
+            else high = mid;
+        }
+
+        const rate = high;
+        const predicted = AcidCalculator.predict({ ph, ta, bufferCapacity, agent, rate });
+        return {
+            valid: true,
+            agent,
+            name: definition.name,
+            rate,
+            total: rate * volume,
+            predicted,
+            warnings: AcidCalculator.warnings(agent, rate)
+        };
+    }
+
+    // An acid addition expressed as g/L of tartaric acid, the unit acidification limits use.
+    // Deacidification counts as zero.
+    static tartaricEquivalent(agent, rate) {
+        const definition = ACID_AGENTS[agent];
+        if (definition?.kind !== 'acid') return 0;
+        return rate / definition.molarMass * definition.pKa.length * TA_GRAMS_PER_MEQ * 1000;
+    }
+
+    static warnings(agent, rate) {
+        const definition = ACID_AGENTS[agent];
+        const warnings = [];
+        if (definition.kind === 'acid') {
+            if (AcidCalculator.tartaricEquivalent(agent, rate) > ACIDIFICATION_LIMIT_GL) {
+                warnings.push(`Exceeds the EU acidification limit of ${ACIDIFICATION_LIMIT_GL} g/L as tartaric acid`);
+            }
+            if (definition.maxGL && rate > definition.maxGL) {
+                warnings.push(`${definition.name} is limited to ${definition.maxGL} g/L in wine`);
+            }
+        } else if (definition.equivalents === 1) {
+            warnings.push('Cold stabilise afterwards: potassium bitartrate precipitation will lower TA further');
+        } else {
+            warnings.push('Calcium carbonate can cause calcium tartrate instability; rack off the lees and check stability');
+        }
+        return warnings;
+    }
+
+    // How an acid treatment turned out: the first reading after it with pH or TA, compared
+    // with the prediction recorded on the treatment
+    static compareOutcome(treatment, readings) {
+        const after = readings
+            .filter(reading => new Date(reading.timestamp) > new Date(treatment.timestamp))
+            .filter(reading => Number.isFinite(reading.ph) || Number.isFinite(reading.ta))
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))[0];
+        if (!after) return null;
+        return {
+            readingId: after.id,
+            timestamp: after.timestamp,
+            ph: after.ph ?? null,
+            ta: after.ta ?? null,
+            phError: Number.isFinite(after.ph) && Number.isFinite(treatment.predicted?.ph) ? after.ph - treatment.predicted.ph : null,
+            taError: Number.isFinite(after.ta) && Number.isFinite(treatment.predicted?.ta) ? after.ta - treatment.predicted.ta : null
+        };
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.AcidCalculator = AcidCalculator;
+}
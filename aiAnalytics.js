@@ -400,6 +400,7 @@ class AIAnalytics {
             if (anomalyScore > 0.6) {
                 anomalies.push({
                     index,
+                    readingId: reading.id ?? null,
                     timestamp: reading.timestamp,
                     score: anomalyScore,
                     parameters: this.identifyAnomalousParameters(reading, forest),
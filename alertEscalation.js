@@ -0,0 +1,383 @@
+// alertEscalation.js - Escalation policy and notification channels for alerts
+// A policy is a list of levels: { afterMinutes, recipients, channels }. An open alert at or
+// above the policy's severity goes through each level once its age reaches afterMinutes;
+// acknowledging or snoozing it stops the escalation. recipients is 'on-duty', 'fallback',
+// 'everyone' or a list of contact ids. Who is on duty comes from the on-call roster (see
+// OnCallRoster), then the default on-duty contact, then the roster's fallbacks. During a
+// severity's quiet hours its alerts are held and escalate from the end of the quiet hours.
+//
+// Channels are adapters with one method, send({ to, subject, text, alert, level }), that
+// resolves when delivered and throws otherwise. Register more with AlertChannels.register().
+// Browsers can't speak SMTP or SMS themselves, so those channels post JSON to an HTTP relay
+// (see tools/alertStandIn.js for a local stand-in).
+const ALERT_SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
+
+const DEFAULT_ESCALATION = {
+    // A delivery that hasn't finished after this long is abandoned and logged as failed
+    timeoutSeconds: 15,
+    contacts: [],
+    onDuty: null,
+    roster: null,
+    channels: {
+        browser: { enabled: true },
+        webhook: { enabled: false, url: '' },
+        email: { enabled: false, url: '', from: '' },
+        sms: { enabled: false, url: '', token: '' }
+    },
+    policy: {
+        minSeverity: 'high',
+        levels: [
+            { afterMinutes: 0, recipients: 'on-duty', channels: ['browser', 'webhook'] },
+            { afterMinutes: 30, recipients: 'everyone', channels: ['email', 'sms'] }
+        ]
+    }
+};
+
+// Rejects when `promise` hasn't settled after `ms`; onTimeout runs first (to abort a request)
+function withAlertTimeout(promise, ms, message, onTimeout = () => {}) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            onTimeout();
+            reject(new Error(message));
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function postAlertJSON(fetchImpl, url, body, headers = {}, timeoutMs = DEFAULT_ESCALATION.timeoutSeconds * 1000) {
+    if (!url) {
+        throw new Error('No URL configured');
+    }
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const response = await withAlertTimeout(fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: controller?.signal
+    }), timeoutMs, `${url} did not answer within ${timeoutMs / 1000} s`, () => controller?.abort());
+    if (!response.ok) {
+        throw new Error(`${url} answered ${response.status}`);
+    }
+    return response;
+}
+
+// Shows a notification on this device through the PWA service worker
+class BrowserNotificationChannel {
+    constructor(config, { pwaManager = null } = {}) {
+        this.config = config;
+        this.pwaManager = pwaManager;
+        // One notification per alert and level, whoever it is addressed to
+        this.perRecipient = false;
+    }
+
+    async send({ subject, text, alert }) {
+        if (!this.pwaManager) {
+            throw new Error('Browser notifications are not available');
+        }
+        if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+            await this.pwaManager.initPushNotifications();
+        }
+        const shown = await this.pwaManager.showNotification(subject, { body: text, tag: alert.id, requireInteraction: alert.severity === 'critical' });
+        if (!shown) {
+            throw new Error('Browser notifications are not allowed');
+        }
+    }
+}
+
+// POSTs { event, level, alert, to } to a URL
+class WebhookChannel {
+    constructor(config, { fetch: fetchImpl = globalThis.fetch, timeoutMs } = {}) {
+        this.config = config;
+        this.fetch = fetchImpl;
+        this.timeoutMs = timeoutMs;
+        this.perRecipient = false;
+    }
+
+    async send({ to, subject, text, alert, level }) {
+        await postAlertJSON(this.fetch, this.config.url, {
+            event: 'alert',
+            level,
+            subject,
+            text,
+            to: to ? { name: to.name, email: to.email, phone: to.phone } : null,
+            alert: {
+                id: alert.id,
+                tankId: alert.tankId,
+                ruleId: alert.ruleId,
+                severity: alert.severity,
+                message: alert.message,
+                recommendation: alert.recommendation,
+                raisedAt: alert.raisedAt
+            }
+        }, {}, this.timeoutMs);
+    }
+}
+
+// Mail through an SMTP relay's HTTP API: POSTs { from, to, subject, text }
+class EmailChannel {
+    constructor(config, { fetch: fetchImpl = globalThis.fetch, timeoutMs } = {}) {
+        this.config = config;
+        this.fetch = fetchImpl;
+        this.timeoutMs = timeoutMs;
+        this.perRecipient = true;
+    }
+
+    async send({ to, subject, text }) {
+        if (!to?.email) {
+            throw new Error(`${to?.name ?? 'Contact'} has no email address`);
+        }
+        await postAlertJSON(this.fetch, this.config.url, { from: this.config.from, to: to.email, subject, text }, {}, this.timeoutMs);
+    }
+}
+
+// Text messages through an SMS gateway: POSTs { to, message } with an optional bearer token
+class SmsChannel {
+    constructor(config, { fetch: fetchImpl = globalThis.fetch, timeoutMs } = {}) {
+        this.config = config;
+        this.fetch = fetchImpl;
+        this.timeoutMs = timeoutMs;
+        this.perRecipient = true;
+    }
+
+    async send({ to, subject }) {
+        if (!to?.phone) {
+            throw new Error(`${to?.name ?? 'Contact'} has no phone number`);
+        }
+        const headers = this.config.token ? { Authorization: `Bearer ${this.config.token}` } : {};
+        await postAlertJSON(this.fetch, this.config.url, { to: to.phone, message: subject.slice(0, 160) }, headers, this.timeoutMs);
+    }
+}
+
+const ALERT_CHANNEL_TYPES = new Map([
+    ['browser', { label: 'Browser notification', create: (config, deps) => new BrowserNotificationChannel(config, deps) }],
+    ['webhook', { label: 'Webhook', create: (config, deps) => new WebhookChannel(config, deps) }],
+    ['email', { label: 'Email (SMTP relay)', create: (config, deps) => new EmailChannel(config, deps) }],
+    ['sms', { label: 'SMS gateway', create: (config, deps) => new SmsChannel(config, deps) }]
+]);
+
+class AlertChannels {
+    // create(config, deps) returns an object with send() (and perRecipient)
+    static register(type, label, create) {
+        ALERT_CHANNEL_TYPES.set(type, { label, create });
+    }
+
+    static get types() {
+        return Array.from(ALERT_CHANNEL_TYPES, ([type, definition]) => [type, definition.label]);
+    }
+
+    static create(type, config, deps) {
+        const definition = ALERT_CHANNEL_TYPES.get(type);
+        if (!definition) {
+            throw new Error(`Unknown channel: ${type}`);
+        }
+        return definition.create(config, deps);
+    }
+}
+
+class AlertEscalation {
+    // deps: { pwaManager, fetch } are handed to the channel adapters, along with timeoutMs
+    constructor(alertLog, deps = {}) {
+        this.alertLog = alertLog;
+        this.deps = deps;
+        this.running = false;
+        this.reload();
+    }
+
+    reload() {
+        this.settings = this.loadStored();
+    }
+
+    getSettings() {
+        return this.settings;
+    }
+
+    saveSettings(settings) {
+        const levels = settings.policy?.levels ?? [];
+        levels.forEach((level, index) => {
+            if (!(level.afterMinutes >= 0)) {
+                throw new Error(`Level ${index + 1}: minutes must be zero or more`);
+            }
+        });
+        if (settings.timeoutSeconds !== undefined && !(settings.timeoutSeconds > 0)) {
+            throw new Error('Delivery timeout must be a positive number of seconds');
+        }
+        if (!(settings.policy?.minSeverity in ALERT_SEVERITY_RANK)) {
+            throw new Error(`Unknown severity: ${settings.policy?.minSeverity}`);
+        }
+        const rosterErrors = settings.roster ? OnCallRoster.check(settings.roster) : [];
+        if (rosterErrors.length) {
+            throw new Error(rosterErrors.join('; '));
+        }
+        this.settings = {
+            ...settings,
+            timeoutSeconds: settings.timeoutSeconds ?? DEFAULT_ESCALATION.timeoutSeconds,
+            policy: { ...settings.policy, levels: [...levels].sort((a, b) => a.afterMinutes - b.afterMinutes) }
+        };
+        this.save();
+        return this.settings;
+    }
+
+    roster() {
+        return new OnCallRoster(this.settings.roster ?? OnCallRoster.defaults);
+    }
+
+    // Contacts on duty at a moment
+    onDuty(now = new Date()) {
+        const { contacts, onDuty } = this.settings;
+        const byId = new Map(contacts.map(contact => [contact.id, contact]));
+        return this.roster().onDuty(now, onDuty, contactId => byId.has(contactId)).map(contactId => byId.get(contactId));
+    }
+
+    // Contacts a level goes to
+    recipients(level, now = new Date()) {
+        const { contacts, onDuty } = this.settings;
+        const byId = new Map(contacts.map(contact => [contact.id, contact]));
+        if (level.recipients === 'everyone') return contacts;
+        if (level.recipients === 'on-duty') return this.onDuty(now);
+        if (level.recipients === 'fallback') {
+            return this.roster().fallback(now, onDuty, contactId => byId.has(contactId)).map(contactId => byId.get(contactId));
+        }
+        return contacts.filter(contact => (level.recipients ?? []).includes(contact.id));
+    }
+
+    // Sends whatever levels have come due for the log's open alerts. Runs one pass at a time.
+    async process(now = new Date()) {
+        if (this.running || !this.alertLog) return [];
+        this.running = true;
+        const deliveries = [];
+        try {
+            const { policy } = this.settings;
+            const roster = this.roster();
+            const due = this.alertLog.getActive(now).filter(record => record.state === 'open' &&
+                (ALERT_SEVERITY_RANK[record.severity] ?? 0) >= ALERT_SEVERITY_RANK[policy.minSeverity]);
+            for (const record of due) {
+                let index = record.escalationLevel ?? 0;
+                if (index >= policy.levels.length) continue;
+                const quietUntil = roster.quietEnd(record.severity, now);
+                if (quietUntil) {
+                    if (record.heldUntil !== quietUntil.toISOString()) {
+                        this.alertLog.hold(record.id, quietUntil.toISOString());
+                    }
+                    continue;
+                }
+                const from = Math.max(new Date(record.raisedAt), record.heldUntil ? new Date(record.heldUntil) : 0);
+                const minutes = (now - from) / 60000;
+                // A level counts as sent once one delivery gets through; otherwise it's tried
+                // again on the next pass
+                while (index < policy.levels.length && policy.levels[index].afterMinutes <= minutes) {
+                    const sent = await this.notify(record, policy.levels[index], index + 1, now);
+                    deliveries.push(...sent);
+                    if (!sent.some(delivery => delivery.ok)) break;
+                    index++;
+                    this.alertLog.setEscalationLevel(record.id, index);
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+        return deliveries;
+    }
+
+    // Sends one level of an alert through each of its enabled channels; every attempt is
+    // logged on the alert. Returns [{ channel, to, ok, error }].
+    async notify(record, level, levelNumber, now = new Date()) {
+        const deliveries = [];
+        const recipients = this.recipients(level, now);
+        const subject = `[${record.severity}] Tank ${record.tankId}: ${record.message}`;
+        const text = [
+            record.message,
+            record.recommendation,
+            `Raised ${new Date(record.raisedAt).toLocaleString()}`,
+            levelNumber > 1 ? `Escalation level ${levelNumber}: not acknowledged after ${level.afterMinutes} minutes` : ''
+        ].filter(Boolean).join('\n');
+
+        for (const type of level.channels ?? []) {
+            const config = this.settings.channels[type];
+            if (!config?.enabled) continue;
+            let channel;
+            try {
+                channel = AlertChannels.create(type, config, this.channelDeps());
+            } catch (error) {
+                deliveries.push({ channel: type, to: null, ok: false, error: error.message });
+                continue;
+            }
+            const targets = channel.perRecipient ? recipients : [recipients[0] ?? null];
+            for (const to of targets) {
+                const delivery = { channel: type, to: to?.name ?? null, ok: true, error: null };
+                try {
+                    // Adapters that don't time out on their own must not hold up later passes
+                    await withAlertTimeout(channel.send({ to, subject, text, alert: record, level: levelNumber }),
+                        this.timeoutMs(), `${type} did not finish within ${this.settings.timeoutSeconds} s`);
+                } catch (error) {
+                    delivery.ok = false;
+                    delivery.error = error.message;
+                }
+                deliveries.push(delivery);
+                this.alertLog.addEvent(record.id, { action: 'notified', level: levelNumber, ...delivery });
+            }
+        }
+        if (!deliveries.length) {
+            this.alertLog.addEvent(record.id, { action: 'notified', level: levelNumber, ok: false, error: 'No channel or recipient configured' });
+        }
+        return deliveries;
+    }
+
+    timeoutMs() {
+        return (this.settings.timeoutSeconds ?? DEFAULT_ESCALATION.timeoutSeconds) * 1000;
+    }
+
+    channelDeps() {
+        return { ...this.deps, timeoutMs: this.timeoutMs() };
+    }
+
+    // Sends a test message through one channel to a contact (or whoever is on duty)
+    async test(type, contactId = this.onDuty()[0]?.id) {
+        const config = this.settings.channels[type];
+        const to = this.settings.contacts.find(contact => contact.id === contactId) ?? null;
+        const channel = AlertChannels.create(type, config ?? {}, this.channelDeps());
+        const alert = {
+            id: 'TEST',
+            tankId: '—',
+            ruleId: null,
+            severity: 'low',
+            message: 'Test notification',
+            recommendation: 'No action needed',
+            raisedAt: new Date().toISOString()
+        };
+        await withAlertTimeout(channel.send({ to, subject: 'Test notification from the fermentation tracker', text: 'Alert delivery is working.', alert, level: 0 }),
+            this.timeoutMs(), `${type} did not finish within ${this.settings.timeoutSeconds} s`);
+    }
+
+    loadStored() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem('alert_escalation') ?? '{}');
+        } catch (error) {
+            console.warn('Failed to load alert escalation settings', error);
+        }
+        const channels = Object.fromEntries(Object.entries(DEFAULT_ESCALATION.channels)
+            .map(([type, config]) => [type, { ...config, ...stored.channels?.[type] }]));
+        return {
+            timeoutSeconds: stored.timeoutSeconds ?? DEFAULT_ESCALATION.timeoutSeconds,
+            contacts: stored.contacts ?? DEFAULT_ESCALATION.contacts,
+            onDuty: stored.onDuty ?? DEFAULT_ESCALATION.onDuty,
+            roster: { ...OnCallRoster.defaults, ...stored.roster },
+            channels: { ...stored.channels, ...channels },
+            policy: { ...DEFAULT_ESCALATION.policy, ...stored.policy }
+        };
+    }
+
+    save() {
+        try {
+            localStorage.setItem('alert_escalation', JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('Failed to save alert escalation settings', error);
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.AlertChannels = AlertChannels;
+    window.AlertEscalation = AlertEscalation;
+}
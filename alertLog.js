@@ -0,0 +1,256 @@
+// alertLog.js - Alert identity, state and history
+// Each evaluation's alerts are matched to stored records by key (tank + rule), so a condition
+// that keeps firing stays one alert. States: open -> acknowledged -> resolved, with snoozed
+// hiding an alert until a time. An alert whose condition clears is resolved automatically; one
+// resolved by hand while its condition still holds isn't raised again until it clears.
+const ALERT_STATES = ['open', 'acknowledged', 'snoozed', 'resolved'];
+
+// Resolved alerts beyond this many are dropped, oldest first
+const ALERT_HISTORY_LIMIT = 1000;
+
+class AlertLog {
+    constructor() {
+        this.reload();
+    }
+
+    // The tracker and the dashboard share the log, so every change starts from what's stored
+    reload() {
+        this.records = this.loadStored() ?? this.records ?? [];
+    }
+
+    static get states() {
+        return ALERT_STATES;
+    }
+
+    static key(alert) {
+        return `${alert.tankId}:${alert.ruleId ?? alert.category}`;
+    }
+
+    static currentUser() {
+        return typeof AuditTrail !== 'undefined' ? AuditTrail.currentUser() : 'Unknown';
+    }
+
+    // Matches freshly evaluated alerts with the log and returns the records that need attention
+    // (open or acknowledged, and snoozed ones whose time is up)
+    sync(alerts, now = new Date()) {
+        this.reload();
+        const at = now.toISOString();
+        const firing = new Map(alerts.map(alert => [AlertLog.key(alert), alert]));
+
+        firing.forEach((alert, key) => {
+            const current = this.latest(key);
+            const details = {
+                severity: alert.severity,
+                type: alert.type,
+                message: alert.message,
+                recommendation: alert.recommendation,
+                timestamp: alert.timestamp,
+                lastSeen: at,
+                active: true
+            };
+            if (current && (current.state !== 'resolved' || current.active)) {
+                Object.assign(current, details);
+                if (current.state === 'snoozed' && new Date(current.snoozedUntil) <= now) {
+                    current.state = current.acknowledgedAt ? 'acknowledged' : 'open';
+                    current.events.push({ action: 'snooze-ended', at });
+                }
+                return;
+            }
+            this.records.push({
+                id: `ALERT-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+                key,
+                tankId: alert.tankId,
+                ruleId: alert.ruleId ?? null,
+                category: alert.category,
+                ...details,
+                state: 'open',
+                raisedAt: at,
+                acknowledgedAt: null,
+                acknowledgedBy: null,
+                snoozedUntil: null,
+                resolvedAt: null,
+                resolvedBy: null,
+                resolution: '',
+                events: [{ action: 'raised', at }]
+            });
+        });
+
+        this.records.forEach(record => {
+            if (!record.active || firing.has(record.key)) return;
+            record.active = false;
+            record.clearedAt = at;
+            if (record.state !== 'resolved') {
+                this.close(record, 'Condition cleared', 'system', at);
+            }
+        });
+
+        this.prune();
+        this.save();
+        return this.getActive(now);
+    }
+
+    // The newest record for a key
+    latest(key) {
+        for (let i = this.records.length - 1; i >= 0; i--) {
+            if (this.records[i].key === key) return this.records[i];
+        }
+        return null;
+    }
+
+    getAlert(alertId) {
+        const record = this.records.find(entry => entry.id === alertId);
+        if (!record) {
+            throw new Error('Unknown alert');
+        }
+        return record;
+    }
+
+    getActive(now = new Date()) {
+        return this.records.filter(record => record.state === 'open' || record.state === 'acknowledged' ||
+            (record.state === 'snoozed' && new Date(record.snoozedUntil) <= now));
+    }
+
+    // Newest first; all tanks when tankId is null
+    getHistory(tankId = null) {
+        return this.records
+            .filter(record => !tankId || record.tankId === tankId)
+            .sort((a, b) => new Date(b.raisedAt) - new Date(a.raisedAt));
+    }
+
+    acknowledge(alertId, note = '', user = AlertLog.currentUser()) {
+        this.reload();
+        const record = this.getAlert(alertId);
+        if (record.state === 'resolved') {
+            throw new Error('This alert is already resolved');
+        }
+        const at = new Date().toISOString();
+        if (!record.acknowledgedAt) {
+            record.acknowledgedAt = at;
+            record.acknowledgedBy = user;
+        }
+        if (record.state === 'open') record.state = 'acknowledged';
+        record.events.push({ action: 'acknowledged', at, by: user, note });
+        this.save();
+        return record;
+    }
+
+    // Hides the alert until `until`; snoozing counts as acknowledging it
+    snooze(alertId, until, user = AlertLog.currentUser()) {
+        this.reload();
+        const record = this.getAlert(alertId);
+        const untilDate = new Date(until);
+        if (record.state === 'resolved') {
+            throw new Error('This alert is already resolved');
+        }
+        if (isNaN(untilDate) || untilDate <= new Date()) {
+            throw new Error('Snooze until a time in the future');
+        }
+        const at = new Date().toISOString();
+        if (!record.acknowledgedAt) {
+            record.acknowledgedAt = at;
+            record.acknowledgedBy = user;
+        }
+        record.state = 'snoozed';
+        record.snoozedUntil = untilDate.toISOString();
+        record.events.push({ action: 'snoozed', at, by: user, until: record.snoozedUntil });
+        this.save();
+        return record;
+    }
+
+    resolve(alertId, note = '', user = AlertLog.currentUser()) {
+        this.reload();
+        const record = this.getAlert(alertId);
+        if (record.state === 'resolved') {
+            throw new Error('This alert is already resolved');
+        }
+        this.close(record, note, user, new Date().toISOString());
+        this.save();
+        return record;
+    }
+
+    close(record, note, user, at) {
+        record.state = 'resolved';
+        record.resolvedAt = at;
+        record.resolvedBy = user;
+        record.resolution = note;
+        record.events.push({ action: 'resolved', at, by: user, note });
+    }
+
+    // Delivery attempts and other notes about an alert
+    addEvent(alertId, event) {
+        this.reload();
+        const record = this.getAlert(alertId);
+        record.events.push({ at: new Date().toISOString(), ...event });
+        this.save();
+        return record;
+    }
+
+    // How many escalation levels have been sent for an alert (see AlertEscalation)
+    setEscalationLevel(alertId, level) {
+        this.reload();
+        const record = this.getAlert(alertId);
+        record.escalationLevel = level;
+        this.save();
+        return record;
+    }
+
+    // Notifications wait until `until` (quiet hours, see AlertEscalation)
+    hold(alertId, until) {
+        this.reload();
+        const record = this.getAlert(alertId);
+        record.heldUntil = until;
+        record.events.push({ action: 'held', at: new Date().toISOString(), until });
+        this.save();
+        return record;
+    }
+
+    // { total, open, acknowledged, snoozed, resolved, meanTimeToAcknowledge, meanTimeToResolve }
+    // for a tank (or all tanks); times are in minutes, null when nothing has been acknowledged
+    // or resolved yet. Automatic resolutions don't count towards time to resolve.
+    stats(tankId = null) {
+        const records = this.getHistory(tankId);
+        const minutes = (from, to) => (new Date(to) - new Date(from)) / 60000;
+        const mean = (values) => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+        const counts = Object.fromEntries(ALERT_STATES.map(state => [state, records.filter(record => record.state === state).length]));
+        return {
+            total: records.length,
+            ...counts,
+            meanTimeToAcknowledge: mean(records.filter(record => record.acknowledgedAt)
+                .map(record => minutes(record.raisedAt, record.acknowledgedAt))),
+            meanTimeToResolve: mean(records.filter(record => record.resolvedAt && record.resolvedBy !== 'system')
+                .map(record => minutes(record.raisedAt, record.resolvedAt)))
+        };
+    }
+
+    prune() {
+        const resolved = this.records.filter(record => record.state === 'resolved' && !record.active);
+        if (resolved.length <= ALERT_HISTORY_LIMIT) return;
+        const drop = new Set(resolved
+            .sort((a, b) => new Date(a.resolvedAt) - new Date(b.resolvedAt))
+            .slice(0, resolved.length - ALERT_HISTORY_LIMIT));
+        this.records = this.records.filter(record => !drop.has(record));
+    }
+
+    loadStored() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('alert_log') ?? '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            // Keeps whatever is in memory
+            console.warn('Failed to load alert log', error);
+            return null;
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem('alert_log', JSON.stringify(this.records));
+        } catch (error) {
+            console.warn('Failed to save alert log', error);
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.AlertLog = AlertLog;
+}
@@ -0,0 +1,352 @@
+// alertRules.js - User-defined alert rules evaluated by FermentationAlertSystem
+// A rule compares one reading field with a threshold:
+//   measure 'value'  - the latest reading, optionally held for `duration` hours
+//   measure 'change' - latest minus the previous reading, or minus the last reading at least
+//                      `window` hours older
+//   measure 'rate'   - that change per day
+// The time-weighted measures look at the last `window` hours against a `limit` on one `side`
+// (above or below), interpolating between readings:
+//   measure 'time-beyond'   - minutes spent beyond the limit
+//   measure 'degree-hours'  - how far beyond the limit, times for how long
+//   measure 'time-to-limit' - hours until the trend over the window reaches the limit
+//   measure 'steady-rise'   - the rise per hour while beyond the limit (a cooling setpoint),
+//                             when the readings keep rising rather than being pulled back
+// With `useSetpoint` the limit is the cooling setpoint of the batch in the tank, and `limit`
+// only applies to tanks whose batch has none.
+// Thresholds are in the stored units (°C, Baumé, L). Rules can be scoped to tanks, batches and
+// batch stages; rules sharing a `group` only report the most severe one that fires.
+const ALERT_RULE_FIELDS = {
+    temperature: { label: 'Temperature', category: 'temperature' },
+    sugar: { label: 'Sugar', category: 'fermentation' },
+    sg: { label: 'Specific gravity', category: 'fermentation' },
+    ph: { label: 'pH', category: 'ph' },
+    ta: { label: 'Total acidity', category: 'acidity' },
+    volume: { label: 'Volume', category: 'volume' }
+};
+
+const ALERT_RULE_MEASURES = {
+    value: 'Value',
+    change: 'Change',
+    rate: 'Change per day',
+    'time-beyond': 'Minutes beyond limit',
+    'degree-hours': 'Degree-hours beyond limit',
+    'time-to-limit': 'Hours until limit (trend)',
+    'steady-rise': 'Steady rise beyond setpoint'
+};
+
+const TIME_WEIGHTED_MEASURES = ['time-beyond', 'degree-hours', 'time-to-limit', 'steady-rise'];
+
+const ALERT_RULE_OPERATORS = ['>', '>=', '<', '<='];
+
+const ALERT_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// The checks FermentationAlertSystem used to hard-code
+const DEFAULT_ALERT_RULES = {
+    'temperature-low': {
+        name: 'Low temperature',
+        field: 'temperature', measure: 'value', operator: '<', threshold: 10,
+        severity: 'medium',
+        message: 'Low temperature ({value}) may slow fermentation',
+        recommendation: 'Consider moving to warmer location or insulating tank'
+    },
+    'temperature-high': {
+        name: 'High temperature',
+        field: 'temperature', measure: 'value', operator: '>', threshold: 30,
+        severity: 'high', group: 'temperature-high',
+        message: 'High temperature ({value})',
+        recommendation: 'Cool tank to prevent yeast stress and off-flavors'
+    },
+    'temperature-critical': {
+        name: 'Critical temperature',
+        field: 'temperature', measure: 'value', operator: '>', threshold: 35,
+        severity: 'critical', group: 'temperature-high',
+        message: 'Critical temperature ({value})',
+        recommendation: 'IMMEDIATE ACTION: Cool tank immediately to prevent yeast death'
+    },
+    'temperature-change': {
+        name: 'Rapid temperature change',
+        field: 'temperature', measure: 'change', absolute: true, operator: '>', threshold: 5,
+        severity: 'low',
+        message: 'Rapid temperature change: {previous} → {value}',
+        recommendation: 'Monitor closely for fermentation stability'
+    },
+    'temperature-time-above': {
+        name: 'Time above temperature band',
+        field: 'temperature', measure: 'time-beyond', side: 'above', limit: 28, window: 24, operator: '>', threshold: 120,
+        severity: 'medium',
+        message: 'Temperature above {limit} for {minutes} min in the last {window} h',
+        recommendation: 'Check cooling; sustained warmth stresses yeast and strips aromas'
+    },
+    'temperature-time-below': {
+        name: 'Time below temperature band',
+        field: 'temperature', measure: 'time-beyond', side: 'below', limit: 12, window: 24, operator: '>', threshold: 240,
+        severity: 'low',
+        message: 'Temperature below {limit} for {minutes} min in the last {window} h',
+        recommendation: 'Warm the tank if fermentation is slowing'
+    },
+    'temperature-degree-hours': {
+        name: 'Heat exposure',
+        field: 'temperature', measure: 'degree-hours', side: 'above', limit: 30, window: 24, operator: '>', threshold: 10,
+        severity: 'high',
+        message: '{degreeHours} °C·h above {limit} in the last {window} h',
+        recommendation: 'Cool tank and check yeast health; heat damage builds up over time'
+    },
+    'temperature-rise-forecast': {
+        name: 'Rising towards critical temperature',
+        field: 'temperature', measure: 'time-to-limit', side: 'above', limit: 35, window: 2, operator: '<', threshold: 3,
+        severity: 'high',
+        message: 'Temperature rising {perHour} °C/h, expected to reach {limit} in {hours} h',
+        recommendation: 'Start or increase cooling now to stay below the critical temperature'
+    },
+    // Off until setpoints are recorded: the fallback limit doesn't suit every wine
+    'glycol-failure': {
+        name: 'Glycol jacket failure',
+        field: 'temperature', measure: 'steady-rise', side: 'above', limit: 18, useSetpoint: true, window: 3, operator: '>', threshold: 0.3,
+        severity: 'critical', enabled: false,
+        message: 'Temperature rose steadily by {perHour} °C/h over {window} h above the cooling setpoint ({limit}) - possible glycol jacket failure',
+        recommendation: 'Check the glycol chiller, pump, valves and jacket flow; cool the tank by other means until fixed'
+    },
+    'ph-low': {
+        name: 'Low pH',
+        field: 'ph', measure: 'value', operator: '<', threshold: 2.8,
+        severity: 'medium',
+        message: 'pH out of optimal range: {value}',
+        recommendation: 'Adjust pH or monitor closely'
+    },
+    'ph-high': {
+        name: 'High pH',
+        field: 'ph', measure: 'value', operator: '>', threshold: 3.8,
+        severity: 'medium', group: 'ph-high',
+        message: 'pH out of optimal range: {value}',
+        recommendation: 'Adjust pH or monitor closely'
+    },
+    'ph-critical': {
+        name: 'Critical pH',
+        field: 'ph', measure: 'value', operator: '>', threshold: 4.2,
+        severity: 'high', group: 'ph-high',
+        message: 'pH out of optimal range: {value}',
+        recommendation: 'Adjust pH or monitor closely'
+    },
+    'ph-change': {
+        name: 'Rapid pH change',
+        field: 'ph', measure: 'change', absolute: true, operator: '>', threshold: 0.3,
+        severity: 'low',
+        message: 'Rapid pH change: {previous} → {value}',
+        recommendation: 'Investigate potential causes'
+    },
+    'stuck-fermentation': {
+        name: 'Stuck fermentation',
+        field: 'sugar', measure: 'change', window: 48, operator: '>', threshold: -0.5,
+        severity: 'critical',
+        message: 'Possible stuck fermentation - sugar changed {change} Baumé in {days} days',
+        recommendation: 'Check yeast viability, temperature, and nutrient levels. Consider re-inoculation.'
+    },
+    'rapid-fermentation': {
+        name: 'Rapid fermentation',
+        field: 'sugar', measure: 'rate', operator: '<', threshold: -3,
+        severity: 'medium',
+        message: 'Rapid fermentation detected: {rate} Baumé/day',
+        recommendation: 'Monitor temperature closely. Consider cooling to slow fermentation.'
+    }
+};
+
+class AlertRules {
+    constructor() {
+        this.reload();
+    }
+
+    reload() {
+        this.rules = this.mergeRules(this.loadStored().rules);
+    }
+
+    static get fields() {
+        return ALERT_RULE_FIELDS;
+    }
+
+    static get measures() {
+        return ALERT_RULE_MEASURES;
+    }
+
+    static isTimeWeighted(measure) {
+        return TIME_WEIGHTED_MEASURES.includes(measure);
+    }
+
+    static get operators() {
+        return ALERT_RULE_OPERATORS;
+    }
+
+    static get severities() {
+        return ALERT_SEVERITIES;
+    }
+
+    mergeRules(stored = {}) {
+        const rules = {};
+        Object.entries(DEFAULT_ALERT_RULES).forEach(([id, rule]) => {
+            rules[id] = AlertRules.normalize({ id, ...rule });
+        });
+        Object.entries(stored ?? {}).forEach(([id, rule]) => {
+            if (AlertRules.check({ id, ...rule }).length === 0) {
+                rules[id] = AlertRules.normalize({ id, ...rule });
+            }
+        });
+        return rules;
+    }
+
+    getRules() {
+        return Object.values(this.rules);
+    }
+
+    getRule(ruleId) {
+        return this.rules[ruleId] ?? null;
+    }
+
+    isBuiltIn(ruleId) {
+        return ruleId in DEFAULT_ALERT_RULES;
+    }
+
+    // Checks a rule's shape; returns a list of problems (empty when it can be used)
+    static check(rule) {
+        const errors = [];
+        if (!rule || typeof rule !== 'object') {
+            return ['Not a rule'];
+        }
+        if (!rule.id || typeof rule.id !== 'string') errors.push('Rule id is required');
+        if (!rule.name || typeof rule.name !== 'string') errors.push('Rule name is required');
+        if (!ALERT_RULE_FIELDS[rule.field]) errors.push(`Unknown field: ${rule.field}`);
+        if (rule.measure !== undefined && !ALERT_RULE_MEASURES[rule.measure]) errors.push(`Unknown measure: ${rule.measure}`);
+        if (!ALERT_RULE_OPERATORS.includes(rule.operator)) errors.push(`Unknown comparison: ${rule.operator}`);
+        if (!Number.isFinite(rule.threshold)) errors.push('Threshold must be a number');
+        if (rule.severity !== undefined && !ALERT_SEVERITIES.includes(rule.severity)) errors.push(`Unknown severity: ${rule.severity}`);
+        ['window', 'duration'].forEach(key => {
+            if (rule[key] !== undefined && rule[key] !== null && !(rule[key] > 0)) {
+                errors.push(`${key === 'window' ? 'Window' : 'Duration'} must be a positive number of hours`);
+            }
+        });
+        if (TIME_WEIGHTED_MEASURES.includes(rule.measure)) {
+            if (!Number.isFinite(rule.limit)) errors.push('Limit must be a number');
+            if (!(rule.window > 0)) errors.push('Window must be a positive number of hours');
+            if (rule.side !== undefined && rule.side !== 'above' && rule.side !== 'below') errors.push(`Unknown side: ${rule.side}`);
+        }
+        return errors;
+    }
+
+    // Fills in defaults and drops anything the engine doesn't use
+    static normalize(rule) {
+        const list = (values) => Array.isArray(values) ? values.map(String).filter(Boolean) : [];
+        return {
+            id: rule.id.trim(),
+            name: rule.name.trim(),
+            enabled: rule.enabled !== false,
+            field: rule.field,
+            measure: rule.measure ?? 'value',
+            absolute: rule.absolute === true,
+            operator: rule.operator,
+            threshold: rule.threshold,
+            window: rule.window > 0 ? rule.window : null,
+            duration: rule.duration > 0 ? rule.duration : null,
+            limit: Number.isFinite(rule.limit) ? rule.limit : null,
+            side: rule.side === 'below' ? 'below' : 'above',
+            useSetpoint: rule.useSetpoint === true,
+            scope: {
+                tanks: list(rule.scope?.tanks),
+                batches: list(rule.scope?.batches),
+                stages: list(rule.scope?.stages)
+            },
+            severity: rule.severity ?? 'medium',
+            group: rule.group || null,
+            message: typeof rule.message === 'string' ? rule.message : '',
+            recommendation: typeof rule.recommendation === 'string' ? rule.recommendation : ''
+        };
+    }
+
+    saveRule(rule) {
+        const errors = AlertRules.check(rule);
+        if (errors.length) {
+            throw new Error(errors.join('; '));
+        }
+        const clean = AlertRules.normalize(rule);
+        this.rules[clean.id] = clean;
+        this.save();
+        return clean;
+    }
+
+    setEnabled(ruleId, enabled) {
+        const rule = this.rules[ruleId];
+        if (!rule) {
+            throw new Error(`Unknown alert rule: ${ruleId}`);
+        }
+        rule.enabled = enabled;
+        this.save();
+        return rule;
+    }
+
+    // Custom rules are removed; built-in ones go back to their defaults
+    deleteRule(ruleId) {
+        if (!this.rules[ruleId]) return false;
+        if (this.isBuiltIn(ruleId)) {
+            this.rules[ruleId] = AlertRules.normalize({ id: ruleId, ...DEFAULT_ALERT_RULES[ruleId] });
+        } else {
+            delete this.rules[ruleId];
+        }
+        this.save();
+        return true;
+    }
+
+    // Whether a rule applies to a tank and the batch in it
+    static inScope(rule, tankId, batch = null) {
+        const { tanks, batches, stages } = rule.scope;
+        if (tanks.length && !tanks.includes(tankId)) return false;
+        if (batches.length && !batches.includes(batch?.id)) return false;
+        if (stages.length && !stages.includes(batch?.stage)) return false;
+        return true;
+    }
+
+    // "Temperature > 30", "pH change (either way) > 0.3", "Sugar change over 48 h > -0.5",
+    // "Temperature minutes above 28 °C in 24 h > 120"
+    static describe(rule) {
+        const field = ALERT_RULE_FIELDS[rule.field]?.label ?? rule.field;
+        const unit = typeof Units !== 'undefined' ? Units.label(rule.field) : '';
+        if (TIME_WEIGHTED_MEASURES.includes(rule.measure)) {
+            const limit = `${rule.useSetpoint ? 'the cooling setpoint (else ' : ''}${rule.limit}${unit ? ` ${unit}` : ''}${rule.useSetpoint ? ')' : ''}`;
+            const measure = {
+                'time-beyond': `minutes ${rule.side} ${limit} in ${rule.window} h`,
+                'degree-hours': `degree-hours ${rule.side} ${limit} in ${rule.window} h`,
+                'time-to-limit': `hours until ${limit} (trend over ${rule.window} h)`,
+                'steady-rise': `${rule.side === 'above' ? 'rise' : 'fall'} per hour ${rule.side} ${limit} over ${rule.window} h`
+            }[rule.measure];
+            return `${field} ${measure} ${rule.operator} ${rule.threshold}`;
+        }
+        let measure = '';
+        if (rule.measure !== 'value') {
+            measure = ` ${rule.measure === 'rate' ? 'change per day' : 'change'}${rule.window ? ` over ${rule.window} h` : ''}${rule.absolute ? ' (either way)' : ''}`;
+        }
+        const duration = rule.measure === 'value' && rule.duration ? ` for ${rule.duration} h` : '';
+        return `${field}${measure} ${rule.operator} ${rule.threshold}${unit ? ` ${unit}` : ''}${duration}`;
+    }
+
+    loadStored() {
+        try {
+            return JSON.parse(localStorage.getItem('alert_rules') ?? '{}');
+        } catch (error) {
+            console.warn('Failed to load alert rules', error);
+            return {};
+        }
+    }
+
+    // Only custom rules and edited built-ins are stored
+    save() {
+        try {
+            const rules = Object.fromEntries(this.getRules()
+                .filter(rule => !this.isBuiltIn(rule.id) || JSON.stringify(rule) !==
+                    JSON.stringify(AlertRules.normalize({ id: rule.id, ...DEFAULT_ALERT_RULES[rule.id] })))
+                .map(rule => [rule.id, rule]));
+            localStorage.setItem('alert_rules', JSON.stringify({ rules }));
+        } catch (error) {
+            console.warn('Failed to save alert rules', error);
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.AlertRules = AlertRules;
+}
@@ -1,18 +1,30 @@
 // alertSystem.js - AI-powered fermentation monitoring
+// Readings further apart than this aren't interpolated between by the time-weighted rules; the
+// gap is a sensor outage (or manual readings) and its time isn't counted
+const READING_GAP_HOURS = 6;
+
+// Share of steps that must not go back down for a rise to count as steady
+const STEADY_RISE_SHARE = 0.75;
+
 class FermentationAlertSystem {
-    constructor(dataManager) {
+    // Threshold alerts come from AlertRules; completion forecasts are still built in. The
+    // AlertLog gives alerts identity and state across evaluations.
+    constructor(dataManager, batchManager = null, alertRules = null, alertLog = null) {
         this.dataManager = dataManager;
-        this.alertThresholds = {
-            temperature: { low: 10, high: 30, critical: 35 },
-            ph: { low: 2.8, high: 3.8, critical: 4.2 },
-            sugar: {
-                stuckFermentation: 0.5, // Days without drop
-                rapidFermentation: 3.0  // Baumé per day
-            }
-        };
+        this.batchManager = batchManager;
+        this.alertRules = alertRules ?? new AlertRules();
+        this.alertLog = alertLog ?? (typeof AlertLog !== 'undefined' ? new AlertLog() : null);
         this.alerts = [];
     }
 
+    // Evaluates every tank and updates the log; this.alerts becomes the logged alerts that
+    // still need attention
+    refresh(tanks, now = new Date()) {
+        const evaluated = this.analyzeAllTanks(tanks);
+        this.alerts = this.alertLog ? this.prioritizeAlerts(this.alertLog.sync(evaluated, now)) : evaluated;
+        return this.alerts;
+    }
+
     analyzeAllTanks(tanks) {
         const allAlerts = [];
         
@@ -32,18 +44,10 @@ class FermentationAlertSystem {
         const data = this.dataManager.getTankData(tankId);
         if (data.length < 2) return [];
 
-        const alerts = [];
-        const latest = data[0];
-        const previous = data[1];
-
-        // Temperature alerts
-        alerts.push(...this.checkTemperature(latest, previous));
-        
-        // pH alerts
-        alerts.push(...this.checkPH(latest, previous));
-        
-        // Fermentation kinetics alerts
-        alerts.push(...this.checkFermentationKinetics(data));
+        const batch = this.batchManager?.getBatchByTank(tankId) ?? null;
+        const alerts = this.applyRules(data, this.alertRules.getRules()
+            .filter(rule => rule.enabled && AlertRules.inScope(rule, tankId, batch))
+            .map(rule => this.withSetpoint(rule, batch)));
         
         // Predictive alerts
         alerts.push(...this.predictiveAnalysis(data));
@@ -51,127 +55,212 @@ class FermentationAlertSystem {
         return alerts;
     }
 
-    checkTemperature(latest, previous) {
-        const alerts = [];
-        const temp = latest.temperature;
-        
-        if (!temp) return alerts;
-
-        if (temp < this.alertThresholds.temperature.low) {
-            alerts.push({
-                type: 'warning',
-                category: 'temperature',
-                message: `Low temperature (${temp}°C) may slow fermentation`,
-                severity: 'medium',
-                timestamp: latest.timestamp,
-                recommendation: 'Consider moving to warmer location or insulating tank'
-            });
-        }
+    // Rules that follow the cooling setpoint take the batch's, when it has one, as their limit
+    withSetpoint(rule, batch) {
+        return rule.useSetpoint && Number.isFinite(batch?.coolingSetpoint)
+            ? { ...rule, limit: batch.coolingSetpoint }
+            : rule;
+    }
 
-        if (temp > this.alertThresholds.temperature.high) {
-            const severity = temp > this.alertThresholds.temperature.critical ? 'critical' : 'high';
-            alerts.push({
-                type: severity === 'critical' ? 'critical' : 'warning',
-                category: 'temperature',
-                message: `${severity === 'critical' ? 'Critical' : 'High'} temperature (${temp}°C)`,
-                severity,
-                timestamp: latest.timestamp,
-                recommendation: severity === 'critical'
-                    ? 'IMMEDIATE ACTION: Cool tank immediately to prevent yeast death'
-                    : 'Cool tank to prevent yeast stress and off-flavors'
-            });
+    // Alerts for the rules that fire on a tank's readings; within a group only the most
+    // severe firing rule is reported
+    applyRules(data, rules) {
+        const severityOrder = { critical: 4, high: 3, medium: 2, low: 1 };
+        const fired = [];
+        rules.forEach(rule => {
+            const result = this.evaluateRule(rule, data);
+            if (!result) return;
+            const alert = this.createAlert(rule, result);
+            const index = rule.group ? fired.findIndex(entry => entry.group === rule.group) : -1;
+            if (index === -1) {
+                fired.push({ group: rule.group, alert });
+            } else if (severityOrder[alert.severity] > severityOrder[fired[index].alert.severity]) {
+                fired[index] = { group: rule.group, alert };
+            }
+        });
+        return fired.map(entry => entry.alert);
+    }
+
+    // What the rule measured when it fires, null when it doesn't (or there isn't enough history)
+    evaluateRule(rule, data) {
+        const field = rule.field;
+        const time = (reading) => new Date(reading.timestamp).getTime();
+        const readings = data
+            .filter(reading => Number.isFinite(reading[field]) && !isNaN(time(reading)))
+            .sort((a, b) => time(b) - time(a));
+        const latest = readings[0];
+        if (!latest) return null;
+        const compare = (value) => {
+            switch (rule.operator) {
+                case '>': return value > rule.threshold;
+                case '>=': return value >= rule.threshold;
+                case '<': return value < rule.threshold;
+                case '<=': return value <= rule.threshold;
+                default: return false;
+            }
+        };
+
+        if (AlertRules.isTimeWeighted(rule.measure)) {
+            return this.evaluateTimeWeighted(rule, readings.slice().reverse(), compare);
         }
 
-        // Temperature trend analysis
-        if (previous.temperature && Math.abs(temp - previous.temperature) > 5) {
-            alerts.push({
-                type: 'info',
-                category: 'temperature',
-                message: `Rapid temperature change: ${previous.temperature}°C → ${temp}°C`,
-                severity: 'low',
-                timestamp: latest.timestamp,
-                recommendation: 'Monitor closely for fermentation stability'
-            });
+        if (rule.measure === 'value') {
+            if (!compare(latest[field])) return null;
+            if (rule.duration) {
+                // Every reading back to the start of the duration, and the one before it, must match
+                const start = time(latest) - rule.duration * 3600000;
+                const held = readings.filter(reading => time(reading) > start);
+                const before = readings.find(reading => time(reading) <= start);
+                if (!before || ![...held, before].every(reading => compare(reading[field]))) return null;
+            }
+            return { reading: latest, value: latest[field] };
         }
 
-        return alerts;
+        const reference = rule.window
+            ? readings.find(reading => time(latest) - time(reading) >= rule.window * 3600000)
+            : readings[1];
+        if (!reference) return null;
+        const days = (time(latest) - time(reference)) / 86400000;
+        const change = latest[field] - reference[field];
+        const rate = days > 0 ? change / days : null;
+        let measured = rule.measure === 'rate' ? rate : change;
+        if (measured === null) return null;
+        if (rule.absolute) measured = Math.abs(measured);
+        if (!compare(measured)) return null;
+        return { reading: latest, value: latest[field], previous: reference[field], change, rate, days };
     }
 
-    checkPH(latest, previous) {
-        const alerts = [];
-        const ph = latest.ph;
-        if (!ph) return alerts;
-
-        if (ph < this.alertThresholds.ph.low || ph > this.alertThresholds.ph.high) {
-            const type = ph > this.alertThresholds.ph.critical ? 'critical' : 'warning';
-            alerts.push({
-                type,
-                category: 'ph',
-                message: `pH out of optimal range: ${ph}`,
-                severity: ph > this.alertThresholds.ph.critical ? 'high' : 'medium',
-                timestamp: latest.timestamp,
-                recommendation: 'Adjust pH or monitor closely'
-            });
-        }
+    // The time-weighted measures over the rule's window; readings are oldest first
+    evaluateTimeWeighted(rule, readings, compare) {
+        const field = rule.field;
+        const hour = 3600000;
+        const latest = readings[readings.length - 1];
+        const end = new Date(latest.timestamp).getTime();
+        const start = end - rule.window * hour;
+        const points = readings.map(reading => ({ t: new Date(reading.timestamp).getTime(), v: reading[field] }));
+        // Beyond the limit is positive whichever side the rule watches
+        const beyond = (value) => rule.side === 'below' ? rule.limit - value : value - rule.limit;
+        const result = { reading: latest, value: latest[field], limit: rule.limit, window: rule.window };
 
-        if (previous.ph && Math.abs(ph - previous.ph) > 0.3) {
-            alerts.push({
-                type: 'info',
-                category: 'ph',
-                message: `Rapid pH change: ${previous.ph} → ${ph}`,
-                severity: 'low',
-                timestamp: latest.timestamp,
-                recommendation: 'Investigate potential causes'
-            });
+        if (rule.measure === 'time-beyond' || rule.measure === 'degree-hours') {
+            const { minutes, degreeHours } = this.exposure(points, beyond, start);
+            const measured = rule.measure === 'time-beyond' ? minutes : degreeHours;
+            return compare(measured) ? { ...result, measured, minutes, degreeHours } : null;
         }
 
-        return alerts;
-    }
+        const inWindow = points.filter(point => point.t >= start);
+        const trend = this.trend(inWindow);
+        if (!trend) return null;
+        const perHour = trend.slope * hour;
+        // Positive when moving towards (or further past) the limit
+        const towards = rule.side === 'below' ? -perHour : perHour;
 
-    checkFermentationKinetics(data) {
-        const alerts = [];
-        const sugarData = data.filter(d => d.sugar !== undefined)
-            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-
-        if (sugarData.length < 3) return alerts;
-
-        // Check for stuck fermentation
-        const recentReadings = sugarData.slice(-3);
-        const sugarDrop = recentReadings[0].sugar - recentReadings[recentReadings.length - 1].sugar;
-        const daysDifference = (new Date(recentReadings[recentReadings.length - 1].timestamp) -
-                              new Date(recentReadings[0].timestamp)) / (1000 * 60 * 60 * 24);
-
-        if (daysDifference > 2 && sugarDrop < this.alertThresholds.sugar.stuckFermentation) {
-            alerts.push({
-                type: 'critical',
-                category: 'fermentation',
-                message: `Possible stuck fermentation - only ${sugarDrop.toFixed(1)} Baumé drop in ${daysDifference.toFixed(1)} days`,
-                severity: 'critical',
-                timestamp: recentReadings[recentReadings.length - 1].timestamp,
-                recommendation: 'Check yeast viability, temperature, and nutrient levels. Consider re-inoculation.'
-            });
+        if (rule.measure === 'time-to-limit') {
+            const remaining = -beyond(latest[field]);
+            if (remaining <= 0 || towards <= 0) return null;
+            const hours = remaining / towards;
+            return compare(hours) ? { ...result, measured: hours, hours, perHour } : null;
         }
 
-        // Check for too rapid fermentation
-        for (let i = 1; i < recentReadings.length; i++) {
-            const daysDiff = (new Date(recentReadings[i].timestamp) -
-                            new Date(recentReadings[i-1].timestamp)) / (1000 * 60 * 60 * 24);
-            const dailyDrop = (recentReadings[i-1].sugar - recentReadings[i].sugar) / daysDiff;
+        // steady-rise: past the setpoint, covering most of the window and still going
+        const steps = inWindow.slice(1).map((point, index) => rule.side === 'below'
+            ? inWindow[index].v - point.v
+            : point.v - inWindow[index].v);
+        const steady = steps.length >= 3 &&
+            steps.filter(step => step >= 0).length / steps.length >= STEADY_RISE_SHARE &&
+            inWindow[inWindow.length - 1].t - inWindow[0].t >= rule.window * hour * 0.75;
+        if (!steady || beyond(latest[field]) <= 0) return null;
+        return compare(towards) ? { ...result, measured: towards, perHour } : null;
+    }
 
-            if (dailyDrop > this.alertThresholds.sugar.rapidFermentation) {
-                alerts.push({
-                    type: 'warning',
-                    category: 'fermentation',
-                    message: `Rapid fermentation detected: ${dailyDrop.toFixed(1)} Baumé/day`,
-                    severity: 'medium',
-                    timestamp: recentReadings[i].timestamp,
-                    recommendation: 'Monitor temperature closely. Consider cooling to slow fermentation.'
-                });
-                break;
+    // Minutes and degree-hours beyond a limit since `start`, interpolating linearly between
+    // readings (and to the limit crossings). beyond(value) is how far a value is past the limit.
+    exposure(points, beyond, start) {
+        let minutes = 0;
+        let degreeHours = 0;
+        for (let i = 1; i < points.length; i++) {
+            let a = points[i - 1];
+            const b = points[i];
+            if (b.t <= start || b.t - a.t > READING_GAP_HOURS * 3600000) continue;
+            if (a.t < start) {
+                a = { t: start, v: a.v + (b.v - a.v) * (start - a.t) / (b.t - a.t) };
             }
+            const hours = (b.t - a.t) / 3600000;
+            const e0 = beyond(a.v);
+            const e1 = beyond(b.v);
+            if (e0 <= 0 && e1 <= 0) continue;
+            if (e0 >= 0 && e1 >= 0) {
+                minutes += hours * 60;
+                degreeHours += (e0 + e1) / 2 * hours;
+                continue;
+            }
+            // Crosses the limit part way through
+            const crossing = e0 / (e0 - e1);
+            const share = e0 > 0 ? crossing : 1 - crossing;
+            minutes += share * hours * 60;
+            degreeHours += Math.max(e0, e1) / 2 * share * hours;
         }
+        return { minutes, degreeHours };
+    }
 
-        return alerts;
+    // Least-squares slope (per millisecond) of { t, v } points; null with fewer than two
+    trend(points) {
+        if (points.length < 2) return null;
+        const meanT = points.reduce((sum, point) => sum + point.t, 0) / points.length;
+        const meanV = points.reduce((sum, point) => sum + point.v, 0) / points.length;
+        const spread = points.reduce((sum, point) => sum + (point.t - meanT) ** 2, 0);
+        if (spread === 0) return null;
+        return { slope: points.reduce((sum, point) => sum + (point.t - meanT) * (point.v - meanV), 0) / spread };
+    }
+
+    createAlert(rule, result) {
+        return {
+            type: rule.severity === 'critical' ? 'critical' : rule.severity === 'low' ? 'info' : 'warning',
+            category: AlertRules.fields[rule.field]?.category ?? rule.field,
+            ruleId: rule.id,
+            message: this.formatRuleMessage(rule, result),
+            severity: rule.severity,
+            timestamp: result.reading.timestamp,
+            recommendation: rule.recommendation
+        };
+    }
+
+    // Fills {value}, {previous}, {change}, {rate} and {days} in the rule's message, and for the
+    // time-weighted measures {limit}, {window}, {minutes}, {degreeHours}, {hours} and {perHour}.
+    // Values and limits are shown in the user's display units; changes, rates and
+    // degree-hours stay in the stored units.
+    formatRuleMessage(rule, result) {
+        const reading = (value) => typeof Units !== 'undefined' && Units.canonical(rule.field)
+            ? Units.format(rule.field, value)
+            : String(value);
+        const number = (value) => Number.isFinite(value) ? String(Math.round(value * 100) / 100) : '';
+        const values = {
+            value: reading(result.value),
+            previous: Number.isFinite(result.previous) ? reading(result.previous) : '',
+            change: number(result.change),
+            rate: number(result.rate),
+            days: Number.isFinite(result.days) ? result.days.toFixed(1) : '',
+            limit: Number.isFinite(result.limit) ? reading(result.limit) : '',
+            window: result.window ?? '',
+            minutes: Number.isFinite(result.minutes) ? String(Math.round(result.minutes)) : '',
+            degreeHours: Number.isFinite(result.degreeHours) ? result.degreeHours.toFixed(1) : '',
+            hours: Number.isFinite(result.hours) ? result.hours.toFixed(1) : '',
+            perHour: number(result.perHour)
+        };
+        let template = rule.message;
+        if (!template) {
+            template = {
+                value: '{value}',
+                rate: '{rate} per day',
+                change: '{previous} → {value}',
+                'time-beyond': '{minutes} min beyond {limit} in {window} h',
+                'degree-hours': '{degreeHours} degree-hours beyond {limit} in {window} h',
+                'time-to-limit': '{limit} in about {hours} h at {perHour} per hour',
+                'steady-rise': '{perHour} per hour beyond {limit} over {window} h'
+            }[rule.measure];
+            template = `${rule.name}: ${template}`;
+        }
+        return template.replace(/\{(\w+)\}/g, (match, key) => key in values ? values[key] : match);
     }
 
     predictiveAnalysis(data) {
@@ -184,6 +273,7 @@ class FermentationAlertSystem {
                 alerts.push({
                     type: 'warning',
                     category: 'prediction',
+                    ruleId: 'slow-fermentation-forecast',
                     message: `Fermentation may take ${Math.ceil(analysis.daysToComplete)} more days`,
                     severity: 'medium',
                     timestamp: new Date().toISOString(),
@@ -193,6 +283,7 @@ class FermentationAlertSystem {
                 alerts.push({
                     type: 'info',
                     category: 'prediction',
+                    ruleId: 'completion-forecast',
                     message: `Fermentation expected to complete in ${Math.ceil(analysis.daysToComplete)} days`,
                     severity: 'low',
                     timestamp: new Date().toISOString(),
@@ -222,21 +313,59 @@ class FermentationAlertSystem {
         container.innerHTML = `
             <div class="alerts-header">
                 <h3>🚨 Active Alerts</h3>
-                <span class="alert-count">${alerts.length} active</span>
+                <span class="alert-count">${this.alerts.length} active</span>
             </div>
             <div class="alerts-list">
                 ${alerts.map(alert => `
                     <div class="alert alert-${alert.type} alert-${alert.severity}">
                         <div class="alert-header">
                             <span class="alert-tank">Tank ${alert.tankId}</span>
-                            <span class="alert-time">${this.formatTime(alert.timestamp)}</span>
+                            <span class="alert-time">${this.formatTime(alert.raisedAt ?? alert.timestamp)}</span>
                         </div>
-                        <div class="alert-message">${alert.message}</div>
-                        <div class="alert-recommendation">${alert.recommendation}</div>
+                        <div class="alert-message">${escapeHTML(alert.message)}</div>
+                        <div class="alert-recommendation">${escapeHTML(alert.recommendation)}</div>
+                        ${alert.id ? `
+                            <div class="alert-state">
+                                ${alert.acknowledgedBy ? `Acknowledged by ${alert.acknowledgedBy} ${this.formatTime(alert.acknowledgedAt)}` : 'Not acknowledged'}
+                            </div>
+                            <div class="alert-actions">
+                                ${alert.state === 'open' ? `<button type="button" data-alert-action="acknowledge" data-alert-id="${alert.id}">Acknowledge</button>` : ''}
+                                <button type="button" data-alert-action="snooze" data-alert-id="${alert.id}">Snooze 4 h</button>
+                                <button type="button" data-alert-action="resolve" data-alert-id="${alert.id}">Resolve</button>
+                            </div>
+                        ` : ''}
                     </div>
                 `).join('')}
             </div>
         `;
+
+        if (!container.dataset.alertActions) {
+            container.dataset.alertActions = 'bound';
+            container.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-alert-action]');
+                if (!button) return;
+                this.handleAlertAction(button.dataset.alertAction, button.dataset.alertId);
+                this.alerts = this.prioritizeAlerts(this.alertLog.getActive());
+                this.renderAlertsPanel(containerId);
+            });
+        }
+    }
+
+    handleAlertAction(action, alertId) {
+        try {
+            if (action === 'acknowledge') {
+                this.alertLog.acknowledge(alertId);
+            } else if (action === 'snooze') {
+                this.alertLog.snooze(alertId, new Date(Date.now() + 4 * 3600000));
+            } else if (action === 'resolve') {
+                const note = prompt('How was this resolved?');
+                if (note === null) return;
+                this.alertLog.resolve(alertId, note);
+            }
+        } catch (error) {
+            console.error('Alert action failed', error);
+            alert(error.message);
+        }
     }
 
     formatTime(timestamp) {
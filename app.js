@@ -6,19 +6,31 @@ class FermentationTracker {
         this.labIntegration = typeof LabIntegration !== 'undefined' ? new LabIntegration(this.batchManager) : null;
         this.productionPlanner = typeof ProductionPlanner !== 'undefined' ? new ProductionPlanner() : null;
         this.complianceManager = typeof ComplianceManager !== 'undefined' ? new ComplianceManager(this.batchManager) : null;
+        this.blendDesigner = typeof BlendDesigner !== 'undefined' && this.batchManager ? new BlendDesigner(this.batchManager) : null;
+        this.enrichment = typeof EnrichmentCalculator !== 'undefined' ? new EnrichmentCalculator(this.batchManager, this.complianceManager) : null;
+        this.fortification = typeof FortificationCalculator !== 'undefined' && this.batchManager ? new FortificationCalculator(this.batchManager) : null;
+        this.benchTrials = typeof BenchTrials !== 'undefined' && this.batchManager ? new BenchTrials(this.batchManager) : null;
+        this.so2Manager = typeof SO2Manager !== 'undefined' ? new SO2Manager(this.batchManager, this.complianceManager) : null;
         this.aiAnalytics = typeof AIAnalytics !== 'undefined' ? new AIAnalytics(this.batchManager) : null;
         this.apiIntegration = typeof APIIntegration !== 'undefined' ? new APIIntegration(this.batchManager) : null;
         this.pwaManager = typeof PWAManager !== 'undefined' ? new PWAManager() : null;
-        this.uiManager = new UIManager(this.dataManager);
+        this.validationProfiles = typeof ValidationProfiles !== 'undefined' ? new ValidationProfiles(this.batchManager) : null;
+        this.uiManager = new UIManager(this.dataManager, this.batchManager, this.validationProfiles);
+        this.undoManager = new UndoManager();
         this.visualizer = new VisualizationEngine();
-        this.alertSystem = new FermentationAlertSystem(this.dataManager);
+        this.alertSystem = new FermentationAlertSystem(this.dataManager, this.batchManager);
+        this.alertEscalation = typeof AlertEscalation !== 'undefined'
+            ? new AlertEscalation(this.alertSystem.alertLog, { pwaManager: this.pwaManager })
+            : null;
         this.collaboration = new CollaborationManager(this.dataManager);
+        this.nutrientPlanner = typeof NutrientPlanner !== 'undefined' ? new NutrientPlanner(this.batchManager, this.collaboration) : null;
         this.tanks = [];
-        this.reporting = new ReportingEngine(this.dataManager, this.tanks);
+        this.reporting = new ReportingEngine(this.dataManager, this.tanks, this.batchManager);
         this.initializeEventListeners();
         this.initializeCalculators();
         this.startAlertMonitoring();
         window.collaboration = this.collaboration;
+        window.undoManager = this.undoManager;
         if (this.batchManager) window.batchManager = this.batchManager;
         if (this.labIntegration) window.labIntegration = this.labIntegration;
         if (this.productionPlanner) window.productionPlanner = this.productionPlanner;
@@ -33,6 +45,9 @@ class FermentationTracker {
             const response = await fetch('tanks.json');
             this.tanks = await response.json();
             
+            // Open the reading database before anything reads tank data
+            await this.dataManager.init(this.tanks.map(tank => tank.id));
+            
             // Initialize UI
             this.uiManager.setTanks(this.tanks);
             
@@ -57,6 +72,9 @@ class FermentationTracker {
                 }
                 this.uiManager.renderOverview();
             });
+            this.dataManager.onPersistError((tankId, error) => {
+                this.uiManager.showError(`Readings${tankId ? ` for tank ${tankId}` : ''} could not be saved and will be lost on reload: ${error?.message ?? error}`);
+            });
             
             // Initial overview render
             this.uiManager.renderOverview();
@@ -82,7 +100,13 @@ class FermentationTracker {
             }
         });
         
-        // Variety input
+        // Variety input - saved on every keystroke, undone as one change per edit
+        let varietyBefore = null;
+        ui.varietyInput?.addEventListener('focus', () => {
+            const tankId = this.uiManager.currentTankId;
+            varietyBefore = tankId ? this.dataManager.getTankVariety(tankId) : null;
+        });
+        
         ui.varietyInput?.addEventListener('input', (e) => {
             const tankId = this.uiManager.currentTankId;
             if (!tankId) return;
@@ -91,14 +115,43 @@ class FermentationTracker {
             this.uiManager.updateTankDetails();
         });
         
+        ui.varietyInput?.addEventListener('change', (e) => {
+            const tankId = this.uiManager.currentTankId;
+            const variety = e.target.value.trim();
+            if (!tankId || varietyBefore === null || variety === varietyBefore) return;
+            
+            const command = CellarCommands.tankVariety(this.dataManager, tankId, varietyBefore, variety);
+            this.undoManager.record(this.refreshAfter(command));
+            varietyBefore = variety;
+        });
+        
+        // Undo/redo shortcuts, left to the browser while typing in a text field
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            const key = e.key.toLowerCase();
+            if (key !== 'z' && key !== 'y') return;
+            if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+            
+            e.preventDefault();
+            if (key === 'y' || e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        });
+        
         // Form submission
         ui.readingForm?.addEventListener('submit', (e) => {
             e.preventDefault();
             this.handleFormSubmit();
         });
         
-        // Sugar conversion
+        // Sugar conversion. The sugar field is in the user's entry unit for sugar; the
+        // conversions work in Baumé.
         let updatingSugar = false;
+        const setSugar = (baume) => {
+            ui.sugar.value = this.uiManager.toEntryUnit('sugar', baume);
+        };
 
         const updateFromBaume = (baume) => {
             const gl = FermentationCalculations.baumeToGL(baume);
@@ -109,7 +162,7 @@ class FermentationTracker {
         };
 
         const updateFromGL = (gl) => {
-            ui.sugar.value = FermentationCalculations.glToBaume(gl).toFixed(1);
+            setSugar(FermentationCalculations.glToBaume(gl));
             if (ui.brix) {
                 ui.brix.value = FermentationCalculations.glToBrix(gl).toFixed(1);
             }
@@ -118,12 +171,12 @@ class FermentationTracker {
         const updateFromBrix = (brix) => {
             const gl = FermentationCalculations.brixToGL(brix);
             ui.sugarGL.value = gl.toFixed(1);
-            ui.sugar.value = FermentationCalculations.glToBaume(gl).toFixed(1);
+            setSugar(FermentationCalculations.glToBaume(gl));
         };
 
         ui.sugar?.addEventListener('input', (e) => {
             if (updatingSugar) return;
-            const baume = parseFloat(e.target.value);
+            const baume = Units.toCanonical('sugar', parseFloat(e.target.value), Units.entryUnit('sugar'));
             updatingSugar = true;
             if (!isNaN(baume)) {
                 updateFromBaume(baume);
@@ -163,12 +216,16 @@ class FermentationTracker {
         // Log table actions
         ui.logTableBody?.addEventListener('click', (e) => {
             if (e.target.classList.contains('edit-btn')) {
-                this.handleEdit(parseInt(e.target.dataset.index));
+                this.handleEdit(e.target.dataset.id);
             } else if (e.target.classList.contains('delete-btn')) {
-                this.handleDelete(parseInt(e.target.dataset.index));
+                this.handleDelete(e.target.dataset.id);
+            } else if (e.target.classList.contains('history-btn')) {
+                this.uiManager.showReadingHistory(this.uiManager.currentTankId, e.target.dataset.id);
             }
         });
         
+        this.uiManager.onRestoreReading = (entryId) => this.handleRestore(entryId);
+        
         // Overview actions
         ui.overviewTableBody?.addEventListener('click', (e) => {
             if (e.target.classList.contains('view-log-btn')) {
@@ -190,10 +247,24 @@ class FermentationTracker {
         // Export/Import
         ui.exportJsonBtn?.addEventListener('click', () => this.handleExport('json'));
         ui.exportCsvBtn?.addEventListener('click', () => this.handleExport('csv'));
+        ui.exportXlsxBtn?.addEventListener('click', () => this.handleExport('xlsx'));
+        ui.exportOdsBtn?.addEventListener('click', () => this.handleExport('ods'));
         ui.importJsonBtn?.addEventListener('click', () => this.handleImport('json'));
         ui.importCsvBtn?.addEventListener('click', () => this.handleImport('csv'));
+        ui.importSpreadsheetBtn?.addEventListener('click', () => this.handleImport('spreadsheet'));
         
         ui.importFile?.addEventListener('change', (e) => this.handleFileImport(e));
+        
+        ui.nutrientPlanBtn?.addEventListener('click', () => this.showNutrientPlanner());
+        ui.acidAdjustBtn?.addEventListener('click', () => this.showAcidCalculator());
+        ui.so2Btn?.addEventListener('click', () => this.showSO2Calculator());
+        ui.blendDesignerBtn?.addEventListener('click', () => this.showBlendDesigner());
+        ui.enrichmentBtn?.addEventListener('click', () => this.showEnrichmentCalculator());
+        ui.fortificationBtn?.addEventListener('click', () => this.showFortificationCalculator());
+        ui.benchTrialBtn?.addEventListener('click', () => this.showBenchTrials());
+        ui.validationProfilesBtn?.addEventListener('click', () => this.showValidationProfiles());
+        ui.unitsBtn?.addEventListener('click', () => this.showUnitSettings());
+        ui.alertHistoryBtn?.addEventListener('click', () => this.showAlertHistory());
     }
 
     handleFormSubmit() {
@@ -204,26 +275,59 @@ class FermentationTracker {
         }
         
         const formData = this.uiManager.getFormData();
-        const validation = Validator.validateForm(formData);
+        const validation = Validator.validateForm(formData, this.validationProfiles?.getProfileForTank(tankId) ?? null);
         
         if (!validation.valid) {
             this.uiManager.showError(validation.errors.join(', '));
             return;
         }
+
+        const consistency = Validator.checkConsistency(validation.data, this.consistencyContext(tankId, this.uiManager.editingId));
+        if (consistency.length && !confirm(`Please check this reading:\n\n${consistency.map(warning => warning.message).join('\n')}\n\nSave it anyway?`)) {
+            return;
+        }
         
-        if (this.uiManager.editingIndex !== null) {
-            this.dataManager.updateReading(tankId, this.uiManager.editingIndex, validation.data);
-            this.recordBatchHistory(tankId, validation.data, 'update');
-            this.uiManager.showSuccess('Reading updated successfully');
+        if (this.uiManager.editingId !== null) {
+            const reason = prompt('Reason for this change (optional):');
+            if (reason === null) {
+                return;
+            }
+            if (!this.dataManager.getReading(tankId, this.uiManager.editingId)) {
+                this.uiManager.showError('This reading no longer exists');
+                this.uiManager.resetForm();
+                return;
+            }
+            const updated = this.runUndoable(
+                CellarCommands.updateReading(this.dataManager, tankId, this.uiManager.editingId, validation.data, { reason: reason.trim() }),
+                this.savedMessage('Reading updated successfully', validation.warnings)
+            );
+            this.recordBatchHistory(tankId, updated, 'update');
         } else {
-            this.dataManager.addReading(tankId, validation.data);
-            this.recordBatchHistory(tankId, validation.data, 'reading');
-            this.uiManager.showSuccess('Reading saved successfully');
+            const added = this.runUndoable(
+                CellarCommands.addReading(this.dataManager, tankId, validation.data),
+                this.savedMessage('Reading saved successfully', validation.warnings)
+            );
+            this.recordBatchHistory(tankId, added, 'reading');
         }
 
         this.uiManager.resetForm();
     }
 
+    // What a reading is checked against besides its own fields: the tank's log, its capacity
+    // from tanks.json and when the batch in it was created
+    consistencyContext(tankId, editingId = null) {
+        return {
+            readings: this.dataManager.getTankData(tankId),
+            original: editingId !== null ? this.dataManager.getReading(tankId, editingId) : null,
+            capacity: this.tanks.find(tank => tank.id === tankId)?.capacity ?? null,
+            batchCreatedAt: this.batchManager?.getBatchByTank(tankId)?.createdAt ?? null
+        };
+    }
+
+    savedMessage(message, warnings = []) {
+        return warnings.length ? `${message}. ${warnings.join('; ')}` : message;
+    }
+
     recordBatchHistory(tankId, data, type) {
         if (!this.batchManager) {
             return;
@@ -240,20 +344,134 @@ class FermentationTracker {
         this.batchManager.saveBatches();
     }
 
-    handleEdit(index) {
-        const data = this.dataManager.getTankData(this.uiManager.currentTankId);
-        if (index >= 0 && index < data.length) {
-            this.uiManager.loadFormData(data[index]);
-            this.uiManager.setEditMode(index);
+    handleEdit(readingId) {
+        const reading = this.dataManager.getReading(this.uiManager.currentTankId, readingId);
+        if (reading) {
+            this.uiManager.loadFormData(reading);
+            this.uiManager.setEditMode(reading.id);
             this.uiManager.elements.readingForm.scrollIntoView({ behavior: 'smooth' });
         }
     }
 
-    handleDelete(index) {
-        if (confirm('Are you sure you want to delete this entry?')) {
-            this.dataManager.deleteReading(this.uiManager.currentTankId, index);
-            this.uiManager.showSuccess('Entry deleted');
+    handleDelete(readingId) {
+        const reason = prompt('Delete this entry? Enter a reason (optional):');
+        if (reason === null) {
+            return;
+        }
+        this.runUndoable(
+            CellarCommands.deleteReading(this.dataManager, this.uiManager.currentTankId, readingId, { reason: reason.trim() }),
+            'Entry deleted'
+        );
+    }
+
+    handleRestore(auditEntryId) {
+        const reason = prompt('Restore this version? Enter a reason (optional):');
+        if (reason === null) {
+            return false;
         }
+        const restored = this.dataManager.restoreReading(this.uiManager.currentTankId, auditEntryId, { reason: reason.trim() });
+        if (!restored) {
+            this.uiManager.showError('This version could not be restored');
+            return false;
+        }
+        this.recordBatchHistory(this.uiManager.currentTankId, restored, 'restore');
+        this.uiManager.showSuccess('Reading restored');
+        return true;
+    }
+
+    // Runs a command through the undo stack and confirms it with an Undo button in the toast
+    runUndoable(command, message) {
+        const result = this.undoManager.execute(command);
+        this.uiManager.showSuccess(message, { label: 'Undo', handler: () => this.undo() });
+        return result;
+    }
+
+    // Batch mutations (transfer, blend, treatment, status change) go through here so they can be undone
+    runBatchOperation(label, operation, message = `${label} recorded`) {
+        if (!this.batchManager) {
+            throw new Error('Batch management is not available');
+        }
+        return this.runUndoable(this.refreshAfter(CellarCommands.batchOperation(this.batchManager, label, operation, this.collaboration)), message);
+    }
+
+    recordTransfer(fromTankId, toTankId, batchId, volume, reason) {
+        return this.runBatchOperation('Transfer', () =>
+            this.batchManager.recordTransfer(fromTankId, toTankId, batchId, volume, reason));
+    }
+
+    blendBatches(batchIds, proportions, newTankId) {
+        return this.runBatchOperation('Blend', () =>
+            this.batchManager.blendBatches(batchIds, proportions, newTankId));
+    }
+
+    recordTreatment(batchId, treatment) {
+        return this.runBatchOperation('Treatment', () =>
+            this.batchManager.recordTreatment(batchId, treatment));
+    }
+
+    setBatchStatus(batchId, status) {
+        return this.runBatchOperation('Status change', () =>
+            this.batchManager.setBatchStatus(batchId, status));
+    }
+
+    // Variety and batch changes don't go through DataManager notifications, so redraw after them
+    refreshAfter(command) {
+        const refresh = () => {
+            const { varietyInput } = this.uiManager.elements;
+            if (varietyInput && this.uiManager.currentTankId && document.activeElement !== varietyInput) {
+                varietyInput.value = this.dataManager.getTankVariety(this.uiManager.currentTankId);
+            }
+            this.uiManager.updateTankDetails();
+            this.uiManager.renderOverview();
+            // Batch stage picks the validation profile the log is highlighted with
+            if (this.uiManager.currentTankId) this.uiManager.renderLog();
+        };
+        return {
+            ...command,
+            execute: () => {
+                const result = command.execute();
+                refresh();
+                return result;
+            },
+            undo: () => {
+                command.undo();
+                refresh();
+            },
+            redo: command.redo ? () => {
+                command.redo();
+                refresh();
+            } : undefined
+        };
+    }
+
+    undo() {
+        let command;
+        try {
+            command = this.undoManager.undo();
+        } catch (error) {
+            this.uiManager.showError(`Undo failed: ${error.message}`);
+            return;
+        }
+        if (!command) {
+            this.uiManager.showError('Nothing to undo');
+            return;
+        }
+        this.uiManager.showSuccess(`Undone: ${command.label}`, { label: 'Redo', handler: () => this.redo() });
+    }
+
+    redo() {
+        let command;
+        try {
+            command = this.undoManager.redo();
+        } catch (error) {
+            this.uiManager.showError(`Redo failed: ${error.message}`);
+            return;
+        }
+        if (!command) {
+            this.uiManager.showError('Nothing to redo');
+            return;
+        }
+        this.uiManager.showSuccess(`Redone: ${command.label}`, { label: 'Undo', handler: () => this.undo() });
     }
 
     handleExport(format) {
@@ -269,21 +487,38 @@ class FermentationTracker {
             return;
         }
         
-        const content = this.dataManager.exportData(tankId, format);
-        const mime = format === 'csv' ? 'text/csv' : 'application/json';
-        const ext = format === 'csv' ? 'csv' : 'json';
+        if (format === 'csv') {
+            this.uiManager.showCsvExportOptions(options => this.downloadExport(tankId, format, options));
+            return;
+        }
+        this.downloadExport(tankId, format);
+    }
+
+    // CSV and spreadsheets are written in the user's display units; JSON keeps the stored units
+    downloadExport(tankId, format, csvOptions = {}) {
+        const units = Units.getPreferences().display;
+        let blob;
+        if (format === 'xlsx' || format === 'ods') {
+            blob = Spreadsheet.toBlob(this.dataManager.toWorkbook([tankId], { units }), format);
+        } else {
+            const content = this.dataManager.exportData(tankId, format, { ...csvOptions, units });
+            blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+        }
+        const ext = ['csv', 'xlsx', 'ods'].includes(format) ? format : 'json';
+        this.downloadBlob(blob, `${tankId}_log.${ext}`);
         
-        const blob = new Blob([content], { type: mime });
+        this.uiManager.showSuccess(`Data exported as ${format.toUpperCase()}`);
+    }
+
+    downloadBlob(blob, filename) {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `${tankId}_log.${ext}`;
+        a.download = filename;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
-        
-        this.uiManager.showSuccess(`Data exported as ${format.toUpperCase()}`);
     }
 
     handleImport(format) {
@@ -301,37 +536,46 @@ class FermentationTracker {
         const file = event.target.files[0];
         if (!file) return;
         
+        const tankId = this.uiManager.currentTankId;
+        const name = file.name.toLowerCase();
+        const isSpreadsheet = this.importFormat === 'spreadsheet' || name.endsWith('.xlsx') || name.endsWith('.ods');
+        const isCSV = !isSpreadsheet && (this.importFormat === 'csv' || name.endsWith('.csv'));
+        const profile = this.validationProfiles?.getProfileForTank(tankId) ?? null;
+        // Wizard result -> merge preview; rows the wizard couldn't read are reported
+        // alongside validation rejects
+        const previewMapped = ({ readings, rowNumbers, rejected }) => {
+            const preview = this.dataManager.previewMerge(tankId, readings, { rowNumbers, profile });
+            preview.rejected.push(...rejected.map(item => ({ ...item, index: item.rowNumber - 2 })));
+            preview.rejected.sort((a, b) => a.rowNumber - b.rowNumber);
+            preview.counts.rejected = preview.rejected.length;
+            this.showImportPreview(preview);
+            return true;
+        };
+        
+        event.target.value = '';
+        this.importFormat = null;
+        
+        if (isSpreadsheet) {
+            Spreadsheet.read(file)
+                .then(workbook => this.uiManager.showSpreadsheetImportWizard(workbook, tankId, previewMapped))
+                .catch(err => this.uiManager.showError('Failed to import file: ' + err.message));
+            return;
+        }
+        
         const reader = new FileReader();
         reader.onload = (e) => {
             try {
-                let imported;
-                const isCSV = this.importFormat === 'csv' || file.name.toLowerCase().endsWith('.csv');
-                
                 if (isCSV) {
-                    imported = this.dataManager.parseCSV(e.target.result);
-                } else {
-                    imported = JSON.parse(e.target.result);
+                    this.uiManager.showCsvImportWizard(e.target.result, previewMapped);
+                    return;
                 }
                 
+                const imported = JSON.parse(e.target.result);
                 if (!Array.isArray(imported)) {
                     throw new Error('Invalid file format');
                 }
                 
-                // Convert string values to numbers where appropriate
-                const numericFields = ['temperature', 'sugar', 'sg', 'ph', 'ta', 'volume'];
-                imported.forEach(entry => {
-                    numericFields.forEach(field => {
-                        if (entry[field] !== undefined && entry[field] !== '') {
-                            const num = parseFloat(entry[field]);
-                            if (!isNaN(num)) {
-                                entry[field] = num;
-                            }
-                        }
-                    });
-                });
-                
-                this.dataManager.mergeReadings(this.uiManager.currentTankId, imported);
-                this.uiManager.showSuccess('Data imported successfully');
+                this.showImportPreview(this.dataManager.previewMerge(tankId, imported, { profile }));
                 
             } catch (err) {
                 this.uiManager.showError('Failed to import file: ' + err.message);
@@ -339,8 +583,411 @@ class FermentationTracker {
         };
         
         reader.readAsText(file);
-        event.target.value = '';
-        this.importFormat = null;
+    }
+
+    showImportPreview(preview) {
+        if (preview.rows.length === 0 && preview.rejected.length === 0) {
+            this.uiManager.showError('The file contains no readings');
+            return;
+        }
+        this.uiManager.showImportPreview(preview, (choices) => {
+            const summary = this.dataManager.applyMerge(preview, choices);
+            const rejected = summary.rejected ? `, ${summary.rejected} rejected` : '';
+            this.uiManager.showSuccess(`Import applied: ${summary.added} added, ${summary.replaced} replaced, ${summary.kept} kept, ${summary.identical} unchanged${rejected}`);
+            return true;
+        });
+    }
+
+    showNutrientPlanner() {
+        const tankId = this.uiManager.currentTankId;
+        if (!tankId) {
+            this.uiManager.showError('Please select a tank');
+            return;
+        }
+        if (!this.nutrientPlanner) {
+            this.uiManager.showError('Nutrient planning is not available');
+            return;
+        }
+
+        const data = this.dataManager.getTankData(tankId);
+        const gravities = data.map(reading => reading.sgCorrected ?? reading.sg).filter(Number.isFinite);
+        const currentSG = gravities.length ? gravities[gravities.length - 1] : null;
+        const plan = this.nutrientPlanner.getPlan(tankId);
+
+        if (plan) {
+            this.uiManager.showNutrientPlan(plan, {
+                isStageDone: (stageIndex) => this.nutrientPlanner.isStageDone(plan, stageIndex),
+                isStageDue: (stageIndex) => this.nutrientPlanner.dueStages(plan, currentSG).some(stage => stage.index === stageIndex),
+                onRecord: (stageIndex, additions) => {
+                    if (!additions.some(addition => addition.amount > 0)) {
+                        this.uiManager.showError('Enter the amount actually added');
+                        return false;
+                    }
+                    try {
+                        this.runBatchOperation('Nutrient addition', () =>
+                            this.nutrientPlanner.recordStage(plan, stageIndex, additions), 'Nutrient addition logged');
+                        return true;
+                    } catch (error) {
+                        this.uiManager.showError(error.message);
+                        return false;
+                    }
+                },
+                onDelete: () => this.nutrientPlanner.deletePlan(tankId)
+            });
+            return;
+        }
+
+        const latestVolume = [...data].reverse().find(reading => Number.isFinite(reading.volume))?.volume;
+        this.uiManager.showNutrientPlanForm({
+            volume: latestVolume ?? '',
+            startBrix: gravities.length ? FermentationCalculations.sgToBrix(gravities[0]).toFixed(1) : '',
+            products: { organic: 30, dap: 40, complex: 30 }
+        }, (inputs) => this.nutrientPlanner.createPlan({ ...inputs, tankId }), (newPlan) => {
+            this.nutrientPlanner.savePlan(newPlan);
+            this.uiManager.showSuccess(`Nutrient plan saved with ${newPlan.stages.length} staged additions`);
+            return true;
+        });
+    }
+
+    showAcidCalculator() {
+        const tankId = this.uiManager.currentTankId;
+        if (!tankId) {
+            this.uiManager.showError('Please select a tank');
+            return;
+        }
+
+        const data = this.dataManager.getTankData(tankId);
+        const latest = (field) => [...data].reverse().find(reading => Number.isFinite(reading[field]))?.[field];
+        const batch = this.batchManager?.getBatchByTank(tankId);
+        const history = (batch?.treatments ?? [])
+            .filter(treatment => treatment.type === 'acid-adjustment' && treatment.tankId === tankId)
+            .map(treatment => ({ treatment, outcome: AcidCalculator.compareOutcome(treatment, data) }));
+
+        this.uiManager.showAcidCalculator({
+            ph: latest('ph') ?? '',
+            ta: latest('ta') ?? '',
+            volume: latest('volume') ?? ''
+        }, {
+            solve: (inputs) => {
+                const result = AcidCalculator.solve(inputs);
+                const tartaric = result.valid ? AcidCalculator.tartaricEquivalent(result.agent, result.rate) : 0;
+                if (tartaric > 0 && this.complianceManager) {
+                    const check = this.complianceManager.checkAcidification(batch, this.complianceManager.getWineZone(batch), tartaric);
+                    result.warnings.push(...check.violations);
+                }
+                return result;
+            },
+            history,
+            onRecord: (result, inputs) => {
+                try {
+                    // The prediction is kept on the treatment so the next pH/TA reading can be compared with it
+                    this.runBatchOperation('Acid adjustment', () => {
+                        const target = this.batchManager.ensureBatchForTank(tankId);
+                        return this.batchManager.recordTreatment(target.id, {
+                            type: 'acid-adjustment',
+                            product: result.name,
+                            agent: result.agent,
+                            amount: Math.round(result.total * 10) / 10,
+                            unit: 'g',
+                            rate: Math.round(result.rate * 100) / 100,
+                            rateUnit: 'g/L',
+                            tartaricEquivalent: Math.round(AcidCalculator.tartaricEquivalent(result.agent, result.rate) * 100) / 100,
+                            tankId,
+                            before: { ph: inputs.ph, ta: inputs.ta },
+                            predicted: {
+                                ph: Math.round(result.predicted.ph * 100) / 100,
+                                ta: Math.round(result.predicted.ta * 10) / 10
+                            },
+                            bufferCapacity: Math.round(result.predicted.bufferCapacity),
+                            bufferSource: inputs.bufferSource
+                        });
+                    }, `${result.name} addition recorded`);
+                    return true;
+                } catch (error) {
+                    this.uiManager.showError(error.message);
+                    return false;
+                }
+            }
+        });
+    }
+
+    showSO2Calculator() {
+        const tankId = this.uiManager.currentTankId;
+        if (!tankId) {
+            this.uiManager.showError('Please select a tank');
+            return;
+        }
+        if (!this.so2Manager) {
+            this.uiManager.showError('SO₂ management is not available');
+            return;
+        }
+
+        const data = this.dataManager.getTankData(tankId);
+        const latest = (field) => [...data].reverse().find(reading => Number.isFinite(reading[field]))?.[field];
+        const lab = (field) => this.batchManager?.getLatestLabResult(tankId, field)?.[field];
+        const batchId = () => this.batchManager?.getBatchByTank(tankId)?.id ?? null;
+
+        this.uiManager.showSO2Calculator({
+            volume: latest('volume') ?? '',
+            freeSO2: lab('freeSO2') ?? '',
+            pH: latest('ph') ?? lab('pH') ?? '',
+            temperature: latest('temperature') ?? 20,
+            country: localStorage.getItem('so2Country') ?? 'EU'
+        }, {
+            plan: (inputs) => {
+                localStorage.setItem('so2Country', inputs.country);
+                return this.so2Manager.planAddition({ ...inputs, batchId: batchId() });
+            },
+            onRecord: (plan) => {
+                try {
+                    this.runBatchOperation('SO₂ addition', () => {
+                        const batch = this.batchManager.ensureBatchForTank(tankId);
+                        return this.so2Manager.recordAddition(batch.id, plan, { tankId });
+                    }, `${plan.name} addition recorded`);
+                    return true;
+                } catch (error) {
+                    this.uiManager.showError(error.message);
+                    return false;
+                }
+            }
+        });
+    }
+
+    showBlendDesigner() {
+        if (!this.blendDesigner) {
+            this.uiManager.showError('Batch management is not available');
+            return;
+        }
+        const components = this.batchManager.getAllBatches()
+            .filter(batch => batch.currentVolume > 0)
+            .map(batch => this.blendDesigner.getComponent(batch.id));
+        if (components.length < 2) {
+            this.uiManager.showError('At least two batches with wine are needed for a blend');
+            return;
+        }
+
+        this.uiManager.showBlendDesigner(components, this.tanks, {
+            design: (batchIds, specs, options) => this.blendDesigner.design(batchIds, specs, options),
+            onBlend: (design, tankId) => {
+                try {
+                    const ids = design.components.map(component => component.batchId);
+                    const blended = this.blendBatches(ids, design.proportions, tankId);
+                    return Boolean(blended);
+                } catch (error) {
+                    this.uiManager.showError(error.message);
+                    return false;
+                }
+            }
+        });
+    }
+
+    showEnrichmentCalculator() {
+        const tankId = this.uiManager.currentTankId;
+        if (!tankId) {
+            this.uiManager.showError('Please select a tank');
+            return;
+        }
+        if (!this.enrichment || !this.complianceManager) {
+            this.uiManager.showError('Enrichment planning is not available');
+            return;
+        }
+
+        const data = this.dataManager.getTankData(tankId);
+        const latest = (field) => [...data].reverse().find(reading => Number.isFinite(reading[field]))?.[field];
+        const batch = this.batchManager.getBatchByTank(tankId);
+        const sg = latest('sgCorrected') ?? latest('sg');
+
+        this.uiManager.showEnrichmentCalculator({
+            volume: latest('volume') ?? batch?.currentVolume ?? '',
+            brix: Number.isFinite(sg) ? FermentationCalculations.sgToBrix(sg).toFixed(1) : '',
+            wineType: batch?.wineType ?? 'red',
+            zone: this.complianceManager.getWineZone(batch)
+        }, {
+            zones: this.complianceManager.wineZones,
+            plan: (inputs, zone) => {
+                localStorage.setItem('wineZone', zone);
+                return this.enrichment.planForBatch(inputs, batch?.id, zone);
+            },
+            onRecord: (plan, overrideReason) => {
+                try {
+                    this.runBatchOperation(plan.label, () => {
+                        const target = this.batchManager.ensureBatchForTank(tankId);
+                        return this.enrichment.record(target.id, plan, { tankId, overrideReason });
+                    }, `${plan.label} recorded`);
+                    return true;
+                } catch (error) {
+                    this.uiManager.showError(error.message);
+                    return false;
+                }
+            }
+        });
+    }
+
+    showFortificationCalculator() {
+        const tankId = this.uiManager.currentTankId;
+        if (!tankId) {
+            this.uiManager.showError('Please select a tank');
+            return;
+        }
+        if (!this.fortification) {
+            this.uiManager.showError('Batch management is not available');
+            return;
+        }
+
+        const data = this.dataManager.getTankData(tankId);
+        const latestVolume = [...data].reverse().find(reading => Number.isFinite(reading.volume))?.volume;
+        const batch = this.batchManager.getBatchByTank(tankId);
+        const alcohol = this.complianceManager?.getCurrentAlcohol(batch) ??
+            this.batchManager.estimateTankAlcohol(tankId, data)?.estimatedABV;
+
+        this.uiManager.showFortificationCalculator({
+            volume: latestVolume ?? batch?.currentVolume ?? '',
+            abv: Number.isFinite(alcohol) ? alcohol.toFixed(1) : '',
+            sugar: this.batchManager.getLatestLabResult(tankId, 'residualSugar')?.residualSugar ?? ''
+        }, {
+            plan: (inputs) => this.fortification.plan(inputs),
+            onRecord: (plan) => {
+                try {
+                    this.runBatchOperation('Fortification', () => {
+                        const target = this.batchManager.ensureBatchForTank(tankId);
+                        return this.fortification.record(target.id, plan, { tankId });
+                    }, 'Spirit addition recorded');
+                    return true;
+                } catch (error) {
+                    this.uiManager.showError(error.message);
+                    return false;
+                }
+            }
+        });
+    }
+
+    showBenchTrials() {
+        const tankId = this.uiManager.currentTankId;
+        if (!tankId) {
+            this.uiManager.showError('Please select a tank');
+            return;
+        }
+        if (!this.benchTrials) {
+            this.uiManager.showError('Batch management is not available');
+            return;
+        }
+
+        const data = this.dataManager.getTankData(tankId);
+        const latestVolume = [...data].reverse().find(reading => Number.isFinite(reading.volume))?.volume;
+        const batchId = () => this.batchManager.getBatchByTank(tankId)?.id ?? null;
+        // Every step goes through the batch undo stack; errors are shown and leave the dialog as is
+        const attempt = (label, operation, message) => {
+            try {
+                this.runBatchOperation(label, operation, message);
+                return true;
+            } catch (error) {
+                this.uiManager.showError(error.message);
+                return false;
+            }
+        };
+
+        this.uiManager.showBenchTrials(`Bench Trials - Tank ${tankId}`, {
+            getTrials: () => this.benchTrials.getTrials(batchId()),
+            defaultVolume: latestVolume ?? this.batchManager.getBatchByTank(tankId)?.currentVolume,
+            onCreate: (definition) => attempt('Bench trial', () => {
+                const batch = this.batchManager.ensureBatchForTank(tankId);
+                return this.benchTrials.createTrial(batch.id, definition);
+            }, 'Bench trial created'),
+            onSaveGlasses: (trialId, glasses) => attempt('Bench trial results', () =>
+                Object.entries(glasses).map(([index, glass]) =>
+                    this.benchTrials.recordGlass(batchId(), trialId, Number(index), glass)), 'Trial results saved'),
+            onChoose: (trialId, glassIndex) => attempt('Bench trial decision', () =>
+                this.benchTrials.chooseRate(batchId(), trialId, glassIndex), 'Winning rate chosen'),
+            onApply: (trialId, volume) => attempt('Bench trial addition', () =>
+                this.benchTrials.applyToTank(batchId(), trialId, volume, { tankId }), 'Trial addition recorded')
+        });
+    }
+
+    showAlertHistory() {
+        const tankId = this.uiManager.currentTankId;
+        if (!tankId) {
+            this.uiManager.showError('Please select a tank first');
+            return;
+        }
+        const alertLog = this.alertSystem.alertLog;
+        this.uiManager.showAlertHistory(tankId, alertLog.getHistory(tankId), alertLog.stats(tankId));
+    }
+
+    showUnitSettings() {
+        this.uiManager.showUnitSettings(Units.getPreferences(), (preferences) => {
+            Units.setPreferences(preferences);
+            const ui = this.uiManager;
+            const tankId = ui.currentTankId;
+            ui.applyUnitLabels();
+            ui.populateTankSelector();
+            if (tankId) {
+                ui.selectTank(tankId);
+                this.visualizer.renderFermentationCurve('fermentationCurveChart', tankId, this.dataManager);
+                this.visualizer.renderMultiParameterDashboard('multiParameterChart', tankId, this.dataManager);
+            }
+            ui.renderOverview();
+            ui.showSuccess('Units updated');
+            return true;
+        });
+    }
+
+    showValidationProfiles() {
+        const tankId = this.uiManager.currentTankId;
+        if (!tankId) {
+            this.uiManager.showError('Please select a tank');
+            return;
+        }
+        if (!this.validationProfiles) {
+            this.uiManager.showError('Validation profiles are not available');
+            return;
+        }
+
+        const profiles = this.validationProfiles;
+        // Profile changes are settings rather than cellar records, so they skip the undo stack;
+        // the log is redrawn because its highlighting follows the tank's profile
+        const attempt = (operation, message) => {
+            try {
+                const result = operation();
+                this.uiManager.showSuccess(typeof message === 'function' ? message(result) : message);
+                this.uiManager.renderLog();
+                return true;
+            } catch (error) {
+                this.uiManager.showError(error.message);
+                return false;
+            }
+        };
+
+        this.uiManager.showValidationProfiles(`Validation Profiles - Tank ${tankId}`, {
+            getState: () => ({
+                tankId,
+                profiles: profiles.getProfiles(),
+                assignments: profiles.assignments,
+                stage: this.batchManager?.getBatchByTank(tankId)?.stage ?? null,
+                hasBatches: Boolean(this.batchManager),
+                active: profiles.getProfileForTank(tankId)
+            }),
+            onAssignTank: (profileId) => attempt(() => profiles.assignToTank(tankId, profileId),
+                profileId ? `Tank ${tankId} uses ${profiles.getProfile(profileId).name}` : `Tank ${tankId} follows its batch stage`),
+            onSetStage: (stage) => {
+                try {
+                    this.runBatchOperation('Stage change', () =>
+                        this.batchManager.setBatchStage(this.batchManager.ensureBatchForTank(tankId).id, stage), 'Batch stage updated');
+                    return true;
+                } catch (error) {
+                    this.uiManager.showError(error.message);
+                    return false;
+                }
+            },
+            onAssignStage: (stage, wineType, profileId) => attempt(() => profiles.assignToStage(stage, profileId, wineType),
+                'Stage profile updated'),
+            onSave: (profile) => attempt(() => profiles.saveProfile(profile), `Profile ${profile.name} saved`),
+            onDelete: (profileId) => attempt(() => profiles.deleteProfile(profileId),
+                profiles.getProfile(profileId)?.builtIn ? 'Profile reset to its defaults' : 'Profile deleted'),
+            onExport: () => this.downloadBlob(new Blob([profiles.exportProfiles()], { type: 'application/json' }), 'validation-profiles.json'),
+            onImport: (text) => attempt(() => profiles.importProfiles(text), ({ imported, rejected }) =>
+                `Imported ${imported.length} profile${imported.length === 1 ? '' : 's'}` +
+                (rejected.length ? `; skipped ${rejected.map(entry => `${entry.id} (${entry.errors.join(', ')})`).join('; ')}` : ''))
+        });
     }
 
     initializeCalculators() {
@@ -368,7 +1015,7 @@ class FermentationTracker {
                 rateInput: 'kmsRate',
                 resultSpan: 'kmsAmount',
                 saveBtn: 'kmsSave',
-                calc: (v, r) => FermentationCalculations.calculateSO2(v, r)
+                calc: (v, r) => SO2Manager.toProduct(FermentationCalculations.calculateSO2(v, r), 'kms').amount
             },
             {
                 name: 'Tannins',
@@ -392,8 +1039,11 @@ class FermentationTracker {
             calc: (v, r) => FermentationCalculations.calculateBentonite(v, r, bentoniteUnits[bentoniteUnitIndex])
         });
         
+        // Calculator volumes are in the display unit; the formulas take litres
+        const litres = (input) => Units.toCanonical('volume', parseFloat(input.value), Units.displayUnit('volume'));
+
         const updateCalculations = () => {
-            const volume = parseFloat(calcVolume.value);
+            const volume = litres(calcVolume);
             
             calculators.forEach(calc => {
                 const rateInput = document.getElementById(calc.rateInput);
@@ -452,7 +1102,7 @@ class FermentationTracker {
         calculatePHBtn?.addEventListener('click', () => {
             const currentPH = parseFloat(document.getElementById('currentPH').value);
             const targetPH = parseFloat(document.getElementById('targetPH').value);
-            const volume = parseFloat(document.getElementById('phVolume').value);
+            const volume = litres(document.getElementById('phVolume'));
             const resultDiv = document.getElementById('phResult');
             
             if (isNaN(currentPH) || isNaN(targetPH) || isNaN(volume)) {
@@ -460,7 +1110,10 @@ class FermentationTracker {
                 return;
             }
             
-            const result = FermentationCalculations.calculateAcidAddition(currentPH, targetPH, volume);
+            // Use the selected tank's latest TA so the estimate accounts for its buffering
+            const ta = [...this.dataManager.getTankData(this.uiManager.currentTankId)]
+                .reverse().find(reading => Number.isFinite(reading.ta))?.ta;
+            const result = FermentationCalculations.calculateAcidAddition(currentPH, targetPH, volume, ta ? { ta } : {});
             
             if (!result.valid) {
                 resultDiv.textContent = result.error;
@@ -469,9 +1122,11 @@ class FermentationTracker {
             
             resultDiv.innerHTML = `
                 <div class="ph-result-success">
-                    Add <strong>${result.perLiter.toFixed(2)} g/L</strong> ${result.acid} acid
+                    Add <strong>${result.perLiter.toFixed(2)} g/L</strong> ${result.acid.toLowerCase()}
                     <br>Total: <strong>${result.total.toFixed(1)} g</strong>
+                    <br>Predicted TA: ${result.predictedTA.toFixed(1)} g/L${ta ? '' : ' (assuming 6 g/L before)'}
                 </div>
+                ${result.warnings.map(warning => `<p class="import-rejects">${warning}</p>`).join('')}
             `;
         });
     }
@@ -479,8 +1134,9 @@ class FermentationTracker {
     startAlertMonitoring() {
         setInterval(() => {
             if (this.tanks.length > 0) {
-                this.alertSystem.alerts = this.alertSystem.analyzeAllTanks(this.tanks);
+                this.alertSystem.refresh(this.tanks);
                 this.alertSystem.renderAlertsPanel('alertsPanel');
+                this.alertEscalation?.process().catch(error => console.error('Alert escalation failed', error));
             }
         }, 30000);
     }
@@ -0,0 +1,133 @@
+// auditTrail.js - Who changed which reading, when and why
+const AUDIT_STORAGE_KEY = 'reading_audit';
+
+class AuditTrail {
+    constructor() {
+        this.entries = [];
+        this.store = null;
+        this.loadFromLocalStorage();
+    }
+
+    static currentUser() {
+        if (typeof localStorage === 'undefined') {
+            return 'Unknown';
+        }
+        try {
+            return localStorage.getItem('currentUser') || localStorage.getItem('username') || 'Unknown';
+        } catch (error) {
+            return 'Unknown';
+        }
+    }
+
+    // Switches persistence to the IndexedDB reading store once it is open.
+    async attachStore(store) {
+        const stored = await store.loadAuditEntries();
+        const known = new Set(stored.map(entry => entry.id));
+        const pending = this.entries.filter(entry => !known.has(entry.id));
+        this.store = store;
+        this.entries = this.sortEntries([...stored, ...pending]);
+        pending.forEach(entry => this.persist(entry));
+    }
+
+    // Several entries can share a millisecond (e.g. an import), so order by sequence within a timestamp
+    sortEntries(entries) {
+        return [...entries].sort((a, b) =>
+            new Date(a.timestamp) - new Date(b.timestamp) || (a.sequence ?? 0) - (b.sequence ?? 0)
+        );
+    }
+
+    loadFromLocalStorage() {
+        if (typeof localStorage === 'undefined') return;
+        try {
+            const stored = localStorage.getItem(AUDIT_STORAGE_KEY);
+            const parsed = stored ? JSON.parse(stored) : [];
+            this.entries = Array.isArray(parsed) ? this.sortEntries(parsed) : [];
+        } catch (error) {
+            console.warn('Failed to load audit trail from local storage', error);
+            this.entries = [];
+        }
+    }
+
+    persist(entry) {
+        if (this.store) {
+            this.store.addAuditEntry(entry).catch(error => {
+                console.warn('Persisting audit entry to IndexedDB failed.', error);
+            });
+            return;
+        }
+        if (typeof localStorage === 'undefined') return;
+        try {
+            localStorage.setItem(AUDIT_STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('Persisting audit trail to local storage failed. Entries are kept in memory.', error);
+        }
+    }
+
+    // Swaps in a complete set of entries, e.g. when restoring a backup
+    replaceEntries(entries) {
+        this.entries = this.sortEntries(entries);
+        if (this.store) {
+            this.store.replaceAuditEntries(this.entries).catch(error => {
+                console.warn('Replacing audit entries in IndexedDB failed.', error);
+            });
+            return;
+        }
+        this.persist();
+    }
+
+    record({ action, tankId, readingId, before = null, after = null, reason = '', restoredFrom = null }) {
+        const last = this.entries[this.entries.length - 1];
+        const entry = {
+            id: `AUD-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            sequence: (last?.sequence ?? this.entries.length - 1) + 1,
+            action,
+            tankId,
+            readingId,
+            user: AuditTrail.currentUser(),
+            timestamp: new Date().toISOString(),
+            before: before ? { ...before } : null,
+            after: after ? { ...after } : null,
+            reason: reason || '',
+            restoredFrom
+        };
+        this.entries.push(entry);
+        this.persist(entry);
+        return entry;
+    }
+
+    getEntry(entryId) {
+        return this.entries.find(entry => entry.id === entryId) ?? null;
+    }
+
+    getReadingHistory(readingId) {
+        return this.entries.filter(entry => entry.readingId === readingId);
+    }
+
+    getTankHistory(tankId) {
+        return this.entries.filter(entry => entry.tankId === tankId);
+    }
+
+    // Readings whose most recent audit entry is a delete, with the snapshot taken at deletion
+    getDeletedReadings(tankId) {
+        const latestByReading = new Map();
+        this.getTankHistory(tankId).forEach(entry => latestByReading.set(entry.readingId, entry));
+        return Array.from(latestByReading.values())
+            .filter(entry => entry.action === 'delete' && entry.before)
+            .map(entry => ({ reading: entry.before, deletedBy: entry.user, deletedAt: entry.timestamp, reason: entry.reason, entryId: entry.id }));
+    }
+
+    changedFields(entry) {
+        const before = entry.before ?? {};
+        const after = entry.after ?? {};
+        const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+        fields.delete('id');
+        fields.delete('derivedFields');
+        return Array.from(fields)
+            .filter(field => before[field] !== after[field])
+            .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.AuditTrail = AuditTrail;
+}
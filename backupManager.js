@@ -0,0 +1,441 @@
+// backupManager.js - Whole-cellar backup archive and restore
+const BACKUP_FORMAT = 'vinetrack-backup';
+const BACKUP_FORMAT_VERSION = 1;
+
+// Key order doesn't matter when comparing a local record with its backed-up copy
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+class BackupManager {
+    constructor(dataManager, batchManager = null, productionPlanner = null, collaboration = null) {
+        this.dataManager = dataManager;
+        this.batchManager = batchManager;
+        this.productionPlanner = productionPlanner;
+        this.collaboration = collaboration;
+        this.tanks = [];
+        this.entities = this.defineEntities();
+    }
+
+    setTanks(tanks) {
+        this.tanks = Array.isArray(tanks) ? tanks : [];
+    }
+
+    getStorage() {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    }
+
+    tankIds() {
+        const ids = new Set(this.tanks.map(tank => tank.id));
+        this.dataManager?.cache?.forEach((_, tankId) => ids.add(tankId));
+        return Array.from(ids);
+    }
+
+    // Every entity is backed up as a flat list of records with a stable key, so merge and
+    // replace work the same way for all of them. Order matters on restore: the audit trail
+    // is applied before readings so merge-mode audit entries for readings are kept.
+    defineEntities() {
+        return [
+            {
+                name: 'audit',
+                label: 'Audit trail',
+                file: 'audit.json',
+                key: entry => entry.id,
+                collect: () => (this.dataManager?.auditTrail?.entries ?? []).map(entry => ({ ...entry })),
+                apply: records => this.dataManager?.auditTrail?.replaceEntries(records)
+            },
+            {
+                name: 'readings',
+                label: 'Readings',
+                file: 'readings.json',
+                // Ids are unique across tanks, so a reading moved to another tank is one record
+                key: reading => reading.id,
+                collect: () => this.tankIds().flatMap(tankId =>
+                    this.dataManager.getTankData(tankId).map(reading => ({ ...reading, tankId }))
+                ),
+                apply: records => this.applyReadings(records)
+            },
+            {
+                name: 'varieties',
+                label: 'Tank varieties',
+                file: 'varieties.json',
+                key: entry => entry.tankId,
+                collect: () => this.tankIds()
+                    .map(tankId => ({ tankId, variety: this.dataManager.getTankVariety(tankId) }))
+                    .filter(entry => entry.variety),
+                apply: records => this.applyVarieties(records)
+            },
+            {
+                name: 'batches',
+                label: 'Batches',
+                file: 'batches.json',
+                key: batch => batch.id,
+                collect: () => this.batchManager
+                    ? this.batchManager.getAllBatches().map(batch => JSON.parse(JSON.stringify(batch)))
+                    : this.readStoredJSON('winery_batches', []).map(([, batch]) => batch),
+                apply: records => {
+                    this.writeStoredJSON('winery_batches', records.map(batch => [batch.id, batch]));
+                    this.batchManager?.loadBatches();
+                }
+            },
+            {
+                name: 'transfers',
+                label: 'Transfers',
+                file: 'transfers.json',
+                key: transfer => transfer.id,
+                collect: () => this.batchManager
+                    ? this.batchManager.transfers.map(transfer => ({ ...transfer }))
+                    : this.readStoredJSON('winery_transfers', []),
+                apply: records => {
+                    this.writeStoredJSON('winery_transfers', records);
+                    this.batchManager?.loadTransfers();
+                }
+            },
+            {
+                name: 'plannerResources',
+                label: 'Planner resources',
+                file: 'planner-resources.json',
+                key: () => 'planner_resources',
+                collect: () => {
+                    const resources = this.readStoredJSON('planner_resources', null);
+                    return resources ? [resources] : [];
+                },
+                apply: records => {
+                    if (records.length) {
+                        this.writeStoredJSON('planner_resources', records[0]);
+                    } else {
+                        this.getStorage()?.removeItem('planner_resources');
+                    }
+                    if (this.productionPlanner) {
+                        this.productionPlanner.resources = this.productionPlanner.initializeResources();
+                    }
+                }
+            },
+            {
+                name: 'comments',
+                label: 'Comments',
+                file: 'comments.json',
+                key: comment => `${comment.tankId}:${comment.id}`,
+                collect: () => this.collectPerTank('comments_'),
+                apply: records => {
+                    this.applyPerTank('comments_', records);
+                    this.collaboration?.reload();
+                }
+            },
+            {
+                name: 'tasks',
+                label: 'Tasks',
+                file: 'tasks.json',
+                key: task => `${task.tankId}:${task.id}`,
+                collect: () => this.collectPerTank('tasks_'),
+                apply: records => {
+                    this.applyPerTank('tasks_', records);
+                    this.collaboration?.reload();
+                }
+            },
+            {
+                name: 'nutrientPlans',
+                label: 'Nutrient plans',
+                file: 'nutrient-plans.json',
+                key: plan => plan.id,
+                collect: () => this.readStoredJSON('nutrient_plans', []),
+                apply: records => this.writeStoredJSON('nutrient_plans', records)
+            }
+        ];
+    }
+
+    // Settings kept whole under their own localStorage keys, added by the features that own
+    // them. Each key is one record holding the stored text; `reload` lets the owner pick up
+    // the restored value.
+    registerStoredKeys({ name, label, file, keys, reload = null }) {
+        this.entities.push({
+            name,
+            label,
+            file,
+            key: entry => entry.key,
+            collect: () => keys
+                .map(key => ({ key, value: this.getStorage()?.getItem(key) ?? null }))
+                .filter(entry => entry.value !== null),
+            apply: records => {
+                const storage = this.getStorage();
+                if (!storage) {
+                    throw new Error('Local storage is not available');
+                }
+                keys.forEach(key => storage.removeItem(key));
+                records
+                    .filter(entry => keys.includes(entry.key) && typeof entry.value === 'string')
+                    .forEach(entry => storage.setItem(entry.key, entry.value));
+                reload?.();
+            }
+        });
+    }
+
+    readStoredJSON(key, fallback) {
+        const storage = this.getStorage();
+        if (!storage) return fallback;
+        try {
+            const stored = storage.getItem(key);
+            return stored ? JSON.parse(stored) : fallback;
+        } catch (error) {
+            console.warn(`Skipping unreadable ${key} in backup`, error);
+            return fallback;
+        }
+    }
+
+    writeStoredJSON(key, value) {
+        const storage = this.getStorage();
+        if (!storage) {
+            throw new Error('Local storage is not available');
+        }
+        storage.setItem(key, JSON.stringify(value));
+    }
+
+    storageKeysWithPrefix(prefix) {
+        const storage = this.getStorage();
+        if (!storage) return [];
+        const keys = [];
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            if (key && key.startsWith(prefix)) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    }
+
+    // Comments and tasks are kept per tank under `${prefix}${tankId}`
+    collectPerTank(prefix) {
+        return this.storageKeysWithPrefix(prefix).flatMap(key => {
+            const tankId = key.slice(prefix.length);
+            const entries = this.readStoredJSON(key, []);
+            return Array.isArray(entries) ? entries.map(entry => ({ ...entry, tankId })) : [];
+        });
+    }
+
+    applyPerTank(prefix, records) {
+        const storage = this.getStorage();
+        if (!storage) {
+            throw new Error('Local storage is not available');
+        }
+        this.storageKeysWithPrefix(prefix).forEach(key => storage.removeItem(key));
+        this.groupByTank(records).forEach((entries, tankId) => {
+            storage.setItem(`${prefix}${tankId}`, JSON.stringify(entries));
+        });
+    }
+
+    withoutTankId({ tankId, ...record }) {
+        return record;
+    }
+
+    groupByTank(records) {
+        const groups = new Map();
+        records.forEach(record => {
+            if (!groups.has(record.tankId)) {
+                groups.set(record.tankId, []);
+            }
+            groups.get(record.tankId).push(this.withoutTankId(record));
+        });
+        return groups;
+    }
+
+    // All tanks in one go: saving tank by tank could add a moved reading to its new tank
+    // before it is removed from the old one
+    applyReadings(records) {
+        const groups = this.groupByTank(records);
+        this.tankIds().forEach(tankId => {
+            if (!groups.has(tankId)) groups.set(tankId, []);
+        });
+        return this.dataManager.replaceAllTankData(groups);
+    }
+
+    applyVarieties(records) {
+        const incoming = new Map(records.map(entry => [entry.tankId, entry.variety]));
+        const tankIds = new Set([...this.tankIds(), ...incoming.keys()]);
+        tankIds.forEach(tankId => this.dataManager.setTankVariety(tankId, incoming.get(tankId) ?? ''));
+    }
+
+    // SHA-256 needs a secure context; plain-http installs fall back to CRC-32
+    async checksum(text, algorithm = null) {
+        const bytes = new TextEncoder().encode(text);
+        const useSha = algorithm ? algorithm === 'SHA-256' : typeof crypto !== 'undefined' && !!crypto.subtle;
+        if (useSha) {
+            if (typeof crypto === 'undefined' || !crypto.subtle) {
+                throw new Error('This browser cannot verify SHA-256 checksums outside a secure context');
+            }
+            const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+            return { algorithm: 'SHA-256', value: Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('') };
+        }
+        return { algorithm: 'CRC-32', value: ZipArchive.crc32(bytes).toString(16).padStart(8, '0') };
+    }
+
+    async createBackup() {
+        const archive = new ZipArchive();
+        const manifest = {
+            format: BACKUP_FORMAT,
+            version: BACKUP_FORMAT_VERSION,
+            createdAt: new Date().toISOString(),
+            createdBy: typeof AuditTrail !== 'undefined' ? AuditTrail.currentUser() : 'Unknown',
+            tanks: this.tankIds(),
+            entities: {}
+        };
+
+        for (const entity of this.entities) {
+            const records = entity.collect();
+            const text = JSON.stringify(records, null, 2);
+            archive.addFile(entity.file, text);
+            manifest.entities[entity.name] = {
+                file: entity.file,
+                count: records.length,
+                checksum: await this.checksum(text)
+            };
+        }
+        archive.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+
+        const date = manifest.createdAt.slice(0, 10);
+        return { blob: archive.toBlob(), filename: `vinetrack-backup-${date}.zip`, manifest };
+    }
+
+    // Opens an archive and verifies it. Throws if it isn't a backup, was written by a newer
+    // version, or any entity file fails its checksum.
+    async readBackup(file) {
+        const archive = await ZipArchive.read(file);
+        const manifestText = archive.getText('manifest.json');
+        if (!manifestText) {
+            throw new Error('Not a VineTrack backup: manifest.json is missing');
+        }
+        const manifest = JSON.parse(manifestText);
+        if (manifest.format !== BACKUP_FORMAT) {
+            throw new Error('Not a VineTrack backup');
+        }
+        if (!Number.isInteger(manifest.version) || manifest.version > BACKUP_FORMAT_VERSION) {
+            throw new Error(`This backup uses format version ${manifest.version}, newer than this app supports (${BACKUP_FORMAT_VERSION})`);
+        }
+
+        const entities = {};
+        const warnings = [];
+        for (const [name, info] of Object.entries(manifest.entities ?? {})) {
+            if (!this.entities.some(entity => entity.name === name)) {
+                warnings.push(`Ignoring unknown data "${name}"`);
+                continue;
+            }
+            const text = archive.getText(info.file);
+            if (text === null) {
+                throw new Error(`Backup is damaged: ${info.file} is missing`);
+            }
+            const actual = await this.checksum(text, info.checksum?.algorithm ?? 'SHA-256');
+            if (actual.value !== info.checksum?.value) {
+                throw new Error(`Backup is damaged: checksum mismatch for ${info.file}`);
+            }
+            const records = JSON.parse(text);
+            if (!Array.isArray(records)) {
+                throw new Error(`Backup is damaged: ${info.file} is not a list`);
+            }
+            entities[name] = records;
+        }
+
+        return { manifest, entities, warnings };
+    }
+
+    // Works out what a restore would change without writing anything.
+    // mode: 'merge' keeps local records the backup doesn't have; 'replace' drops them.
+    // prefer: which version wins in merge mode when a record exists on both sides but differs.
+    planRestore(backup, { mode = 'merge', prefer = 'local' } = {}) {
+        const plans = this.entities.map(entity => {
+            const incoming = backup.entities[entity.name];
+            const summary = {
+                name: entity.name,
+                label: entity.label,
+                included: Array.isArray(incoming),
+                incoming: incoming?.length ?? 0,
+                added: 0,
+                updated: 0,
+                unchanged: 0,
+                removed: 0,
+                conflicts: []
+            };
+            if (!summary.included) {
+                return { entity, summary, records: null, changes: [] };
+            }
+
+            const local = new Map(entity.collect().map(record => [entity.key(record), record]));
+            const result = mode === 'replace' ? new Map() : new Map(local);
+            const changes = [];
+            incoming.forEach(record => {
+                const key = entity.key(record);
+                const existing = local.get(key);
+                if (!existing) {
+                    summary.added += 1;
+                    result.set(key, record);
+                    changes.push({ previous: null, record });
+                } else if (stableStringify(existing) === stableStringify(record)) {
+                    summary.unchanged += 1;
+                    result.set(key, record);
+                } else if (mode === 'replace' || prefer === 'backup') {
+                    summary.updated += 1;
+                    result.set(key, record);
+                    changes.push({ previous: existing, record });
+                    if (mode === 'merge') {
+                        summary.conflicts.push({ key, kept: 'backup', local: existing, backup: record });
+                    }
+                } else {
+                    summary.conflicts.push({ key, kept: 'local', local: existing, backup: record });
+                }
+            });
+            if (mode === 'replace') {
+                summary.removed = Array.from(local.keys()).filter(key => !result.has(key)).length;
+            }
+            return { entity, summary, records: Array.from(result.values()), changes };
+        });
+
+        return {
+            mode,
+            prefer,
+            manifest: backup.manifest,
+            warnings: backup.warnings ?? [],
+            plans,
+            conflictCount: plans.reduce((sum, plan) => sum + plan.summary.conflicts.length, 0)
+        };
+    }
+
+    // Resolves once everything is saved; rejects if the readings couldn't be written
+    async applyRestore(plan) {
+        const saves = plan.plans
+            .filter(({ records }) => records)
+            .map(({ entity, records }) => entity.apply(records));
+
+        // A replace brings the backup's own audit trail; a merge records what it changed
+        if (plan.mode === 'merge') {
+            const readings = plan.plans.find(entry => entry.entity.name === 'readings');
+            readings?.changes.forEach(({ previous, record }) => {
+                const after = this.withoutTankId(record);
+                this.dataManager.recordAudit({
+                    action: previous ? 'update' : 'create',
+                    tankId: record.tankId,
+                    readingId: after.id,
+                    before: previous ? this.withoutTankId(previous) : null,
+                    after,
+                    reason: 'Backup restore'
+                });
+            });
+        }
+
+        await Promise.all(saves);
+        return {
+            mode: plan.mode,
+            prefer: plan.prefer,
+            restoredAt: new Date().toISOString(),
+            entities: plan.plans.map(({ summary }) => summary),
+            conflictCount: plan.conflictCount
+        };
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.BackupManager = BackupManager;
+}
@@ -26,6 +26,7 @@ class BatchManager {
             currentVolume: Number.isFinite(data.volume) ? Number(data.volume) : 0,
             currentTank: data.tankId ?? null,
             status: data.status ?? 'active',
+            stage: data.stage ?? null,
             qrCode: this.generateQRCode({ id, vintage, variety: data.variety ?? 'Unknown' }),
             history: Array.isArray(data.history) ? [...data.history] : [],
             labResults: Array.isArray(data.labResults) ? [...data.labResults] : [],
@@ -33,6 +34,7 @@ class BatchManager {
             qualityScore: data.qualityScore ?? null,
             winemaker: data.winemaker ?? null,
             targetProfile: data.targetProfile ?? null,
+            coolingSetpoint: Number.isFinite(data.coolingSetpoint) ? data.coolingSetpoint : null,
             costTracking: {
                 grapes: Number(data.costTracking?.grapes ?? 0),
                 labor: Number(data.costTracking?.labor ?? 0),
@@ -46,6 +48,7 @@ class BatchManager {
             bottleCount: data.bottleCount ?? 0,
             bottlingDate: data.bottlingDate ?? null,
             wineType: data.wineType ?? 'red',
+            varietalComposition: data.varietalComposition ?? null,
             sellingPrice: data.sellingPrice ?? null
         };
 
@@ -134,6 +137,30 @@ class BatchManager {
         return batch;
     }
 
+    // Cellar stage (pre-fermentation, fermentation, mlf, cold-stabilization, aging), which picks
+    // the validation profile for the batch's tank
+    setBatchStage(batchId, stage) {
+        const batch = this.batches.get(batchId);
+        if (!batch) return null;
+        batch.stage = stage || null;
+        this.addHistoryEntry(batchId, { type: 'stage', data: { stage: batch.stage } });
+        this.saveBatches();
+        return batch;
+    }
+
+    // °C the cooling holds the wine at, which the glycol-failure alert watches; null clears it
+    setCoolingSetpoint(batchId, setpoint) {
+        const batch = this.batches.get(batchId);
+        if (!batch) return null;
+        if (setpoint !== null && !Number.isFinite(setpoint)) {
+            throw new Error('Cooling setpoint must be a temperature in °C');
+        }
+        batch.coolingSetpoint = setpoint;
+        this.addHistoryEntry(batchId, { type: 'setpoint', data: { coolingSetpoint: setpoint } });
+        this.saveBatches();
+        return batch;
+    }
+
     addHistoryEntry(batchId, entry) {
         const batch = this.batches.get(batchId);
         if (!batch) return;
@@ -162,6 +189,20 @@ class BatchManager {
         return entry;
     }
 
+    // Deliberate volume changes (water, enrichment, concentration) as opposed to losses.
+    // change is in litres, negative when volume is removed.
+    recordVolumeChange(batchId, change, reason, data = {}) {
+        const batch = this.batches.get(batchId);
+        if (!batch) return null;
+        batch.currentVolume = Math.max(0, (batch.currentVolume ?? 0) + change);
+        this.addHistoryEntry(batchId, {
+            type: 'volume-change',
+            data: { ...data, change, reason, volumeAfter: batch.currentVolume }
+        });
+        this.saveBatches();
+        return batch;
+    }
+
     recordLabResult(batchId, labResult) {
         const batch = this.batches.get(batchId);
         if (!batch) return null;
@@ -175,6 +216,27 @@ class BatchManager {
         return labResult;
     }
 
+    // Most recent lab result for the tank's batch that has a value for `field`
+    getLatestLabResult(tankId, field) {
+        const batch = this.getBatchByTank(tankId);
+        const results = (batch?.labResults ?? []).filter(result => result[field] !== null && result[field] !== undefined);
+        if (results.length === 0) return null;
+        return results.reduce((latest, result) =>
+            new Date(result.timestamp) > new Date(latest.timestamp) ? result : latest
+        );
+    }
+
+    // Alcohol estimate for a tank's readings, reconciled against the batch's latest lab alcohol.
+    // The wine type picks the sugar-to-alcohol factor and defaults to the batch's.
+    estimateTankAlcohol(tankId, readings, wineType = null) {
+        const batch = this.getBatchByTank(tankId);
+        const lab = this.getLatestLabResult(tankId, 'alcohol');
+        return FermentationCalculations.estimateAlcohol(readings, {
+            wineType: wineType ?? batch?.wineType ?? 'red',
+            labAlcohol: lab ? { value: lab.alcohol, timestamp: lab.timestamp } : null
+        });
+    }
+
     recordTransfer(fromTankId, toTankId, batchId, volume, reason) {
         const transfer = {
             id: `TRANS-${Date.now()}`,
@@ -224,11 +286,23 @@ class BatchManager {
             return sum + (Number.isFinite(contribution) ? contribution : 0);
         }, 0);
 
+        // Carry the parents' varietal make-up into the blend for labelling
+        const varietalComposition = {};
+        parentBatches.forEach((batch, i) => {
+            const share = totalVolume > 0 ? batch.currentVolume * (proportions[i] ?? 0) / totalVolume : 0;
+            Object.entries(batch.varietalComposition ?? { [batch.variety ?? 'Unknown']: 100 }).forEach(([variety, percent]) => {
+                varietalComposition[variety] = (varietalComposition[variety] ?? 0) + share * percent;
+            });
+        });
+        const wineTypes = new Set(parentBatches.map(batch => batch.wineType ?? 'red'));
+
         const blendedBatch = this.createBatch({
             variety: 'Blend',
             volume: totalVolume,
             tankId: newTankId,
-            parentBatches: batchIds
+            parentBatches: batchIds,
+            varietalComposition,
+            wineType: wineTypes.size === 1 ? [...wineTypes][0] : undefined
         });
 
         parentBatches.forEach((batch, i) => {
@@ -377,6 +451,182 @@ class BatchManager {
         };
     }
 
+    // Batches and their lab results as two sheets for Spreadsheet.toBlob()
+    toWorkbook() {
+        const batches = this.getAllBatches();
+        const batchColumns = [
+            ['id', 'Batch'], ['variety', 'Variety'], ['vintage', 'Vintage'], ['wineType', 'Type'],
+            ['status', 'Status'], ['stage', 'Stage'], ['currentTank', 'Tank'], ['coolingSetpoint', 'Cooling setpoint (°C)'], ['vineyard', 'Vineyard'], ['block', 'Block'],
+            ['harvestDate', 'Harvest date'], ['createdAt', 'Created'], ['initialVolume', 'Initial volume (L)'],
+            ['currentVolume', 'Current volume (L)'], ['winemaker', 'Winemaker'], ['bottleCount', 'Bottles'],
+            ['bottlingDate', 'Bottling date'], ['sellingPrice', 'Selling price']
+        ];
+        const labColumns = [
+            ['batchId', 'Batch'], ['timestamp', 'Date'], ['sampleId', 'Sample'], ['technician', 'Technician'],
+            ['alcohol', 'Alcohol (% vol)'], ['residualSugar', 'Residual sugar (g/L)'], ['totalAcidity', 'Total acidity (g/L)'],
+            ['volatileAcidity', 'Volatile acidity (g/L)'], ['pH', 'pH'], ['malicAcid', 'Malic acid (g/L)'],
+            ['lacticAcid', 'Lactic acid (g/L)'], ['tartaricAcid', 'Tartaric acid (g/L)'], ['citricAcid', 'Citric acid (g/L)'],
+            ['freeSO2', 'Free SO2 (mg/L)'], ['totalSO2', 'Total SO2 (mg/L)'], ['molecularSO2', 'Molecular SO2 (mg/L)'],
+            ['copper', 'Copper (mg/L)'], ['iron', 'Iron (mg/L)'], ['calcium', 'Calcium (mg/L)'], ['potassium', 'Potassium (mg/L)'],
+            ['yeastCount', 'Yeast (CFU/mL)'], ['bacteriaCount', 'Bacteria (CFU/mL)'], ['brettanomyces', 'Brettanomyces (CFU/mL)'],
+            ['totalPhenols', 'Total phenols'], ['tannins', 'Tannins'], ['anthocyanins', 'Anthocyanins'],
+            ['colorIntensity', 'Colour intensity'], ['hue', 'Hue'], ['proteinStability', 'Protein stable'],
+            ['tartrateStability', 'Tartrate stable'], ['microbiologicalStability', 'Microbiologically stable']
+        ];
+        const dateFields = new Set(['harvestDate', 'createdAt', 'bottlingDate', 'timestamp']);
+        const cell = (record, field) => {
+            const value = record[field];
+            if (dateFields.has(field)) return Spreadsheet.toDateCell(value);
+            return value === undefined ? null : value;
+        };
+
+        const batchRows = batches.map(batch => [
+            ...batchColumns.map(([field]) => cell(batch, field)),
+            this.calculateProfitability(batch).totalCosts
+        ]);
+        const labRows = batches.flatMap(batch => (batch.labResults ?? []).map(result => [
+            ...labColumns.map(([field]) => cell({ batchId: batch.id, ...result }, field)),
+            result.qualityScore?.score ?? null
+        ]));
+
+        return {
+            sheets: [
+                { name: 'Batches', rows: [[...batchColumns.map(([, label]) => label), 'Total costs'], ...batchRows] },
+                { name: 'Lab results', rows: [[...labColumns.map(([, label]) => label), 'Quality score'], ...labRows] }
+            ]
+        };
+    }
+
+    // Serialized copy of every batch and transfer, used to undo and redo batch operations
+    captureState() {
+        return {
+            batches: new Map(Array.from(this.batches.entries()).map(([id, batch]) => [id, JSON.stringify(batch)])),
+            transfers: new Map(this.transfers.map(transfer => [transfer.id, JSON.stringify(transfer)]))
+        };
+    }
+
+    // Reverses (or replays) one operation by applying the difference between two captured
+    // states field by field and list entry by list entry, so anything recorded on the same
+    // batches since (history, treatments, lab results) is kept. If a value the operation set
+    // has been changed again since, nothing is applied and an error says what changed.
+    // Captured workflow tasks are patched the same way through `collaboration`.
+    applyStateChange(from, to, collaboration = null) {
+        const conflicts = [];
+        const batches = new Map();
+        const batchIds = new Set([...from.batches.keys(), ...to.batches.keys()]);
+        batchIds.forEach(id => {
+            const before = from.batches.get(id);
+            const after = to.batches.get(id);
+            if (before === after) return;
+            const parse = (value) => value === undefined ? undefined : JSON.parse(value);
+            batches.set(id, this.patchValue(this.batches.get(id), parse(before), parse(after), `Batch ${id}`, conflicts));
+        });
+        const transfers = this.patchList(
+            this.transfers,
+            Array.from(from.transfers.values(), value => JSON.parse(value)),
+            Array.from(to.transfers.values(), value => JSON.parse(value)),
+            'Transfers',
+            conflicts
+        );
+        const tasks = new Map();
+        if (collaboration) {
+            const tankIds = new Set([...(from.tasks ?? new Map()).keys(), ...(to.tasks ?? new Map()).keys()]);
+            tankIds.forEach(tankId => {
+                const before = from.tasks?.get(tankId) ?? '[]';
+                const after = to.tasks?.get(tankId) ?? '[]';
+                if (before === after) return;
+                tasks.set(tankId, this.patchList(
+                    collaboration.getTasks(tankId), JSON.parse(before), JSON.parse(after), `Tasks of tank ${tankId}`, conflicts));
+            });
+        }
+
+        if (conflicts.length) {
+            throw new Error(`Changed since this operation, so it can't be reversed: ${conflicts.join(', ')}`);
+        }
+        batches.forEach((batch, id) => {
+            if (batch === undefined) {
+                this.batches.delete(id);
+            } else {
+                this.batches.set(id, batch);
+            }
+        });
+        this.transfers = transfers;
+        this.saveBatches();
+        this.saveTransfers();
+        tasks.forEach((list, tankId) => collaboration.replaceTasks(tankId, list));
+    }
+
+    // What `current` becomes when the change before -> after is applied to it. Objects are
+    // patched key by key and lists entry by entry; any other value must still be `before`,
+    // otherwise its path is added to `conflicts`.
+    patchValue(current, before, after, path, conflicts) {
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        if (same(before, after)) return current;
+        if (Array.isArray(before) && Array.isArray(after) && Array.isArray(current)) {
+            return this.patchList(current, before, after, path, conflicts);
+        }
+        if (isObject(before) && isObject(after) && isObject(current)) {
+            const result = { ...current };
+            new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+                const value = this.patchValue(current[key], before[key], after[key], `${path}.${key}`, conflicts);
+                if (value === undefined) {
+                    delete result[key];
+                } else {
+                    result[key] = value;
+                }
+            });
+            return result;
+        }
+        if (!same(current, before)) {
+            conflicts.push(path);
+        }
+        return after;
+    }
+
+    // Entries with an id are matched by id, others by content. Entries the change removed are
+    // taken out, entries it added are put back at their position, and entries it edited are
+    // replaced if nobody has edited them since.
+    patchList(current, before, after, path, conflicts) {
+        const key = (entry) => entry !== null && typeof entry === 'object' && entry.id !== undefined
+            ? `id:${entry.id}`
+            : JSON.stringify(entry);
+        const result = [...current];
+        const remaining = [...after];
+        before.forEach(entry => {
+            const index = remaining.findIndex(candidate => key(candidate) === key(entry));
+            const position = result.findIndex(candidate => key(candidate) === key(entry));
+            if (index !== -1 && JSON.stringify(remaining[index]) === JSON.stringify(entry)) {
+                remaining.splice(index, 1);
+                return;
+            }
+            if (position !== -1 && JSON.stringify(result[position]) !== JSON.stringify(entry)) {
+                conflicts.push(`${path} entry ${entry?.id ?? entry?.type ?? position + 1}`);
+                return;
+            }
+            if (index !== -1) {
+                // Edited by the change
+                if (position !== -1) result[position] = remaining[index];
+                remaining.splice(index, 1);
+            } else if (position !== -1) {
+                // Removed by the change
+                result.splice(position, 1);
+            }
+        });
+        // Added by the change
+        remaining.forEach(entry => {
+            const position = result.findIndex(candidate => key(candidate) === key(entry));
+            if (position !== -1 && key(entry).startsWith('id:')) {
+                if (JSON.stringify(result[position]) !== JSON.stringify(entry)) {
+                    conflicts.push(`${path} entry ${entry.id}`);
+                }
+                return;
+            }
+            result.splice(Math.min(after.indexOf(entry), result.length), 0, entry);
+        });
+        return result;
+    }
+
     saveBatches() {
         if (typeof localStorage === 'undefined') return;
         const serializable = Array.from(this.batches.entries()).map(([id, batch]) => [id, batch]);
@@ -0,0 +1,185 @@
+// benchTrials.js - Bench trials for fining agents and additives
+// Trials live on the batch (batch.benchTrials) and every step is added to the batch history,
+// so they are saved, backed up and undone with the rest of the batch.
+const TRIAL_AGENTS = {
+    bentonite: { name: 'Bentonite', rateUnit: 'g/hL', treatment: 'fining', measure: 'Heat test ΔNTU' },
+    tannin: { name: 'Tannin', rateUnit: 'g/hL', treatment: 'addition', measure: 'Tasting score' },
+    gelatin: { name: 'Gelatin', rateUnit: 'g/hL', treatment: 'fining', measure: 'Tasting score' },
+    isinglass: { name: 'Isinglass', rateUnit: 'g/hL', treatment: 'fining', measure: 'Turbidity (NTU)' },
+    pvpp: { name: 'PVPP', rateUnit: 'g/hL', treatment: 'fining', measure: 'Browning (A420)' },
+    copper: { name: 'Copper sulfate', rateUnit: 'mg/L', treatment: 'addition', measure: 'Reduction score' },
+    other: { name: 'Other', rateUnit: 'g/hL', treatment: 'addition', measure: 'Result' }
+};
+
+class BenchTrials {
+    constructor(batchManager) {
+        this.batchManager = batchManager;
+    }
+
+    static get agents() {
+        return TRIAL_AGENTS;
+    }
+
+    // Grams for a volume in litres at a rate in g/hL, g/L or mg/L
+    static scale(rate, rateUnit, volume) {
+        return FermentationCalculations.calculateBentonite(volume, rate, rateUnit);
+    }
+
+    // What goes into one glass: mL of a stock solution (g/L) when one is used, otherwise mg
+    static glassDose(rate, rateUnit, sampleMl, stockConcentration = null) {
+        const grams = BenchTrials.scale(rate, rateUnit, sampleMl / 1000);
+        if (stockConcentration > 0) {
+            return { amount: grams / stockConcentration * 1000, unit: 'mL stock' };
+        }
+        return { amount: grams * 1000, unit: 'mg' };
+    }
+
+    getTrials(batchId) {
+        return this.batchManager.getBatch(batchId)?.benchTrials ?? [];
+    }
+
+    getTrial(batchId, trialId) {
+        const trial = this.getTrials(batchId).find(entry => entry.id === trialId);
+        if (!trial) {
+            throw new Error('Unknown bench trial');
+        }
+        return trial;
+    }
+
+    // definition: { agent, name, rates: [..], rateUnit, sampleVolume (mL), stockConcentration
+    // (g/L), measure, includeControl, notes }
+    createTrial(batchId, definition) {
+        const batch = this.batchManager.getBatch(batchId);
+        if (!batch) {
+            throw new Error('Unknown batch');
+        }
+        const agent = TRIAL_AGENTS[definition.agent] ?? TRIAL_AGENTS.other;
+        const rates = [...new Set((definition.rates ?? []).map(Number).filter(rate => rate > 0))].sort((a, b) => a - b);
+        const sampleVolume = Number(definition.sampleVolume);
+        if (rates.length === 0) {
+            throw new Error('Enter at least one trial rate');
+        }
+        if (!(sampleVolume > 0)) {
+            throw new Error('Sample volume must be greater than zero');
+        }
+
+        const rateUnit = definition.rateUnit ?? agent.rateUnit;
+        const stockConcentration = Number(definition.stockConcentration) > 0 ? Number(definition.stockConcentration) : null;
+        const glassRates = definition.includeControl === false ? rates : [0, ...rates];
+        const trial = {
+            id: `TRIAL-${Date.now()}`,
+            createdAt: new Date().toISOString(),
+            agent: definition.agent in TRIAL_AGENTS ? definition.agent : 'other',
+            product: definition.name || agent.name,
+            rateUnit,
+            sampleVolume,
+            stockConcentration,
+            measure: definition.measure || agent.measure,
+            notes: definition.notes ?? '',
+            status: 'open',
+            glasses: glassRates.map((rate, index) => ({
+                index,
+                rate,
+                dose: BenchTrials.glassDose(rate, rateUnit, sampleVolume, stockConcentration),
+                observations: '',
+                result: null
+            })),
+            chosenGlass: null,
+            application: null
+        };
+
+        batch.benchTrials = [...(batch.benchTrials ?? []), trial];
+        this.batchManager.addHistoryEntry(batchId, {
+            type: 'bench-trial',
+            data: { trialId: trial.id, action: 'created', product: trial.product, rates: glassRates, rateUnit }
+        });
+        return trial;
+    }
+
+    // results: { observations, result } for one glass
+    recordGlass(batchId, trialId, glassIndex, { observations = '', result = null } = {}) {
+        const trial = this.getTrial(batchId, trialId);
+        const glass = trial.glasses.find(entry => entry.index === glassIndex);
+        if (!glass) {
+            throw new Error('Unknown trial glass');
+        }
+        glass.observations = observations;
+        glass.result = Number.isFinite(result) ? result : null;
+        this.batchManager.addHistoryEntry(batchId, {
+            type: 'bench-trial',
+            data: { trialId, action: 'result', glass: glassIndex, rate: glass.rate, observations, result: glass.result }
+        });
+        return glass;
+    }
+
+    chooseRate(batchId, trialId, glassIndex, reason = '') {
+        const trial = this.getTrial(batchId, trialId);
+        const glass = trial.glasses.find(entry => entry.index === glassIndex);
+        if (!glass) {
+            throw new Error('Unknown trial glass');
+        }
+        trial.chosenGlass = glassIndex;
+        trial.status = 'decided';
+        this.batchManager.addHistoryEntry(batchId, {
+            type: 'bench-trial',
+            data: { trialId, action: 'decided', glass: glassIndex, rate: glass.rate, rateUnit: trial.rateUnit, reason }
+        });
+        return glass;
+    }
+
+    // The chosen rate scaled to a tank volume (L)
+    scaledAddition(trial, volume) {
+        const glass = trial.glasses.find(entry => entry.index === trial.chosenGlass);
+        if (!glass) return null;
+        return {
+            rate: glass.rate,
+            rateUnit: trial.rateUnit,
+            volume,
+            amount: BenchTrials.scale(glass.rate, trial.rateUnit, volume),
+            unit: 'g'
+        };
+    }
+
+    // Records the scaled addition as a treatment and closes the trial
+    applyToTank(batchId, trialId, volume, { tankId = null } = {}) {
+        const trial = this.getTrial(batchId, trialId);
+        if (trial.chosenGlass === null) {
+            throw new Error('Choose the winning glass first');
+        }
+        if (!(volume > 0)) {
+            throw new Error('Volume must be greater than zero');
+        }
+        const addition = this.scaledAddition(trial, volume);
+        if (addition.rate === 0) {
+            trial.status = 'applied';
+            trial.application = { volume, amount: 0, treatmentId: null };
+            this.batchManager.addHistoryEntry(batchId, {
+                type: 'bench-trial',
+                data: { trialId, action: 'applied', amount: 0, note: 'Control chosen; nothing added' }
+            });
+            return null;
+        }
+
+        const treatment = this.batchManager.recordTreatment(batchId, {
+            type: TRIAL_AGENTS[trial.agent].treatment,
+            product: trial.product,
+            amount: Math.round(addition.amount * 10) / 10,
+            unit: 'g',
+            rate: addition.rate,
+            rateUnit: trial.rateUnit,
+            trialId,
+            tankId
+        });
+        trial.status = 'applied';
+        trial.application = { volume, amount: treatment.amount, treatmentId: treatment.id };
+        this.batchManager.addHistoryEntry(batchId, {
+            type: 'bench-trial',
+            data: { trialId, action: 'applied', volume, amount: treatment.amount, treatmentId: treatment.id }
+        });
+        return treatment;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.BenchTrials = BenchTrials;
+}
@@ -0,0 +1,295 @@
+// blendDesigner.js - Blend proportions from target specs
+// Specs that can be set for a blend, with the lab result field each is read from and the
+// deviation treated as one unit when several targets compete.
+const BLEND_SPECS = {
+    alcohol: { label: 'Alcohol (% vol)', field: 'alcohol', tolerance: 0.1 },
+    ta: { label: 'TA (g/L)', field: 'totalAcidity', tolerance: 0.1 },
+    ph: { label: 'pH', field: 'pH', tolerance: 0.01 },
+    residualSugar: { label: 'Residual sugar (g/L)', field: 'residualSugar', tolerance: 0.5 }
+};
+
+const EPSILON = 1e-9;
+
+// Minimises c·x for x >= 0 subject to constraints [{ coefficients, relation: '<=' | '>=' | '=', value }]
+// with the two-phase simplex method. Returns x, or null when the constraints can't all be met.
+function solveLinearProgram(c, constraints) {
+    const n = c.length;
+    const rows = constraints.map(({ coefficients, relation, value }) => value >= 0
+        ? { coefficients, relation, value }
+        : {
+            coefficients: coefficients.map(v => -v),
+            relation: relation === '<=' ? '>=' : relation === '>=' ? '<=' : '=',
+            value: -value
+        });
+    const slackCount = rows.filter(row => row.relation !== '=').length;
+    const artificialStart = n + slackCount;
+    const width = artificialStart + rows.filter(row => row.relation !== '<=').length;
+
+    const tableau = [];
+    const basis = [];
+    let slack = n;
+    let artificial = artificialStart;
+    rows.forEach(row => {
+        const line = new Array(width + 1).fill(0);
+        row.coefficients.forEach((value, j) => { line[j] = value; });
+        line[width] = row.value;
+        if (row.relation === '<=') {
+            line[slack] = 1;
+            basis.push(slack++);
+        } else {
+            if (row.relation === '>=') line[slack++] = -1;
+            line[artificial] = 1;
+            basis.push(artificial++);
+        }
+        tableau.push(line);
+    });
+
+    const pivot = (r, col) => {
+        const factor = tableau[r][col];
+        tableau[r] = tableau[r].map(value => value / factor);
+        tableau.forEach((line, i) => {
+            if (i === r || Math.abs(line[col]) < EPSILON) return;
+            const scale = line[col];
+            tableau[i] = line.map((value, j) => value - scale * tableau[r][j]);
+        });
+        basis[r] = col;
+    };
+
+    // Bland's rule keeps the method from cycling on degenerate blends
+    const optimise = (cost, columns) => {
+        for (let iteration = 0; iteration < 1000; iteration++) {
+            const entering = Array.from({ length: columns }, (_, j) => j).find(j =>
+                !basis.includes(j) &&
+                cost[j] - tableau.reduce((sum, line, i) => sum + cost[basis[i]] * line[j], 0) < -EPSILON
+            );
+            if (entering === undefined) return true;
+            let leaving = -1;
+            tableau.forEach((line, i) => {
+                if (line[entering] <= EPSILON) return;
+                const ratio = line[width] / line[entering];
+                const best = leaving === -1 ? Infinity : tableau[leaving][width] / tableau[leaving][entering];
+                if (ratio < best - EPSILON || (Math.abs(ratio - best) <= EPSILON && basis[i] < basis[leaving])) {
+                    leaving = i;
+                }
+            });
+            if (leaving === -1) return false;
+            pivot(leaving, entering);
+        }
+        return false;
+    };
+
+    const phaseOne = new Array(width).fill(0).map((_, j) => j >= artificialStart ? 1 : 0);
+    optimise(phaseOne, width);
+    const infeasibility = tableau.reduce((sum, line, i) => sum + phaseOne[basis[i]] * line[width], 0);
+    if (infeasibility > 1e-7) return null;
+    tableau.forEach((line, i) => {
+        if (basis[i] < artificialStart) return;
+        const column = line.findIndex((value, j) => j < artificialStart && Math.abs(value) > EPSILON);
+        if (column !== -1) pivot(i, column);
+    });
+
+    const phaseTwo = new Array(width).fill(0).map((_, j) => j < n ? c[j] : 0);
+    if (!optimise(phaseTwo, artificialStart)) return null;
+
+    const x = new Array(n).fill(0);
+    basis.forEach((column, i) => {
+        if (column < n) x[column] = tableau[i][width];
+    });
+    return x;
+}
+
+class BlendDesigner {
+    constructor(batchManager) {
+        this.batchManager = batchManager;
+    }
+
+    static get specs() {
+        return BLEND_SPECS;
+    }
+
+    // A candidate lot: its volume, variety make-up and latest lab value for each spec
+    getComponent(batchId) {
+        const batch = this.batchManager.getBatch(batchId);
+        if (!batch) {
+            throw new Error(`Unknown batch: ${batchId}`);
+        }
+        const analysis = {};
+        Object.entries(BLEND_SPECS).forEach(([spec, definition]) => {
+            const result = (batch.labResults ?? [])
+                .filter(entry => Number.isFinite(entry[definition.field]))
+                .reduce((latest, entry) => !latest || new Date(entry.timestamp) > new Date(latest.timestamp) ? entry : latest, null);
+            analysis[spec] = result ? result[definition.field] : null;
+        });
+        return {
+            batchId,
+            variety: batch.variety,
+            varieties: batch.varietalComposition ?? { [batch.variety ?? 'Unknown']: 100 },
+            volume: batch.currentVolume ?? 0,
+            analysis
+        };
+    }
+
+    // pH doesn't blend by volume: each lot pulls the blend's pH in proportion to its buffer
+    // capacity, which is estimated from its TA
+    static bufferWeight(component) {
+        const ta = component.analysis.ta;
+        return Number.isFinite(ta) && ta > 0 ? AcidCalculator.defaultBufferCapacity(ta) : 1;
+    }
+
+    // Analysis of a blend of the components in the given fractions (summing to 1)
+    static predict(components, fractions) {
+        const used = components.map((component, i) => ({ component, fraction: fractions[i] })).filter(entry => entry.fraction > EPSILON);
+        const predicted = {};
+        Object.keys(BLEND_SPECS).forEach(spec => {
+            if (used.some(({ component }) => !Number.isFinite(component.analysis[spec]))) {
+                predicted[spec] = null;
+                return;
+            }
+            const weight = (entry) => spec === 'ph' ? entry.fraction * BlendDesigner.bufferWeight(entry.component) : entry.fraction;
+            const totalWeight = used.reduce((sum, entry) => sum + weight(entry), 0);
+            predicted[spec] = totalWeight > 0
+                ? used.reduce((sum, entry) => sum + weight(entry) * entry.component.analysis[spec], 0) / totalWeight
+                : null;
+        });
+
+        const varieties = {};
+        used.forEach(({ component, fraction }) => {
+            Object.entries(component.varieties).forEach(([variety, percent]) => {
+                varieties[variety] = (varieties[variety] ?? 0) + fraction * percent;
+            });
+        });
+        predicted.varieties = varieties;
+        return predicted;
+    }
+
+    // Fraction of lot A so that A and B blend to the target; null when the target isn't
+    // between the two
+    static pearsonSquare(valueA, valueB, target) {
+        if (valueA === valueB || target < Math.min(valueA, valueB) || target > Math.max(valueA, valueB)) {
+            return null;
+        }
+        const partsA = Math.abs(target - valueB);
+        const partsB = Math.abs(valueA - target);
+        return partsA / (partsA + partsB);
+    }
+
+    // specs: { alcohol: { target, min, max }, ta, ph, residualSugar, varieties: { Merlot: 85 } }
+    // with varieties as minimum percentages. options.volume is the blend volume wanted (L);
+    // without it the blend is as large as the lots allow.
+    design(batchIds, specs = {}, { volume = null } = {}) {
+        if (batchIds.length < 2) {
+            throw new Error('Choose at least two lots to blend');
+        }
+        const components = batchIds.map(id => this.getComponent(id));
+        const numeric = Object.keys(BLEND_SPECS)
+            .filter(spec => ['target', 'min', 'max'].some(key => Number.isFinite(specs[spec]?.[key])));
+        const missing = [];
+        numeric.forEach(spec => components.forEach(component => {
+            if (!Number.isFinite(component.analysis[spec])) {
+                missing.push(`${component.batchId} has no lab ${BLEND_SPECS[spec].label.toLowerCase()}`);
+            }
+        }));
+        if (missing.length) {
+            throw new Error(missing.join('; '));
+        }
+
+        const varieties = Object.entries(specs.varieties ?? {}).filter(([, percent]) => percent > 0);
+        const targets = numeric.filter(spec => Number.isFinite(specs[spec].target));
+        const simple = components.length === 2 && targets.length === 1 && targets[0] !== 'ph' &&
+            numeric.length === 1 && !varieties.length && !['min', 'max'].some(key => Number.isFinite(specs[targets[0]][key]));
+
+        let fractions = null;
+        let method = 'optimizer';
+        if (simple) {
+            const spec = targets[0];
+            const fraction = BlendDesigner.pearsonSquare(components[0].analysis[spec], components[1].analysis[spec], specs[spec].target);
+            if (fraction !== null && (!volume || (fraction * volume <= components[0].volume && (1 - fraction) * volume <= components[1].volume))) {
+                fractions = [fraction, 1 - fraction];
+                method = 'pearson';
+            }
+        }
+        if (!fractions) {
+            fractions = this.optimise(components, specs, numeric, targets, varieties, volume);
+        }
+        if (!fractions) {
+            throw new Error(volume
+                ? `No blend of ${volume} L from these lots meets the limits`
+                : 'No blend of these lots meets the limits');
+        }
+
+        const maxVolume = Math.min(...components.map((component, i) =>
+            fractions[i] > EPSILON ? component.volume / fractions[i] : Infinity));
+        const blendVolume = volume ?? maxVolume;
+        const predicted = BlendDesigner.predict(components, fractions);
+        return {
+            method,
+            components,
+            fractions,
+            volume: blendVolume,
+            maxVolume,
+            // Share of each parent's current volume that goes into the blend, as blendBatches takes it
+            proportions: components.map((component, i) => component.volume > 0 ? Math.min(1, fractions[i] * blendVolume / component.volume) : 0),
+            predicted,
+            deviations: Object.fromEntries(targets.map(spec => [spec, predicted[spec] - specs[spec].target]))
+        };
+    }
+
+    // Fractions that meet every min/max and variety limit while staying as close as possible
+    // to the targets. Columns: one fraction per lot, then an over/under pair per target.
+    optimise(components, specs, numeric, targets, varieties, volume) {
+        const m = components.length;
+        const width = m + targets.length * 2;
+        const constraints = [];
+        const row = (values) => Array.from({ length: width }, (_, j) => values[j] ?? 0);
+        // pH terms are weighted by buffer capacity, then scaled back to pH units
+        const weights = (spec) => components.map(component => spec === 'ph' ? BlendDesigner.bufferWeight(component) : 1);
+        const meanWeight = (spec) => weights(spec).reduce((sum, w) => sum + w, 0) / m;
+        const offsets = (spec, value) => components.map((component, i) =>
+            weights(spec)[i] * (component.analysis[spec] - value) / meanWeight(spec));
+
+        constraints.push({ coefficients: row(components.map(() => 1)), relation: '=', value: 1 });
+        if (volume) {
+            components.forEach((component, i) => {
+                constraints.push({ coefficients: row({ [i]: 1 }), relation: '<=', value: component.volume / volume });
+            });
+        }
+        numeric.forEach(spec => {
+            if (Number.isFinite(specs[spec].min)) {
+                constraints.push({ coefficients: row(offsets(spec, specs[spec].min)), relation: '>=', value: 0 });
+            }
+            if (Number.isFinite(specs[spec].max)) {
+                constraints.push({ coefficients: row(offsets(spec, specs[spec].max)), relation: '<=', value: 0 });
+            }
+        });
+        varieties.forEach(([variety, percent]) => {
+            constraints.push({
+                coefficients: row(components.map(component => (component.varieties[variety] ?? 0) / 100)),
+                relation: '>=',
+                value: percent / 100
+            });
+        });
+
+        const cost = new Array(width).fill(0);
+        targets.forEach((spec, k) => {
+            const over = m + k * 2;
+            const values = row(offsets(spec, specs[spec].target));
+            values[over] = -1;
+            values[over + 1] = 1;
+            constraints.push({ coefficients: values, relation: '=', value: 0 });
+            cost[over] = cost[over + 1] = 1 / BLEND_SPECS[spec].tolerance;
+        });
+
+        const solution = solveLinearProgram(cost, constraints);
+        return solution ? solution.slice(0, m) : null;
+    }
+
+    // Varietal make-up of the batch a design produces, for labelling
+    static composition(design) {
+        return Object.fromEntries(Object.entries(design.predicted.varieties)
+            .map(([variety, percent]) => [variety, Math.round(percent * 10) / 10]));
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.BlendDesigner = BlendDesigner;
+}
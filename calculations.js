@@ -1,19 +1,191 @@
 // calculations.js - Pure calculation functions
+// Wine hydrometers are usually calibrated at 20°C
+const HYDROMETER_CALIBRATION_C = 20;
+
+// Grams of sugar per litre that ferment to 1% vol. Reds yield less alcohol per gram
+// because of warmer, open fermentations on skins.
+const ALCOHOL_SUGAR_FACTORS = { white: 16.83, rose: 17.2, red: 17.5 };
+
+// Dissolved solids in must that aren't fermentable sugar (acids, minerals, phenolics)
+const NON_SUGAR_SOLIDS_GL = 25;
+
+// Lab and hydrometer alcohol more than this far apart (% vol) are flagged
+const ALCOHOL_RECONCILE_TOLERANCE = 0.5;
+
+// Solves f(x) = target for an increasing f by Newton's method with a numeric derivative
+function solveIncreasing(f, target, guess) {
+    let x = guess;
+    for (let i = 0; i < 30; i++) {
+        const error = f(x) - target;
+        if (Math.abs(error) < 1e-9) break;
+        const slope = (f(x + 1e-6) - f(x - 1e-6)) / 2e-6;
+        x -= error / slope;
+    }
+    return x;
+}
+
+// Water density ratio used by the hydrometer correction, temperature in °F
+function hydrometerFactor(fahrenheit) {
+    return 1.00130346 - 0.000134722124 * fahrenheit + 0.00000204052596 * fahrenheit ** 2
+        - 0.00000000232820948 * fahrenheit ** 3;
+}
+
 const FermentationCalculations = {
-    // Unit conversions
-    baumeToGL: (baume) => baume * 18,
+    HYDROMETER_CALIBRATION_C,
+
+    // Density scales. SG is the reference; Brix uses the ASBC polynomial, Baumé the
+    // modulus-145 scale, Oechsle (SG - 1) × 1000 and KMW the Babo relation °Oe = KMW × (4.54 + 0.022 × KMW).
+    sgToBrix: (sg) => ((182.4601 * sg - 775.6821) * sg + 1262.7794) * sg - 669.5622,
+
+    brixToSG: (brix) => solveIncreasing(FermentationCalculations.sgToBrix, brix, 1 + brix / 250),
+
+    sgToBaume: (sg) => 145 - 145 / sg,
+
+    baumeToSG: (baume) => 145 / (145 - baume),
+
+    sgToOechsle: (sg) => (sg - 1) * 1000,
+
+    oechsleToSG: (oechsle) => 1 + oechsle / 1000,
+
+    oechsleToKMW: (oechsle) => (Math.sqrt(4.54 ** 2 + 4 * 0.022 * oechsle) - 4.54) / (2 * 0.022),
+
+    kmwToOechsle: (kmw) => kmw * (4.54 + 0.022 * kmw),
+
+    sgToKMW: (sg) => FermentationCalculations.oechsleToKMW(FermentationCalculations.sgToOechsle(sg)),
+
+    kmwToSG: (kmw) => FermentationCalculations.oechsleToSG(FermentationCalculations.kmwToOechsle(kmw)),
+
+    // Any scale to any other: convertGravity(12, 'baume', 'brix')
+    convertGravity: (value, from, to) => {
+        const toSG = {
+            sg: (v) => v,
+            brix: FermentationCalculations.brixToSG,
+            baume: FermentationCalculations.baumeToSG,
+            oechsle: FermentationCalculations.oechsleToSG,
+            kmw: FermentationCalculations.kmwToSG
+        };
+        const fromSG = {
+            sg: (v) => v,
+            brix: FermentationCalculations.sgToBrix,
+            baume: FermentationCalculations.sgToBaume,
+            oechsle: FermentationCalculations.sgToOechsle,
+            kmw: FermentationCalculations.sgToKMW
+        };
+        if (!toSG[from] || !fromSG[to]) {
+            throw new Error(`Unknown gravity scale: ${toSG[from] ? to : from}`);
+        }
+        return fromSG[to](toSG[from](value));
+    },
+
+    // SG read at sampleC on a hydrometer calibrated at calibrationC, corrected to the
+    // calibration temperature. Outside 0-40°C the correction is unreliable and the reading
+    // is returned unchanged.
+    correctHydrometer: (sg, sampleC, calibrationC = HYDROMETER_CALIBRATION_C) => {
+        if (!Number.isFinite(sampleC) || sampleC < 0 || sampleC > 40) {
+            return sg;
+        }
+        const toF = (celsius) => celsius * 9 / 5 + 32;
+        return sg * hydrometerFactor(toF(sampleC)) / hydrometerFactor(toF(calibrationC));
+    },
+
+    // Dissolved solids in g/L: Brix is g per 100 g of must, so multiply by the must's density
+    brixToGL: (brix) => brix * FermentationCalculations.brixToSG(brix) * 10,
 
-    glToBaume: (gl) => gl / 18,
+    glToBrix: (gl) => solveIncreasing(FermentationCalculations.brixToGL, gl, gl / 10),
 
-    brixToGL: (brix) => brix * 10,
+    baumeToGL: (baume) => FermentationCalculations.brixToGL(FermentationCalculations.convertGravity(baume, 'baume', 'brix')),
 
-    glToBrix: (gl) => gl / 10,
+    glToBaume: (gl) => FermentationCalculations.convertGravity(FermentationCalculations.glToBrix(gl), 'brix', 'baume'),
+
+    // Fills in whichever of sg and sugar (Baumé) is missing from the other and adds
+    // sgCorrected, the SG corrected to the hydrometer's calibration temperature using the
+    // reading's temperature. Returns only the derived values.
+    deriveGravity: (reading, calibrationC = HYDROMETER_CALIBRATION_C) => {
+        const derived = {};
+        const sg = Number.isFinite(reading.sg) ? reading.sg
+            : Number.isFinite(reading.sugar) ? FermentationCalculations.baumeToSG(reading.sugar)
+            : null;
+        if (sg === null) {
+            return derived;
+        }
+        if (!Number.isFinite(reading.sg)) {
+            derived.sg = Math.round(sg * 10000) / 10000;
+        }
+        if (!Number.isFinite(reading.sugar)) {
+            // Dry wine reads below 1.000; the sugar scale stops at 0 Baumé
+            derived.sugar = Math.max(0, Math.round(FermentationCalculations.sgToBaume(sg) * 100) / 100);
+        }
+        derived.sgCorrected = Math.round(FermentationCalculations.correctHydrometer(sg, reading.temperature, calibrationC) * 10000) / 10000;
+        return derived;
+    },
     
+    ALCOHOL_SUGAR_FACTORS,
+
+    // Fermentable sugar in g/L for a must of the given SG
+    sugarGLFromSG: (sg) => Math.max(0,
+        FermentationCalculations.brixToGL(FermentationCalculations.sgToBrix(sg)) - NON_SUGAR_SOLIDS_GL),
+
+    // % vol the must would reach if fermented dry
+    potentialAlcohol: (sg, wineType = 'red') => {
+        const factor = ALCOHOL_SUGAR_FACTORS[wineType] ?? ALCOHOL_SUGAR_FACTORS.red;
+        return FermentationCalculations.sugarGLFromSG(sg) / factor;
+    },
+
+    // Dissolved solids (g/L) a must needs for a potential alcohol; the inverse of potentialAlcohol
+    solidsForPotentialAlcohol: (alcohol, wineType = 'red') =>
+        alcohol * (ALCOHOL_SUGAR_FACTORS[wineType] ?? ALCOHOL_SUGAR_FACTORS.red) + NON_SUGAR_SOLIDS_GL,
+
+    // % vol produced between two gravities (the usual 131.25 × SG drop rule)
+    alcoholFromGravityDrop: (originalSG, currentSG) => {
+        if (!(originalSG > currentSG)) return 0;
+        return (originalSG - currentSG) * 131.25;
+    },
+
+    // Potential and live alcohol for a tank log. The first reading with a gravity is taken
+    // as the must; gravities are temperature corrected where the reading allows.
+    // labAlcohol: { value, timestamp } from the latest lab analysis, if any.
+    estimateAlcohol: (readings, { wineType = 'red', labAlcohol = null } = {}) => {
+        const gravities = readings
+            .map(reading => ({ reading, sg: reading.sgCorrected ?? reading.sg }))
+            .filter(entry => Number.isFinite(entry.sg))
+            .sort((a, b) => new Date(a.reading.timestamp) - new Date(b.reading.timestamp));
+        if (gravities.length === 0) return null;
+
+        const initial = gravities[0];
+        const current = gravities[gravities.length - 1];
+        const potential = FermentationCalculations.potentialAlcohol(initial.sg, wineType);
+        const estimated = FermentationCalculations.alcoholFromGravityDrop(initial.sg, current.sg);
+        const result = {
+            wineType,
+            factor: ALCOHOL_SUGAR_FACTORS[wineType] ?? ALCOHOL_SUGAR_FACTORS.red,
+            initialSG: initial.sg,
+            initialTimestamp: initial.reading.timestamp,
+            currentSG: current.sg,
+            currentTimestamp: current.reading.timestamp,
+            potentialAlcohol: potential,
+            estimatedABV: estimated,
+            progress: potential > 0 ? Math.min(1, estimated / potential) : null,
+            lab: null
+        };
+
+        if (labAlcohol && Number.isFinite(labAlcohol.value)) {
+            const difference = labAlcohol.value - estimated;
+            result.lab = {
+                value: labAlcohol.value,
+                timestamp: labAlcohol.timestamp ?? null,
+                difference,
+                reconciled: Math.abs(difference) <= ALCOHOL_RECONCILE_TOLERANCE
+            };
+        }
+        return result;
+    },
+
     // Additive calculations
     calculateNutrients: (volume, rateGHL) => volume * rateGHL / 100,
     
     calculateEnzymes: (volume, rateGHL) => volume * rateGHL / 100,
     
+    // Grams of SO₂ for a dose in mg/L; SO2Manager.toProduct converts it to a product such as KMS
     calculateSO2: (volume, rateMGL) => volume * rateMGL / 1000,
     
     calculateTannins: (volume, rateGHL) => volume * rateGHL / 100,
@@ -28,22 +200,35 @@ const FermentationCalculations = {
     },
     
     // pH adjustment calculation
-    calculateAcidAddition: (currentPH, targetPH, volume) => {
+    // Acid needed to bring pH down to targetPH, modelled with the wine's TA and buffer
+    // capacity by AcidCalculator. Without a measured TA a typical 6 g/L is assumed.
+    calculateAcidAddition: (currentPH, targetPH, volume, { ta = 6, bufferCapacity = null, acid = 'tartaric' } = {}) => {
         if (currentPH <= targetPH) {
             return {
                 error: 'Current pH must be higher than target pH',
                 valid: false
             };
         }
-        
-        const diff = currentPH - targetPH;
-        const acidPerLiter = diff / 0.1; // Tartaric acid factor
-        
+
+        const result = AcidCalculator.solve({
+            ph: currentPH,
+            ta,
+            volume,
+            bufferCapacity,
+            agent: acid,
+            target: { ph: targetPH }
+        });
+        if (!result.valid) {
+            return result;
+        }
+
         return {
             valid: true,
-            perLiter: acidPerLiter,
-            total: acidPerLiter * volume,
-            acid: 'Tartaric'
+            perLiter: result.rate,
+            total: result.total,
+            acid: result.name,
+            predictedTA: result.predicted.ta,
+            warnings: result.warnings
         };
     },
     
@@ -80,3 +265,7 @@ const FermentationCalculations = {
         };
     }
 };
+
+if (typeof window !== 'undefined') {
+    window.FermentationCalculations = FermentationCalculations;
+}
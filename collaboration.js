@@ -8,7 +8,7 @@ class CollaborationManager {
     }
 
     addComment(tankId, comment) {
-        const tankComments = this.comments.get(tankId) || [];
+        const tankComments = this.getComments(tankId);
         const newComment = {
             id: Date.now(),
             text: comment.text,
@@ -27,10 +27,44 @@ class CollaborationManager {
         this.renderCommentsForTank(tankId);
     }
 
+    // Comments saved by earlier sessions are loaded on first use so new ones don't replace them
+    getComments(tankId) {
+        if (!this.comments.has(tankId)) {
+            let stored = [];
+            try {
+                stored = JSON.parse(localStorage.getItem(`comments_${tankId}`) || '[]');
+            } catch (error) {
+                console.warn('Failed to load comments', error);
+            }
+            this.comments.set(tankId, Array.isArray(stored) ? stored : []);
+        }
+        return this.comments.get(tankId);
+    }
+
+    // Drops what's in memory so comments and tasks are read from storage again (after a restore)
+    reload() {
+        this.comments.clear();
+        this.workflowTasks.clear();
+    }
+
+    // Tasks saved by earlier sessions are loaded on first use so new tasks don't replace them
+    getTasks(tankId) {
+        if (!this.workflowTasks.has(tankId)) {
+            let stored = [];
+            try {
+                stored = JSON.parse(localStorage.getItem(`tasks_${tankId}`) || '[]');
+            } catch (error) {
+                console.warn('Failed to load tasks', error);
+            }
+            this.workflowTasks.set(tankId, Array.isArray(stored) ? stored : []);
+        }
+        return this.workflowTasks.get(tankId);
+    }
+
     createWorkflowTask(tankId, task) {
-        const tankTasks = this.workflowTasks.get(tankId) || [];
+        const tankTasks = this.getTasks(tankId);
         const newTask = {
-            id: Date.now(),
+            id: `TASK-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
             title: task.title,
             description: task.description,
             assignee: task.assignee,
@@ -38,22 +72,79 @@ class CollaborationManager {
             priority: task.priority || 'medium',
             status: 'pending',
             createdAt: new Date().toISOString(),
-            type: task.type // analysis, addition, monitoring, maintenance
+            type: task.type, // analysis, addition, monitoring, maintenance
+            trigger: task.trigger ?? null, // e.g. { sg } for additions due at a sugar level
+            reference: task.reference ?? null
         };
 
         tankTasks.push(newTask);
-        this.workflowTasks.set(tankId, tankTasks);
-        
-        localStorage.setItem(`tasks_${tankId}`, JSON.stringify(tankTasks));
-        
+        this.saveTasks(tankId);
+        this.renderTasksForTank(tankId);
+        return newTask;
+    }
+
+    updateTaskStatus(tankId, taskId, status) {
+        // Ids from the page arrive as strings; older tasks have numeric ids
+        const task = this.getTasks(tankId).find(entry => String(entry.id) === String(taskId));
+        if (!task) return null;
+        task.status = status;
+        task.completedAt = status === 'completed' ? new Date().toISOString() : null;
+        this.saveTasks(tankId);
+        this.renderTasksForTank(tankId);
+        return task;
+    }
+
+    // Serialized tasks of every tank, used to undo and redo batch operations that change them
+    captureTasks() {
+        const tankIds = new Set(this.workflowTasks.keys());
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key?.startsWith('tasks_')) tankIds.add(key.slice('tasks_'.length));
+        }
+        return new Map(Array.from(tankIds, tankId => [tankId, JSON.stringify(this.getTasks(tankId))]));
+    }
+
+    replaceTasks(tankId, tasks) {
+        this.workflowTasks.set(tankId, tasks);
+        this.saveTasks(tankId);
         this.renderTasksForTank(tankId);
     }
 
+    saveTasks(tankId) {
+        localStorage.setItem(`tasks_${tankId}`, JSON.stringify(this.getTasks(tankId)));
+    }
+
+    renderTasksForTank(tankId) {
+        const container = document.getElementById(`tasks-${tankId}`);
+        if (!container) return;
+
+        const tasks = this.getTasks(tankId);
+        const open = tasks.filter(task => task.status !== 'completed');
+
+        container.innerHTML = `
+            <div class="tasks-header">
+                <h4>Tasks (${open.length} open)</h4>
+            </div>
+            <ul class="tasks-list">
+                ${tasks.map(task => `
+                    <li class="task task-${task.status} priority-${task.priority}">
+                        <div class="task-title">${task.title}</div>
+                        ${task.description ? `<div class="task-description">${task.description}</div>` : ''}
+                        ${task.dueDate ? `<div class="task-due">Due ${new Date(task.dueDate).toLocaleDateString()}</div>` : ''}
+                        ${task.status === 'completed'
+                            ? `<div class="task-done">Done ${task.completedAt ? new Date(task.completedAt).toLocaleString() : ''}</div>`
+                            : `<button class="task-complete-btn" onclick="collaboration.updateTaskStatus('${tankId}', '${task.id}', 'completed')">Mark done</button>`}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
     renderCommentsForTank(tankId) {
         const container = document.getElementById(`comments-${tankId}`);
         if (!container) return;
 
-        const comments = this.comments.get(tankId) || [];
+        const comments = this.getComments(tankId);
         
         container.innerHTML = `
             <div class="comments-header">
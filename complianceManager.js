@@ -1,8 +1,20 @@
 // complianceManager.js - Regulatory compliance tracking
+// Treatment types recorded by the enrichment calculator
+const ENRICHMENT_TREATMENTS = ['chaptalization', 'concentration', 'water-addition'];
+const ENRICHMENT_METHOD_LABELS = {
+    sucrose: 'Sucrose enrichment',
+    rcgm: 'Enrichment with RCGM',
+    concentration: 'Must concentration',
+    water: 'Adding water'
+};
+// Whose SO₂ limits apply when no country is given, here and in SO2Manager
+const DEFAULT_SO2_COUNTRY = 'US';
+
 class ComplianceManager {
     constructor(batchManager) {
         this.batchManager = batchManager;
         this.regulations = this.loadRegulations();
+        this.wineZones = this.loadWineZones();
         this.certificates = new Map();
         this.audits = [];
         this.bondNumber = 'BOND-000123';
@@ -11,16 +23,150 @@ class ComplianceManager {
     loadRegulations() {
         return {
             US: {
-                so2Limits: { red: 350, white: 350 },
+                so2Limits: { red: 350, white: 350, rose: 350 },
+                // Wine tax classes by alcohol content (% vol, upper bound inclusive)
+                taxClasses: [
+                    { label: 'Not over 16%', maxAlcohol: 16 },
+                    { label: 'Over 16% to 21%', maxAlcohol: 21 },
+                    { label: 'Over 21% to 24%', maxAlcohol: 24 }
+                ],
                 reportingFrequency: 'monthly'
             },
             EU: {
-                so2Limits: { red: 150, white: 200 },
+                so2Limits: { red: 150, white: 200, rose: 200 },
+                // Wines with at least 5 g/L residual sugar may carry 50 mg/L more
+                so2SweetAllowance: { residualSugar: 5, extra: 50 },
                 reportingFrequency: 'quarterly'
             }
         };
     }
 
+    // Enrichment, dilution and acidification rules per wine-growing zone: alcohol limits in % vol
+    // (maxTotal by wine type), concentration and amelioration as % of volume, and acidification
+    // in g/L as tartaric acid. Overrides saved with setWineZoneRules replace a zone's defaults.
+    loadWineZones() {
+        const eu = {
+            region: 'EU', sucrose: true, rcgm: true, concentration: true, maxConcentration: 20,
+            water: false, acidification: false, maxAcidification: 4, exclusiveEnrichmentAcidification: true
+        };
+        const us = {
+            region: 'US', maxIncrease: null, maxTotal: null, sucrose: true, rcgm: true, concentration: true,
+            maxConcentration: null, water: true, minBrixAfterWater: 22, maxAmelioration: 35,
+            acidification: true, maxAcidification: null, exclusiveEnrichmentAcidification: false
+        };
+        const defaults = {
+            'EU-A': { ...eu, label: 'EU zone A', maxIncrease: 3, maxTotal: { white: 11.5, rose: 11.5, red: 12 } },
+            'EU-B': { ...eu, label: 'EU zone B', maxIncrease: 2, maxTotal: { white: 12, rose: 12, red: 12.5 } },
+            'EU-CI': { ...eu, label: 'EU zone C I', maxIncrease: 1.5, maxTotal: { white: 12.5, rose: 12.5, red: 12.5 }, sucrose: false, acidification: true },
+            'EU-CII': { ...eu, label: 'EU zone C II', maxIncrease: 1.5, maxTotal: { white: 13, rose: 13, red: 13 }, sucrose: false, acidification: true },
+            'EU-CIII': { ...eu, label: 'EU zone C III', maxIncrease: 1.5, maxTotal: { white: 13.5, rose: 13.5, red: 13.5 }, sucrose: false, acidification: true },
+            US: { ...us, label: 'United States' },
+            'US-CA': { ...us, label: 'California', sucrose: false }
+        };
+
+        try {
+            const stored = JSON.parse(localStorage.getItem('wine_zone_rules') ?? '{}');
+            Object.entries(stored).forEach(([zone, rules]) => {
+                defaults[zone] = { ...defaults[zone], ...rules };
+            });
+        } catch (error) {
+            console.warn('Failed to load wine zone rules', error);
+        }
+        return defaults;
+    }
+
+    setWineZoneRules(zone, rules) {
+        this.wineZones[zone] = { ...this.wineZones[zone], ...rules };
+        try {
+            const stored = JSON.parse(localStorage.getItem('wine_zone_rules') ?? '{}');
+            stored[zone] = { ...stored[zone], ...rules };
+            localStorage.setItem('wine_zone_rules', JSON.stringify(stored));
+        } catch (error) {
+            console.warn('Failed to save wine zone rules', error);
+        }
+    }
+
+    getWineZone(batch = null) {
+        const zone = batch?.wineZone ?? localStorage.getItem('wineZone');
+        return this.wineZones[zone] ? zone : 'EU-CII';
+    }
+
+    // Checks a planned enrichment or dilution (an EnrichmentCalculator plan) against the zone's
+    // rules, counting what has already been done to the batch
+    checkEnrichment(batch, zone, plan) {
+        const rules = this.wineZones[zone];
+        if (!rules) {
+            return { zone, allowed: false, violations: [`Unknown wine zone: ${zone}`] };
+        }
+        const violations = [];
+        const previous = (batch?.treatments ?? []).filter(treatment => ENRICHMENT_TREATMENTS.includes(treatment.type));
+        const enriching = plan.method !== 'water';
+
+        const permitted = { sucrose: rules.sucrose, rcgm: rules.rcgm, concentration: rules.concentration, water: rules.water };
+        if (!permitted[plan.method]) {
+            violations.push(`${ENRICHMENT_METHOD_LABELS[plan.method]} is not permitted in ${rules.label}`);
+        }
+
+        if (enriching && Number.isFinite(rules.maxIncrease)) {
+            const increase = previous.reduce((sum, treatment) => sum + Math.max(0, treatment.alcoholIncrease ?? 0), 0) + plan.alcoholIncrease;
+            if (increase > rules.maxIncrease + 1e-9) {
+                violations.push(`Raises potential alcohol by ${increase.toFixed(1)}% vol in total; ${rules.label} allows ${rules.maxIncrease}% vol`);
+            }
+        }
+        const maxTotal = rules.maxTotal?.[plan.wineType];
+        if (enriching && Number.isFinite(maxTotal) && plan.alcoholAfter > maxTotal + 1e-9) {
+            violations.push(`Potential alcohol after enrichment of ${plan.alcoholAfter.toFixed(1)}% vol exceeds the ${maxTotal}% vol limit`);
+        }
+        if (plan.method === 'concentration' && Number.isFinite(rules.maxConcentration)) {
+            const reduction = -plan.volumeChange / plan.volume * 100;
+            if (reduction > rules.maxConcentration) {
+                violations.push(`Concentration reduces volume by ${reduction.toFixed(1)}%; at most ${rules.maxConcentration}% is allowed`);
+            }
+        }
+        if (plan.method === 'water' && Number.isFinite(rules.minBrixAfterWater) && plan.brixAfter < rules.minBrixAfterWater - 1e-9) {
+            violations.push(`Water may only bring must down to ${rules.minBrixAfterWater} °Brix`);
+        }
+        if (Number.isFinite(rules.maxAmelioration) && ['sucrose', 'water'].includes(plan.method)) {
+            const added = previous.filter(treatment => ['sucrose', 'water'].includes(treatment.method))
+                .reduce((sum, treatment) => sum + Math.max(0, treatment.volumeChange ?? 0), 0) + plan.volumeChange;
+            const base = batch?.initialVolume || plan.volume;
+            if (added / base * 100 > rules.maxAmelioration) {
+                violations.push(`Sugar and water would add ${(added / base * 100).toFixed(1)}% to the volume; at most ${rules.maxAmelioration}% is allowed`);
+            }
+        }
+        if (enriching && rules.exclusiveEnrichmentAcidification && this.hasAcidified(batch)) {
+            violations.push(`The batch has been acidified; ${rules.label} doesn't allow enrichment and acidification of the same product`);
+        }
+
+        return { zone, label: rules.label, allowed: violations.length === 0, violations };
+    }
+
+    // Checks an acid addition, in g/L as tartaric acid, against the zone's rules
+    checkAcidification(batch, zone, tartaricGL) {
+        const rules = this.wineZones[zone];
+        if (!rules) {
+            return { zone, allowed: false, violations: [`Unknown wine zone: ${zone}`] };
+        }
+        const violations = [];
+        if (!rules.acidification) {
+            violations.push(`Acidification is not permitted in ${rules.label}`);
+        }
+        const previous = (batch?.treatments ?? [])
+            .filter(treatment => treatment.type === 'acid-adjustment')
+            .reduce((sum, treatment) => sum + Math.max(0, treatment.tartaricEquivalent ?? 0), 0);
+        if (rules.acidification && Number.isFinite(rules.maxAcidification) && previous + tartaricGL > rules.maxAcidification + 1e-9) {
+            violations.push(`Acidification would total ${(previous + tartaricGL).toFixed(2)} g/L as tartaric acid; ${rules.label} allows ${rules.maxAcidification} g/L`);
+        }
+        if (rules.exclusiveEnrichmentAcidification && (batch?.treatments ?? []).some(treatment => ENRICHMENT_TREATMENTS.includes(treatment.type) && treatment.method !== 'water')) {
+            violations.push(`The batch has been enriched; ${rules.label} doesn't allow enrichment and acidification of the same product`);
+        }
+        return { zone, label: rules.label, allowed: violations.length === 0, violations };
+    }
+
+    hasAcidified(batch) {
+        return (batch?.treatments ?? []).some(treatment => treatment.type === 'acid-adjustment' && treatment.tartaricEquivalent > 0);
+    }
+
     getCurrentPeriod() {
         const now = new Date();
         const start = new Date(now.getFullYear(), now.getMonth(), 1).toISOString().split('T')[0];
@@ -28,15 +174,44 @@ class ComplianceManager {
         return { start, end };
     }
 
+    // Volume added or removed on purpose (water, enrichment, concentration) isn't a loss
     calculateLosses(batch) {
         if (!batch) return { totalLoss: 0, lossPercent: 0 };
-        const expected = batch.initialVolume ?? 0;
+        const adjustments = (batch.history ?? [])
+            .filter(entry => entry.type === 'volume-change')
+            .reduce((sum, entry) => sum + (entry.data?.change ?? 0), 0);
+        const expected = (batch.initialVolume ?? 0) + adjustments;
         const current = batch.currentVolume ?? expected;
         const totalLoss = Math.max(0, expected - current);
         const lossPercent = expected > 0 ? (totalLoss / expected) * 100 : 0;
         return { totalLoss, lossPercent };
     }
 
+    // Most recent lab result by sample time, optionally only among those that have `field`
+    getLatestLab(batch, field = null) {
+        return (batch?.labResults ?? [])
+            .filter(result => !field || Number.isFinite(result[field]))
+            .reduce((latest, result) => !latest || new Date(result.timestamp) > new Date(latest.timestamp) ? result : latest, null);
+    }
+
+    // Latest known alcohol: a lab result, or the strength a later fortification brought it to
+    getCurrentAlcohol(batch) {
+        const candidates = [
+            ...(batch?.labResults ?? []).filter(result => Number.isFinite(result.alcohol))
+                .map(result => ({ value: result.alcohol, timestamp: result.timestamp })),
+            ...(batch?.treatments ?? []).filter(treatment => treatment.type === 'fortification' && Number.isFinite(treatment.abvAfter))
+                .map(treatment => ({ value: treatment.abvAfter, timestamp: treatment.timestamp }))
+        ];
+        if (candidates.length === 0) return null;
+        return candidates.reduce((latest, entry) => new Date(entry.timestamp) >= new Date(latest.timestamp) ? entry : latest).value;
+    }
+
+    getTaxClass(alcohol, country = 'US') {
+        const classes = this.regulations[country]?.taxClasses ?? this.regulations.US.taxClasses;
+        if (!Number.isFinite(alcohol)) return null;
+        return classes.find(taxClass => alcohol <= taxClass.maxAlcohol)?.label ?? 'Over 24% (taxed as spirits)';
+    }
+
     calculateTaxableLiters(batch) {
         if (!batch) return 0;
         const bottled = batch.bottleCount ?? 0;
@@ -50,8 +225,7 @@ class ComplianceManager {
             return null;
         }
 
-        const labResults = batch.labResults ?? [];
-        const latestLab = labResults[labResults.length - 1] ?? {};
+        const alcohol = this.getCurrentAlcohol(batch);
 
         return {
             reportId: `TTB-${Date.now()}`,
@@ -60,34 +234,66 @@ class ComplianceManager {
             reportPeriod: this.getCurrentPeriod(),
             production: {
                 gallonsProduced: (batch.currentVolume ?? 0) * 0.264172,
-                alcoholContent: latestLab.alcohol ?? null,
-                sugarContent: latestLab.residualSugar ?? null
+                alcoholContent: alcohol,
+                taxClass: this.getTaxClass(alcohol),
+                sugarContent: this.getLatestLab(batch, 'residualSugar')?.residualSugar ?? null
             },
             materials: {
                 grapes: batch.grapeWeight ?? null,
                 additives: (batch.treatments ?? []).map(t => ({
-                    name: t.additive ?? t.name ?? 'Unknown',
+                    name: t.additive ?? t.name ?? t.product ?? 'Unknown',
                     amount: t.amount ?? null,
+                    unit: t.unit ?? null,
                     date: t.timestamp ?? t.date ?? null
                 }))
             },
+            enrichment: (batch.treatments ?? [])
+                .filter(t => ENRICHMENT_TREATMENTS.includes(t.type))
+                .map(t => ({
+                    method: t.method,
+                    product: t.product,
+                    amount: t.amount,
+                    unit: t.unit,
+                    volumeChange: t.volumeChange ?? 0,
+                    alcoholIncrease: t.alcoholIncrease ?? 0,
+                    zone: t.zone ?? null,
+                    date: t.timestamp
+                })),
+            spirits: (batch.treatments ?? [])
+                .filter(t => t.type === 'fortification')
+                .map(t => ({
+                    litres: t.amount,
+                    spiritABV: t.spiritABV,
+                    pureAlcohol: t.pureAlcohol,
+                    date: t.timestamp
+                })),
             movements: (batch.history ?? []).filter(h => h.type === 'transfer'),
             losses: this.calculateLosses(batch),
             taxableLiters: this.calculateTaxableLiters(batch)
         };
     }
 
-    trackSO2Compliance(batchId, country = 'US') {
-        const limits = this.regulations[country]?.so2Limits ?? this.regulations.US.so2Limits;
+    // Maximum total SO₂ (mg/L) for the batch's wine type, raised for sweet wines where the
+    // regulations allow it
+    getSO2Limit(batch, country = DEFAULT_SO2_COUNTRY) {
+        const regulation = this.regulations[country] ?? this.regulations[DEFAULT_SO2_COUNTRY];
+        const type = batch?.wineType ?? 'red';
+        let limit = regulation.so2Limits[type] ?? regulation.so2Limits.red;
+        const sweet = regulation.so2SweetAllowance;
+        const residualSugar = this.getLatestLab(batch, 'residualSugar')?.residualSugar;
+        if (sweet && residualSugar >= sweet.residualSugar) {
+            limit += sweet.extra;
+        }
+        return limit;
+    }
+
+    trackSO2Compliance(batchId, country = DEFAULT_SO2_COUNTRY) {
         const batch = this.getBatch(batchId);
         if (!batch) {
             return null;
         }
-        const labResults = batch.labResults ?? [];
-        const latestLab = labResults[labResults.length - 1] ?? {};
-        const type = batch.wineType ?? 'red';
-        const limit = limits[type] ?? 350;
-        const currentSO2 = latestLab.totalSO2 ?? 0;
+        const limit = this.getSO2Limit(batch, country);
+        const currentSO2 = this.getLatestLab(batch, 'totalSO2')?.totalSO2 ?? 0;
 
         return {
             compliant: currentSO2 <= limit,
@@ -118,7 +324,7 @@ class ComplianceManager {
     generateAnalysisReport(batchId) {
         const batch = this.getBatch(batchId);
         if (!batch) return null;
-        const latest = (batch.labResults ?? []).slice(-1)[0] ?? {};
+        const latest = this.getLatestLab(batch) ?? {};
         return {
             id: `AN-${Date.now()}`,
             batchId,
@@ -147,7 +353,7 @@ class ComplianceManager {
             batchId,
             destination,
             volume: batch.currentVolume ?? batch.initialVolume ?? 0,
-            alcohol: (batch.labResults ?? []).slice(-1)[0]?.alcohol ?? null,
+            alcohol: this.getCurrentAlcohol(batch),
             createdAt: new Date().toISOString()
         };
     }
@@ -155,13 +361,13 @@ class ComplianceManager {
     generateVI1Form(batchId) {
         const batch = this.getBatch(batchId);
         if (!batch) return null;
-        const latest = (batch.labResults ?? []).slice(-1)[0] ?? {};
+        const latest = (field) => this.getLatestLab(batch, field)?.[field] ?? null;
         return {
             id: `VI1-${Date.now()}`,
             batchId,
-            alcohol: latest.alcohol ?? null,
-            totalAcidity: latest.totalAcidity ?? null,
-            residualSugar: latest.residualSugar ?? null,
+            alcohol: latest('alcohol'),
+            totalAcidity: latest('totalAcidity'),
+            residualSugar: latest('residualSugar'),
             issuedAt: new Date().toISOString()
         };
     }
@@ -0,0 +1,167 @@
+// csvCodec.js - RFC 4180 CSV reading and writing
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+class CsvCodec {
+    // Picks the delimiter that occurs most often outside quotes on the first line
+    static detectDelimiter(text) {
+        const counts = new Map(CSV_DELIMITERS.map(delimiter => [delimiter, 0]));
+        let inQuotes = false;
+        for (const char of text) {
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && (char === '\n' || char === '\r')) {
+                break;
+            } else if (!inQuotes && counts.has(char)) {
+                counts.set(char, counts.get(char) + 1);
+            }
+        }
+        const [best, count] = Array.from(counts.entries()).reduce((top, entry) => entry[1] > top[1] ? entry : top);
+        return count > 0 ? best : ',';
+    }
+
+    static stripBOM(text) {
+        return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    }
+
+    // Returns rows as arrays of strings. Quoted fields may contain the delimiter, doubled
+    // quotes and line breaks; blank lines are skipped.
+    static parseRows(text, { delimiter = 'auto' } = {}) {
+        const source = CsvCodec.stripBOM(String(text ?? ''));
+        const separator = delimiter === 'auto' ? CsvCodec.detectDelimiter(source) : delimiter;
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        let quotedField = false;
+
+        const endField = () => {
+            row.push(field);
+            field = '';
+            quotedField = false;
+        };
+        const endRow = () => {
+            endField();
+            if (row.length > 1 || row[0] !== '') {
+                rows.push(row);
+            }
+            row = [];
+        };
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (inQuotes) {
+                if (char === '"') {
+                    if (source[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '' && !quotedField) {
+                inQuotes = true;
+                quotedField = true;
+            } else if (char === separator) {
+                endField();
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && source[i + 1] === '\n') {
+                    i++;
+                }
+                endRow();
+            } else {
+                field += char;
+            }
+        }
+        if (inQuotes) {
+            throw new Error('Unterminated quoted field in CSV');
+        }
+        if (field !== '' || row.length > 0) {
+            endRow();
+        }
+
+        return { rows, delimiter: separator };
+    }
+
+    // First row is the header. Returns { headers, rows, delimiter } with rows as objects.
+    static parse(text, options = {}) {
+        const { rows, delimiter } = CsvCodec.parseRows(text, options);
+        const [headerRow = [], ...dataRows] = rows;
+        const headers = headerRow.map(header => header.trim());
+        return {
+            headers,
+            delimiter,
+            rows: dataRows.map(values => {
+                const entry = {};
+                headers.forEach((header, i) => {
+                    entry[header] = values[i] ?? '';
+                });
+                return entry;
+            })
+        };
+    }
+
+    // True when numeric-looking cells use a comma as the decimal separator (e.g. Romanian Excel)
+    static detectDecimalComma(rows) {
+        let comma = 0;
+        let point = 0;
+        rows.forEach(row => Object.values(row).forEach(value => {
+            const trimmed = String(value).trim();
+            if (/^-?\d+,\d+$/.test(trimmed)) comma += 1;
+            else if (/^-?\d+\.\d+$/.test(trimmed)) point += 1;
+        }));
+        return comma > point;
+    }
+
+    // With a decimal comma, dots are read as thousands separators ("1.234,5" -> 1234.5)
+    // unless the value has no comma at all, in which case it is parsed as written.
+    static parseNumber(value, { decimalComma = false } = {}) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? value : null;
+        }
+        let text = String(value ?? '').trim().replace(/\s/g, '');
+        if (!text) {
+            return null;
+        }
+        if (decimalComma && text.includes(',')) {
+            text = text.replace(/\./g, '').replace(',', '.');
+        }
+        if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text)) {
+            return NaN;
+        }
+        return parseFloat(text);
+    }
+
+    static formatNumber(value, { decimalComma = false } = {}) {
+        const text = String(value);
+        return decimalComma ? text.replace('.', ',') : text;
+    }
+
+    static quote(value, delimiter) {
+        const text = value === null || value === undefined ? '' : String(value);
+        if (text.includes('"') || text.includes(delimiter) || /[\r\n]/.test(text) || text !== text.trim()) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    static stringifyRows(rows, { delimiter = ',', lineEnding = '\r\n', bom = false } = {}) {
+        const body = rows.map(row => row.map(value => CsvCodec.quote(value, delimiter)).join(delimiter)).join(lineEnding);
+        return (bom ? '\uFEFF' : '') + body + (rows.length ? lineEnding : '');
+    }
+
+    // Objects to CSV with a header row. Headers default to every key seen, in first-seen order.
+    static stringify(objects, { headers = null, decimalComma = false, ...options } = {}) {
+        const columns = headers ?? Array.from(new Set(objects.flatMap(entry => Object.keys(entry))));
+        const rows = objects.map(entry => columns.map(column => {
+            const value = entry[column];
+            return typeof value === 'number' ? CsvCodec.formatNumber(value, { decimalComma }) : value;
+        }));
+        return CsvCodec.stringifyRows([columns, ...rows], options);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.CsvCodec = CsvCodec;
+}
@@ -2,7 +2,7 @@
 
 const DATETIME_LOCAL_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
 const DATETIME_WITH_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})(?::\d{2}(?:\.\d+)?)?$/;
-const DAY_FIRST_PATTERN = /^(\d{1,2})[\/-](\d{1,2})[\/-](\d{4})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?(?:\s*([zZ]|[+-]\d{2}:?\d{2}))?$/;
+const DAY_FIRST_PATTERN = /^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{4})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?(?:\s*([zZ]|[+-]\d{2}:?\d{2}))?$/;
 
 function toLocalDateTimeString(date) {
     if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
@@ -96,9 +96,57 @@ class DataManager {
     constructor() {
         this.cache = new Map();
         this.subscribers = [];
+        this.persistErrorSubscribers = [];
         this.memoryStore = new Map();
         this.memoryVariety = new Map();
         this.storageAvailable = this.checkStorageAvailability();
+        this.readingStore = null;
+        this.varieties = new Map();
+        this.auditTrail = typeof AuditTrail !== 'undefined' ? new AuditTrail() : null;
+        this.hydrometerCalibration = typeof FermentationCalculations !== 'undefined'
+            ? FermentationCalculations.HYDROMETER_CALIBRATION_C
+            : 20;
+    }
+
+    // Opens the IndexedDB reading store, lifts any legacy localStorage logs into it and
+    // warms the cache so the synchronous read API keeps working. Without IndexedDB the
+    // manager stays on the localStorage/in-memory path.
+    async init(tankIds = []) {
+        if (typeof ReadingStore === 'undefined' || !ReadingStore.isSupported()) {
+            return false;
+        }
+
+        const store = new ReadingStore();
+        try {
+            if (!await store.open()) {
+                return false;
+            }
+            if (this.storageAvailable) {
+                const legacy = await store.importLegacyStorage(window.localStorage, tankIds);
+                if (legacy.imported && (legacy.readings > 0 || legacy.varieties > 0)) {
+                    console.info(`Imported ${legacy.readings} readings and ${legacy.varieties} varieties from local storage.`);
+                }
+            }
+            const { readings, varieties } = await store.loadAll();
+            if (this.auditTrail) {
+                await this.auditTrail.attachStore(store);
+            }
+            this.cache = new Map();
+            this.varieties = varieties;
+            this.readingStore = store;
+            readings.forEach((entries, tankId) => {
+                const normalized = this.sortReadings(entries.map(entry => this.normalizeReading(entry)));
+                this.cache.set(tankId, normalized);
+                if (entries.some(entry => !entry.id)) {
+                    this.persistTankData(tankId, normalized);
+                }
+            });
+            return true;
+        } catch (error) {
+            console.warn('IndexedDB reading store unavailable, using local storage.', error);
+            store.close();
+            return false;
+        }
     }
 
     checkStorageAvailability() {
@@ -122,17 +170,35 @@ class DataManager {
         return clone;
     }
 
+    // Every reading carries a durable id so edits, deletes, sync and comments can address it
+    // regardless of its position in the sorted log.
     normalizeReading(entry) {
         if (!entry || typeof entry !== 'object') {
             return entry;
         }
 
+        const normalized = { ...entry, id: entry.id || createReadingId() };
         const normalizedTimestamp = formatForDateTimeInput(entry.timestamp);
         if (normalizedTimestamp) {
-            return { ...entry, timestamp: normalizedTimestamp };
+            normalized.timestamp = normalizedTimestamp;
+        }
+
+        return this.deriveGravity(normalized);
+    }
+
+    // Values derived on an earlier save are dropped and worked out again, so editing the
+    // recorded SG or temperature updates them. derivedFields lists what wasn't recorded.
+    deriveGravity(reading) {
+        if (typeof FermentationCalculations === 'undefined') {
+            return reading;
         }
+        const recorded = { ...reading };
+        (Array.isArray(reading.derivedFields) ? reading.derivedFields : []).forEach(field => delete recorded[field]);
+        delete recorded.derivedFields;
 
-        return { ...entry };
+        const derived = FermentationCalculations.deriveGravity(recorded, this.hydrometerCalibration);
+        const fields = Object.keys(derived);
+        return fields.length ? { ...recorded, ...derived, derivedFields: fields } : recorded;
     }
 
     getTankData(tankId) {
@@ -143,8 +209,11 @@ class DataManager {
             return this.cache.get(tankId);
         }
 
+        // init() loads the whole IndexedDB store into the cache, so a miss there means no readings
         let parsed = [];
-        if (this.storageAvailable) {
+        if (this.readingStore) {
+            parsed = [];
+        } else if (this.storageAvailable) {
             try {
                 const stored = window.localStorage.getItem(tankId);
                 parsed = stored ? JSON.parse(stored) : [];
@@ -157,56 +226,188 @@ class DataManager {
             parsed = this.memoryStore.get(tankId) ?? [];
         }
 
-        const clone = parsed.map(entry => ({ ...entry }));
+        const clone = parsed.map(entry => this.normalizeReading(entry));
+        if (parsed.some(entry => !entry?.id)) {
+            // Persist freshly assigned ids straight away so they survive a reload
+            this.persistTankData(tankId, clone);
+        }
         this.cache.set(tankId, clone);
         return clone;
     }
 
-    saveTankData(tankId, data) {
-        // Sort by timestamp (newest first) before saving
-        const sorted = [...data].sort((a, b) =>
+    sortReadings(data) {
+        // Newest first
+        return [...data].sort((a, b) =>
             new Date(b.timestamp) - new Date(a.timestamp)
         );
+    }
 
-        if (this.storageAvailable) {
+    saveTankData(tankId, data) {
+        const sorted = this.sortReadings(data);
+        this.persistTankData(tankId, sorted);
+
+        const snapshot = sorted.map(entry => ({ ...entry }));
+        this.cache.set(tankId, snapshot);
+        this.notifyChange(tankId, snapshot);
+    }
+
+    // Replaces the readings of every tank at once (backup restore). Tanks missing from
+    // dataByTank are emptied. The returned promise settles when IndexedDB has the change;
+    // if the write fails, the cache goes back to the readings it had before.
+    replaceAllTankData(dataByTank) {
+        const tankIds = new Set([...this.cache.keys(), ...dataByTank.keys()]);
+        const sortedByTank = new Map();
+        tankIds.forEach(tankId => sortedByTank.set(tankId, this.sortReadings(dataByTank.get(tankId) ?? [])));
+        const previous = new Map(this.cache);
+
+        let saved = Promise.resolve();
+        if (this.readingStore) {
+            saved = this.readingStore.replaceAllReadings(sortedByTank).catch(error => {
+                console.warn('Persisting readings to IndexedDB failed. The previous readings were kept.', error);
+                tankIds.forEach(tankId => {
+                    const data = previous.get(tankId);
+                    if (data) {
+                        this.cache.set(tankId, data);
+                    } else {
+                        this.cache.delete(tankId);
+                    }
+                    this.notifyChange(tankId, data ?? []);
+                });
+                this.notifyPersistError(null, error);
+                throw error;
+            });
+        } else {
+            sortedByTank.forEach((sorted, tankId) => this.persistTankData(tankId, sorted));
+        }
+
+        sortedByTank.forEach((sorted, tankId) => {
+            const snapshot = sorted.map(entry => ({ ...entry }));
+            this.cache.set(tankId, snapshot);
+            this.notifyChange(tankId, snapshot);
+        });
+        return saved;
+    }
+
+    persistTankData(tankId, sorted) {
+        if (this.readingStore) {
+            this.readingStore.replaceTankReadings(tankId, sorted).catch(error => {
+                console.warn('Persisting readings to IndexedDB failed. Changes remain in memory for this session.', error);
+                this.notifyPersistError(tankId, error);
+            });
+        } else if (this.storageAvailable) {
             try {
                 window.localStorage.setItem(tankId, JSON.stringify(sorted));
             } catch (error) {
                 console.warn('Persisting to local storage failed. Continuing with in-memory cache.', error);
                 this.storageAvailable = false;
                 this.useMemoryStore(tankId, sorted);
+                this.notifyPersistError(tankId, error);
             }
         }
 
-        if (!this.storageAvailable) {
+        if (!this.readingStore && !this.storageAvailable) {
             this.useMemoryStore(tankId, sorted);
         }
+    }
 
-        const snapshot = sorted.map(entry => ({ ...entry }));
-        this.cache.set(tankId, snapshot);
-        this.notifyChange(tankId, snapshot);
+    recordAudit(details) {
+        return this.auditTrail ? this.auditTrail.record(details) : null;
+    }
+
+    addReading(tankId, reading, { reason = '' } = {}) {
+        const data = this.getTankData(tankId);
+        const normalized = this.normalizeReading(reading);
+        data.push(normalized);
+        this.saveTankData(tankId, data);
+        this.recordAudit({ action: 'create', tankId, readingId: normalized.id, after: normalized, reason });
+        return normalized;
+    }
+
+    getReading(tankId, readingId) {
+        if (!readingId) return null;
+        return this.getTankData(tankId).find(entry => entry.id === readingId) ?? null;
+    }
+
+    findReadingIndex(tankId, readingId) {
+        if (!readingId) return -1;
+        return this.getTankData(tankId).findIndex(entry => entry.id === readingId);
     }
 
-    addReading(tankId, reading) {
+    updateReading(tankId, readingId, reading, { reason = '' } = {}) {
         const data = this.getTankData(tankId);
-        data.push(this.normalizeReading(reading));
+        const index = this.findReadingIndex(tankId, readingId);
+        if (index === -1) {
+            return null;
+        }
+        const previous = data[index];
+        const updated = this.normalizeReading({ ...reading, id: readingId });
+        data[index] = updated;
         this.saveTankData(tankId, data);
+        this.recordAudit({ action: 'update', tankId, readingId, before: previous, after: updated, reason });
+        return updated;
     }
 
-    updateReading(tankId, index, reading) {
+    // Removes the reading from the live log. The audit trail keeps the deleted values so the
+    // reading can be brought back with restoreReading().
+    deleteReading(tankId, readingId, { reason = '' } = {}) {
         const data = this.getTankData(tankId);
-        if (index >= 0 && index < data.length) {
-            data[index] = this.normalizeReading(reading);
-            this.saveTankData(tankId, data);
+        const index = this.findReadingIndex(tankId, readingId);
+        if (index === -1) {
+            return null;
         }
+        const [removed] = data.splice(index, 1);
+        this.saveTankData(tankId, data);
+        this.recordAudit({ action: 'delete', tankId, readingId, before: removed, reason });
+        return removed;
     }
 
-    deleteReading(tankId, index) {
+    // Brings back the version of a reading captured by an audit entry: the values written by a
+    // create/update/restore, or the values removed by a delete.
+    restoreReading(tankId, auditEntryId, { reason = '' } = {}) {
+        const entry = this.auditTrail?.getEntry(auditEntryId);
+        if (!entry || entry.tankId !== tankId) {
+            return null;
+        }
+        const version = entry.action === 'delete' ? entry.before : (entry.after ?? entry.before);
+        if (!version) {
+            return null;
+        }
+
         const data = this.getTankData(tankId);
-        if (index >= 0 && index < data.length) {
-            data.splice(index, 1);
-            this.saveTankData(tankId, data);
+        const index = this.findReadingIndex(tankId, entry.readingId);
+        const previous = index === -1 ? null : data[index];
+        const restored = this.normalizeReading({ ...version, id: entry.readingId });
+        if (index === -1) {
+            data.push(restored);
+        } else {
+            data[index] = restored;
         }
+        this.saveTankData(tankId, data);
+        this.recordAudit({
+            action: 'restore',
+            tankId,
+            readingId: entry.readingId,
+            before: previous,
+            after: restored,
+            reason,
+            restoredFrom: entry.id
+        });
+        return restored;
+    }
+
+    getReadingHistory(readingId) {
+        return this.auditTrail ? this.auditTrail.getReadingHistory(readingId) : [];
+    }
+
+    getDeletedReadings(tankId) {
+        return this.auditTrail ? this.auditTrail.getDeletedReadings(tankId) : [];
+    }
+
+    isSameReading(a, b) {
+        const fields = new Set([...Object.keys(a ?? {}), ...Object.keys(b ?? {})]);
+        fields.delete('id');
+        fields.delete('derivedFields');
+        return Array.from(fields).every(field => (a?.[field] ?? null) === (b?.[field] ?? null));
     }
 
     getLatestReading(tankId) {
@@ -218,80 +419,231 @@ class DataManager {
         );
     }
 
-    mergeReadings(tankId, imported) {
+    mergeReadings(tankId, imported, { reason = 'Import' } = {}) {
         const existing = this.getTankData(tankId);
-        const map = new Map();
-
-        const normalizeEntry = (entry) => this.normalizeReading(entry);
+        const changes = [];
+        const byId = new Map();
+        const idByTimestamp = new Map();
 
         // Existing entries
         existing.forEach(entry => {
-            const normalized = normalizeEntry(entry);
+            const normalized = this.normalizeReading(entry);
             if (!normalized) {
                 return;
             }
-            const key = normalized.timestamp ?? entry?.timestamp;
-            if (key) {
-                map.set(key, normalized);
+            byId.set(normalized.id, normalized);
+            if (normalized.timestamp) {
+                idByTimestamp.set(normalized.timestamp, normalized.id);
             }
         });
 
-        // Imported entries (overwrite if same timestamp)
+        // Imported entries replace the reading with the same id, or else the one with the same
+        // timestamp (keeping that reading's id so references to it stay valid)
         imported.forEach(entry => {
-            const normalized = normalizeEntry(entry);
-            if (!normalized) {
+            if (!entry || typeof entry !== 'object') {
                 return;
             }
-            const key = normalized.timestamp ?? entry?.timestamp;
-            if (key) {
-                map.set(key, normalized);
+            const timestamp = formatForDateTimeInput(entry.timestamp) || entry.timestamp;
+            if (!timestamp) {
+                return;
             }
+            const matchedId = entry.id && byId.has(entry.id)
+                ? entry.id
+                : idByTimestamp.get(timestamp);
+            // Ids from elsewhere (another tank's export, a repeated row) would clash with the
+            // store-wide unique index, so unmatched readings get a fresh one
+            const normalized = this.normalizeReading({ ...entry, id: matchedId ?? null });
+            const previous = matchedId ? byId.get(matchedId) : null;
+            if (previous && this.isSameReading(previous, normalized)) {
+                return;
+            }
+            if (previous && previous.timestamp !== normalized.timestamp) {
+                idByTimestamp.delete(previous.timestamp);
+            }
+            byId.set(normalized.id, normalized);
+            idByTimestamp.set(normalized.timestamp, normalized.id);
+            changes.push({ previous, normalized });
         });
 
-        const merged = Array.from(map.values());
+        const merged = Array.from(byId.values());
         this.saveTankData(tankId, merged);
+        changes.forEach(({ previous, normalized }) => this.recordAudit({
+            action: previous ? 'update' : 'create',
+            tankId,
+            readingId: normalized.id,
+            before: previous,
+            after: normalized,
+            reason
+        }));
         return merged;
     }
 
-    exportData(tankId, format = 'json') {
+    // Sorts imported entries against the tank's log without changing it. Each entry is
+    // validated like the reading form; valid ones are matched by id, then timestamp, and
+    // come back as 'new', 'identical' or 'conflict' rows for applyMerge().
+    // rowNumbers optionally maps entry positions to row numbers in the source file; profile is
+    // the tank's validation profile, whose limits replace the defaults.
+    previewMerge(tankId, imported, { rowNumbers = null, profile = null } = {}) {
+        const existing = this.getTankData(tankId);
+        const byId = new Map(existing.map(entry => [entry.id, entry]));
+        const byTimestamp = new Map(existing.map(entry => [entry.timestamp, entry]));
+        const numericFields = ['temperature', 'sugar', 'sg', 'ph', 'ta', 'volume'];
+        const rows = [];
+        const rejected = [];
+
+        imported.forEach((entry, index) => {
+            const rowNumber = rowNumbers?.[index] ?? null;
+            if (!entry || typeof entry !== 'object') {
+                rejected.push({ index, rowNumber, entry, errors: ['Not a reading'] });
+                return;
+            }
+            const timestamp = formatForDateTimeInput(entry.timestamp);
+            const validation = Validator.validateForm({ ...entry, timestamp }, profile);
+            if (!validation.valid) {
+                rejected.push({ index, rowNumber, entry, errors: validation.errors });
+                return;
+            }
+
+            const candidate = { ...entry, ...validation.data };
+            numericFields.forEach(field => {
+                if (!(field in validation.data)) delete candidate[field];
+            });
+            const match = (candidate.id && byId.get(candidate.id)) || byTimestamp.get(timestamp) || null;
+            // Unmatched readings get a fresh id; a foreign one could already be taken by another tank
+            const incoming = this.normalizeReading({ ...candidate, id: match?.id ?? null });
+            const status = !match ? 'new' : this.isSameReading(match, incoming) ? 'identical' : 'conflict';
+            rows.push({ index, rowNumber, status, existing: match, incoming });
+        });
+
+        return {
+            tankId,
+            rows,
+            rejected,
+            counts: {
+                new: rows.filter(row => row.status === 'new').length,
+                identical: rows.filter(row => row.status === 'identical').length,
+                conflict: rows.filter(row => row.status === 'conflict').length,
+                rejected: rejected.length
+            }
+        };
+    }
+
+    // Applies a preview. choices maps a conflict row's index to 'keep' (leave the existing
+    // reading), 'replace' (overwrite it, keeping its id) or 'keep-both' (add the import as a
+    // separate reading); conflicts without a choice are kept.
+    applyMerge(preview, choices = {}, { reason = 'Import' } = {}) {
+        const { tankId } = preview;
+        const data = [...this.getTankData(tankId)];
+        const summary = { added: 0, replaced: 0, kept: 0, identical: 0, rejected: preview.rejected.length };
+        const changes = [];
+
+        preview.rows.forEach(row => {
+            if (row.status === 'identical') {
+                summary.identical += 1;
+                return;
+            }
+            const choice = row.status === 'new' ? 'add' : (choices[row.index] ?? 'keep');
+            if (choice === 'replace') {
+                const position = data.findIndex(entry => entry.id === row.existing.id);
+                if (position !== -1) {
+                    data[position] = row.incoming;
+                    changes.push({ action: 'update', before: row.existing, after: row.incoming });
+                    summary.replaced += 1;
+                    return;
+                }
+            }
+            if (choice === 'add' || choice === 'keep-both' || choice === 'replace') {
+                const added = choice === 'keep-both'
+                    ? this.normalizeReading({ ...row.incoming, id: null })
+                    : row.incoming;
+                data.push(added);
+                changes.push({ action: 'create', before: null, after: added });
+                summary.added += 1;
+                return;
+            }
+            summary.kept += 1;
+        });
+
+        if (changes.length) {
+            this.saveTankData(tankId, data);
+            changes.forEach(change => this.recordAudit({
+                action: change.action,
+                tankId,
+                readingId: change.after.id,
+                before: change.before,
+                after: change.after,
+                reason
+            }));
+        }
+        return summary;
+    }
+
+    exportData(tankId, format = 'json', csvOptions = {}) {
         const data = this.getTankData(tankId);
         
         if (format === 'csv') {
-            return this.toCSV(data);
+            return this.toCSV(data, csvOptions);
         }
         
         return JSON.stringify(data, null, 2);
     }
 
-    toCSV(data) {
+    // Known reading columns first, then any extra fields in first-seen order
+    exportColumns(data) {
+        const known = ['id', 'timestamp', 'temperature', 'sugar', 'sg', 'sgCorrected', 'ph', 'ta', 'volume', 'notes'];
+        const seen = new Set(data.flatMap(d => Object.keys(d)));
+        return [...known.filter(h => seen.has(h)), ...Array.from(seen).filter(h => !known.includes(h))];
+    }
+
+    // csvOptions: { delimiter, decimalComma, bom } - see CsvCodec.stringify - and units
+    // ({ field: unit }, see Units) to write values in
+    toCSV(data, { units = null, ...csvOptions } = {}) {
         if (!data.length) return '';
         
-        const headers = Array.from(new Set(data.flatMap(d => Object.keys(d))));
-        const rows = data.map(row => 
-            headers.map(h => JSON.stringify(row[h] ?? '')).join(',')
-        );
-        
-        return [headers.join(','), ...rows].join('\n');
+        const { readings, headers, columns } = this.inUnits(data, units);
+        const rows = readings.map(reading => Object.fromEntries(columns.map((column, i) => [headers[i], reading[column]])));
+        return CsvCodec.stringify(rows, { ...csvOptions, headers });
     }
 
-    parseCSV(text) {
-        const [headerLine, ...lines] = text.trim().split(/\r?\n/);
-        const headers = headerLine.split(',');
-        
-        return lines.filter(l => l.trim()).map(line => {
-            const values = line.split(',');
-            const entry = {};
-            
-            headers.forEach((h, i) => {
-                let value = values[i];
-                if (value) {
-                    value = value.replace(/^"|"$/g, '');
-                }
-                entry[h] = value;
-            });
-            
-            return entry;
+    // One sheet per tank for Spreadsheet.toBlob(); timestamps become date cells
+    toWorkbook(tankIds, { units = null } = {}) {
+        const sheets = tankIds.map(tankId => {
+            const data = this.getTankData(tankId);
+            if (!data.length) return { name: tankId, rows: [['timestamp']] };
+            const { readings, headers, columns } = this.inUnits(data, units);
+            const rows = readings.map(reading => columns.map(column => {
+                const value = reading[column];
+                if (column === 'timestamp') return Spreadsheet.toDateCell(value);
+                return value === undefined ? null : value;
+            }));
+            return { name: tankId, rows: [headers, ...rows] };
         });
+        return { sheets };
+    }
+
+    // Readings converted out of the stored units. Every column with units names its unit in
+    // the header ("temperature (°F)", "sugar (Baumé)"), converted or not, so the import wizard
+    // reads it back the same whatever the importing user's entry units are.
+    inUnits(data, units) {
+        const columns = this.exportColumns(data);
+        const converted = Object.fromEntries(Object.entries(units ?? {})
+            .filter(([field, unit]) => Units.canonical(field) && unit !== Units.canonical(field)));
+        const headers = columns.map(column => Units.canonical(column)
+            ? `${column} (${Units.label(column, converted[column] ?? Units.canonical(column))})`
+            : column);
+        if (!Object.keys(converted).length) {
+            return { readings: data, headers, columns };
+        }
+        return {
+            readings: data.map(reading => Units.convertReading(reading, converted)),
+            headers,
+            columns
+        };
+    }
+
+    // Rows as objects keyed by header, values left as strings
+    parseCSV(text, csvOptions = {}) {
+        return CsvCodec.parse(text, csvOptions).rows;
     }
 
     // Observer pattern for data changes
@@ -303,8 +655,20 @@ class DataManager {
         this.subscribers.forEach(callback => callback(tankId, data));
     }
 
+    // Saves run in the background; callbacks hear about the ones that fail
+    onPersistError(callback) {
+        this.persistErrorSubscribers.push(callback);
+    }
+
+    notifyPersistError(tankId, error) {
+        this.persistErrorSubscribers.forEach(callback => callback(tankId, error));
+    }
+
     // Tank variety management
     getTankVariety(tankId) {
+        if (this.readingStore) {
+            return this.varieties.get(tankId) || '';
+        }
         if (this.storageAvailable) {
             try {
                 return window.localStorage.getItem(`${tankId}_variety`) || '';
@@ -317,6 +681,18 @@ class DataManager {
     }
 
     setTankVariety(tankId, variety) {
+        if (this.readingStore) {
+            if (variety) {
+                this.varieties.set(tankId, variety);
+            } else {
+                this.varieties.delete(tankId);
+            }
+            this.readingStore.setTankVariety(tankId, variety).catch(error => {
+                console.warn('Persisting tank variety to IndexedDB failed.', error);
+            });
+            return;
+        }
+
         if (this.storageAvailable) {
             try {
                 if (variety) {
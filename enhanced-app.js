@@ -8,6 +8,19 @@ class EnhancedDashboardApp {
         this.aiAnalytics = typeof AIAnalytics !== 'undefined' ? new AIAnalytics(this.batchManager) : null;
         this.apiIntegration = typeof APIIntegration !== 'undefined' ? new APIIntegration(this.batchManager) : null;
         this.pwaManager = typeof PWAManager !== 'undefined' ? new PWAManager() : null;
+        this.alertSystem = typeof FermentationAlertSystem !== 'undefined' && this.dataManager
+            ? new FermentationAlertSystem(this.dataManager, this.batchManager)
+            : null;
+        this.editingAlertRule = null;
+        this.alertEscalation = this.alertSystem && typeof AlertEscalation !== 'undefined'
+            ? new AlertEscalation(this.alertSystem.alertLog, { pwaManager: this.pwaManager })
+            : null;
+        this.escalationDraft = null;
+        this.backupManager = typeof BackupManager !== 'undefined' && this.dataManager
+            ? new BackupManager(this.dataManager, this.batchManager, this.productionPlanner, window.collaboration ?? null)
+            : null;
+        this.registerBackupSettings();
+        this.pendingRestore = null;
         this.tanks = [];
         this.scannerStream = null;
         this.scanFrameRequest = null;
@@ -20,12 +33,69 @@ class EnhancedDashboardApp {
         this.cellar3DEnabled = false;
         this.notifications = [];
         this.notificationsOpen = false;
+        this.alertMonitor = null;
         this.handleDocumentClick = this.handleDocumentClick.bind(this);
         this.handleEscape = this.handleEscape.bind(this);
     }
 
+    // Settings the features keep in localStorage, so a backup covers them too
+    registerBackupSettings() {
+        if (!this.backupManager) return;
+        this.backupManager.registerStoredKeys({
+            name: 'wineZones',
+            label: 'Wine zone rules',
+            file: 'wine-zones.json',
+            keys: ['wine_zone_rules', 'wineZone'],
+            reload: () => {
+                if (this.complianceManager) this.complianceManager.wineZones = this.complianceManager.loadWineZones();
+            }
+        });
+        // Profiles are read when the tracker page opens, so nothing here needs reloading
+        this.backupManager.registerStoredKeys({
+            name: 'validationProfiles',
+            label: 'Validation profiles',
+            file: 'validation-profiles.json',
+            keys: ['validation_profiles']
+        });
+        this.backupManager.registerStoredKeys({
+            name: 'unitPreferences',
+            label: 'Unit preferences',
+            file: 'unit-preferences.json',
+            keys: ['unit_preferences']
+        });
+        this.backupManager.registerStoredKeys({
+            name: 'alertRules',
+            label: 'Alert rules',
+            file: 'alert-rules.json',
+            keys: ['alert_rules'],
+            reload: () => this.alertSystem?.alertRules.reload()
+        });
+        this.backupManager.registerStoredKeys({
+            name: 'alertLog',
+            label: 'Alert history',
+            file: 'alert-log.json',
+            keys: ['alert_log'],
+            reload: () => this.alertSystem?.alertLog?.reload()
+        });
+        // Channels, contacts, the escalation policy and the on-call roster
+        this.backupManager.registerStoredKeys({
+            name: 'alertEscalation',
+            label: 'Alert escalation',
+            file: 'alert-escalation.json',
+            keys: ['alert_escalation'],
+            reload: () => {
+                this.alertEscalation?.reload();
+                this.escalationDraft = null;
+            }
+        });
+    }
+
     async init() {
         await this.loadTanks();
+        if (this.dataManager) {
+            await this.dataManager.init(this.tanks.map(tank => tank.id));
+        }
+        this.backupManager?.setTanks(this.tanks);
         this.populateQuickAddSelector();
         this.bindNavigation();
         this.bindQuickAddForm();
@@ -39,6 +109,13 @@ class EnhancedDashboardApp {
         this.renderAnalyticsSummary();
         this.renderSettingsPanel();
         this.switchView(this.currentView);
+        this.startAlertMonitoring();
+    }
+
+    // Re-evaluates alerts and runs escalation while the dashboard sits idle
+    startAlertMonitoring() {
+        if (!this.alertSystem || this.alertMonitor) return;
+        this.alertMonitor = setInterval(() => this.updateNotifications(), 30000);
     }
 
     async loadTanks() {
@@ -96,7 +173,9 @@ class EnhancedDashboardApp {
         if (!panel || !button) {
             return;
         }
-        if (panel.contains(event.target) || button.contains(event.target)) {
+        // The path is fixed at dispatch, so it still counts clicks on list items re-rendered since
+        const path = event.composedPath();
+        if (path.includes(panel) || path.includes(button)) {
             return;
         }
         this.toggleNotifications(false);
@@ -124,24 +203,28 @@ class EnhancedDashboardApp {
                 ph: parseFloat(document.getElementById('quickPH').value) || null,
                 notes: 'Quick reading logged from dashboard'
             };
-            this.dataManager.addReading(tankId, reading);
+            const saved = this.dataManager.addReading(tankId, reading);
             if (this.batchManager) {
                 const batch = this.batchManager.ensureBatchForTank(tankId, { volume: reading.volume ?? 0 });
-                batch.history.push({ type: 'reading', data: reading, timestamp: reading.timestamp });
+                batch.history.push({ type: 'reading', data: saved, timestamp: saved.timestamp });
                 this.batchManager.saveBatches();
             }
             this.closeModal();
-            this.renderKPIs();
-            this.renderTemperatureChart();
-            this.renderFermentationProgress();
-            this.renderActivityFeed();
-            this.renderTankOverview();
-            this.renderBatchOverview();
-            this.renderAnalyticsSummary();
-            this.updateNotifications();
+            this.refreshDataViews();
         });
     }
 
+    refreshDataViews() {
+        this.renderKPIs();
+        this.renderTemperatureChart();
+        this.renderFermentationProgress();
+        this.renderActivityFeed();
+        this.renderTankOverview();
+        this.renderBatchOverview();
+        this.renderAnalyticsSummary();
+        this.updateNotifications();
+    }
+
     renderKPIs() {
         const batches = this.batchManager ? this.batchManager.getAllBatches() : [];
         const active = batches.filter(batch => batch.status === 'active').length;
@@ -460,9 +543,19 @@ class EnhancedDashboardApp {
                     <div><dt>Lab Tests</dt><dd>${labCount}</dd></div>
                     <div><dt>History Events</dt><dd>${historyCount}</dd></div>
                 </dl>
+                <label>Cooling setpoint (°C)
+                    <input type="number" step="any" data-setpoint value="${Number.isFinite(batch.coolingSetpoint) ? batch.coolingSetpoint : ''}" placeholder="none">
+                </label>
                 <footer>Last updated: ${this.formatDate(batch.history?.[historyCount - 1]?.timestamp ?? batch.createdAt)}</footer>
             `;
 
+            // Rules such as glycol-failure use it in place of their own limit
+            card.querySelector('[data-setpoint]').addEventListener('change', (event) => {
+                const value = event.target.value.trim();
+                this.batchManager.setCoolingSetpoint(batch.id, value === '' ? null : Number(value));
+                this.updateNotifications();
+            });
+
             container.appendChild(card);
         });
     }
@@ -689,6 +782,654 @@ class EnhancedDashboardApp {
             `;
             container.appendChild(card);
         });
+
+        if (this.alertSystem) {
+            container.appendChild(this.renderAlertRulesCard());
+        }
+        if (this.alertEscalation) {
+            container.appendChild(this.renderAlertEscalationCard());
+        }
+        if (this.backupManager) {
+            container.appendChild(this.renderBackupCard());
+        }
+        if (typeof Spreadsheet !== 'undefined' && this.dataManager) {
+            container.appendChild(this.renderSpreadsheetCard());
+        }
+    }
+
+    renderAlertRulesCard() {
+        const alertRules = this.alertSystem.alertRules;
+        const rules = alertRules.getRules();
+        const card = document.createElement('article');
+        card.className = 'glass-card settings-card alert-rules-card';
+        card.innerHTML = `
+            <header>
+                <h3>Alert Rules</h3>
+                <span class="status-pill status-active">${rules.filter(rule => rule.enabled).length} of ${rules.length} on</span>
+            </header>
+            <p>Conditions on tank readings that raise alerts. Thresholds and limits are in °C, Baumé and litres. The time-weighted measures look back over the window in hours.</p>
+            <table class="backup-summary">
+                <thead><tr><th>On</th><th>Rule</th><th>Condition</th><th>Scope</th><th>Severity</th><th></th></tr></thead>
+                <tbody>
+                    ${rules.map(rule => `
+                        <tr>
+                            <td><input type="checkbox" data-toggle="${escapeHTML(rule.id)}" ${rule.enabled ? 'checked' : ''} aria-label="Enable ${escapeHTML(rule.name)}"></td>
+                            <td>${escapeHTML(rule.name)}</td>
+                            <td>${escapeHTML(AlertRules.describe(rule))}</td>
+                            <td>${escapeHTML(this.describeAlertScope(rule.scope))}</td>
+                            <td>${rule.severity}</td>
+                            <td>
+                                <button type="button" data-edit="${escapeHTML(rule.id)}">Edit</button>
+                                <button type="button" data-delete="${escapeHTML(rule.id)}">${alertRules.isBuiltIn(rule.id) ? 'Reset' : 'Delete'}</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="modal-actions">
+                <button type="button" data-action="new-rule">New rule</button>
+            </div>
+            ${this.editingAlertRule ? this.renderAlertRuleForm(this.editingAlertRule) : ''}
+            <div class="backup-status" aria-live="polite"></div>
+        `;
+
+        const status = card.querySelector('.backup-status');
+        const rerender = () => {
+            card.replaceWith(this.renderAlertRulesCard());
+            this.updateNotifications();
+        };
+        card.querySelectorAll('[data-toggle]').forEach(input => {
+            input.addEventListener('change', () => {
+                alertRules.setEnabled(input.dataset.toggle, input.checked);
+                rerender();
+            });
+        });
+        card.querySelectorAll('[data-edit]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.editingAlertRule = alertRules.getRule(button.dataset.edit);
+                rerender();
+            });
+        });
+        card.querySelectorAll('[data-delete]').forEach(button => {
+            button.addEventListener('click', () => {
+                const rule = alertRules.getRule(button.dataset.delete);
+                const builtIn = alertRules.isBuiltIn(rule.id);
+                if (!confirm(builtIn ? `Reset "${rule.name}" to its default?` : `Delete the alert rule "${rule.name}"?`)) {
+                    return;
+                }
+                alertRules.deleteRule(rule.id);
+                if (this.editingAlertRule?.id === rule.id) this.editingAlertRule = null;
+                rerender();
+            });
+        });
+        card.querySelector('[data-action="new-rule"]').addEventListener('click', () => {
+            this.editingAlertRule = { id: '', name: '', field: 'temperature', measure: 'value', operator: '>', severity: 'medium', scope: {} };
+            rerender();
+        });
+
+        const form = card.querySelector('.alert-rule-form');
+        form?.addEventListener('submit', (event) => {
+            event.preventDefault();
+            try {
+                alertRules.saveRule(this.readAlertRuleForm(form));
+                this.editingAlertRule = null;
+                rerender();
+            } catch (error) {
+                status.innerHTML = `<p class="backup-error">${escapeHTML(error.message)}</p>`;
+            }
+        });
+        form?.querySelector('[data-action="cancel-rule"]').addEventListener('click', () => {
+            this.editingAlertRule = null;
+            rerender();
+        });
+        return card;
+    }
+
+    describeAlertScope(scope) {
+        const parts = [
+            scope.tanks.length ? `Tanks ${scope.tanks.join(', ')}` : '',
+            scope.batches.length ? `Batches ${scope.batches.join(', ')}` : '',
+            scope.stages.length ? `Stages ${scope.stages.map(stage => this.batchStages()[stage] ?? stage).join(', ')}` : ''
+        ].filter(Boolean);
+        return parts.length ? parts.join('; ') : 'All tanks';
+    }
+
+    batchStages() {
+        return typeof ValidationProfiles !== 'undefined' ? ValidationProfiles.stages : {};
+    }
+
+    renderAlertRuleForm(rule) {
+        const options = (entries, selected) => entries.map(([value, label]) =>
+            `<option value="${escapeHTML(value)}" ${selected.includes(value) ? 'selected' : ''}>${escapeHTML(label)}</option>`
+        ).join('');
+        const scope = { tanks: [], batches: [], stages: [], ...rule.scope };
+        const batches = this.batchManager ? this.batchManager.getAllBatches() : [];
+        const number = (value) => Number.isFinite(value) ? value : '';
+        return `
+            <form class="alert-rule-form">
+                <input type="hidden" name="id" value="${escapeHTML(rule.id)}">
+                <label>Name <input name="name" value="${escapeHTML(rule.name)}" required></label>
+                <label>Field
+                    <select name="field">${options(Object.entries(AlertRules.fields).map(([field, definition]) => [field, definition.label]), [rule.field])}</select>
+                </label>
+                <label>Measure
+                    <select name="measure">${options(Object.entries(AlertRules.measures), [rule.measure])}</select>
+                </label>
+                <label><input type="checkbox" name="absolute" ${rule.absolute ? 'checked' : ''}> Change either way</label>
+                <label>Comparison
+                    <select name="operator">${options(AlertRules.operators.map(operator => [operator, operator]), [rule.operator])}</select>
+                </label>
+                <label>Threshold <input type="number" step="any" name="threshold" value="${number(rule.threshold)}" required></label>
+                <label>Window (hours) <input type="number" step="any" min="0" name="window" value="${number(rule.window)}" placeholder="previous reading"></label>
+                <label>Held for (hours) <input type="number" step="any" min="0" name="duration" value="${number(rule.duration)}" placeholder="latest reading"></label>
+                <label>Limit <input type="number" step="any" name="limit" value="${number(rule.limit)}" placeholder="time-weighted measures"></label>
+                <label>Beyond the limit means
+                    <select name="side">${options([['above', 'above'], ['below', 'below']], [rule.side ?? 'above'])}</select>
+                </label>
+                <label><input type="checkbox" name="useSetpoint" ${rule.useSetpoint ? 'checked' : ''}> Use the batch's cooling setpoint as the limit when it has one</label>
+                <label>Severity
+                    <select name="severity">${options(AlertRules.severities.map(severity => [severity, severity]), [rule.severity])}</select>
+                </label>
+                <label>Tanks
+                    <select name="tanks" multiple>${options(this.tanks.map(tank => [tank.id, tank.id]), scope.tanks)}</select>
+                </label>
+                <label>Batches
+                    <select name="batches" multiple>${options(batches.map(batch => [batch.id, `${batch.id} ${batch.variety ?? ''}`]), scope.batches)}</select>
+                </label>
+                <label>Stages
+                    <select name="stages" multiple>${options(Object.entries(this.batchStages()), scope.stages)}</select>
+                </label>
+                <label>Message <input name="message" value="${escapeHTML(rule.message)}" placeholder="e.g. High temperature ({value})"></label>
+                <label>Recommendation <input name="recommendation" value="${escapeHTML(rule.recommendation)}"></label>
+                <div class="modal-actions">
+                    <button type="submit">Save rule</button>
+                    <button type="button" data-action="cancel-rule">Cancel</button>
+                </div>
+            </form>
+        `;
+    }
+
+    readAlertRuleForm(form) {
+        const value = (name) => form.elements[name].value.trim();
+        const hours = (name) => value(name) === '' ? null : Number(value(name));
+        const selected = (name) => Array.from(form.elements[name].selectedOptions).map(option => option.value);
+        const name = value('name');
+        // New rules get an id from their name
+        const id = value('id') || `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'rule'}-${Date.now().toString(36)}`;
+        return {
+            id,
+            name,
+            enabled: this.alertSystem.alertRules.getRule(id)?.enabled ?? true,
+            field: value('field'),
+            measure: value('measure'),
+            absolute: form.elements.absolute.checked,
+            operator: value('operator'),
+            threshold: value('threshold') === '' ? NaN : Number(value('threshold')),
+            window: hours('window'),
+            duration: hours('duration'),
+            limit: value('limit') === '' ? null : Number(value('limit')),
+            side: value('side'),
+            useSetpoint: form.elements.useSetpoint.checked,
+            severity: value('severity'),
+            group: this.alertSystem.alertRules.getRule(id)?.group ?? null,
+            scope: { tanks: selected('tanks'), batches: selected('batches'), stages: selected('stages') },
+            message: value('message'),
+            recommendation: value('recommendation')
+        };
+    }
+
+    // Edits a draft of the escalation settings; nothing is stored until Save
+    renderAlertEscalationCard() {
+        const escalation = this.alertEscalation;
+        const draft = this.escalationDraft ?? (this.escalationDraft = JSON.parse(JSON.stringify(escalation.getSettings())));
+        const channelTypes = AlertChannels.types;
+        const channelFields = {
+            webhook: [['url', 'URL']],
+            email: [['url', 'Relay URL'], ['from', 'From address']],
+            sms: [['url', 'Gateway URL'], ['token', 'API token']]
+        };
+        const recipientOptions = (selected) => [
+            ['on-duty', 'On-duty contact'],
+            ['fallback', 'Fallback contact'],
+            ['everyone', 'Everyone'],
+            ...draft.contacts.map(contact => [contact.id, contact.name])
+        ].map(([value, label]) => {
+            const isSelected = Array.isArray(selected) ? selected.includes(value) : selected === value;
+            return `<option value="${escapeHTML(value)}" ${isSelected ? 'selected' : ''}>${escapeHTML(label)}</option>`;
+        }).join('');
+        const contactOptions = (selected) => `<option value="">—</option>` + draft.contacts
+            .map(contact => `<option value="${escapeHTML(contact.id)}" ${selected === contact.id ? 'selected' : ''}>${escapeHTML(contact.name)}</option>`).join('');
+        const roster = draft.roster;
+        const onDutyNow = new OnCallRoster(roster)
+            .onDuty(new Date(), draft.onDuty, contactId => draft.contacts.some(contact => contact.id === contactId))
+            .map(contactId => draft.contacts.find(contact => contact.id === contactId).name);
+
+        const card = document.createElement('article');
+        card.className = 'glass-card settings-card alert-escalation-card';
+        card.innerHTML = `
+            <header>
+                <h3>Alert Escalation</h3>
+                <span class="status-pill status-active">${draft.policy.levels.length} level${draft.policy.levels.length === 1 ? '' : 's'}</span>
+            </header>
+            <p>Who is told about open alerts, and how, until someone acknowledges them.</p>
+            <form class="alert-rule-form escalation-form">
+                <h4>Contacts</h4>
+                <table class="backup-summary">
+                    <thead><tr><th>Default on duty</th><th>Name</th><th>Email</th><th>Phone</th><th></th></tr></thead>
+                    <tbody>
+                        ${draft.contacts.map((contact, index) => `
+                            <tr data-contact="${index}">
+                                <td><input type="radio" name="onDuty" value="${escapeHTML(contact.id)}" ${draft.onDuty === contact.id ? 'checked' : ''} aria-label="${escapeHTML(contact.name)} on duty"></td>
+                                <td><input name="contactName" value="${escapeHTML(contact.name)}" required></td>
+                                <td><input type="email" name="contactEmail" value="${escapeHTML(contact.email)}"></td>
+                                <td><input type="tel" name="contactPhone" value="${escapeHTML(contact.phone)}"></td>
+                                <td><button type="button" data-remove-contact="${index}">Remove</button></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <div class="modal-actions"><button type="button" data-action="add-contact">Add contact</button></div>
+
+                <h4>On-call roster</h4>
+                <p>On duty now: ${onDutyNow.length ? escapeHTML(onDutyNow.join(', ')) : 'nobody'}. Shifts with a season (such as harvest weekends) take precedence over the weekly ones; the default on-duty contact and then the fallbacks cover any gaps.</p>
+                <table class="backup-summary">
+                    <thead><tr><th>Who</th><th>Days</th><th>From</th><th>To</th><th>Season</th><th></th></tr></thead>
+                    <tbody>
+                        ${roster.shifts.map((shift, index) => `
+                            <tr data-shift="${index}">
+                                <td><select name="shiftContact">${contactOptions(shift.contactId)}</select></td>
+                                <td>${OnCallRoster.weekdays.map((day, dayIndex) => `
+                                    <label><input type="checkbox" name="shiftDay" value="${dayIndex}" ${shift.days.includes(dayIndex) ? 'checked' : ''}> ${day}</label>
+                                `).join('')}</td>
+                                <td><input type="time" name="shiftStart" value="${escapeHTML(shift.start)}"></td>
+                                <td><input type="time" name="shiftEnd" value="${escapeHTML(shift.end)}"></td>
+                                <td>
+                                    <input type="date" name="shiftFrom" value="${escapeHTML(shift.from)}" aria-label="Season starts">
+                                    <input type="date" name="shiftTo" value="${escapeHTML(shift.to)}" aria-label="Season ends">
+                                </td>
+                                <td><button type="button" data-remove-shift="${index}">Remove</button></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <div class="modal-actions"><button type="button" data-action="add-shift">Add shift</button></div>
+                <label>Fallbacks, in order
+                    ${[...roster.fallbacks, ''].map((contactId, index) => `
+                        <select name="fallback" aria-label="Fallback ${index + 1}">${contactOptions(contactId)}</select>
+                    `).join('')}
+                </label>
+
+                <h4>Quiet hours</h4>
+                <p>Notifications for alerts of these severities wait until the quiet hours end. Leave a severity blank to always notify.</p>
+                <table class="backup-summary">
+                    <thead><tr><th>Severity</th><th>Quiet from</th><th>Until</th></tr></thead>
+                    <tbody>
+                        ${AlertRules.severities.map(severity => `
+                            <tr data-quiet="${severity}">
+                                <td>${severity}</td>
+                                <td><input type="time" name="quietStart" value="${escapeHTML(roster.quietHours[severity]?.start)}"></td>
+                                <td><input type="time" name="quietEnd" value="${escapeHTML(roster.quietHours[severity]?.end)}"></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+
+                <h4>Channels</h4>
+                <label>Give up on a delivery after (seconds)
+                    <input type="number" min="1" step="1" name="timeoutSeconds" value="${draft.timeoutSeconds}">
+                </label>
+                ${channelTypes.map(([type, label]) => `
+                    <fieldset data-channel="${type}">
+                        <label><input type="checkbox" name="enabled" ${draft.channels[type]?.enabled ? 'checked' : ''}> ${label}</label>
+                        ${(channelFields[type] ?? []).map(([field, fieldLabel]) => `
+                            <label>${fieldLabel} <input name="${field}" value="${escapeHTML(draft.channels[type]?.[field])}"></label>
+                        `).join('')}
+                        <button type="button" data-test-channel="${type}">Send test</button>
+                    </fieldset>
+                `).join('')}
+
+                <h4>Policy</h4>
+                <label>Escalate alerts of severity
+                    <select name="minSeverity">
+                        ${AlertRules.severities.map(severity => `<option value="${severity}" ${draft.policy.minSeverity === severity ? 'selected' : ''}>${severity} and above</option>`).join('')}
+                    </select>
+                </label>
+                <table class="backup-summary">
+                    <thead><tr><th>Level</th><th>After (minutes)</th><th>Notify</th><th>Channels</th><th></th></tr></thead>
+                    <tbody>
+                        ${draft.policy.levels.map((level, index) => `
+                            <tr data-level="${index}">
+                                <td>${index + 1}</td>
+                                <td><input type="number" min="0" step="1" name="afterMinutes" value="${level.afterMinutes}"></td>
+                                <td><select name="recipients">${recipientOptions(level.recipients)}</select></td>
+                                <td>${channelTypes.map(([type, label]) => `
+                                    <label><input type="checkbox" name="levelChannel" value="${type}" ${level.channels.includes(type) ? 'checked' : ''}> ${label}</label>
+                                `).join('')}</td>
+                                <td><button type="button" data-remove-level="${index}">Remove</button></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <div class="modal-actions">
+                    <button type="button" data-action="add-level">Add level</button>
+                    <button type="submit">Save escalation</button>
+                    <button type="button" data-action="discard-escalation">Discard changes</button>
+                </div>
+            </form>
+            <div class="backup-status" aria-live="polite"></div>
+        `;
+
+        const form = card.querySelector('form');
+        const status = card.querySelector('.backup-status');
+        const rerender = () => {
+            this.readEscalationForm(form, draft);
+            card.replaceWith(this.renderAlertEscalationCard());
+        };
+        card.querySelector('[data-action="add-contact"]').addEventListener('click', () => {
+            draft.contacts.push({ id: `contact-${Date.now().toString(36)}`, name: `Contact ${draft.contacts.length + 1}`, email: '', phone: '' });
+            rerender();
+        });
+        card.querySelectorAll('[data-remove-contact]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.readEscalationForm(form, draft);
+                const [removed] = draft.contacts.splice(Number(button.dataset.removeContact), 1);
+                if (draft.onDuty === removed.id) draft.onDuty = null;
+                draft.roster.shifts = draft.roster.shifts.filter(shift => shift.contactId !== removed.id);
+                draft.roster.fallbacks = draft.roster.fallbacks.filter(contactId => contactId !== removed.id);
+                card.replaceWith(this.renderAlertEscalationCard());
+            });
+        });
+        card.querySelector('[data-action="add-shift"]').addEventListener('click', () => {
+            draft.roster.shifts.push({ id: `shift-${Date.now().toString(36)}`, contactId: draft.contacts[0]?.id ?? '', days: [1, 2, 3, 4, 5], start: '08:00', end: '18:00', from: '', to: '' });
+            rerender();
+        });
+        card.querySelectorAll('[data-remove-shift]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.readEscalationForm(form, draft);
+                draft.roster.shifts.splice(Number(button.dataset.removeShift), 1);
+                card.replaceWith(this.renderAlertEscalationCard());
+            });
+        });
+        card.querySelector('[data-action="add-level"]').addEventListener('click', () => {
+            const last = draft.policy.levels[draft.policy.levels.length - 1];
+            draft.policy.levels.push({ afterMinutes: (last?.afterMinutes ?? 0) + 30, recipients: 'everyone', channels: ['email'] });
+            rerender();
+        });
+        card.querySelectorAll('[data-remove-level]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.readEscalationForm(form, draft);
+                draft.policy.levels.splice(Number(button.dataset.removeLevel), 1);
+                card.replaceWith(this.renderAlertEscalationCard());
+            });
+        });
+        card.querySelector('[data-action="discard-escalation"]').addEventListener('click', () => {
+            this.escalationDraft = null;
+            card.replaceWith(this.renderAlertEscalationCard());
+        });
+        card.querySelectorAll('[data-test-channel]').forEach(button => {
+            button.addEventListener('click', async () => {
+                this.readEscalationForm(form, draft);
+                // Tests use the settings on screen, saved or not
+                const tester = new AlertEscalation(null, escalation.deps);
+                tester.settings = draft;
+                try {
+                    await tester.test(button.dataset.testChannel);
+                    status.innerHTML = `<p>Test sent through ${button.dataset.testChannel}.</p>`;
+                } catch (error) {
+                    status.innerHTML = `<p class="backup-error">Test failed: ${escapeHTML(error.message)}</p>`;
+                }
+            });
+        });
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.readEscalationForm(form, draft);
+            try {
+                escalation.saveSettings(draft);
+                this.escalationDraft = null;
+                card.replaceWith(this.renderAlertEscalationCard());
+            } catch (error) {
+                status.innerHTML = `<p class="backup-error">${escapeHTML(error.message)}</p>`;
+            }
+        });
+        return card;
+    }
+
+    readEscalationForm(form, draft) {
+        form.querySelectorAll('[data-contact]').forEach(row => {
+            const contact = draft.contacts[Number(row.dataset.contact)];
+            contact.name = row.querySelector('[name="contactName"]').value.trim() || contact.name;
+            contact.email = row.querySelector('[name="contactEmail"]').value.trim();
+            contact.phone = row.querySelector('[name="contactPhone"]').value.trim();
+        });
+        draft.onDuty = form.querySelector('[name="onDuty"]:checked')?.value ?? draft.onDuty;
+        form.querySelectorAll('[data-shift]').forEach(row => {
+            const shift = draft.roster.shifts[Number(row.dataset.shift)];
+            shift.contactId = row.querySelector('[name="shiftContact"]').value;
+            shift.days = Array.from(row.querySelectorAll('[name="shiftDay"]:checked')).map(input => Number(input.value));
+            shift.start = row.querySelector('[name="shiftStart"]').value;
+            shift.end = row.querySelector('[name="shiftEnd"]').value;
+            shift.from = row.querySelector('[name="shiftFrom"]').value;
+            shift.to = row.querySelector('[name="shiftTo"]').value;
+        });
+        draft.roster.fallbacks = [...new Set(Array.from(form.querySelectorAll('[name="fallback"]'))
+            .map(select => select.value).filter(Boolean))];
+        draft.roster.quietHours = {};
+        form.querySelectorAll('[data-quiet]').forEach(row => {
+            const start = row.querySelector('[name="quietStart"]').value;
+            const end = row.querySelector('[name="quietEnd"]').value;
+            if (start || end) draft.roster.quietHours[row.dataset.quiet] = { start, end };
+        });
+        form.querySelectorAll('[data-channel]').forEach(fieldset => {
+            const config = draft.channels[fieldset.dataset.channel] ?? {};
+            fieldset.querySelectorAll('input').forEach(input => {
+                config[input.name] = input.type === 'checkbox' ? input.checked : input.value.trim();
+            });
+            draft.channels[fieldset.dataset.channel] = config;
+        });
+        draft.timeoutSeconds = Number(form.elements.timeoutSeconds.value);
+        draft.policy.minSeverity = form.elements.minSeverity.value;
+        form.querySelectorAll('[data-level]').forEach(row => {
+            const level = draft.policy.levels[Number(row.dataset.level)];
+            const recipients = row.querySelector('[name="recipients"]').value;
+            level.afterMinutes = Number(row.querySelector('[name="afterMinutes"]').value);
+            level.recipients = ['on-duty', 'fallback', 'everyone'].includes(recipients) ? recipients : [recipients];
+            level.channels = Array.from(row.querySelectorAll('[name="levelChannel"]:checked')).map(input => input.value);
+        });
+        return draft;
+    }
+
+    renderSpreadsheetCard() {
+        const card = document.createElement('article');
+        card.className = 'glass-card settings-card spreadsheet-card';
+        card.innerHTML = `
+            <header>
+                <h3>Spreadsheet Export</h3>
+                <span class="status-pill status-active">Enabled</span>
+            </header>
+            <p>Download tank logs (one sheet per tank) or batches with their lab results as Excel or OpenDocument workbooks with real number and date cells.</p>
+            <div class="modal-actions">
+                <button type="button" data-export="tanks" data-format="xlsx">All tanks (.xlsx)</button>
+                <button type="button" data-export="tanks" data-format="ods">All tanks (.ods)</button>
+                ${this.batchManager ? `
+                    <button type="button" data-export="batches" data-format="xlsx">Batches &amp; lab results (.xlsx)</button>
+                    <button type="button" data-export="batches" data-format="ods">Batches &amp; lab results (.ods)</button>
+                ` : ''}
+            </div>
+            <div class="backup-status" aria-live="polite"></div>
+        `;
+
+        const status = card.querySelector('.backup-status');
+        card.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => this.downloadSpreadsheet(button.dataset.export, button.dataset.format, status));
+        });
+        return card;
+    }
+
+    downloadSpreadsheet(scope, format, status) {
+        try {
+            const workbook = scope === 'batches'
+                ? this.batchManager.toWorkbook()
+                : this.dataManager.toWorkbook(this.tanks.map(tank => tank.id));
+            const filename = `vinetrack-${scope}-${new Date().toISOString().slice(0, 10)}.${format}`;
+            const url = URL.createObjectURL(Spreadsheet.toBlob(workbook, format));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.click();
+            URL.revokeObjectURL(url);
+            const rows = workbook.sheets.reduce((sum, sheet) => sum + Math.max(0, sheet.rows.length - 1), 0);
+            status.innerHTML = `<p>Saved ${filename} with ${workbook.sheets.length} sheets and ${rows} rows.</p>`;
+        } catch (error) {
+            console.error('Failed to export spreadsheet', error);
+            status.innerHTML = `<p class="backup-error">Export failed: ${error.message}</p>`;
+        }
+    }
+
+    renderBackupCard() {
+        const card = document.createElement('article');
+        card.className = 'glass-card settings-card backup-card';
+        card.innerHTML = `
+            <header>
+                <h3>Backup &amp; Restore</h3>
+                <span class="status-pill status-active">Enabled</span>
+            </header>
+            <p>Save every tank log, variety, audit entry, batch, transfer, planner resource, comment and task in one archive, or restore an archive on this device.</p>
+            <div class="modal-actions">
+                <button type="button" data-action="backup">Backup everything</button>
+                <button type="button" data-action="restore">Restore…</button>
+            </div>
+            <input type="file" accept=".zip,application/zip" hidden>
+            <div class="backup-status" aria-live="polite"></div>
+        `;
+
+        const status = card.querySelector('.backup-status');
+        const fileInput = card.querySelector('input[type="file"]');
+        card.querySelector('[data-action="backup"]').addEventListener('click', () => this.downloadBackup(status));
+        card.querySelector('[data-action="restore"]').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files?.[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                this.pendingRestore = await this.backupManager.readBackup(file);
+                this.renderRestorePreview(status);
+            } catch (error) {
+                console.error('Failed to read backup', error);
+                this.pendingRestore = null;
+                status.innerHTML = `<p class="backup-error">${error.message}</p>`;
+            }
+        });
+
+        if (this.pendingRestore) {
+            this.renderRestorePreview(status);
+        }
+        return card;
+    }
+
+    async downloadBackup(status) {
+        try {
+            const { blob, filename, manifest } = await this.backupManager.createBackup();
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.click();
+            URL.revokeObjectURL(url);
+            const total = Object.values(manifest.entities).reduce((sum, entity) => sum + entity.count, 0);
+            status.innerHTML = `<p>Saved ${filename} with ${total} records.</p>`;
+        } catch (error) {
+            console.error('Failed to create backup', error);
+            status.innerHTML = `<p class="backup-error">Backup failed: ${error.message}</p>`;
+        }
+    }
+
+    renderRestorePreview(status, options = { mode: 'merge', prefer: 'local' }) {
+        const backup = this.pendingRestore;
+        const plan = this.backupManager.planRestore(backup, options);
+
+        status.innerHTML = `
+            <p>Backup from ${this.formatDate(backup.manifest.createdAt)} by ${backup.manifest.createdBy ?? 'Unknown'} (format v${backup.manifest.version})</p>
+            ${plan.warnings.map(warning => `<p class="backup-error">${warning}</p>`).join('')}
+            <label>Restore mode
+                <select name="restoreMode">
+                    <option value="merge" ${plan.mode === 'merge' ? 'selected' : ''}>Merge with data on this device</option>
+                    <option value="replace" ${plan.mode === 'replace' ? 'selected' : ''}>Replace data on this device</option>
+                </select>
+            </label>
+            <label ${plan.mode === 'replace' ? 'hidden' : ''}>When a record differs
+                <select name="restorePrefer">
+                    <option value="local" ${plan.prefer === 'local' ? 'selected' : ''}>Keep this device's version</option>
+                    <option value="backup" ${plan.prefer === 'backup' ? 'selected' : ''}>Use the backup's version</option>
+                </select>
+            </label>
+            ${this.renderRestoreSummary(plan.plans.map(entry => entry.summary), plan.mode)}
+            <div class="modal-actions">
+                <button type="button" data-action="apply-restore">Restore</button>
+                <button type="button" data-action="cancel-restore">Cancel</button>
+            </div>
+        `;
+
+        const readOptions = () => ({
+            mode: status.querySelector('[name="restoreMode"]').value,
+            prefer: status.querySelector('[name="restorePrefer"]').value
+        });
+        status.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', () => this.renderRestorePreview(status, readOptions()));
+        });
+        status.querySelector('[data-action="cancel-restore"]').addEventListener('click', () => {
+            this.pendingRestore = null;
+            status.innerHTML = '';
+        });
+        status.querySelector('[data-action="apply-restore"]').addEventListener('click', async () => {
+            if (plan.mode === 'replace' && !confirm('Replace all data on this device with the backup? Records not in the backup will be removed.')) {
+                return;
+            }
+            try {
+                const report = await this.backupManager.applyRestore(plan);
+                this.pendingRestore = null;
+                this.refreshDataViews();
+                status.innerHTML = `
+                    <p>Restore complete (${report.mode}). Reload any other open VineTrack tabs before using them, or they will keep working with the old data.</p>
+                    ${this.renderRestoreSummary(report.entities, report.mode)}
+                `;
+            } catch (error) {
+                console.error('Failed to restore backup', error);
+                status.innerHTML = `<p class="backup-error">Restore failed: ${error.message}</p>`;
+            }
+        });
+    }
+
+    renderRestoreSummary(summaries, mode) {
+        const rows = summaries.map(summary => summary.included
+            ? `<tr>
+                    <td>${summary.label}</td>
+                    <td>${summary.incoming}</td>
+                    <td>${summary.added}</td>
+                    <td>${summary.updated}</td>
+                    <td>${summary.unchanged}</td>
+                    <td>${mode === 'replace' ? summary.removed : summary.conflicts.length}</td>
+                </tr>`
+            : `<tr><td>${summary.label}</td><td colspan="5">Not in backup - left as is</td></tr>`
+        ).join('');
+
+        const conflicts = summaries.flatMap(summary => summary.conflicts.map(conflict => `
+            <li>${summary.label} ${conflict.key}: kept ${conflict.kept === 'local' ? "this device's" : "the backup's"} version</li>
+        `));
+
+        return `
+            <table class="backup-summary">
+                <thead>
+                    <tr><th>Data</th><th>In backup</th><th>New</th><th>Changed</th><th>Unchanged</th><th>${mode === 'replace' ? 'Removed' : 'Conflicts'}</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${conflicts.length ? `
+                <details class="backup-conflicts">
+                    <summary>${conflicts.length} conflicting record${conflicts.length === 1 ? '' : 's'}</summary>
+                    <ul>${conflicts.join('')}</ul>
+                </details>
+            ` : ''}
+        `;
     }
 
     toggleEmptyState(element, show) {
@@ -750,6 +1491,24 @@ class EnhancedDashboardApp {
             }
         }
 
+        if (this.alertSystem && this.tanks.length) {
+            // Acknowledged and snoozed alerts are being handled, so only open ones are listed
+            const alerts = this.alertSystem.refresh(this.tanks);
+            this.alertEscalation?.process().catch(error => console.error('Alert escalation failed', error));
+            alerts
+                .filter(alert => alert.state !== 'acknowledged')
+                .slice(0, 5)
+                .forEach(alert => {
+                    notifications.push({
+                        type: alert.type === 'info' ? 'info' : 'warning',
+                        message: `Tank ${alert.tankId}: ${alert.message}`,
+                        detail: alert.recommendation,
+                        time: this.formatDate(alert.raisedAt ?? alert.timestamp),
+                        alertId: alert.id
+                    });
+                });
+        }
+
         const batches = this.batchManager ? this.batchManager.getAllBatches() : [];
         if (batches.length) {
             const active = batches.filter(batch => (batch.status ?? 'active').toLowerCase() === 'active');
@@ -804,12 +1563,38 @@ class EnhancedDashboardApp {
             const item = document.createElement('li');
             item.className = `notification-item ${notification.type ?? 'info'}`;
             item.innerHTML = `
-                <p class="notification-message">${notification.message}</p>
-                ${notification.detail ? `<p class="notification-detail">${notification.detail}</p>` : ''}
+                <p class="notification-message">${escapeHTML(notification.message)}</p>
+                ${notification.detail ? `<p class="notification-detail">${escapeHTML(notification.detail)}</p>` : ''}
                 <span class="notification-time">${notification.time ?? ''}</span>
+                ${notification.alertId ? `
+                    <div class="notification-actions">
+                        <button type="button" data-alert-action="acknowledge" data-alert-id="${notification.alertId}">Acknowledge</button>
+                        <button type="button" data-alert-action="snooze" data-alert-id="${notification.alertId}">Snooze 4 h</button>
+                    </div>
+                ` : ''}
             `;
             list.appendChild(item);
         });
+        list.querySelectorAll('[data-alert-action]').forEach(button => {
+            button.addEventListener('click', () => this.handleAlertAction(button.dataset.alertAction, button.dataset.alertId));
+        });
+    }
+
+    // Acknowledging or snoozing an alert stops its escalation
+    handleAlertAction(action, alertId) {
+        const alertLog = this.alertSystem?.alertLog;
+        if (!alertLog) return;
+        try {
+            if (action === 'acknowledge') {
+                alertLog.acknowledge(alertId);
+            } else if (action === 'snooze') {
+                alertLog.snooze(alertId, new Date(Date.now() + 4 * 3600000));
+            }
+        } catch (error) {
+            console.error('Failed to update alert', error);
+        }
+        this.updateNotifications();
+        this.renderNotificationList();
     }
 
     updateNotifications() {
@@ -0,0 +1,166 @@
+// enrichment.js - Chaptalization, must concentration and water additions
+// Sugar, RCGM, concentration and water change the must's dissolved solids by mass balance;
+// potential alcohol follows from solids through FermentationCalculations.
+const ENRICHMENT_METHODS = {
+    sucrose: { label: 'Sucrose', treatment: 'chaptalization', unit: 'kg' },
+    rcgm: { label: 'Rectified concentrated grape must', treatment: 'chaptalization', unit: 'L' },
+    concentration: { label: 'Must concentration', treatment: 'concentration', unit: 'L removed' },
+    water: { label: 'Water', treatment: 'water-addition', unit: 'L' }
+};
+
+// Dissolved sucrose takes up about 0.63 L per kg
+const SUCROSE_LITRES_PER_KG = 0.63;
+
+// RCGM is sold at around 65 °Brix
+const DEFAULT_RCGM_BRIX = 65;
+
+class EnrichmentCalculator {
+    constructor(batchManager = null, complianceManager = null) {
+        this.batchManager = batchManager;
+        this.complianceManager = complianceManager;
+    }
+
+    static get methods() {
+        return ENRICHMENT_METHODS;
+    }
+
+    static potentialAlcohol(brix, wineType = 'red') {
+        return FermentationCalculations.potentialAlcohol(FermentationCalculations.brixToSG(brix), wineType);
+    }
+
+    // inputs: { method, volume (L), brix, wineType, and targetAlcohol (% vol potential) or
+    // targetBrix; rcgmBrix for RCGM }. Returns the amount of product or water to add (or water
+    // to remove for concentration) and the must afterwards.
+    plan(inputs) {
+        const method = ENRICHMENT_METHODS[inputs.method];
+        const volume = Number(inputs.volume);
+        const brix = Number(inputs.brix);
+        const wineType = inputs.wineType ?? 'red';
+        if (!method) {
+            return { valid: false, error: `Unknown method: ${inputs.method}` };
+        }
+        if (!(volume > 0) || !(brix > 0)) {
+            return { valid: false, error: 'Volume and current sugar (°Brix) are required' };
+        }
+
+        const solids = FermentationCalculations.brixToGL(brix);
+        let targetSolids;
+        if (Number.isFinite(inputs.targetAlcohol)) {
+            targetSolids = FermentationCalculations.solidsForPotentialAlcohol(inputs.targetAlcohol, wineType);
+        } else if (Number.isFinite(inputs.targetBrix)) {
+            targetSolids = FermentationCalculations.brixToGL(inputs.targetBrix);
+        } else {
+            return { valid: false, error: 'Enter a target potential alcohol or °Brix' };
+        }
+
+        const dilutes = inputs.method === 'water';
+        if (dilutes ? targetSolids >= solids : targetSolids <= solids) {
+            return {
+                valid: false,
+                error: dilutes ? 'Water can only lower the sugar' : `${method.label} can only raise the sugar`
+            };
+        }
+
+        let amount;
+        let volumeChange;
+        if (inputs.method === 'sucrose') {
+            const grams = volume * (targetSolids - solids) / (1 - SUCROSE_LITRES_PER_KG / 1000 * targetSolids);
+            amount = grams / 1000;
+            volumeChange = amount * SUCROSE_LITRES_PER_KG;
+        } else if (inputs.method === 'rcgm') {
+            const rcgmSolids = FermentationCalculations.brixToGL(inputs.rcgmBrix ?? DEFAULT_RCGM_BRIX);
+            if (targetSolids >= rcgmSolids) {
+                return { valid: false, error: 'Target is above the sugar content of the RCGM' };
+            }
+            amount = volume * (targetSolids - solids) / (rcgmSolids - targetSolids);
+            volumeChange = amount;
+        } else if (inputs.method === 'concentration') {
+            amount = volume * (1 - solids / targetSolids);
+            volumeChange = -amount;
+        } else {
+            amount = volume * (solids / targetSolids - 1);
+            volumeChange = amount;
+        }
+
+        const brixAfter = FermentationCalculations.glToBrix(targetSolids);
+        const alcoholBefore = EnrichmentCalculator.potentialAlcohol(brix, wineType);
+        const alcoholAfter = EnrichmentCalculator.potentialAlcohol(brixAfter, wineType);
+        return {
+            valid: true,
+            method: inputs.method,
+            treatment: method.treatment,
+            label: method.label,
+            wineType,
+            volume,
+            brix,
+            amount,
+            unit: method.unit,
+            rcgmBrix: inputs.method === 'rcgm' ? inputs.rcgmBrix ?? DEFAULT_RCGM_BRIX : null,
+            volumeChange,
+            volumeAfter: volume + volumeChange,
+            brixAfter,
+            alcoholBefore,
+            alcoholAfter,
+            alcoholIncrease: alcoholAfter - alcoholBefore
+        };
+    }
+
+    // The plan with the zone's legal check for the batch attached as `legal`
+    planForBatch(inputs, batchId, zone = null) {
+        const plan = this.plan(inputs);
+        if (!plan.valid || !this.complianceManager) return plan;
+        const batch = this.batchManager?.getBatch(batchId) ?? null;
+        return {
+            ...plan,
+            legal: this.complianceManager.checkEnrichment(batch, zone ?? this.complianceManager.getWineZone(batch), plan)
+        };
+    }
+
+    // Logs the plan as a treatment and applies its volume change to the batch. A plan the zone
+    // doesn't permit is refused unless overrideReason says why it is recorded anyway; the
+    // override then goes into the batch history with who made it.
+    record(batchId, plan, { tankId = null, notes = '', overrideReason = '' } = {}) {
+        if (!this.batchManager) {
+            throw new Error('Batch tracking is not available');
+        }
+        const overridden = plan.legal?.allowed === false;
+        if (overridden && !overrideReason.trim()) {
+            throw new Error(`Not permitted: ${plan.legal.violations.join('; ')}. Give a reason to record it anyway.`);
+        }
+        const treatment = this.batchManager.recordTreatment(batchId, {
+            type: plan.treatment,
+            method: plan.method,
+            product: plan.label,
+            amount: Math.round(plan.amount * 10) / 10,
+            unit: plan.unit,
+            rcgmBrix: plan.rcgmBrix,
+            volumeChange: Math.round(plan.volumeChange * 10) / 10,
+            brixBefore: Math.round(plan.brix * 10) / 10,
+            brixAfter: Math.round(plan.brixAfter * 10) / 10,
+            alcoholIncrease: Math.round(plan.alcoholIncrease * 100) / 100,
+            zone: plan.legal?.zone ?? null,
+            compliant: plan.legal?.allowed ?? null,
+            overrideReason: overridden ? overrideReason.trim() : null,
+            tankId,
+            notes
+        });
+        if (overridden) {
+            this.batchManager.addHistoryEntry(batchId, {
+                type: 'compliance-override',
+                data: {
+                    treatmentId: treatment.id,
+                    zone: plan.legal.zone,
+                    violations: plan.legal.violations,
+                    reason: treatment.overrideReason,
+                    user: typeof AuditTrail !== 'undefined' ? AuditTrail.currentUser() : 'Unknown'
+                }
+            });
+        }
+        this.batchManager.recordVolumeChange(batchId, treatment.volumeChange, plan.label, { treatmentId: treatment.id });
+        return treatment;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.EnrichmentCalculator = EnrichmentCalculator;
+}
@@ -0,0 +1,86 @@
+// fortification.js - Spirit additions for fortified wines
+// Pearson square: wine at a% and spirit at s% blend to t% in the ratio (s - t) : (t - a).
+// Spirit brings no sugar, so the wine's sugar is diluted by the same ratio.
+
+// Neutral grape spirit used for port is usually about 77% vol
+const DEFAULT_SPIRIT_ABV = 77;
+
+class FortificationCalculator {
+    constructor(batchManager = null) {
+        this.batchManager = batchManager;
+    }
+
+    // inputs: { volume (L), abv, sugar (g/L), spiritABV, targetABV, targetSugar (g/L, optional) }
+    plan(inputs) {
+        const volume = Number(inputs.volume);
+        const abv = Number(inputs.abv);
+        const sugar = Number.isFinite(inputs.sugar) ? inputs.sugar : 0;
+        const spiritABV = Number.isFinite(inputs.spiritABV) ? inputs.spiritABV : DEFAULT_SPIRIT_ABV;
+        const targetABV = Number(inputs.targetABV);
+        if (!(volume > 0) || !Number.isFinite(abv)) {
+            return { valid: false, error: 'Wine volume and current alcohol are required' };
+        }
+        if (!(targetABV > abv) || !(spiritABV > targetABV)) {
+            return { valid: false, error: 'Target alcohol must be above the wine and below the spirit' };
+        }
+
+        const spiritVolume = volume * (targetABV - abv) / (spiritABV - targetABV);
+        const finalVolume = volume + spiritVolume;
+        const finalSugar = sugar * volume / finalVolume;
+        const warnings = [];
+
+        // Sugar the wine should still have when the spirit goes in to end at targetSugar
+        let fortifyAtSugar = null;
+        if (Number.isFinite(inputs.targetSugar)) {
+            fortifyAtSugar = inputs.targetSugar * finalVolume / volume;
+            if (fortifyAtSugar > sugar + 1e-9) {
+                warnings.push(`The wine has ${sugar.toFixed(0)} g/L of sugar; ${inputs.targetSugar} g/L after fortification needs ${fortifyAtSugar.toFixed(0)} g/L now`);
+            } else if (fortifyAtSugar < sugar - 1e-9) {
+                warnings.push(`Fortifying now leaves ${finalSugar.toFixed(0)} g/L; let fermentation continue to ${fortifyAtSugar.toFixed(0)} g/L for ${inputs.targetSugar} g/L`);
+            }
+        }
+
+        return {
+            valid: true,
+            volume,
+            abv,
+            sugar,
+            spiritABV,
+            targetABV,
+            spiritVolume,
+            // Litres of pure alcohol in the spirit, the quantity spirit duty and records use
+            spiritAlcohol: spiritVolume * spiritABV / 100,
+            finalVolume,
+            finalSugar,
+            fortifyAtSugar,
+            warnings
+        };
+    }
+
+    // Logs the spirit as a treatment and its volume as a change on the batch
+    record(batchId, plan, { tankId = null, notes = '' } = {}) {
+        if (!this.batchManager) {
+            throw new Error('Batch tracking is not available');
+        }
+        const treatment = this.batchManager.recordTreatment(batchId, {
+            type: 'fortification',
+            product: `Grape spirit (${plan.spiritABV}% vol)`,
+            amount: Math.round(plan.spiritVolume * 10) / 10,
+            unit: 'L',
+            spiritABV: plan.spiritABV,
+            pureAlcohol: Math.round(plan.spiritAlcohol * 100) / 100,
+            abvBefore: plan.abv,
+            abvAfter: plan.targetABV,
+            sugarAfter: Math.round(plan.finalSugar * 10) / 10,
+            volumeChange: Math.round(plan.spiritVolume * 10) / 10,
+            tankId,
+            notes
+        });
+        this.batchManager.recordVolumeChange(batchId, treatment.volumeChange, 'Fortification', { treatmentId: treatment.id });
+        return treatment;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.FortificationCalculator = FortificationCalculator;
+}
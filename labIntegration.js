@@ -75,11 +75,7 @@ class LabIntegration {
     }
 
     calculateMolecularSO2(freeSO2, pH) {
-        const pKa = 1.81;
-        if (!Number.isFinite(freeSO2) || !Number.isFinite(pH)) {
-            return 0;
-        }
-        return freeSO2 / (1 + Math.pow(10, pH - pKa));
+        return SO2Manager.molecularSO2(freeSO2, pH);
     }
 
     assessQuality(analysis) {
@@ -155,16 +151,7 @@ class LabIntegration {
     }
 
     calculateSO2Addition(analysis) {
-        const targetMolecular = 0.8;
-        const pH = analysis.pH ?? 3.4;
-        const currentFree = analysis.freeSO2 ?? 0;
-        const molecular = this.calculateMolecularSO2(currentFree, pH);
-        if (molecular >= targetMolecular) {
-            return 0;
-        }
-
-        const targetFree = targetMolecular * (1 + Math.pow(10, (pH ?? 3.4) - 1.81));
-        return Math.max(0, targetFree - currentFree) * 1000 / 1000; // mg/L equivalent
+        return SO2Manager.additionForMolecular({ freeSO2: analysis.freeSO2 ?? 0, pH: analysis.pH ?? 3.4 });
     }
 
     loadQualityStandards() {
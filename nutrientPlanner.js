@@ -0,0 +1,233 @@
+// nutrientPlanner.js - YAN-based nutrient plans with staged additions
+// Nitrogen each product delivers per g/hL, in mg/L of YAN. Organic nutrients are counted
+// at their effective value (about four times what a YAN assay measures).
+const NUTRIENT_PRODUCTS = {
+    dap: { name: 'DAP', yanPerGHL: 2.1, maxGHL: 100, inoculation: false },
+    complex: { name: 'Complex nutrient', yanPerGHL: 1.0, maxGHL: 40, inoculation: false },
+    organic: { name: 'Organic nutrient', yanPerGHL: 1.6, maxGHL: 40, inoculation: true }
+};
+
+// Target YAN in mg/L per °Brix of starting sugar, by yeast strain nitrogen demand
+const YAN_DEMAND_FACTORS = { low: 7.5, medium: 9, high: 11, 'very-high': 12.5 };
+
+// Additions are triggered by the fraction of sugar already fermented; inorganic nitrogen is
+// kept out of the inoculation stage and nothing is added after one-third depletion.
+const NUTRIENT_STAGES = [
+    { label: 'At inoculation', depletion: 0 },
+    { label: '1/6 sugar depletion', depletion: 1 / 6 },
+    { label: '1/3 sugar depletion', depletion: 1 / 3 }
+];
+
+class NutrientPlanner {
+    constructor(batchManager = null, collaboration = null) {
+        this.batchManager = batchManager;
+        this.collaboration = collaboration;
+        this.plans = this.loadPlans();
+    }
+
+    static get products() {
+        return NUTRIENT_PRODUCTS;
+    }
+
+    static get demandLevels() {
+        return Object.keys(YAN_DEMAND_FACTORS);
+    }
+
+    static targetYAN(startBrix, demand = 'medium') {
+        return startBrix * (YAN_DEMAND_FACTORS[demand] ?? YAN_DEMAND_FACTORS.medium);
+    }
+
+    // inputs: { tankId, volume (L), yan (mg/L), startBrix, demand, products: { dap: share, ... } }
+    // where the shares split the nitrogen deficit between products. Returns an unsaved plan.
+    createPlan(inputs) {
+        const volume = Number(inputs.volume);
+        const yan = Number(inputs.yan);
+        const startBrix = Number(inputs.startBrix);
+        if (!(volume > 0)) throw new Error('Volume must be greater than zero');
+        if (!(yan >= 0)) throw new Error('Measured YAN is required');
+        if (!(startBrix > 0)) throw new Error('Starting sugar is required');
+
+        const shares = Object.entries(inputs.products ?? {})
+            .filter(([product, share]) => NUTRIENT_PRODUCTS[product] && share > 0);
+        const totalShare = shares.reduce((sum, [, share]) => sum + share, 0);
+        const targetYAN = NutrientPlanner.targetYAN(startBrix, inputs.demand);
+        const deficit = Math.max(0, targetYAN - yan);
+        if (deficit > 0 && totalShare === 0) {
+            throw new Error('Choose at least one nutrient product');
+        }
+
+        const warnings = [];
+        const startSG = FermentationCalculations.brixToSG(startBrix);
+        const stages = NUTRIENT_STAGES.map((stage, index) => {
+            const brix = startBrix * (1 - stage.depletion);
+            const sg = FermentationCalculations.brixToSG(brix);
+            return {
+                index,
+                label: stage.label,
+                depletion: stage.depletion,
+                triggerBrix: Math.round(brix * 10) / 10,
+                triggerSG: Math.round(sg * 1000) / 1000,
+                triggerBaume: Math.round(FermentationCalculations.sgToBaume(sg) * 10) / 10,
+                additions: [],
+                taskId: null
+            };
+        });
+
+        shares.forEach(([product, share]) => {
+            const definition = NUTRIENT_PRODUCTS[product];
+            let rate = (deficit * share / totalShare) / definition.yanPerGHL;
+            if (rate > definition.maxGHL) {
+                warnings.push(`${definition.name} capped at the ${definition.maxGHL} g/hL limit`);
+                rate = definition.maxGHL;
+            }
+            const eligible = stages.filter(stage => stage.index > 0 || definition.inoculation);
+            eligible.forEach(stage => {
+                const stageRate = rate / eligible.length;
+                stage.additions.push({
+                    product,
+                    name: definition.name,
+                    rate: Math.round(stageRate * 10) / 10,
+                    amount: Math.round(stageRate * volume / 100),
+                    yan: Math.round(stageRate * definition.yanPerGHL * 10) / 10
+                });
+            });
+        });
+
+        const supplied = stages.reduce((sum, stage) =>
+            sum + stage.additions.reduce((stageSum, addition) => stageSum + addition.yan, 0), 0);
+        if (deficit === 0) {
+            warnings.push('Measured YAN already meets the target; no additions needed');
+        }
+
+        return {
+            id: `NUT-${Date.now()}`,
+            tankId: inputs.tankId,
+            batchId: this.batchManager?.getBatchByTank(inputs.tankId)?.id ?? null,
+            createdAt: new Date().toISOString(),
+            volume,
+            yan,
+            startBrix,
+            startSG: Math.round(startSG * 1000) / 1000,
+            demand: inputs.demand ?? 'medium',
+            targetYAN: Math.round(targetYAN),
+            deficit: Math.round(deficit),
+            supplied: Math.round(supplied),
+            stages: stages.filter(stage => stage.additions.length > 0),
+            warnings
+        };
+    }
+
+    // Stores the plan and creates a workflow task for every stage
+    savePlan(plan) {
+        if (this.collaboration) {
+            plan.stages.forEach(stage => {
+                const task = this.collaboration.createWorkflowTask(plan.tankId, {
+                    title: `Nutrients - ${stage.label}`,
+                    description: `${stage.additions.map(a => `${a.name} ${NutrientPlanner.formatAmount(a.amount)} (${a.rate} g/hL)`).join(', ')}. Add at ${stage.triggerBaume} Baumé / SG ${stage.triggerSG.toFixed(3)}.`,
+                    priority: stage.index === 0 ? 'high' : 'medium',
+                    type: 'addition',
+                    trigger: { sg: stage.triggerSG, baume: stage.triggerBaume },
+                    reference: { planId: plan.id, stage: stage.index }
+                });
+                stage.taskId = task?.id ?? null;
+            });
+        }
+        this.plans = this.plans.filter(existing => existing.tankId !== plan.tankId);
+        this.plans.push(plan);
+        this.savePlans();
+        return plan;
+    }
+
+    getPlan(tankId) {
+        return this.plans.find(plan => plan.tankId === tankId) ?? null;
+    }
+
+    deletePlan(tankId) {
+        this.plans = this.plans.filter(plan => plan.tankId !== tankId);
+        this.savePlans();
+    }
+
+    // A stage counts as done once its additions are on the batch, so undoing the treatment
+    // reopens the stage.
+    isStageDone(plan, stageIndex) {
+        const batch = this.batchManager?.getBatch(plan.batchId ?? '') ?? this.batchManager?.getBatchByTank(plan.tankId);
+        return (batch?.treatments ?? []).some(treatment =>
+            treatment.planId === plan.id && treatment.stage === stageIndex
+        );
+    }
+
+    // Stages whose sugar trigger has been reached by `currentSG` and aren't done yet
+    dueStages(plan, currentSG) {
+        if (!Number.isFinite(currentSG)) return [];
+        return plan.stages.filter(stage => currentSG <= stage.triggerSG && !this.isStageDone(plan, stage.index));
+    }
+
+    // Logs what was actually added at a stage as treatments on the tank's batch. additions:
+    // [{ product, amount (g) }]. Returns the recorded treatments.
+    recordStage(plan, stageIndex, additions, { notes = '' } = {}) {
+        if (!this.batchManager) {
+            throw new Error('Batch tracking is not available');
+        }
+        const stage = plan.stages.find(entry => entry.index === stageIndex);
+        if (!stage) {
+            throw new Error('Unknown nutrient stage');
+        }
+        const batch = this.batchManager.getBatch(plan.batchId ?? '') ?? this.batchManager.ensureBatchForTank(plan.tankId);
+        plan.batchId = batch.id;
+        this.savePlans();
+
+        const timestamp = new Date().toISOString();
+        const treatments = additions
+            .filter(addition => NUTRIENT_PRODUCTS[addition.product] && addition.amount > 0)
+            .map((addition, i) => {
+                const definition = NUTRIENT_PRODUCTS[addition.product];
+                const rate = addition.amount / plan.volume * 100;
+                return this.batchManager.recordTreatment(batch.id, {
+                    id: `TRT-${Date.now()}-${i}`,
+                    timestamp,
+                    type: 'nutrient',
+                    product: definition.name,
+                    amount: addition.amount,
+                    unit: 'g',
+                    rate: Math.round(rate * 10) / 10,
+                    rateUnit: 'g/hL',
+                    yanAdded: Math.round(rate * definition.yanPerGHL * 10) / 10,
+                    tankId: plan.tankId,
+                    planId: plan.id,
+                    stage: stageIndex,
+                    notes: notes || stage.label
+                });
+            });
+
+        if (treatments.length && stage.taskId !== null) {
+            this.collaboration?.updateTaskStatus(plan.tankId, stage.taskId, 'completed');
+        }
+        return treatments;
+    }
+
+    static formatAmount(grams) {
+        return grams >= 1000 ? `${(grams / 1000).toFixed(2)} kg` : `${Math.round(grams)} g`;
+    }
+
+    loadPlans() {
+        try {
+            const stored = localStorage.getItem('nutrient_plans');
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.warn('Failed to load nutrient plans', error);
+            return [];
+        }
+    }
+
+    savePlans() {
+        try {
+            localStorage.setItem('nutrient_plans', JSON.stringify(this.plans));
+        } catch (error) {
+            console.warn('Failed to save nutrient plans', error);
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.NutrientPlanner = NutrientPlanner;
+}
@@ -0,0 +1,135 @@
+// onCallRoster.js - On-call shifts, fallbacks and quiet hours for alert routing
+// roster: {
+//   shifts: [{ id, contactId, days: [0-6, Sunday = 0], start: 'HH:MM', end: 'HH:MM', from, to }]
+//     A shift ending at or before its start runs past midnight and belongs to the day it
+//     starts. from/to (YYYY-MM-DD, both optional) limit it to a season such as harvest;
+//     dated shifts take precedence over the weekly ones.
+//   fallbacks: [contactId] - tried in order when nobody is on shift
+//   quietHours: { severity: { start, end } } - notifications of that severity wait until the
+//     quiet hours end
+// }
+// Times are the browser's local time.
+const DEFAULT_ROSTER = {
+    shifts: [],
+    fallbacks: [],
+    quietHours: {
+        low: { start: '22:00', end: '07:00' },
+        medium: { start: '22:00', end: '07:00' }
+    }
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+class OnCallRoster {
+    constructor(roster = {}) {
+        this.shifts = roster.shifts ?? DEFAULT_ROSTER.shifts;
+        this.fallbacks = roster.fallbacks ?? DEFAULT_ROSTER.fallbacks;
+        this.quietHours = roster.quietHours ?? DEFAULT_ROSTER.quietHours;
+    }
+
+    static get defaults() {
+        return DEFAULT_ROSTER;
+    }
+
+    static get weekdays() {
+        return WEEKDAYS;
+    }
+
+    // 'HH:MM' -> minutes after midnight; null when missing or malformed
+    static minutes(time) {
+        const match = String(time ?? '').match(/^(\d{1,2}):(\d{2})$/);
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+        return Number(match[1]) * 60 + Number(match[2]);
+    }
+
+    static dateKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    // Problems with a roster, empty when it can be used
+    static check(roster) {
+        const errors = [];
+        (roster.shifts ?? []).forEach((shift, index) => {
+            const label = `Shift ${index + 1}`;
+            if (!shift.contactId) errors.push(`${label}: choose who is on call`);
+            if (!shift.days?.length) errors.push(`${label}: choose at least one day`);
+            if (OnCallRoster.minutes(shift.start) === null || OnCallRoster.minutes(shift.end) === null) {
+                errors.push(`${label}: start and end must be times such as 08:00`);
+            }
+            if (shift.from && shift.to && shift.from > shift.to) errors.push(`${label}: the season ends before it starts`);
+        });
+        Object.entries(roster.quietHours ?? {}).forEach(([severity, hours]) => {
+            if (hours && (OnCallRoster.minutes(hours.start) === null || OnCallRoster.minutes(hours.end) === null)) {
+                errors.push(`Quiet hours for ${severity}: start and end must be times such as 22:00`);
+            }
+        });
+        return errors;
+    }
+
+    // Whether a shift covers a moment
+    static covers(shift, now) {
+        const start = OnCallRoster.minutes(shift.start);
+        const end = OnCallRoster.minutes(shift.end);
+        if (start === null || end === null) return false;
+        const time = now.getHours() * 60 + now.getMinutes();
+        const inSeason = (day) => {
+            const key = OnCallRoster.dateKey(day);
+            return (!shift.from || key >= shift.from) && (!shift.to || key <= shift.to);
+        };
+        const startsOn = (day) => shift.days.includes(day.getDay()) && inSeason(day);
+        if (end > start) {
+            return startsOn(now) && time >= start && time < end;
+        }
+        // Overnight (or round-the-clock when end equals start)
+        const yesterday = new Date(now);
+        yesterday.setDate(now.getDate() - 1);
+        return (startsOn(now) && time >= start) || (startsOn(yesterday) && time < end);
+    }
+
+    // Contact ids on shift at a moment, dated (seasonal) shifts first
+    onShift(now = new Date()) {
+        const covering = this.shifts.filter(shift => OnCallRoster.covers(shift, now));
+        const dated = covering.filter(shift => shift.from || shift.to);
+        return [...new Set((dated.length ? dated : covering).map(shift => shift.contactId))];
+    }
+
+    // Who alerts go to: whoever is on shift, else the default on-duty contact, else the first
+    // fallback. `available` filters out contacts that no longer exist.
+    onDuty(now = new Date(), defaultContact = null, available = () => true) {
+        const onShift = this.onShift(now).filter(available);
+        if (onShift.length) return onShift;
+        if (defaultContact && available(defaultContact)) return [defaultContact];
+        const fallback = this.fallbacks.find(available);
+        return fallback ? [fallback] : [];
+    }
+
+    // The first fallback who isn't already on duty
+    fallback(now = new Date(), defaultContact = null, available = () => true) {
+        const onDuty = this.onDuty(now, defaultContact, available);
+        const fallback = this.fallbacks.find(contactId => available(contactId) && !onDuty.includes(contactId));
+        return fallback ? [fallback] : [];
+    }
+
+    isQuiet(severity, now = new Date()) {
+        return this.quietEnd(severity, now) !== null;
+    }
+
+    // When the quiet hours for a severity that cover `now` end; null when it isn't quiet
+    quietEnd(severity, now = new Date()) {
+        const hours = this.quietHours[severity];
+        const start = OnCallRoster.minutes(hours?.start);
+        const end = OnCallRoster.minutes(hours?.end);
+        if (start === null || end === null || start === end) return null;
+        const time = now.getHours() * 60 + now.getMinutes();
+        const quiet = start < end ? time >= start && time < end : time >= start || time < end;
+        if (!quiet) return null;
+        const until = new Date(now);
+        until.setHours(Math.floor(end / 60), end % 60, 0, 0);
+        if (until <= now) until.setDate(until.getDate() + 1);
+        return until;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.OnCallRoster = OnCallRoster;
+}
@@ -151,6 +151,20 @@ class PWAManager {
         }
     }
 
+    // Shows a notification through the service worker (or directly without one); false when
+    // notifications aren't allowed
+    async showNotification(title, options = {}) {
+        if (typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+            return false;
+        }
+        if (this.swRegistration?.showNotification) {
+            await this.swRegistration.showNotification(title, options);
+        } else {
+            new Notification(title, options);
+        }
+        return true;
+    }
+
     async subscribeToPush() {
         if (!this.swRegistration || !this.swRegistration.pushManager) {
             return null;
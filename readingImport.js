@@ -0,0 +1,152 @@
+// readingImport.js - Maps spreadsheet columns onto reading fields
+const READING_IMPORT_FIELDS = [
+    { field: 'id', label: 'Reading id', aliases: ['id', 'reading id'] },
+    { field: 'timestamp', label: 'Date & time', aliases: ['timestamp', 'datetime', 'date time', 'data si ora', 'data ora'] },
+    { field: 'date', label: 'Date', aliases: ['date', 'data', 'day', 'zi'] },
+    { field: 'time', label: 'Time', aliases: ['time', 'ora', 'hour'] },
+    { field: 'temperature', label: 'Temperature', numeric: true, aliases: ['temperature', 'temp', 'temperatura', 't', 'c', 'f'] },
+    { field: 'sugar', label: 'Sugar', numeric: true, aliases: ['sugar', 'baume', 'be', 'zahar', 'brix', 'bx', 'oechsle', 'oe', 'kmw'] },
+    { field: 'sg', label: 'Specific gravity', numeric: true, aliases: ['sg', 'specific gravity', 'gravity', 'density', 'densitate'] },
+    { field: 'ph', label: 'pH', numeric: true, aliases: ['ph'] },
+    { field: 'ta', label: 'Total acidity', numeric: true, aliases: ['ta', 'total acidity', 'acidity', 'aciditate', 'aciditate totala', 'at'] },
+    { field: 'volume', label: 'Volume', numeric: true, aliases: ['volume', 'vol', 'volum', 'liters', 'litri', 'l', 'gal', 'gallons', 'hl'] },
+    { field: 'notes', label: 'Notes', aliases: ['notes', 'note', 'notite', 'observatii', 'comments', 'comment'] }
+];
+
+class ReadingImport {
+    static get fields() {
+        return READING_IMPORT_FIELDS;
+    }
+
+    // "Temperatură (°C)" -> "temperatura"
+    static normalizeHeader(header) {
+        return String(header ?? '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\(.*?\)/g, ' ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    // Returns { header: field } for every header, '' where nothing matched. Each field is
+    // used at most once, by the first header that names it.
+    static guessMapping(headers) {
+        const used = new Set();
+        const mapping = {};
+        headers.forEach(header => {
+            const normalized = ReadingImport.normalizeHeader(header);
+            const match = READING_IMPORT_FIELDS.find(definition =>
+                !used.has(definition.field) && definition.aliases.includes(normalized)
+            );
+            mapping[header] = match ? match.field : '';
+            if (match) {
+                used.add(match.field);
+            }
+        });
+        return mapping;
+    }
+
+    // Unit a column is in: named in its header ("Temp (°F)", "Brix"); the stored unit for a
+    // bare field name ("temperature"), which is how this app exported before headers carried
+    // units; otherwise the user's entry unit. Null for fields without units.
+    static guessUnit(field, header) {
+        if (typeof Units === 'undefined' || !Units.canonical(field)) return null;
+        const named = Units.fromHeader(field, header);
+        if (named) return named;
+        if (String(header ?? '').trim() === field) return Units.canonical(field);
+        return Units.entryUnit(field);
+    }
+
+    // { field: unit } for every mapped field that has units
+    static guessUnits(mapping) {
+        const units = {};
+        Object.entries(mapping).forEach(([header, field]) => {
+            const unit = field ? ReadingImport.guessUnit(field, header) : null;
+            if (unit) units[field] = unit;
+        });
+        return units;
+    }
+
+    // Joins separate date and time columns. Spreadsheet cells may hold either as a Date
+    // (a time-only cell is a Date on the spreadsheet epoch day).
+    static combineDateTime(date, time) {
+        if (!date) {
+            return '';
+        }
+        if (!(date instanceof Date)) {
+            const timeText = time instanceof Date
+                ? `${String(time.getHours()).padStart(2, '0')}:${String(time.getMinutes()).padStart(2, '0')}`
+                : time;
+            return `${date}${timeText ? ` ${timeText}` : ''}`;
+        }
+        const combined = new Date(date.getTime());
+        if (time instanceof Date) {
+            combined.setHours(time.getHours(), time.getMinutes(), time.getSeconds());
+        } else if (time) {
+            const match = String(time).match(/^(\d{1,2})[:.](\d{2})/);
+            if (match) {
+                combined.setHours(Number(match[1]), Number(match[2]), 0);
+            }
+        }
+        return combined;
+    }
+
+    // Turns parsed CSV or spreadsheet rows into readings. rowNumbers[i] is the file row of
+    // readings[i] and rows that can't be read are returned in `rejected`. Without
+    // sourceRowNumbers the header is taken to be row 1. units ({ field: unit }) are the units
+    // the file is in; values are converted to the stored units and the source unit is kept on
+    // the reading as <field>Unit.
+    static mapRows(rows, mapping, { decimalComma = false, rowNumbers: sourceRowNumbers = null, units = {} } = {}) {
+        const readings = [];
+        const rowNumbers = [];
+        const rejected = [];
+        const definitions = new Map(READING_IMPORT_FIELDS.map(definition => [definition.field, definition]));
+
+        rows.forEach((row, index) => {
+            const values = {};
+            const errors = [];
+            Object.entries(mapping).forEach(([header, field]) => {
+                const definition = definitions.get(field);
+                const cell = row[header];
+                // Spreadsheet rows carry typed numbers and dates, CSV rows only strings
+                const raw = typeof cell === 'string' ? cell.trim() : cell ?? '';
+                if (!definition || raw === '') return;
+                if (definition.numeric) {
+                    const number = CsvCodec.parseNumber(raw, { decimalComma });
+                    if (Number.isNaN(number) || number === null) {
+                        errors.push(`${definition.label} "${raw}" is not a number`);
+                    } else if (units[field]) {
+                        values[field] = Units.toCanonical(field, number, units[field]);
+                        values[`${field}Unit`] = units[field];
+                    } else {
+                        values[field] = number;
+                    }
+                } else {
+                    values[field] = raw instanceof Date ? raw : String(raw);
+                }
+            });
+
+            const { date, time, timestamp, ...reading } = values;
+            const rawTimestamp = timestamp ?? ReadingImport.combineDateTime(date, time);
+            reading.timestamp = formatForDateTimeInput(rawTimestamp);
+            if (!reading.timestamp) {
+                errors.push(rawTimestamp ? `Date "${rawTimestamp}" is not recognised` : 'Date is missing');
+            }
+
+            const rowNumber = sourceRowNumbers?.[index] ?? index + 2;
+            if (errors.length) {
+                rejected.push({ rowNumber, row, errors });
+            } else {
+                readings.push(reading);
+                rowNumbers.push(rowNumber);
+            }
+        });
+
+        return { readings, rowNumbers, rejected };
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ReadingImport = ReadingImport;
+}
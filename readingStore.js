@@ -0,0 +1,289 @@
+// readingStore.js - IndexedDB persistence for tank readings
+const READING_DB_NAME = 'vinetrack-readings';
+const LEGACY_IMPORT_KEY = 'legacyLocalStorageImport';
+
+// Each entry upgrades the schema by one version. Entries receive the open database
+// and the version-change transaction so they can both reshape stores and rewrite records.
+const READING_STORE_MIGRATIONS = [
+    // v1: one record per reading, indexed by tank and timestamp, plus per-tank metadata
+    (db) => {
+        const readings = db.createObjectStore('readings', { keyPath: 'key', autoIncrement: true });
+        readings.createIndex('tankId', 'tankId', { unique: false });
+        readings.createIndex('timestamp', 'timestamp', { unique: false });
+        readings.createIndex('tankId_timestamp', ['tankId', 'timestamp'], { unique: false });
+        db.createObjectStore('tanks', { keyPath: 'tankId' });
+        db.createObjectStore('meta', { keyPath: 'key' });
+    },
+    // v2: stable reading ids, backfilled for records written before ids existed
+    (db, transaction) => {
+        const readings = transaction.objectStore('readings');
+        readings.createIndex('id', 'id', { unique: true });
+        const cursorRequest = readings.openCursor();
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) return;
+            if (!cursor.value.id) {
+                cursor.update({ ...cursor.value, id: createReadingId() });
+            }
+            cursor.continue();
+        };
+    },
+    // v3: audit trail of reading creates, edits, deletes and restores
+    (db) => {
+        const audit = db.createObjectStore('audit', { keyPath: 'id' });
+        audit.createIndex('readingId', 'readingId', { unique: false });
+        audit.createIndex('tankId', 'tankId', { unique: false });
+        audit.createIndex('timestamp', 'timestamp', { unique: false });
+    }
+];
+
+class ReadingStore {
+    constructor(name = READING_DB_NAME) {
+        this.name = name;
+        this.version = READING_STORE_MIGRATIONS.length;
+        this.db = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    async open() {
+        if (this.db) {
+            return this.db;
+        }
+        if (!ReadingStore.isSupported()) {
+            return null;
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.name, this.version);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                const transaction = request.transaction;
+                for (let version = event.oldVersion; version < this.version; version++) {
+                    READING_STORE_MIGRATIONS[version](db, transaction);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Reading database upgrade blocked by another open tab'));
+        });
+
+        this.db.onversionchange = () => {
+            this.db.close();
+            this.db = null;
+        };
+        return this.db;
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        if (!db) {
+            throw new Error('IndexedDB is not available');
+        }
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error ?? new Error('Transaction aborted'));
+            result = work(tx);
+        });
+    }
+
+    requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    toRecord(tankId, reading) {
+        const { key, ...rest } = reading ?? {};
+        return { ...rest, tankId };
+    }
+
+    fromRecord(record) {
+        const { key, tankId, ...reading } = record;
+        return reading;
+    }
+
+    async loadAll() {
+        const [records, tanks] = await Promise.all([
+            this.transaction('readings', 'readonly', tx => this.requestToPromise(tx.objectStore('readings').getAll())),
+            this.transaction('tanks', 'readonly', tx => this.requestToPromise(tx.objectStore('tanks').getAll()))
+        ]);
+
+        const readings = new Map();
+        (records ?? []).forEach(record => {
+            if (!readings.has(record.tankId)) {
+                readings.set(record.tankId, []);
+            }
+            readings.get(record.tankId).push(this.fromRecord(record));
+        });
+
+        const varieties = new Map();
+        (tanks ?? []).forEach(tank => {
+            if (tank.variety) {
+                varieties.set(tank.tankId, tank.variety);
+            }
+        });
+
+        return { readings, varieties };
+    }
+
+    async getTankReadings(tankId) {
+        const records = await this.transaction('readings', 'readonly', tx =>
+            this.requestToPromise(tx.objectStore('readings').index('tankId').getAll(IDBKeyRange.only(tankId)))
+        );
+        return (records ?? []).map(record => this.fromRecord(record));
+    }
+
+    async getReadingById(readingId) {
+        const record = await this.transaction('readings', 'readonly', tx =>
+            this.requestToPromise(tx.objectStore('readings').index('id').get(readingId))
+        );
+        return record ? { tankId: record.tankId, reading: this.fromRecord(record) } : null;
+    }
+
+    async replaceTankReadings(tankId, readings) {
+        return this.transaction('readings', 'readwrite', tx => {
+            const store = tx.objectStore('readings');
+            const cursorRequest = store.index('tankId').openKeyCursor(IDBKeyRange.only(tankId));
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    store.delete(cursor.primaryKey);
+                    cursor.continue();
+                    return;
+                }
+                readings.forEach(reading => store.add(this.toRecord(tankId, reading)));
+            };
+        });
+    }
+
+    // Swaps every tank's readings in one transaction, so a reading that moves between tanks
+    // never exists twice as far as the unique id index is concerned
+    async replaceAllReadings(readingsByTank) {
+        return this.transaction('readings', 'readwrite', tx => {
+            const store = tx.objectStore('readings');
+            store.clear();
+            readingsByTank.forEach((readings, tankId) => {
+                readings.forEach(reading => store.add(this.toRecord(tankId, reading)));
+            });
+        });
+    }
+
+    async setTankVariety(tankId, variety) {
+        return this.transaction('tanks', 'readwrite', tx => {
+            const store = tx.objectStore('tanks');
+            if (variety) {
+                store.put({ tankId, variety });
+            } else {
+                store.delete(tankId);
+            }
+        });
+    }
+
+    async addAuditEntry(entry) {
+        return this.transaction('audit', 'readwrite', tx => {
+            tx.objectStore('audit').put(entry);
+        });
+    }
+
+    async replaceAuditEntries(entries) {
+        return this.transaction('audit', 'readwrite', tx => {
+            const store = tx.objectStore('audit');
+            store.clear();
+            entries.forEach(entry => store.put(entry));
+        });
+    }
+
+    async loadAuditEntries() {
+        const entries = await this.transaction('audit', 'readonly', tx =>
+            this.requestToPromise(tx.objectStore('audit').index('timestamp').getAll())
+        );
+        return entries ?? [];
+    }
+
+    async getMeta(key) {
+        const entry = await this.transaction('meta', 'readonly', tx =>
+            this.requestToPromise(tx.objectStore('meta').get(key))
+        );
+        return entry?.value;
+    }
+
+    async setMeta(key, value) {
+        return this.transaction('meta', 'readwrite', tx => {
+            tx.objectStore('meta').put({ key, value });
+        });
+    }
+
+    // Lifts the pre-IndexedDB localStorage layout (tank id -> JSON log, `${tankId}_variety` -> name)
+    // into the database once. The legacy keys are left in place as a fallback copy.
+    async importLegacyStorage(storage, tankIds = []) {
+        if (!storage) {
+            return { imported: false, readings: 0, varieties: 0 };
+        }
+        const previous = await this.getMeta(LEGACY_IMPORT_KEY);
+        if (previous) {
+            return { imported: false, readings: 0, varieties: 0 };
+        }
+
+        const readingsByTank = new Map();
+        tankIds.forEach(tankId => {
+            const stored = storage.getItem(tankId);
+            if (!stored) return;
+            try {
+                const parsed = JSON.parse(stored);
+                if (Array.isArray(parsed) && parsed.length > 0) {
+                    readingsByTank.set(tankId, parsed.filter(entry => entry && typeof entry === 'object'));
+                }
+            } catch (error) {
+                console.warn(`Skipping unreadable legacy log for tank ${tankId}`, error);
+            }
+        });
+
+        const varieties = new Map();
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            if (key && key.endsWith('_variety')) {
+                const value = storage.getItem(key);
+                if (value) {
+                    varieties.set(key.slice(0, -'_variety'.length), value);
+                }
+            }
+        }
+
+        let readingCount = 0;
+        await this.transaction(['readings', 'tanks', 'meta'], 'readwrite', tx => {
+            const readingStore = tx.objectStore('readings');
+            readingsByTank.forEach((entries, tankId) => {
+                entries.forEach(entry => {
+                    readingStore.add(this.toRecord(tankId, entry));
+                    readingCount += 1;
+                });
+            });
+            const tankStore = tx.objectStore('tanks');
+            varieties.forEach((variety, tankId) => tankStore.put({ tankId, variety }));
+            tx.objectStore('meta').put({
+                key: LEGACY_IMPORT_KEY,
+                value: { importedAt: new Date().toISOString(), readings: readingCount, varieties: varieties.size }
+            });
+        });
+
+        return { imported: true, readings: readingCount, varieties: varieties.size };
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ReadingStore = ReadingStore;
+}
@@ -1,11 +1,14 @@
 // reporting.js - Professional reporting system
 class ReportingEngine {
-    constructor(dataManager, tanks) {
+    constructor(dataManager, tanks, batchManager = null) {
         this.dataManager = dataManager;
         this.tanks = tanks;
+        this.batchManager = batchManager;
     }
 
-    generateFermentationReport(tankId, startDate, endDate) {
+    // options.wineType overrides the batch's wine type for the alcohol estimate; options.units
+    // ({ field: unit }) the user's display units for temperatures, sugar and volumes
+    generateFermentationReport(tankId, startDate, endDate, options = {}) {
         const data = this.dataManager.getTankData(tankId);
         const filteredData = data.filter(d => {
             const date = new Date(d.timestamp);
@@ -14,32 +17,53 @@ class ReportingEngine {
 
         const tank = this.tanks.find(t => t.id === tankId);
         const analysis = FermentationCalculations.analyzeFermentationRate(filteredData);
+        const alcohol = this.estimateAlcohol(tankId, filteredData, options.wineType);
+        const units = this.reportUnits(options.units);
+        const shown = filteredData.map(reading => this.inUnits(reading, units));
 
         return {
             reportId: `RPT-${tankId}-${Date.now()}`,
             generatedAt: new Date().toISOString(),
             reportPeriod: { startDate, endDate },
+            units,
             tank: {
                 id: tankId,
-                capacity: tank?.capacity,
+                capacity: this.inUnits({ volume: tank?.capacity }, units).volume,
                 variety: this.dataManager.getTankVariety(tankId),
                 description: tank?.description
             },
             summary: {
                 totalReadings: filteredData.length,
                 fermentationDays: this.calculateFermentationDays(filteredData),
-                sugarReduction: this.calculateSugarReduction(filteredData),
-                averageTemperature: this.calculateAverage(filteredData, 'temperature'),
+                sugarReduction: this.calculateSugarReduction(shown),
+                averageTemperature: this.calculateAverage(shown, 'temperature'),
                 pHRange: this.calculateRange(filteredData, 'ph'),
                 completionStatus: this.getCompletionStatus(filteredData)
             },
             analytics: analysis,
+            alcohol,
             qualityMetrics: this.assessQuality(filteredData),
-            recommendations: this.generateRecommendations(filteredData, analysis),
-            chartData: this.prepareChartData(filteredData)
+            recommendations: this.generateRecommendations(filteredData, analysis, alcohol),
+            chartData: this.prepareChartData(shown)
         };
     }
 
+    reportUnits(units = null) {
+        if (typeof Units === 'undefined') return { temperature: 'C', sugar: 'baume', volume: 'L' };
+        return { ...Units.getPreferences().display, ...units };
+    }
+
+    inUnits(reading, units) {
+        return typeof Units === 'undefined' ? reading : Units.convertReading(reading, units);
+    }
+
+    // " °F" after a summary value measured in a unit, '' otherwise
+    unitSuffix(key, units) {
+        const field = { sugarReduction: 'sugar', averageTemperature: 'temperature' }[key];
+        if (!field || !units || typeof Units === 'undefined') return '';
+        return ` ${Units.label(field, units[field])}`;
+    }
+
     exportToPDF(report) {
         // Using jsPDF library
         const { jsPDF } = window.jspdf;
@@ -61,10 +85,28 @@ class ReportingEngine {
         doc.setFontSize(10);
         let yPos = 95;
         Object.entries(report.summary).forEach(([key, value]) => {
-            doc.text(`${this.formatLabel(key)}: ${value}`, 20, yPos);
+            doc.text(`${this.formatLabel(key)}: ${value}${this.unitSuffix(key, report.units)}`, 20, yPos);
             yPos += 10;
         });
 
+        // Alcohol
+        if (report.alcohol) {
+            yPos += 10;
+            doc.setFontSize(14);
+            doc.text('Alcohol', 20, yPos);
+            yPos += 10;
+            doc.setFontSize(10);
+            doc.text(`Potential: ${report.alcohol.potentialAlcohol.toFixed(1)}% vol (${report.alcohol.wineType}, ${report.alcohol.factor} g/L per % vol)`, 20, yPos);
+            yPos += 10;
+            doc.text(`Estimated from SG ${report.alcohol.initialSG.toFixed(3)} to ${report.alcohol.currentSG.toFixed(3)}: ${report.alcohol.estimatedABV.toFixed(1)}% vol`, 20, yPos);
+            yPos += 10;
+            if (report.alcohol.lab) {
+                const lab = report.alcohol.lab;
+                doc.text(`Lab: ${lab.value.toFixed(1)}% vol (${lab.reconciled ? 'agrees' : `differs by ${lab.difference.toFixed(1)}% vol`})`, 20, yPos);
+                yPos += 10;
+            }
+        }
+
         // Quality Assessment
         yPos += 10;
         doc.setFontSize(14);
@@ -94,6 +136,13 @@ class ReportingEngine {
         doc.save(`fermentation-report-${report.tank.id}-${new Date().toISOString().split('T')[0]}.pdf`);
     }
 
+    estimateAlcohol(tankId, data, wineType = null) {
+        if (this.batchManager) {
+            return this.batchManager.estimateTankAlcohol(tankId, data, wineType);
+        }
+        return FermentationCalculations.estimateAlcohol(data, { wineType: wineType ?? 'red' });
+    }
+
     calculateFermentationDays(data) {
         if (data.length < 2) return 0;
         const sorted = data.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
@@ -130,7 +179,7 @@ class ReportingEngine {
         return metrics;
     }
 
-    generateRecommendations(data, analysis) {
+    generateRecommendations(data, analysis, alcohol = null) {
         const recommendations = [];
         
         if (analysis && analysis.averageRate < 0.5) {
@@ -152,6 +201,10 @@ class ReportingEngine {
             }
         }
 
+        if (alcohol?.lab && !alcohol.lab.reconciled) {
+            recommendations.push(`Lab alcohol (${alcohol.lab.value.toFixed(1)}% vol) differs from the hydrometer estimate (${alcohol.estimatedABV.toFixed(1)}% vol) - check hydrometer calibration and sampling`);
+        }
+
         return recommendations;
     }
 
@@ -0,0 +1,197 @@
+// so2Manager.js - SO₂ additions, product forms and cumulative totals
+// Products that deliver SO₂. perUnit is grams of SO₂ per unit of product; solutions and
+// tablets come in several strengths (% w/v and g of SO₂ per tablet respectively).
+const SO2_FORMS = {
+    kms: { name: 'Potassium metabisulfite', unit: 'g', perUnit: 0.576 },
+    solution: { name: 'SO₂ solution', unit: 'mL', strengths: [5, 6, 8, 10, 15, 18], perUnit: (strength) => strength / 100 },
+    tablet: { name: 'Effervescent tablets', unit: 'tablets', strengths: [2, 5, 10], perUnit: (strength) => strength, wholeUnits: true },
+    gas: { name: 'SO₂ gas', unit: 'g', perUnit: 1 }
+};
+
+// pKa of the bisulfite/molecular SO₂ equilibrium at 20°C. Warmer wine holds more of its free
+// SO₂ in the molecular form; the pKa is raised by about 0.0125 per °C above 20°C.
+const SO2_PKA_20C = 1.81;
+const SO2_PKA_PER_DEGREE = 0.0125;
+
+// Molecular SO₂ commonly targeted for protection
+const DEFAULT_MOLECULAR_TARGET = 0.8;
+
+class SO2Manager {
+    constructor(batchManager = null, complianceManager = null) {
+        this.batchManager = batchManager;
+        this.complianceManager = complianceManager;
+    }
+
+    static get forms() {
+        return SO2_FORMS;
+    }
+
+    static pKa(temperature = 20) {
+        return SO2_PKA_20C + SO2_PKA_PER_DEGREE * ((Number.isFinite(temperature) ? temperature : 20) - 20);
+    }
+
+    static molecularSO2(freeSO2, pH, temperature = 20) {
+        if (!Number.isFinite(freeSO2) || !Number.isFinite(pH)) {
+            return 0;
+        }
+        return freeSO2 / (1 + Math.pow(10, pH - SO2Manager.pKa(temperature)));
+    }
+
+    static freeForMolecular(molecular, pH, temperature = 20) {
+        return molecular * (1 + Math.pow(10, pH - SO2Manager.pKa(temperature)));
+    }
+
+    // mg/L of SO₂ to add to move free SO₂ up to the molecular target
+    static additionForMolecular({ freeSO2 = 0, pH, temperature = 20, target = DEFAULT_MOLECULAR_TARGET }) {
+        return Math.max(0, SO2Manager.freeForMolecular(target, pH, temperature) - (freeSO2 || 0));
+    }
+
+    static gramsPerUnit(form, strength = null) {
+        const definition = SO2_FORMS[form];
+        if (!definition) {
+            throw new Error(`Unknown SO₂ form: ${form}`);
+        }
+        if (typeof definition.perUnit === 'function') {
+            const chosen = strength ?? definition.strengths[0];
+            if (!(chosen > 0)) {
+                throw new Error(`${definition.name} strength is required`);
+            }
+            return definition.perUnit(chosen);
+        }
+        return definition.perUnit;
+    }
+
+    // Grams of SO₂ as an amount of product: { amount, unit, so2Grams } where so2Grams is what
+    // that amount actually delivers (tablets are rounded to whole tablets)
+    static toProduct(so2Grams, form, strength = null) {
+        const perUnit = SO2Manager.gramsPerUnit(form, strength);
+        let amount = so2Grams / perUnit;
+        if (SO2_FORMS[form].wholeUnits) {
+            amount = so2Grams > 0 ? Math.max(1, Math.round(amount)) : 0;
+        }
+        return { amount, unit: SO2_FORMS[form].unit, so2Grams: amount * perUnit };
+    }
+
+    static fromProduct(amount, form, strength = null) {
+        return amount * SO2Manager.gramsPerUnit(form, strength);
+    }
+
+    // Converts an amount of one product to the equivalent amount of another
+    static convert(amount, from, to, { fromStrength = null, toStrength = null } = {}) {
+        return SO2Manager.toProduct(SO2Manager.fromProduct(amount, from, fromStrength), to, toStrength);
+    }
+
+    // Estimated total SO₂ for a batch: the latest lab total plus SO₂ treatments recorded since.
+    // Without a lab total, every recorded addition is summed.
+    cumulativeTotal(batchId) {
+        const batch = this.batchManager?.getBatch(batchId);
+        const lab = (batch?.labResults ?? [])
+            .filter(result => Number.isFinite(result.totalSO2))
+            .reduce((latest, result) => !latest || new Date(result.timestamp) > new Date(latest.timestamp) ? result : latest, null);
+        const additions = (batch?.treatments ?? []).filter(treatment => treatment.type === 'so2' && Number.isFinite(treatment.so2Added));
+        const since = lab ? additions.filter(treatment => new Date(treatment.timestamp) > new Date(lab.timestamp)) : additions;
+        const addedSinceLab = since.reduce((sum, treatment) => sum + treatment.so2Added, 0);
+        return {
+            labTotal: lab?.totalSO2 ?? null,
+            labTimestamp: lab?.timestamp ?? null,
+            additions: additions.length,
+            added: additions.reduce((sum, treatment) => sum + treatment.so2Added, 0),
+            addedSinceLab,
+            estimatedTotal: (lab?.totalSO2 ?? 0) + addedSinceLab
+        };
+    }
+
+    // Without a country, ComplianceManager's default applies
+    getLimit(batchId, country) {
+        if (!this.complianceManager) return null;
+        return this.complianceManager.getSO2Limit(this.batchManager?.getBatch(batchId), country);
+    }
+
+    // Works out an addition for a tank. inputs: { batchId, volume (L), freeSO2, pH, temperature,
+    // target (molecular mg/L) or rate (mg/L to add), form, strength, country }.
+    planAddition(inputs) {
+        const volume = Number(inputs.volume);
+        if (!(volume > 0)) {
+            return { valid: false, error: 'Volume must be greater than zero' };
+        }
+        const byRate = Number.isFinite(inputs.rate);
+        if (!byRate && !Number.isFinite(inputs.pH)) {
+            return { valid: false, error: 'pH is required to reach a molecular SO₂ target' };
+        }
+
+        const temperature = Number.isFinite(inputs.temperature) ? inputs.temperature : 20;
+        const target = inputs.target ?? DEFAULT_MOLECULAR_TARGET;
+        const wanted = byRate
+            ? Math.max(0, inputs.rate)
+            : SO2Manager.additionForMolecular({ freeSO2: inputs.freeSO2, pH: inputs.pH, temperature, target });
+        let product;
+        try {
+            product = SO2Manager.toProduct(wanted * volume / 1000, inputs.form ?? 'kms', inputs.strength);
+        } catch (error) {
+            return { valid: false, error: error.message };
+        }
+        const rate = product.so2Grams * 1000 / volume;
+
+        const warnings = [];
+        const cumulative = inputs.batchId ? this.cumulativeTotal(inputs.batchId) : null;
+        const limit = inputs.batchId ? this.getLimit(inputs.batchId, inputs.country) : null;
+        const projectedTotal = (cumulative?.estimatedTotal ?? 0) + rate;
+        if (limit !== null && projectedTotal > limit) {
+            warnings.push(`Projected total SO₂ ${Math.round(projectedTotal)} mg/L exceeds the ${inputs.country ?? DEFAULT_SO2_COUNTRY} limit of ${limit} mg/L`);
+        } else if (limit !== null && projectedTotal > limit * 0.9) {
+            warnings.push(`Projected total SO₂ ${Math.round(projectedTotal)} mg/L is within 10% of the ${limit} mg/L limit`);
+        }
+        if (cumulative && cumulative.labTotal === null && cumulative.additions > 0) {
+            warnings.push('No lab total SO₂ on record; the total is estimated from recorded additions only');
+        }
+        if (wanted === 0) {
+            warnings.push('Free SO₂ already meets the molecular target');
+        }
+
+        return {
+            valid: true,
+            form: inputs.form ?? 'kms',
+            strength: inputs.strength ?? null,
+            name: SO2_FORMS[inputs.form ?? 'kms'].name,
+            volume,
+            freeSO2: inputs.freeSO2 ?? null,
+            pH: inputs.pH ?? null,
+            temperature,
+            target: byRate ? null : target,
+            molecularNow: byRate ? null : SO2Manager.molecularSO2(inputs.freeSO2 ?? 0, inputs.pH, temperature),
+            rate,
+            so2Grams: product.so2Grams,
+            amount: product.amount,
+            unit: product.unit,
+            cumulative,
+            limit,
+            projectedTotal,
+            exceedsLimit: limit !== null && projectedTotal > limit,
+            warnings
+        };
+    }
+
+    // Records a planned addition as an `so2` treatment on the batch
+    recordAddition(batchId, plan, { tankId = null, notes = '' } = {}) {
+        if (!this.batchManager) {
+            throw new Error('Batch tracking is not available');
+        }
+        return this.batchManager.recordTreatment(batchId, {
+            type: 'so2',
+            product: plan.strength ? `${plan.name} (${plan.strength}${plan.form === 'tablet' ? ' g' : '%'})` : plan.name,
+            form: plan.form,
+            amount: Math.round(plan.amount * 10) / 10,
+            unit: plan.unit,
+            so2Added: Math.round(plan.rate * 10) / 10,
+            rateUnit: 'mg/L',
+            freeBefore: plan.freeSO2,
+            molecularTarget: plan.target,
+            tankId,
+            notes
+        });
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.SO2Manager = SO2Manager;
+}
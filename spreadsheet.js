@@ -0,0 +1,466 @@
+// spreadsheet.js - XLSX and ODS workbooks without external libraries
+// A workbook is { sheets: [{ name, rows: [[cell, ...], ...] }] } where a cell is a number,
+// string, boolean, Date (local wall-clock time) or null.
+const XLSX_MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const XLSX_REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const XLSX_PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const ODS_OFFICE_NS = 'urn:oasis:names:tc:opendocument:xmlns:office:1.0';
+const ODS_TABLE_NS = 'urn:oasis:names:tc:opendocument:xmlns:table:1.0';
+const ODS_TEXT_NS = 'urn:oasis:names:tc:opendocument:xmlns:text:1.0';
+const ODS_MIMETYPE = 'application/vnd.oasis.opendocument.spreadsheet';
+const XLSX_MIMETYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Built-in Excel number formats that display dates or times
+const XLSX_DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 30, 36, 45, 46, 47, 50, 57]);
+
+// LibreOffice pads sheets with repeated blank rows and cells out to the sheet size, so
+// repeat counts are capped when expanding them.
+const ODS_MAX_REPEAT = 10000;
+
+class Spreadsheet {
+    static escapeXML(value) {
+        return String(value)
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Excel limits sheet names to 31 characters without []:*?/\
+    static sheetName(name, used = new Set()) {
+        const base = String(name || 'Sheet').replace(/[\[\]:*?\/\\]/g, '-').slice(0, 31) || 'Sheet';
+        let candidate = base;
+        for (let i = 2; used.has(candidate.toLowerCase()); i++) {
+            candidate = `${base.slice(0, 28)} (${i})`;
+        }
+        used.add(candidate.toLowerCase());
+        return candidate;
+    }
+
+    static columnLetter(index) {
+        let letters = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+        }
+        return letters;
+    }
+
+    static columnIndex(reference) {
+        const letters = reference.match(/^[A-Z]+/i)?.[0].toUpperCase() ?? 'A';
+        return letters.split('').reduce((sum, letter) => sum * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+    }
+
+    static isDate(value) {
+        return value instanceof Date && !Number.isNaN(value.getTime());
+    }
+
+    // Spreadsheet dates carry no time zone, so they are converted via wall-clock components
+    static dateToSerial(date, date1904 = false) {
+        const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+        const wallClock = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+            date.getHours(), date.getMinutes(), date.getSeconds());
+        return (wallClock - epoch) / 86400000;
+    }
+
+    static serialToDate(serial, date1904 = false) {
+        const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+        const utc = new Date(epoch + Math.round(serial * 86400000));
+        return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate(),
+            utc.getUTCHours(), utc.getUTCMinutes(), utc.getUTCSeconds());
+    }
+
+    static formatLocalDateTime(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    }
+
+    static parseLocalDateTime(text) {
+        const match = String(text).match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?/);
+        if (!match) return null;
+        const [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+        return new Date(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+    }
+
+    // Date strings from storage become date cells: zone-less values are read as local time
+    static toDateCell(value) {
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+        const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?)?$/.test(value)
+            ? Spreadsheet.parseLocalDateTime(value)
+            : new Date(value);
+        return Spreadsheet.isDate(date) ? date : value;
+    }
+
+    static columnCount(sheet) {
+        return sheet.rows.reduce((max, row) => Math.max(max, row.length), 0);
+    }
+
+    // ---- XLSX ----
+
+    static toXlsx(workbook) {
+        const archive = new ZipArchive();
+        const used = new Set();
+        const sheets = workbook.sheets.map(sheet => ({ ...sheet, name: Spreadsheet.sheetName(sheet.name, used) }));
+
+        archive.addFile('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+</Types>`);
+        archive.addFile('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${XLSX_PACKAGE_REL_NS}">
+<Relationship Id="rId1" Type="${XLSX_REL_NS}/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`);
+        archive.addFile('xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="${XLSX_MAIN_NS}" xmlns:r="${XLSX_REL_NS}">
+<sheets>
+${sheets.map((sheet, i) => `<sheet name="${Spreadsheet.escapeXML(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('\n')}
+</sheets>
+</workbook>`);
+        archive.addFile('xl/_rels/workbook.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${XLSX_PACKAGE_REL_NS}">
+${sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${XLSX_REL_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('\n')}
+<Relationship Id="rId${sheets.length + 1}" Type="${XLSX_REL_NS}/styles" Target="styles.xml"/>
+</Relationships>`);
+        // Cell styles: 0 default, 1 date and time, 2 bold header
+        archive.addFile('xl/styles.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="${XLSX_MAIN_NS}">
+<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="3">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`);
+        sheets.forEach((sheet, i) => {
+            archive.addFile(`xl/worksheets/sheet${i + 1}.xml`, Spreadsheet.xlsxSheetXML(sheet));
+        });
+        return archive.toUint8Array();
+    }
+
+    // The first row is treated as a header and set in bold
+    static xlsxSheetXML(sheet) {
+        const columns = Spreadsheet.columnCount(sheet);
+        const rows = sheet.rows.map((row, rowIndex) => {
+            const cells = row.map((value, columnIndex) => {
+                const ref = `${Spreadsheet.columnLetter(columnIndex)}${rowIndex + 1}`;
+                const header = rowIndex === 0 ? ' s="2"' : '';
+                if (value === null || value === undefined || value === '') {
+                    return '';
+                }
+                if (typeof value === 'number' && Number.isFinite(value)) {
+                    return `<c r="${ref}"${header}><v>${value}</v></c>`;
+                }
+                if (typeof value === 'boolean') {
+                    return `<c r="${ref}" t="b"${header}><v>${value ? 1 : 0}</v></c>`;
+                }
+                if (Spreadsheet.isDate(value)) {
+                    return `<c r="${ref}" s="1"><v>${Spreadsheet.dateToSerial(value)}</v></c>`;
+                }
+                return `<c r="${ref}" t="inlineStr"${header}><is><t xml:space="preserve">${Spreadsheet.escapeXML(value)}</t></is></c>`;
+            }).join('');
+            return `<row r="${rowIndex + 1}">${cells}</row>`;
+        }).join('\n');
+
+        const cols = columns ? `<cols><col min="1" max="${columns}" width="18" customWidth="1"/></cols>` : '';
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="${XLSX_MAIN_NS}">
+${cols}
+<sheetData>
+${rows}
+</sheetData>
+</worksheet>`;
+    }
+
+    static parseXML(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length) {
+            throw new Error('The spreadsheet contains malformed XML');
+        }
+        return doc;
+    }
+
+    static resolvePath(base, target) {
+        if (target.startsWith('/')) {
+            return target.slice(1);
+        }
+        const parts = base.split('/').slice(0, -1);
+        target.split('/').forEach(part => {
+            if (part === '..') parts.pop();
+            else if (part !== '.') parts.push(part);
+        });
+        return parts.join('/');
+    }
+
+    static xlsxDateStyles(archive) {
+        const text = archive.getText('xl/styles.xml');
+        if (!text) return [];
+        const doc = Spreadsheet.parseXML(text);
+        const customDateFormats = new Set();
+        Array.from(doc.getElementsByTagNameNS(XLSX_MAIN_NS, 'numFmt')).forEach(format => {
+            // Ignore quoted literals and [colour]/[locale] sections before looking for date tokens
+            const code = (format.getAttribute('formatCode') ?? '').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+            if (/[dmyhs]/i.test(code)) {
+                customDateFormats.add(Number(format.getAttribute('numFmtId')));
+            }
+        });
+        const cellXfs = doc.getElementsByTagNameNS(XLSX_MAIN_NS, 'cellXfs')[0];
+        if (!cellXfs) return [];
+        return Array.from(cellXfs.getElementsByTagNameNS(XLSX_MAIN_NS, 'xf')).map(xf => {
+            const id = Number(xf.getAttribute('numFmtId') ?? 0);
+            return XLSX_DATE_FORMAT_IDS.has(id) || customDateFormats.has(id);
+        });
+    }
+
+    static xlsxText(node) {
+        return Array.from(node.getElementsByTagNameNS(XLSX_MAIN_NS, 't'))
+            .filter(t => t.parentNode.localName !== 'rPh')
+            .map(t => t.textContent)
+            .join('');
+    }
+
+    static readXlsx(archive) {
+        const workbookDoc = Spreadsheet.parseXML(archive.getText('xl/workbook.xml'));
+        const date1904 = ['1', 'true'].includes(workbookDoc.getElementsByTagNameNS(XLSX_MAIN_NS, 'workbookPr')[0]?.getAttribute('date1904'));
+        const relsDoc = Spreadsheet.parseXML(archive.getText('xl/_rels/workbook.xml.rels') ?? '<Relationships/>');
+        const targets = new Map(Array.from(relsDoc.getElementsByTagNameNS(XLSX_PACKAGE_REL_NS, 'Relationship'))
+            .map(rel => [rel.getAttribute('Id'), Spreadsheet.resolvePath('xl/workbook.xml', rel.getAttribute('Target'))]));
+
+        const sharedText = archive.getText('xl/sharedStrings.xml');
+        const sharedStrings = sharedText
+            ? Array.from(Spreadsheet.parseXML(sharedText).getElementsByTagNameNS(XLSX_MAIN_NS, 'si')).map(si => Spreadsheet.xlsxText(si))
+            : [];
+        const dateStyles = Spreadsheet.xlsxDateStyles(archive);
+
+        const sheets = Array.from(workbookDoc.getElementsByTagNameNS(XLSX_MAIN_NS, 'sheet')).map(sheetNode => {
+            const path = targets.get(sheetNode.getAttributeNS(XLSX_REL_NS, 'id'));
+            const sheetText = path ? archive.getText(path) : null;
+            const rows = [];
+            if (sheetText) {
+                Array.from(Spreadsheet.parseXML(sheetText).getElementsByTagNameNS(XLSX_MAIN_NS, 'row')).forEach((rowNode, position) => {
+                    const rowIndex = Number(rowNode.getAttribute('r') ?? position + 1) - 1;
+                    const row = [];
+                    Array.from(rowNode.getElementsByTagNameNS(XLSX_MAIN_NS, 'c')).forEach((cell, cellPosition) => {
+                        const ref = cell.getAttribute('r');
+                        const columnIndex = ref ? Spreadsheet.columnIndex(ref) : cellPosition;
+                        row[columnIndex] = Spreadsheet.xlsxCellValue(cell, sharedStrings, dateStyles, date1904);
+                    });
+                    rows[rowIndex] = Array.from(row, value => value ?? null);
+                });
+            }
+            return { name: sheetNode.getAttribute('name'), rows: Array.from(rows, row => row ?? []) };
+        });
+        return { sheets };
+    }
+
+    static xlsxCellValue(cell, sharedStrings, dateStyles, date1904) {
+        const type = cell.getAttribute('t') ?? 'n';
+        const raw = cell.getElementsByTagNameNS(XLSX_MAIN_NS, 'v')[0]?.textContent ?? null;
+        switch (type) {
+            case 's':
+                return raw === null ? null : sharedStrings[Number(raw)] ?? null;
+            case 'inlineStr':
+                return Spreadsheet.xlsxText(cell);
+            case 'str':
+                return raw;
+            case 'b':
+                return raw === '1';
+            case 'e':
+                return null;
+            case 'd':
+                return raw ? Spreadsheet.parseLocalDateTime(raw) : null;
+            default: {
+                if (raw === null || raw === '') return null;
+                const number = Number(raw);
+                if (!Number.isFinite(number)) return null;
+                return dateStyles[Number(cell.getAttribute('s') ?? 0)] ? Spreadsheet.serialToDate(number, date1904) : number;
+            }
+        }
+    }
+
+    // ---- ODS ----
+
+    static toOds(workbook) {
+        const archive = new ZipArchive();
+        const used = new Set();
+        // The mimetype entry must come first and be stored uncompressed
+        archive.addFile('mimetype', ODS_MIMETYPE);
+        archive.addFile('META-INF/manifest.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="1.2">
+<manifest:file-entry manifest:full-path="/" manifest:version="1.2" manifest:media-type="${ODS_MIMETYPE}"/>
+<manifest:file-entry manifest:full-path="content.xml" manifest:media-type="text/xml"/>
+</manifest:manifest>`);
+
+        const tables = workbook.sheets.map(sheet => {
+            const name = Spreadsheet.sheetName(sheet.name, used);
+            const columns = Math.max(1, Spreadsheet.columnCount(sheet));
+            const rows = sheet.rows.map((row, rowIndex) => {
+                const cells = row.map(value => Spreadsheet.odsCellXML(value, rowIndex === 0)).join('');
+                return `<table:table-row>${cells || '<table:table-cell/>'}</table:table-row>`;
+            }).join('\n');
+            return `<table:table table:name="${Spreadsheet.escapeXML(name)}">
+<table:table-column table:style-name="co1" table:number-columns-repeated="${columns}"/>
+${rows}
+</table:table>`;
+        }).join('\n');
+
+        archive.addFile('content.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-content xmlns:office="${ODS_OFFICE_NS}" xmlns:table="${ODS_TABLE_NS}" xmlns:text="${ODS_TEXT_NS}" xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0" xmlns:number="urn:oasis:names:tc:opendocument:xmlns:datastyle:1.0" xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0" office:version="1.2">
+<office:automatic-styles>
+<number:date-style style:name="N1"><number:year number:style="long"/><number:text>-</number:text><number:month number:style="long"/><number:text>-</number:text><number:day number:style="long"/><number:text> </number:text><number:hours number:style="long"/><number:text>:</number:text><number:minutes number:style="long"/></number:date-style>
+<style:style style:name="ce1" style:family="table-cell" style:parent-style-name="Default" style:data-style-name="N1"/>
+<style:style style:name="ce2" style:family="table-cell" style:parent-style-name="Default"><style:text-properties fo:font-weight="bold"/></style:style>
+<style:style style:name="co1" style:family="table-column"><style:table-column-properties style:column-width="1.4in"/></style:style>
+</office:automatic-styles>
+<office:body>
+<office:spreadsheet>
+${tables}
+</office:spreadsheet>
+</office:body>
+</office:document-content>`);
+        return archive.toUint8Array();
+    }
+
+    static odsCellXML(value, header) {
+        const style = header ? ' table:style-name="ce2"' : '';
+        if (value === null || value === undefined || value === '') {
+            return '<table:table-cell/>';
+        }
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return `<table:table-cell${style} office:value-type="float" office:value="${value}"><text:p>${value}</text:p></table:table-cell>`;
+        }
+        if (typeof value === 'boolean') {
+            return `<table:table-cell${style} office:value-type="boolean" office:boolean-value="${value}"><text:p>${value ? 'TRUE' : 'FALSE'}</text:p></table:table-cell>`;
+        }
+        if (Spreadsheet.isDate(value)) {
+            const iso = Spreadsheet.formatLocalDateTime(value);
+            return `<table:table-cell table:style-name="ce1" office:value-type="date" office:date-value="${iso}"><text:p>${iso.slice(0, 16).replace('T', ' ')}</text:p></table:table-cell>`;
+        }
+        const paragraphs = String(value).split('\n').map(line => `<text:p>${Spreadsheet.escapeXML(line)}</text:p>`).join('');
+        return `<table:table-cell${style} office:value-type="string">${paragraphs}</table:table-cell>`;
+    }
+
+    static readOds(archive) {
+        const doc = Spreadsheet.parseXML(archive.getText('content.xml'));
+        const repeat = (node, name) => Math.min(Number(node.getAttributeNS(ODS_TABLE_NS, name) ?? 1) || 1, ODS_MAX_REPEAT);
+
+        const sheets = Array.from(doc.getElementsByTagNameNS(ODS_TABLE_NS, 'table')).map(table => {
+            const rows = [];
+            let pendingRows = 0;
+            Array.from(table.getElementsByTagNameNS(ODS_TABLE_NS, 'table-row')).forEach(rowNode => {
+                const row = [];
+                let pendingCells = 0;
+                Array.from(rowNode.children).forEach(cell => {
+                    if (cell.localName !== 'table-cell' && cell.localName !== 'covered-table-cell') return;
+                    const value = Spreadsheet.odsCellValue(cell);
+                    const count = repeat(cell, 'number-columns-repeated');
+                    if (value === null) {
+                        pendingCells += count;
+                        return;
+                    }
+                    row.push(...Array(pendingCells).fill(null), ...Array(count).fill(value));
+                    pendingCells = 0;
+                });
+                const count = repeat(rowNode, 'number-rows-repeated');
+                if (row.length === 0) {
+                    pendingRows += count;
+                    return;
+                }
+                for (let i = 0; i < pendingRows; i++) rows.push([]);
+                for (let i = 0; i < count; i++) rows.push([...row]);
+                pendingRows = 0;
+            });
+            return { name: table.getAttributeNS(ODS_TABLE_NS, 'name'), rows };
+        });
+        return { sheets };
+    }
+
+    static odsCellValue(cell) {
+        const type = cell.getAttributeNS(ODS_OFFICE_NS, 'value-type');
+        switch (type) {
+            case 'float':
+            case 'percentage':
+            case 'currency': {
+                const number = Number(cell.getAttributeNS(ODS_OFFICE_NS, 'value'));
+                return Number.isFinite(number) ? number : null;
+            }
+            case 'date': {
+                // Usually zone-less local time, but some writers store UTC with a "Z"
+                const value = cell.getAttributeNS(ODS_OFFICE_NS, 'date-value') ?? '';
+                return /[zZ]$|[+-]\d{2}:?\d{2}$/.test(value) ? new Date(value) : Spreadsheet.parseLocalDateTime(value);
+            }
+            case 'boolean':
+                return cell.getAttributeNS(ODS_OFFICE_NS, 'boolean-value') === 'true';
+            default: {
+                const text = Array.from(cell.getElementsByTagNameNS(ODS_TEXT_NS, 'p')).map(p => p.textContent).join('\n');
+                return text === '' ? null : text;
+            }
+        }
+    }
+
+    // ---- Entry points ----
+
+    static toBlob(workbook, format) {
+        return format === 'ods'
+            ? new Blob([Spreadsheet.toOds(workbook)], { type: ODS_MIMETYPE })
+            : new Blob([Spreadsheet.toXlsx(workbook)], { type: XLSX_MIMETYPE });
+    }
+
+    // Accepts a File/Blob or ArrayBuffer holding an .xlsx or .ods workbook
+    static async read(input) {
+        const archive = await ZipArchive.read(input);
+        let workbook;
+        if (archive.has('xl/workbook.xml')) {
+            workbook = Spreadsheet.readXlsx(archive);
+        } else if (archive.has('content.xml') && (archive.getText('mimetype') ?? ODS_MIMETYPE).startsWith(ODS_MIMETYPE)) {
+            workbook = Spreadsheet.readOds(archive);
+        } else {
+            throw new Error('Not an Excel (.xlsx) or OpenDocument (.ods) spreadsheet');
+        }
+        if (workbook.sheets.length === 0) {
+            throw new Error('The workbook has no sheets');
+        }
+        return workbook;
+    }
+
+    // Uses the first non-empty row as headers and returns { headers, rows, rowNumbers }: rows
+    // are objects as from CsvCodec.parse() but with typed values, and rowNumbers[i] is the
+    // sheet row (from 1) of rows[i]. Blank rows are skipped.
+    static sheetToObjects(sheet) {
+        const isBlank = (row) => row.every(value => value === null || value === '');
+        const start = sheet.rows.findIndex(row => !isBlank(row));
+        if (start === -1) {
+            return { headers: [], rows: [], rowNumbers: [] };
+        }
+        const headers = sheet.rows[start].map((value, i) => {
+            const text = value === null || value === undefined ? '' : String(value).trim();
+            return text || `Column ${i + 1}`;
+        });
+        const rows = [];
+        const rowNumbers = [];
+        sheet.rows.forEach((row, index) => {
+            if (index <= start || isBlank(row)) return;
+            const entry = {};
+            headers.forEach((header, i) => {
+                entry[header] = row[i] ?? '';
+            });
+            rows.push(entry);
+            rowNumbers.push(index + 1);
+        });
+        return { headers, rows, rowNumbers };
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.Spreadsheet = Spreadsheet;
+}
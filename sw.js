@@ -1,16 +1,41 @@
-const CACHE_NAME = 'winery-v2.0';
+const CACHE_NAME = 'winery-v2.1';
 const assetPaths = [
     'index.html',
     'style.css',
     'enhanced-styles.css',
     'enhanced-dashboard.html',
+    'utils.js',
+    'readingStore.js',
+    'auditTrail.js',
+    'calculations.js',
+    'acidCalculator.js',
+    'so2Manager.js',
+    'nutrientPlanner.js',
+    'csvCodec.js',
+    'readingImport.js',
+    'validationProfiles.js',
+    'units.js',
+    'dataManager.js',
     'batchManager.js',
+    'blendDesigner.js',
+    'undoManager.js',
     'labIntegration.js',
     'productionPlanner.js',
     'complianceManager.js',
+    'enrichment.js',
+    'fortification.js',
+    'benchTrials.js',
+    'alertRules.js',
+    'alertLog.js',
+    'onCallRoster.js',
+    'alertEscalation.js',
+    'alertSystem.js',
     'aiAnalytics.js',
     'apiIntegration.js',
     'pwa.js',
+    'zipArchive.js',
+    'spreadsheet.js',
+    'backupManager.js',
     'app.js',
     'tanks.json',
     'manifest.json'
@@ -58,6 +83,17 @@ self.addEventListener('fetch', event => {
     );
 });
 
+// Alert notifications open (or focus) the tracker
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+            const client = clients.find(entry => entry.url.startsWith(baseScope));
+            return client ? client.focus() : self.clients.openWindow(new URL('enhanced-dashboard.html', baseScope).toString());
+        })
+    );
+});
+
 self.addEventListener('sync', event => {
     if (event.tag === 'sync-data') {
         event.waitUntil(syncData());
@@ -0,0 +1,60 @@
+// tools/alertStandIn.js - Local stand-in for the alert webhook, SMTP relay and SMS gateway
+// Run `npm run alert-standin` and point the channels at http://localhost:8025/webhook,
+// /email and /sms. Every request is printed and kept; GET /messages lists them, and a path
+// ending in /fail answers 500 to try out failed deliveries.
+const http = require('http');
+
+const port = Number(process.env.PORT) || 8025;
+const received = [];
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+const server = http.createServer((request, response) => {
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, corsHeaders);
+        response.end();
+        return;
+    }
+    if (request.method === 'GET' && request.url === '/messages') {
+        response.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(received, null, 2));
+        return;
+    }
+    if (request.method !== 'POST') {
+        response.writeHead(405, corsHeaders);
+        response.end();
+        return;
+    }
+
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch (error) {
+            response.writeHead(400, corsHeaders);
+            response.end('Body is not JSON');
+            return;
+        }
+        const message = {
+            at: new Date().toISOString(),
+            path: request.url,
+            authorization: request.headers.authorization ?? null,
+            payload
+        };
+        received.push(message);
+        console.log(JSON.stringify(message));
+        const fail = request.url.endsWith('/fail');
+        response.writeHead(fail ? 500 : 200, { ...corsHeaders, 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ ok: !fail }));
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Alert stand-in listening on http://localhost:${port}`);
+});
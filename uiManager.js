@@ -1,10 +1,14 @@
 // uiManager.js - Manages all UI updates
 class UIManager {
-    constructor(dataManager) {
+    constructor(dataManager, batchManager = null, validationProfiles = null) {
         this.dataManager = dataManager;
+        this.batchManager = batchManager;
+        this.validationProfiles = validationProfiles;
         this.currentTankId = '';
-        this.editingIndex = null;
+        this.editingId = null;
+        this.onRestoreReading = null;
         this.initializeElements();
+        this.applyUnitLabels();
     }
 
     initializeElements() {
@@ -38,6 +42,19 @@ class UIManager {
             exportCsvBtn: document.getElementById('exportCsvBtn'),
             importJsonBtn: document.getElementById('importJsonBtn'),
             importCsvBtn: document.getElementById('importCsvBtn'),
+            exportXlsxBtn: document.getElementById('exportXlsxBtn'),
+            exportOdsBtn: document.getElementById('exportOdsBtn'),
+            importSpreadsheetBtn: document.getElementById('importSpreadsheetBtn'),
+            nutrientPlanBtn: document.getElementById('nutrientPlanBtn'),
+            acidAdjustBtn: document.getElementById('acidAdjustBtn'),
+            so2Btn: document.getElementById('so2Btn'),
+            blendDesignerBtn: document.getElementById('blendDesignerBtn'),
+            enrichmentBtn: document.getElementById('enrichmentBtn'),
+            fortificationBtn: document.getElementById('fortificationBtn'),
+            benchTrialBtn: document.getElementById('benchTrialBtn'),
+            validationProfilesBtn: document.getElementById('validationProfilesBtn'),
+            unitsBtn: document.getElementById('unitsBtn'),
+            alertHistoryBtn: document.getElementById('alertHistoryBtn'),
             importFile: document.getElementById('importFile')
         };
     }
@@ -55,7 +72,7 @@ class UIManager {
         this.tanks.forEach(tank => {
             const option = document.createElement('option');
             option.value = tank.id;
-            option.textContent = `${tank.id} (${tank.capacity} L)`;
+            option.textContent = `${tank.id} (${Units.format('volume', tank.capacity)})`;
             select.appendChild(option);
         });
     }
@@ -86,29 +103,29 @@ class UIManager {
         const latestVolume = latest?.volume;
         
         const volumeDisplay = latestVolume !== undefined
-            ? `${latestVolume} / ${tank.capacity} L`
-            : `N/A / ${tank.capacity} L`;
+            ? `${Units.toDisplay('volume', latestVolume)} / ${Units.format('volume', tank.capacity)}`
+            : `N/A / ${Units.format('volume', tank.capacity)}`;
         
         const variety = this.dataManager.getTankVariety(this.currentTankId) || 'N/A';
         
         this.elements.tankDetails.textContent = 
             `Volume: ${volumeDisplay}. Variety: ${variety}. Details: ${tank.description}`;
         
-        // Auto-fill volume inputs
+        // Auto-fill volume inputs: the form in the entry unit, calculators in the display unit
         if (latestVolume !== undefined) {
             if (this.elements.volume && !this.elements.volume.value) {
-                this.elements.volume.value = latestVolume;
+                this.elements.volume.value = this.toEntryUnit('volume', latestVolume);
             }
             
             const calcVolume = document.getElementById('calcVolume');
             if (calcVolume) {
-                calcVolume.value = latestVolume;
+                calcVolume.value = Units.toDisplay('volume', latestVolume);
                 calcVolume.dispatchEvent(new Event('input'));
             }
             
             const phVolume = document.getElementById('phVolume');
             if (phVolume && !phVolume.value) {
-                phVolume.value = latestVolume;
+                phVolume.value = Units.toDisplay('volume', latestVolume);
             }
         }
     }
@@ -120,47 +137,1524 @@ class UIManager {
         const data = this.dataManager.getTankData(this.currentTankId);
         this.elements.logTankId.textContent = this.currentTankId;
         
-        data.forEach((reading, index) => {
-            const row = this.createLogRow(reading, index);
+        data.forEach(reading => {
+            const row = this.createLogRow(reading);
             tbody.appendChild(row);
         });
 
+        this.renderDeletedReadingsBar();
         this.renderQuickInsights();
     }
 
-    createLogRow(reading, index) {
+    createLogRow(reading) {
         const row = document.createElement('tr');
+        row.dataset.id = reading.id;
         const formattedTime = new Date(reading.timestamp).toLocaleString();
         
-        // Apply visual alerts for critical values
-        const tempClass = this.getAlertClass('temperature', reading.temperature);
-        const phClass = this.getAlertClass('ph', reading.ph);
-        const sugarClass = this.getAlertClass('sugar', reading.sugar);
+        // Apply visual alerts for critical values, using the tank's validation profile
+        const profile = this.validationProfiles?.getProfileForTank(this.currentTankId) ?? null;
+        const tempClass = this.getAlertClass('temperature', reading.temperature, profile);
+        const phClass = this.getAlertClass('ph', reading.ph, profile);
+        const sugarClass = this.getAlertClass('sugar', reading.sugar, profile);
         
         row.innerHTML = `
             <td>${formattedTime}</td>
-            <td class="${tempClass}">${reading.temperature ?? ''}</td>
-            <td class="${sugarClass}">${reading.sugar ?? ''}</td>
+            <td class="${tempClass}">${Units.toDisplay('temperature', reading.temperature) ?? ''}</td>
+            <td class="${sugarClass}">${Units.toDisplay('sugar', reading.sugar) ?? ''}</td>
             <td>${reading.sg ?? ''}</td>
             <td class="${phClass}">${reading.ph ?? ''}</td>
             <td>${reading.ta ?? ''}</td>
-            <td>${reading.volume ?? ''}</td>
+            <td>${Units.toDisplay('volume', reading.volume) ?? ''}</td>
             <td>${reading.notes ?? ''}</td>
             <td>
-                <button class="edit-btn" data-index="${index}">Edit</button>
-                <button class="delete-btn" data-index="${index}">Delete</button>
+                <button class="edit-btn" data-id="${reading.id}">Edit</button>
+                <button class="history-btn" data-id="${reading.id}">History</button>
+                <button class="delete-btn" data-id="${reading.id}">Delete</button>
             </td>
         `;
         
         return row;
     }
 
-    getAlertClass(field, value) {
+    renderDeletedReadingsBar() {
+        const table = this.elements.logTableBody?.closest('table');
+        if (!table) return;
+
+        let bar = document.getElementById('deletedReadingsBar');
+        if (!bar) {
+            bar = document.createElement('div');
+            bar.id = 'deletedReadingsBar';
+            bar.className = 'deleted-readings-bar';
+            table.insertAdjacentElement('afterend', bar);
+            bar.addEventListener('click', (e) => {
+                if (e.target.classList.contains('show-deleted-btn')) {
+                    this.showDeletedReadings(this.currentTankId);
+                }
+            });
+        }
+
+        const deleted = this.dataManager.getDeletedReadings(this.currentTankId);
+        bar.innerHTML = deleted.length
+            ? `${deleted.length} deleted reading${deleted.length === 1 ? '' : 's'} <button class="show-deleted-btn">Show deleted</button>`
+            : '';
+    }
+
+    // actions: extra buttons shown before Close, as { label, className, onClick(overlay) }
+    createDialog(title, bodyHTML, actions = []) {
+        const overlay = document.createElement('div');
+        overlay.className = 'dialog-overlay';
+        overlay.innerHTML = `
+            <div class="dialog" role="dialog" aria-modal="true">
+                <h3>${title}</h3>
+                <div class="dialog-body">${bodyHTML}</div>
+                <div class="dialog-actions">
+                    <button class="dialog-close-btn">Close</button>
+                </div>
+            </div>
+        `;
+        const closeBtn = overlay.querySelector('.dialog-close-btn');
+        actions.forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = action.className ?? '';
+            button.textContent = action.label;
+            button.addEventListener('click', () => action.onClick(overlay));
+            closeBtn.before(button);
+        });
+        closeBtn.addEventListener('click', () => overlay.remove());
+        document.body.appendChild(overlay);
+        return overlay;
+    }
+
+    bindRestoreButtons(overlay) {
+        overlay.addEventListener('click', (e) => {
+            if (e.target.classList.contains('restore-btn') && this.onRestoreReading) {
+                if (this.onRestoreReading(e.target.dataset.entry)) {
+                    overlay.remove();
+                }
+            }
+        });
+    }
+
+    formatAuditValue(value) {
+        return value === null || value === undefined || value === '' ? '—' : value;
+    }
+
+    showReadingHistory(tankId, readingId) {
+        const history = this.dataManager.getReadingHistory(readingId);
+        const rows = history.map(entry => {
+            const changes = this.dataManager.auditTrail.changedFields(entry)
+                .map(change => `${escapeHTML(change.field)}: ${escapeHTML(this.formatAuditValue(change.before))} → ${escapeHTML(this.formatAuditValue(change.after))}`)
+                .join('<br>');
+            return `
+                <tr>
+                    <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                    <td>${escapeHTML(entry.user)}</td>
+                    <td>${escapeHTML(entry.action)}</td>
+                    <td>${escapeHTML(entry.reason || '—')}</td>
+                    <td>${changes || '—'}</td>
+                    <td><button class="restore-btn" data-entry="${escapeHTML(entry.id)}">Restore this version</button></td>
+                </tr>
+            `;
+        }).join('');
+
+        const body = history.length
+            ? `<table class="audit-table">
+                    <thead><tr><th>When</th><th>Who</th><th>Action</th><th>Reason</th><th>Changes</th><th></th></tr></thead>
+                    <tbody>${rows}</tbody>
+               </table>`
+            : '<p>No recorded changes for this reading.</p>';
+
+        const overlay = this.createDialog(`Reading History - Tank ${tankId}`, body);
+        this.bindRestoreButtons(overlay);
+    }
+
+    showDeletedReadings(tankId) {
+        const deleted = this.dataManager.getDeletedReadings(tankId);
+        const rows = deleted.map(item => {
+            const { reading } = item;
+            const values = this.formatReadingValues(reading);
+            return `
+                <tr>
+                    <td>${new Date(reading.timestamp).toLocaleString()}</td>
+                    <td>${values || '—'}</td>
+                    <td>${escapeHTML(item.deletedBy)}, ${new Date(item.deletedAt).toLocaleString()}</td>
+                    <td>${escapeHTML(item.reason || '—')}</td>
+                    <td><button class="restore-btn" data-entry="${escapeHTML(item.entryId)}">Restore</button></td>
+                </tr>
+            `;
+        }).join('');
+
+        const body = deleted.length
+            ? `<table class="audit-table">
+                    <thead><tr><th>Reading</th><th>Values</th><th>Deleted</th><th>Reason</th><th></th></tr></thead>
+                    <tbody>${rows}</tbody>
+               </table>`
+            : '<p>No deleted readings for this tank.</p>';
+
+        const overlay = this.createDialog(`Deleted Readings - Tank ${tankId}`, body);
+        this.bindRestoreButtons(overlay);
+    }
+
+    // Measurements and notes as "field: value" pairs; fields in `highlight` are bolded
+    formatReadingValues(reading, highlight = []) {
+        return ['temperature', 'sugar', 'sg', 'ph', 'ta', 'volume', 'notes']
+            .filter(field => reading?.[field] !== undefined && reading[field] !== null && reading[field] !== '')
+            .map(field => highlight.includes(field)
+                ? `<strong>${field}: ${escapeHTML(reading[field])}</strong>`
+                : `${field}: ${escapeHTML(reading[field])}`)
+            .join(', ');
+    }
+
+    // Side-by-side review of DataManager.previewMerge() output. Each conflict gets a
+    // keep/replace/keep-both choice; onApply(choices) returns true to close the dialog.
+    showImportPreview(preview, onApply) {
+        const conflicts = preview.rows.filter(row => row.status === 'conflict');
+        const added = preview.rows.filter(row => row.status === 'new');
+        const choices = {};
+        conflicts.forEach(row => {
+            choices[row.index] = 'keep';
+        });
+
+        const rowLabel = (item) => item.rowNumber ? `Row ${item.rowNumber}` : `Entry ${item.index + 1}`;
+        const changedFields = (a, b) => Array.from(new Set([...Object.keys(a ?? {}), ...Object.keys(b ?? {})]))
+            .filter(field => field !== 'id' && field !== 'derivedFields' && (a?.[field] ?? null) !== (b?.[field] ?? null));
+
+        const conflictRows = conflicts.map(row => {
+            const changed = changedFields(row.existing, row.incoming);
+            return `
+                <tr>
+                    <td>${rowLabel(row)}<br>${new Date(row.incoming.timestamp).toLocaleString()}</td>
+                    <td>${this.formatReadingValues(row.existing, changed) || '—'}</td>
+                    <td>${this.formatReadingValues(row.incoming, changed) || '—'}</td>
+                    <td class="merge-choice">
+                        ${[['keep', 'Keep existing'], ['replace', 'Replace'], ['keep-both', 'Keep both']].map(([value, label]) => `
+                            <label><input type="radio" name="choice-${row.index}" value="${value}" data-index="${row.index}" ${value === 'keep' ? 'checked' : ''}> ${label}</label>
+                        `).join('')}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        const newRows = added.slice(0, 50).map(row => `
+            <tr>
+                <td>${rowLabel(row)}</td>
+                <td>${new Date(row.incoming.timestamp).toLocaleString()}</td>
+                <td>${this.formatReadingValues(row.incoming) || '—'}</td>
+            </tr>
+        `).join('');
+
+        const rejectedItems = preview.rejected.map(item =>
+            `<li>${rowLabel(item)}: ${escapeHTML(item.errors.join('; '))}</li>`
+        ).join('');
+
+        const { counts } = preview;
+        const body = `
+            <p>${counts.new} new, ${counts.identical} already in the log, ${counts.conflict} conflicting, ${counts.rejected} rejected.</p>
+            <p class="merge-summary" aria-live="polite"></p>
+            ${conflicts.length ? `
+                <h4>Conflicts</h4>
+                <div class="merge-bulk">
+                    <button type="button" data-bulk="keep">Keep all existing</button>
+                    <button type="button" data-bulk="replace">Replace all</button>
+                    <button type="button" data-bulk="keep-both">Keep both for all</button>
+                </div>
+                <table class="audit-table">
+                    <thead><tr><th>Reading</th><th>In the log</th><th>Imported</th><th>Choice</th></tr></thead>
+                    <tbody>${conflictRows}</tbody>
+                </table>
+            ` : ''}
+            ${added.length ? `
+                <details>
+                    <summary>${added.length} new reading${added.length === 1 ? '' : 's'}</summary>
+                    <table class="audit-table">
+                        <thead><tr><th>Source</th><th>Time</th><th>Values</th></tr></thead>
+                        <tbody>${newRows}</tbody>
+                    </table>
+                    ${added.length > 50 ? `<p>…and ${added.length - 50} more</p>` : ''}
+                </details>
+            ` : ''}
+            ${preview.rejected.length ? `
+                <h4>Rejected</h4>
+                <ul class="import-rejects">${rejectedItems}</ul>
+            ` : ''}
+        `;
+
+        const overlay = this.createDialog(`Review Import - Tank ${preview.tankId}`, body, [{
+            label: 'Apply import',
+            className: 'import-confirm-btn',
+            onClick: (dialog) => {
+                if (onApply({ ...choices })) {
+                    dialog.remove();
+                }
+            }
+        }]);
+
+        const updateSummary = () => {
+            const chosen = Object.values(choices);
+            const replace = chosen.filter(choice => choice === 'replace').length;
+            const keepBoth = chosen.filter(choice => choice === 'keep-both').length;
+            const keep = chosen.length - replace - keepBoth;
+            overlay.querySelector('.merge-summary').textContent =
+                `Will add ${counts.new + keepBoth}, replace ${replace} and leave ${keep} existing reading${keep === 1 ? '' : 's'} unchanged.`;
+        };
+
+        overlay.addEventListener('change', (e) => {
+            if (e.target.type === 'radio' && e.target.dataset.index !== undefined) {
+                choices[e.target.dataset.index] = e.target.value;
+                updateSummary();
+            }
+        });
+        overlay.addEventListener('click', (e) => {
+            const bulk = e.target.dataset?.bulk;
+            if (!bulk) return;
+            Object.keys(choices).forEach(index => {
+                choices[index] = bulk;
+            });
+            overlay.querySelectorAll(`.merge-choice input[value="${bulk}"]`).forEach(input => {
+                input.checked = true;
+            });
+            updateSummary();
+        });
+
+        updateSummary();
+    }
+
+    // Column mapping and preview for a CSV file. onImport receives ReadingImport.mapRows()'s
+    // result and returns true to close the wizard.
+    showCsvImportWizard(text, onImport) {
+        const { delimiter } = CsvCodec.parseRows(text);
+        this.showImportWizard({
+            title: 'Import CSV',
+            option: {
+                name: 'delimiter',
+                label: 'Delimiter',
+                value: delimiter === '\t' ? 'tab' : delimiter,
+                choices: [[',', 'Comma (,)'], [';', 'Semicolon (;)'], ['tab', 'Tab']]
+            },
+            parse: (value) => CsvCodec.parse(text, { delimiter: value === 'tab' ? '\t' : value })
+        }, onImport);
+    }
+
+    // Same wizard for an .xlsx/.ods workbook, with a choice of sheet instead of delimiter
+    showSpreadsheetImportWizard(workbook, preferredSheet, onImport) {
+        const index = workbook.sheets.findIndex(sheet => sheet.name === preferredSheet);
+        this.showImportWizard({
+            title: 'Import spreadsheet',
+            option: {
+                name: 'sheet',
+                label: 'Sheet',
+                value: String(Math.max(index, 0)),
+                choices: workbook.sheets.map((sheet, i) => [String(i), sheet.name])
+            },
+            parse: (value) => Spreadsheet.sheetToObjects(workbook.sheets[Number(value)])
+        }, onImport);
+    }
+
+    // source: { title, option: { name, label, value, choices: [[value, label]] }, parse(optionValue) }
+    // where parse returns { headers, rows, rowNumbers? } and changing the option re-parses.
+    showImportWizard(source, onImport) {
+        let parsed = source.parse(source.option.value);
+        const state = {
+            option: source.option.value,
+            decimalComma: CsvCodec.detectDecimalComma(parsed.rows),
+            mapping: ReadingImport.guessMapping(parsed.headers)
+        };
+        state.units = ReadingImport.guessUnits(state.mapping);
+        let result = null;
+
+        const render = (overlay) => {
+            result = ReadingImport.mapRows(parsed.rows, state.mapping, {
+                decimalComma: state.decimalComma,
+                rowNumbers: parsed.rowNumbers,
+                units: state.units
+            });
+            overlay.querySelector('.dialog-body').innerHTML = this.renderImportWizardBody(source.option, parsed, state, result);
+        };
+
+        const overlay = this.createDialog(source.title, '', [{
+            label: 'Import',
+            className: 'import-confirm-btn',
+            onClick: (dialog) => {
+                if (result.readings.length === 0) {
+                    this.showError('No rows to import - map a date column first');
+                    return;
+                }
+                if (onImport(result)) {
+                    dialog.remove();
+                }
+            }
+        }]);
+
+        overlay.addEventListener('change', (e) => {
+            const target = e.target;
+            if (target.name === source.option.name) {
+                state.option = target.value;
+                parsed = source.parse(state.option);
+                state.mapping = ReadingImport.guessMapping(parsed.headers);
+                state.units = ReadingImport.guessUnits(state.mapping);
+            } else if (target.name === 'decimal') {
+                state.decimalComma = target.value === 'comma';
+            } else if (target.name === 'mapping') {
+                const header = parsed.headers[Number(target.dataset.index)];
+                if (target.value) {
+                    // A field can only come from one column
+                    Object.keys(state.mapping).forEach(key => {
+                        if (state.mapping[key] === target.value) state.mapping[key] = '';
+                    });
+                }
+                state.mapping[header] = target.value;
+                const unit = ReadingImport.guessUnit(target.value, header);
+                if (unit) state.units[target.value] = unit;
+            } else if (target.name === 'unit') {
+                state.units[target.dataset.field] = target.value;
+            } else {
+                return;
+            }
+            render(overlay);
+        });
+
+        render(overlay);
+    }
+
+    renderImportWizardBody(option, parsed, state, result) {
+        const fieldOptions = (selected) => [
+            `<option value="">(ignore)</option>`,
+            ...ReadingImport.fields.map(definition =>
+                `<option value="${definition.field}" ${definition.field === selected ? 'selected' : ''}>${definition.label}</option>`
+            )
+        ].join('');
+        const hasUnits = typeof Units !== 'undefined';
+        const unitSelect = (field) => {
+            const choices = hasUnits ? Units.choices(field) : [];
+            if (!choices.length) return '';
+            return `<select name="unit" data-field="${field}">${choices.map(([unit, label]) =>
+                `<option value="${unit}" ${unit === state.units[field] ? 'selected' : ''}>${label}</option>`
+            ).join('')}</select>`;
+        };
+
+        const mappingRows = parsed.headers.map((header, index) => {
+            const sample = parsed.rows.slice(0, 3)
+                .map(row => row[header])
+                .filter(value => value !== '' && value !== null)
+                .map(value => value instanceof Date ? formatForDateTimeInput(value).replace('T', ' ') : value)
+                .join(' | ');
+            return `
+                <tr>
+                    <td>${header ? escapeHTML(header) : `(column ${index + 1})`}</td>
+                    <td><select name="mapping" data-index="${index}">${fieldOptions(state.mapping[header])}</select></td>
+                    <td>${state.mapping[header] ? unitSelect(state.mapping[header]) : ''}</td>
+                    <td>${sample ? escapeHTML(sample) : '—'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const previewFields = ['timestamp', ...ReadingImport.fields
+            .map(definition => definition.field)
+            .filter(field => !['timestamp', 'date', 'time'].includes(field) && Object.values(state.mapping).includes(field))];
+        // Preview values are already converted to the units they are stored in
+        const labels = new Map(ReadingImport.fields.map(definition => [
+            definition.field,
+            hasUnits && Units.canonical(definition.field) ? `${definition.label} (${Units.label(definition.field)})` : definition.label
+        ]));
+        const previewRows = result.readings.slice(0, 10).map(reading => `
+            <tr>${previewFields.map(field => `<td>${escapeHTML(this.formatAuditValue(
+                hasUnits ? Units.round(field, reading[field]) : reading[field]
+            ))}</td>`).join('')}</tr>
+        `).join('');
+
+        const rejectedItems = result.rejected.slice(0, 20).map(item =>
+            `<li>Row ${item.rowNumber}: ${escapeHTML(item.errors.join('; '))}</li>`
+        ).join('');
+
+        return `
+            <div class="import-options">
+                <label>${option.label}
+                    <select name="${option.name}">
+                        ${option.choices.map(([value, label]) =>
+                            `<option value="${value}" ${value === state.option ? 'selected' : ''}>${label}</option>`
+                        ).join('')}
+                    </select>
+                </label>
+                <label>Decimal separator
+                    <select name="decimal">
+                        <option value="point" ${state.decimalComma ? '' : 'selected'}>Point (12.5)</option>
+                        <option value="comma" ${state.decimalComma ? 'selected' : ''}>Comma (12,5)</option>
+                    </select>
+                </label>
+            </div>
+            <table class="audit-table">
+                <thead><tr><th>Column in file</th><th>Import as</th><th>Unit in file</th><th>Sample values</th></tr></thead>
+                <tbody>${mappingRows}</tbody>
+            </table>
+            <h4>Preview (${Math.min(10, result.readings.length)} of ${result.readings.length} rows)</h4>
+            ${result.readings.length
+                ? `<table class="audit-table">
+                        <thead><tr>${previewFields.map(field => `<th>${labels.get(field)}</th>`).join('')}</tr></thead>
+                        <tbody>${previewRows}</tbody>
+                   </table>`
+                : '<p>No rows can be imported with this mapping.</p>'}
+            ${result.rejected.length
+                ? `<h4>${result.rejected.length} row${result.rejected.length === 1 ? '' : 's'} will be skipped</h4><ul class="import-rejects">${rejectedItems}</ul>`
+                : ''}
+        `;
+    }
+
+    // Asks how to write the CSV (plain, or semicolon + decimal comma for Excel with a
+    // comma-decimal locale) and remembers the choice
+    showCsvExportOptions(onExport) {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('csvExportOptions') || '{}');
+        } catch (error) {
+            saved = {};
+        }
+        const body = `
+            <div class="import-options">
+                <label>Delimiter
+                    <select name="delimiter">
+                        <option value="," ${saved.delimiter === ';' ? '' : 'selected'}>Comma (,)</option>
+                        <option value=";" ${saved.delimiter === ';' ? 'selected' : ''}>Semicolon (;)</option>
+                    </select>
+                </label>
+                <label>Decimal separator
+                    <select name="decimal">
+                        <option value="point" ${saved.decimalComma ? '' : 'selected'}>Point (12.5)</option>
+                        <option value="comma" ${saved.decimalComma ? 'selected' : ''}>Comma (12,5)</option>
+                    </select>
+                </label>
+                <label><input type="checkbox" name="bom" ${saved.bom ? 'checked' : ''}> Mark as UTF-8 for Excel</label>
+            </div>
+        `;
+        this.createDialog('Export CSV', body, [{
+            label: 'Export',
+            onClick: (overlay) => {
+                const options = {
+                    delimiter: overlay.querySelector('[name="delimiter"]').value,
+                    decimalComma: overlay.querySelector('[name="decimal"]').value === 'comma',
+                    bom: overlay.querySelector('[name="bom"]').checked
+                };
+                try {
+                    localStorage.setItem('csvExportOptions', JSON.stringify(options));
+                } catch (error) {
+                    console.warn('Could not remember CSV export options', error);
+                }
+                overlay.remove();
+                onExport(options);
+            }
+        }]);
+    }
+
+    // Inputs for a new nutrient plan with a live schedule preview. buildPlan(inputs) returns a
+    // plan or throws; onSave(plan) returns true to close the dialog.
+    showNutrientPlanForm(defaults, buildPlan, onSave) {
+        const products = NutrientPlanner.products;
+        const body = `
+            <div class="import-options nutrient-inputs">
+                <label>Volume (L) <input type="number" name="volume" min="0" step="1" value="${defaults.volume ?? ''}"></label>
+                <label>Measured YAN (mg/L) <input type="number" name="yan" min="0" step="1" value="${defaults.yan ?? ''}"></label>
+                <label>Starting sugar (°Brix) <input type="number" name="startBrix" min="0" step="0.1" value="${defaults.startBrix ?? ''}"></label>
+                <label>Yeast nitrogen demand
+                    <select name="demand">
+                        ${NutrientPlanner.demandLevels.map(level =>
+                            `<option value="${level}" ${level === 'medium' ? 'selected' : ''}>${level.replace('-', ' ')}</option>`
+                        ).join('')}
+                    </select>
+                </label>
+            </div>
+            <div class="import-options nutrient-products">
+                ${Object.entries(products).map(([id, product]) => `
+                    <label>${product.name} share (%)
+                        <input type="number" name="product" data-product="${id}" min="0" max="100" step="5" value="${defaults.products?.[id] ?? 0}">
+                    </label>
+                `).join('')}
+            </div>
+            <div class="nutrient-preview"></div>
+        `;
+
+        let plan = null;
+        const overlay = this.createDialog('Nutrient Plan', body, [{
+            label: 'Save plan & create tasks',
+            onClick: (dialog) => {
+                if (!plan) {
+                    this.showError('Fill in volume, YAN and starting sugar first');
+                    return;
+                }
+                if (onSave(plan)) {
+                    dialog.remove();
+                }
+            }
+        }]);
+
+        const preview = overlay.querySelector('.nutrient-preview');
+        const update = () => {
+            const value = (name) => overlay.querySelector(`[name="${name}"]`).value;
+            const shares = {};
+            overlay.querySelectorAll('[name="product"]').forEach(input => {
+                shares[input.dataset.product] = Number(input.value) || 0;
+            });
+            try {
+                plan = buildPlan({
+                    volume: value('volume'),
+                    yan: value('yan'),
+                    startBrix: value('startBrix'),
+                    demand: value('demand'),
+                    products: shares
+                });
+                preview.innerHTML = this.renderNutrientSchedule(plan);
+            } catch (error) {
+                plan = null;
+                preview.innerHTML = `<p>${error.message}</p>`;
+            }
+        };
+        overlay.addEventListener('input', update);
+        update();
+    }
+
+    renderNutrientSchedule(plan, stageActions = null) {
+        const rows = plan.stages.map(stage => `
+            <tr>
+                <td>${stage.label}</td>
+                <td>${stage.triggerBaume} Baumé / ${stage.triggerSG.toFixed(3)}</td>
+                <td>${stage.additions.map(addition =>
+                    `${addition.name}: ${addition.rate} g/hL = ${NutrientPlanner.formatAmount(addition.amount)} (+${addition.yan} mg/L)`
+                ).join('<br>')}</td>
+                ${stageActions ? `<td>${stageActions(stage)}</td>` : ''}
+            </tr>
+        `).join('');
+
+        return `
+            <p class="merge-summary">Target ${plan.targetYAN} mg/L YAN, measured ${plan.yan} mg/L: deficit ${plan.deficit} mg/L, planned ${plan.supplied} mg/L.</p>
+            ${plan.warnings.map(warning => `<p class="import-rejects">${warning}</p>`).join('')}
+            ${plan.stages.length ? `
+                <table class="audit-table">
+                    <thead><tr><th>Stage</th><th>Add at</th><th>Additions</th>${stageActions ? '<th></th>' : ''}</tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            ` : ''}
+        `;
+    }
+
+    // A saved plan with its progress. Each open stage has the planned grams prefilled for
+    // logging what was actually added; onRecord(stageIndex, additions) returns true when logged.
+    showNutrientPlan(plan, { isStageDone, isStageDue, onRecord, onDelete }) {
+        const overlay = this.createDialog(`Nutrient Plan - Tank ${plan.tankId}`, '', [{
+            label: 'Delete plan',
+            onClick: (dialog) => {
+                if (confirm('Delete this nutrient plan? Logged additions stay on the batch.')) {
+                    onDelete();
+                    dialog.remove();
+                }
+            }
+        }]);
+
+        const render = () => {
+            const stageActions = (stage) => {
+                if (isStageDone(stage.index)) {
+                    return '<span class="status-pill">Added</span>';
+                }
+                return `
+                    ${isStageDue(stage.index) ? '<strong>Due now</strong><br>' : ''}
+                    ${stage.additions.map(addition => `
+                        <label>${addition.name} (g)
+                            <input type="number" min="0" step="1" data-stage="${stage.index}" data-product="${addition.product}" value="${addition.amount}">
+                        </label>
+                    `).join('')}
+                    <button type="button" class="nutrient-record-btn" data-stage="${stage.index}">Log addition</button>
+                `;
+            };
+            overlay.querySelector('.dialog-body').innerHTML = `
+                <p>Created ${new Date(plan.createdAt).toLocaleString()} for ${plan.volume} L at ${plan.startBrix} °Brix (${plan.demand.replace('-', ' ')} demand).</p>
+                ${this.renderNutrientSchedule(plan, stageActions)}
+            `;
+        };
+
+        overlay.addEventListener('click', (e) => {
+            if (!e.target.classList.contains('nutrient-record-btn')) return;
+            const stageIndex = Number(e.target.dataset.stage);
+            const additions = Array.from(overlay.querySelectorAll(`input[data-stage="${stageIndex}"]`)).map(input => ({
+                product: input.dataset.product,
+                amount: Number(input.value) || 0
+            }));
+            if (onRecord(stageIndex, additions)) {
+                render();
+            }
+        });
+
+        render();
+    }
+
+    // Acid adjustment and deacidification. solve(inputs) returns AcidCalculator.solve's result,
+    // onRecord(result, inputs) returns true once the treatment is logged, and history lists
+    // earlier adjustments as { treatment, outcome }.
+    showAcidCalculator(defaults, { solve, onRecord, history = [] }) {
+        const agents = AcidCalculator.agents;
+        const format = (value, digits) => Number.isFinite(value) ? value.toFixed(digits) : '—';
+        const body = `
+            <div class="import-options acid-inputs">
+                <label>Current pH <input type="number" name="ph" min="2" max="5" step="0.01" value="${defaults.ph ?? ''}"></label>
+                <label>Current TA (g/L) <input type="number" name="ta" min="0" step="0.1" value="${defaults.ta ?? ''}"></label>
+                <label>Volume (L) <input type="number" name="volume" min="0" step="1" value="${defaults.volume ?? ''}"></label>
+                <label>Product
+                    <select name="agent">
+                        ${Object.entries(agents).map(([id, agent]) => `<option value="${id}">${agent.name}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Target
+                    <select name="targetField">
+                        <option value="ph">pH</option>
+                        <option value="ta">TA (g/L)</option>
+                    </select>
+                    <input type="number" name="targetValue" min="0" step="0.01">
+                </label>
+            </div>
+            <div class="import-options acid-buffer">
+                <label>Buffer capacity (mEq/L per pH) <input type="number" name="bufferCapacity" min="0" step="1" placeholder="estimated from TA"></label>
+                <label>Titration sample (mL) <input type="number" name="sampleMl" min="0" step="1"></label>
+                <label>Titrant added (mL) <input type="number" name="titrantMl" min="0" step="0.1"></label>
+                <label>Titrant normality (N) <input type="number" name="normality" min="0" step="0.01" value="0.1"></label>
+                <label>pH after titrant <input type="number" name="phAfter" min="2" max="9" step="0.01"></label>
+            </div>
+            <div class="acid-preview"></div>
+            ${history.length ? `
+                <h4>Earlier adjustments</h4>
+                <table class="audit-table">
+                    <thead><tr><th>Date</th><th>Addition</th><th>Predicted pH / TA</th><th>Measured pH / TA</th></tr></thead>
+                    <tbody>${history.map(({ treatment, outcome }) => `
+                        <tr>
+                            <td>${new Date(treatment.timestamp).toLocaleString()}</td>
+                            <td>${treatment.product} ${treatment.rate} g/L (${Math.round(treatment.amount)} g)</td>
+                            <td>${format(treatment.predicted?.ph, 2)} / ${format(treatment.predicted?.ta, 1)}</td>
+                            <td>${outcome ? `${format(outcome.ph, 2)} / ${format(outcome.ta, 1)}` : 'No reading yet'}</td>
+                        </tr>
+                    `).join('')}</tbody>
+                </table>
+            ` : ''}
+        `;
+
+        let result = null;
+        let inputs = null;
+        const overlay = this.createDialog('Acid Adjustment', body, [{
+            label: 'Record treatment',
+            onClick: (dialog) => {
+                if (!result?.valid) {
+                    this.showError('Enter the current pH, TA and a reachable target first');
+                    return;
+                }
+                if (onRecord(result, inputs)) {
+                    dialog.remove();
+                }
+            }
+        }]);
+
+        const preview = overlay.querySelector('.acid-preview');
+        const update = () => {
+            const number = (name) => parseFloat(overlay.querySelector(`[name="${name}"]`).value);
+            const ph = number('ph');
+            const titrated = AcidCalculator.bufferFromTitration({
+                sampleMl: number('sampleMl'),
+                titrantMl: number('titrantMl'),
+                normality: number('normality'),
+                phBefore: ph,
+                phAfter: number('phAfter')
+            });
+            const entered = number('bufferCapacity');
+            const targetField = overlay.querySelector('[name="targetField"]').value;
+            inputs = {
+                ph,
+                ta: number('ta'),
+                volume: number('volume') || 0,
+                agent: overlay.querySelector('[name="agent"]').value,
+                bufferCapacity: titrated ?? (entered > 0 ? entered : null),
+                bufferSource: titrated ? 'titration' : entered > 0 ? 'entered' : 'estimate',
+                target: { [targetField]: number('targetValue') }
+            };
+            result = solve(inputs);
+            if (!result.valid) {
+                preview.innerHTML = `<p>${result.error}</p>`;
+                return;
+            }
+            const { predicted } = result;
+            preview.innerHTML = `
+                <div class="ph-result-success">
+                    Add <strong>${result.rate.toFixed(2)} g/L</strong> ${result.name.toLowerCase()}
+                    ${inputs.volume ? `<br>Total: <strong>${result.total.toFixed(1)} g</strong>` : ''}
+                    <br>Predicted pH ${predicted.ph.toFixed(2)} (${predicted.phChange >= 0 ? '+' : ''}${predicted.phChange.toFixed(2)}),
+                    TA ${predicted.ta.toFixed(1)} g/L (${predicted.taChange >= 0 ? '+' : ''}${predicted.taChange.toFixed(1)})
+                    <br>Buffer capacity ${predicted.bufferCapacity.toFixed(0)} mEq/L per pH (${inputs.bufferSource})
+                </div>
+                ${result.warnings.map(warning => `<p class="import-rejects">${warning}</p>`).join('')}
+            `;
+        };
+        overlay.addEventListener('input', update);
+        overlay.addEventListener('change', update);
+        update();
+    }
+
+    // SO₂ addition planner. plan(inputs) returns SO2Manager.planAddition's result and
+    // onRecord(plan) returns true once the addition is logged.
+    showSO2Calculator(defaults, { plan: buildPlan, onRecord, countries = ['EU', 'US'] }) {
+        const forms = SO2Manager.forms;
+        const body = `
+            <div class="import-options so2-inputs">
+                <label>Volume (L) <input type="number" name="volume" min="0" step="1" value="${defaults.volume ?? ''}"></label>
+                <label>Free SO₂ (mg/L) <input type="number" name="freeSO2" min="0" step="1" value="${defaults.freeSO2 ?? ''}"></label>
+                <label>pH <input type="number" name="pH" min="2" max="5" step="0.01" value="${defaults.pH ?? ''}"></label>
+                <label>Temperature (°C) <input type="number" name="temperature" step="0.5" value="${defaults.temperature ?? 20}"></label>
+            </div>
+            <div class="import-options so2-target">
+                <label>Dose by
+                    <select name="mode">
+                        <option value="target">Molecular SO₂ target (mg/L)</option>
+                        <option value="rate">SO₂ to add (mg/L)</option>
+                    </select>
+                    <input type="number" name="value" min="0" step="0.1" value="0.8">
+                </label>
+                <label>Product
+                    <select name="form">
+                        ${Object.entries(forms).map(([id, form]) => `<option value="${id}">${form.name}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Strength <select name="strength"></select></label>
+                <label>Limits
+                    <select name="country">
+                        ${countries.map(country => `<option value="${country}" ${country === defaults.country ? 'selected' : ''}>${country}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+            <div class="so2-preview"></div>
+        `;
+
+        let result = null;
+        const overlay = this.createDialog('SO₂ Addition', body, [{
+            label: 'Record addition',
+            onClick: (dialog) => {
+                if (!result?.valid || result.amount <= 0) {
+                    this.showError('Nothing to add');
+                    return;
+                }
+                if (result.exceedsLimit && !confirm(`${result.warnings[0]}. Record the addition anyway?`)) {
+                    return;
+                }
+                if (onRecord(result)) {
+                    dialog.remove();
+                }
+            }
+        }]);
+
+        const preview = overlay.querySelector('.so2-preview');
+        const strengthSelect = overlay.querySelector('[name="strength"]');
+        const fillStrengths = () => {
+            const form = forms[overlay.querySelector('[name="form"]').value];
+            strengthSelect.innerHTML = (form.strengths ?? []).map(strength =>
+                `<option value="${strength}">${strength}${form.unit === 'tablets' ? ' g SO₂' : '%'}</option>`
+            ).join('');
+            strengthSelect.disabled = !form.strengths;
+        };
+        const formatAmount = (product) => `${product.amount.toFixed(product.unit === 'tablets' ? 0 : 1)} ${product.unit}`;
+        const update = () => {
+            const number = (name) => parseFloat(overlay.querySelector(`[name="${name}"]`).value);
+            const mode = overlay.querySelector('[name="mode"]').value;
+            result = buildPlan({
+                volume: number('volume'),
+                freeSO2: number('freeSO2') || 0,
+                pH: number('pH'),
+                temperature: number('temperature'),
+                [mode]: number('value'),
+                form: overlay.querySelector('[name="form"]').value,
+                strength: strengthSelect.disabled ? null : number('strength'),
+                country: overlay.querySelector('[name="country"]').value
+            });
+            if (!result.valid) {
+                preview.innerHTML = `<p>${result.error}</p>`;
+                return;
+            }
+            const { cumulative } = result;
+            const equivalents = Object.entries(forms)
+                .filter(([id]) => id !== result.form)
+                .map(([id, form]) => {
+                    const strength = form.strengths ? ` ${form.strengths[0]}${form.unit === 'tablets' ? ' g' : '%'}` : '';
+                    return `${form.name}${strength}: ${formatAmount(SO2Manager.toProduct(result.so2Grams, id))}`;
+                });
+            preview.innerHTML = `
+                <div class="ph-result-success">
+                    ${result.molecularNow !== null ? `Molecular SO₂ now ${result.molecularNow.toFixed(2)} mg/L.<br>` : ''}
+                    Add <strong>${result.rate.toFixed(1)} mg/L</strong> SO₂ = <strong>${formatAmount(result)}</strong> (${result.name})
+                    <br><small>Same dose as ${equivalents.join(', ')}</small>
+                </div>
+                ${cumulative ? `
+                    <p>Total SO₂: ${cumulative.labTotal !== null ? `${cumulative.labTotal} mg/L at the last lab analysis` : 'no lab analysis'}
+                    ${cumulative.addedSinceLab ? `+ ${cumulative.addedSinceLab.toFixed(1)} mg/L added since` : ''}.
+                    After this addition about <strong>${Math.round(result.projectedTotal)} mg/L</strong>${result.limit !== null ? ` of the ${result.limit} mg/L limit` : ''}.</p>
+                ` : ''}
+                ${result.warnings.map(warning => `<p class="import-rejects">${warning}</p>`).join('')}
+            `;
+        };
+        overlay.querySelector('[name="form"]').addEventListener('change', fillStrengths);
+        overlay.addEventListener('input', update);
+        overlay.addEventListener('change', update);
+        fillStrengths();
+        update();
+    }
+
+    // Blend designer. components are BlendDesigner lots to choose from, design(batchIds, specs,
+    // options) returns a design or throws, and onBlend(design, tankId) returns true once blended.
+    showBlendDesigner(components, tanks, { design: buildDesign, onBlend }) {
+        const specs = BlendDesigner.specs;
+        const format = (value, digits = 1) => Number.isFinite(value) ? value.toFixed(digits) : '—';
+        const varieties = [...new Set(components.flatMap(component => Object.keys(component.varieties)))];
+        const body = `
+            <table class="audit-table blend-lots">
+                <thead><tr><th></th><th>Batch</th><th>Variety</th><th>Volume (L)</th>
+                    ${Object.values(specs).map(spec => `<th>${spec.label}</th>`).join('')}</tr></thead>
+                <tbody>${components.map(component => `
+                    <tr>
+                        <td><input type="checkbox" name="lot" value="${component.batchId}"></td>
+                        <td>${component.batchId}</td>
+                        <td>${component.variety ?? ''}</td>
+                        <td>${format(component.volume, 0)}</td>
+                        ${Object.keys(specs).map(spec => `<td>${format(component.analysis[spec], spec === 'ph' ? 2 : 1)}</td>`).join('')}
+                    </tr>
+                `).join('')}</tbody>
+            </table>
+            <table class="audit-table blend-specs">
+                <thead><tr><th>Spec</th><th>Target</th><th>Min</th><th>Max</th></tr></thead>
+                <tbody>${Object.entries(specs).map(([id, spec]) => `
+                    <tr>
+                        <td>${spec.label}</td>
+                        ${['target', 'min', 'max'].map(key => `<td><input type="number" step="0.01" data-spec="${id}" data-key="${key}"></td>`).join('')}
+                    </tr>
+                `).join('')}</tbody>
+            </table>
+            <div class="import-options">
+                <label>Minimum variety share
+                    <select name="variety">
+                        <option value="">None</option>
+                        ${varieties.map(variety => `<option value="${variety}">${variety}</option>`).join('')}
+                    </select>
+                    <input type="number" name="varietyPercent" min="0" max="100" step="1" value="85">
+                </label>
+                <label>Blend volume (L) <input type="number" name="volume" min="0" step="1" placeholder="as much as possible"></label>
+                <label>Into tank
+                    <select name="tank">
+                        ${tanks.map(tank => `<option value="${tank.id}">${tank.id}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+            <div class="blend-preview"></div>
+        `;
+
+        let result = null;
+        const overlay = this.createDialog('Blend Designer', body, [{
+            label: 'Blend',
+            onClick: (dialog) => {
+                if (!result) {
+                    this.showError('Choose lots and specs the blend can meet first');
+                    return;
+                }
+                if (onBlend(result, overlay.querySelector('[name="tank"]').value)) {
+                    dialog.remove();
+                }
+            }
+        }]);
+
+        const preview = overlay.querySelector('.blend-preview');
+        const update = () => {
+            const batchIds = Array.from(overlay.querySelectorAll('[name="lot"]:checked')).map(input => input.value);
+            const chosen = {};
+            overlay.querySelectorAll('[data-spec]').forEach(input => {
+                const value = parseFloat(input.value);
+                if (Number.isFinite(value)) {
+                    chosen[input.dataset.spec] = { ...chosen[input.dataset.spec], [input.dataset.key]: value };
+                }
+            });
+            const variety = overlay.querySelector('[name="variety"]').value;
+            if (variety) {
+                chosen.varieties = { [variety]: parseFloat(overlay.querySelector('[name="varietyPercent"]').value) || 0 };
+            }
+            const volume = parseFloat(overlay.querySelector('[name="volume"]').value);
+
+            result = null;
+            if (batchIds.length < 2) {
+                preview.innerHTML = '<p>Tick at least two lots.</p>';
+                return;
+            }
+            try {
+                result = buildDesign(batchIds, chosen, { volume: volume > 0 ? volume : null });
+            } catch (error) {
+                preview.innerHTML = `<p class="import-rejects">${error.message}</p>`;
+                return;
+            }
+            const { predicted } = result;
+            preview.innerHTML = `
+                <p class="merge-summary">${result.method === 'pearson' ? 'Pearson square' : 'Optimised'} blend of ${format(result.volume, 0)} L
+                    (at most ${format(result.maxVolume, 0)} L in these proportions)</p>
+                <table class="audit-table">
+                    <thead><tr><th>Batch</th><th>Share of blend</th><th>Volume (L)</th></tr></thead>
+                    <tbody>${result.components.map((component, i) => `
+                        <tr><td>${component.batchId}</td><td>${format(result.fractions[i] * 100)}%</td><td>${format(result.fractions[i] * result.volume, 0)}</td></tr>
+                    `).join('')}</tbody>
+                </table>
+                <p>Predicted: ${Object.entries(specs).map(([id, spec]) =>
+                    `${spec.label} ${format(predicted[id], id === 'ph' ? 2 : 1)}`).join(', ')}</p>
+                <p>Varieties: ${Object.entries(BlendDesigner.composition(result)).map(([name, percent]) => `${name} ${percent}%`).join(', ')}</p>
+            `;
+        };
+        overlay.addEventListener('input', update);
+        overlay.addEventListener('change', update);
+        update();
+    }
+
+    // Chaptalization, concentration and water additions. plan(inputs, zone) returns an
+    // EnrichmentCalculator plan with its legal check; onRecord(plan, overrideReason) returns
+    // true once logged. A plan that breaks the zone's rules needs a reason to be recorded.
+    showEnrichmentCalculator(defaults, { plan: buildPlan, onRecord, zones }) {
+        const methods = EnrichmentCalculator.methods;
+        const body = `
+            <div class="import-options enrichment-inputs">
+                <label>Method
+                    <select name="method">
+                        ${Object.entries(methods).map(([id, method]) => `<option value="${id}">${method.label}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Volume (L) <input type="number" name="volume" min="0" step="1" value="${defaults.volume ?? ''}"></label>
+                <label>Current sugar (°Brix) <input type="number" name="brix" min="0" step="0.1" value="${defaults.brix ?? ''}"></label>
+                <label>Wine type
+                    <select name="wineType">
+                        ${['white', 'rose', 'red'].map(type => `<option value="${type}" ${type === defaults.wineType ? 'selected' : ''}>${type}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Target
+                    <select name="targetField">
+                        <option value="targetAlcohol">Potential alcohol (% vol)</option>
+                        <option value="targetBrix">°Brix</option>
+                    </select>
+                    <input type="number" name="targetValue" min="0" step="0.1">
+                </label>
+                <label class="rcgm-only">RCGM (°Brix) <input type="number" name="rcgmBrix" min="50" max="80" step="0.5" value="65"></label>
+                <label>Wine zone
+                    <select name="zone">
+                        ${Object.entries(zones).map(([id, rules]) => `<option value="${id}" ${id === defaults.zone ? 'selected' : ''}>${rules.label}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+            <div class="enrichment-preview"></div>
+        `;
+
+        let result = null;
+        const overlay = this.createDialog('Enrichment & Dilution', body, [{
+            label: 'Record treatment',
+            onClick: (dialog) => {
+                if (!result?.valid) {
+                    this.showError('Enter the volume, current sugar and a reachable target first');
+                    return;
+                }
+                let overrideReason = '';
+                if (result.legal && !result.legal.allowed) {
+                    overrideReason = prompt(`${result.legal.violations.join('\n')}\n\nTo record the treatment anyway, enter the reason:`)?.trim() ?? '';
+                    if (!overrideReason) return;
+                }
+                if (onRecord(result, overrideReason)) {
+                    dialog.remove();
+                }
+            }
+        }]);
+
+        const preview = overlay.querySelector('.enrichment-preview');
+        const update = () => {
+            const value = (name) => overlay.querySelector(`[name="${name}"]`).value;
+            const method = value('method');
+            overlay.querySelector('.rcgm-only').classList.toggle('hidden', method !== 'rcgm');
+            result = buildPlan({
+                method,
+                volume: parseFloat(value('volume')),
+                brix: parseFloat(value('brix')),
+                wineType: value('wineType'),
+                [value('targetField')]: parseFloat(value('targetValue')),
+                rcgmBrix: parseFloat(value('rcgmBrix')) || undefined
+            }, value('zone'));
+            if (!result.valid) {
+                preview.innerHTML = `<p>${result.error}</p>`;
+                return;
+            }
+            const amount = result.unit === 'kg' ? result.amount.toFixed(2) : result.amount.toFixed(1);
+            preview.innerHTML = `
+                <div class="ph-result-success">
+                    ${result.method === 'concentration' ? 'Remove' : 'Add'} <strong>${amount} ${result.unit.replace(' removed', '')}</strong>
+                    ${result.method === 'concentration' ? 'of water by concentration' : `of ${result.label.toLowerCase()}`}
+                    <br>Volume ${result.volume} L → ${result.volumeAfter.toFixed(0)} L,
+                    sugar ${result.brix.toFixed(1)} → ${result.brixAfter.toFixed(1)} °Brix
+                    <br>Potential alcohol ${result.alcoholBefore.toFixed(1)} → ${result.alcoholAfter.toFixed(1)}% vol
+                </div>
+                ${result.legal ? (result.legal.allowed
+                    ? `<p>Permitted in ${result.legal.label}.</p>`
+                    : result.legal.violations.map(violation => `<p class="import-rejects">${violation}</p>`).join('')) : ''}
+            `;
+        };
+        overlay.addEventListener('input', update);
+        overlay.addEventListener('change', update);
+        update();
+    }
+
+    // Fortification. plan(inputs) returns a FortificationCalculator plan and onRecord(plan)
+    // returns true once the spirit addition is logged.
+    showFortificationCalculator(defaults, { plan: buildPlan, onRecord }) {
+        const body = `
+            <div class="import-options fortification-inputs">
+                <label>Wine volume (L) <input type="number" name="volume" min="0" step="1" value="${defaults.volume ?? ''}"></label>
+                <label>Current alcohol (% vol) <input type="number" name="abv" min="0" step="0.1" value="${defaults.abv ?? ''}"></label>
+                <label>Current sugar (g/L) <input type="number" name="sugar" min="0" step="1" value="${defaults.sugar ?? ''}"></label>
+                <label>Spirit strength (% vol) <input type="number" name="spiritABV" min="0" max="100" step="0.1" value="${defaults.spiritABV ?? 77}"></label>
+                <label>Target alcohol (% vol) <input type="number" name="targetABV" min="0" step="0.1" value="${defaults.targetABV ?? 19}"></label>
+                <label>Target sugar (g/L, optional) <input type="number" name="targetSugar" min="0" step="1"></label>
+            </div>
+            <div class="fortification-preview"></div>
+        `;
+
+        let result = null;
+        const overlay = this.createDialog('Fortification', body, [{
+            label: 'Record spirit addition',
+            onClick: (dialog) => {
+                if (!result?.valid) {
+                    this.showError('Enter the wine, spirit and target alcohol first');
+                    return;
+                }
+                if (onRecord(result)) {
+                    dialog.remove();
+                }
+            }
+        }]);
+
+        const preview = overlay.querySelector('.fortification-preview');
+        const update = () => {
+            const number = (name) => parseFloat(overlay.querySelector(`[name="${name}"]`).value);
+            result = buildPlan({
+                volume: number('volume'),
+                abv: number('abv'),
+                sugar: number('sugar'),
+                spiritABV: number('spiritABV'),
+                targetABV: number('targetABV'),
+                targetSugar: number('targetSugar')
+            });
+            if (!result.valid) {
+                preview.innerHTML = `<p>${result.error}</p>`;
+                return;
+            }
+            preview.innerHTML = `
+                <div class="ph-result-success">
+                    Add <strong>${result.spiritVolume.toFixed(1)} L</strong> of ${result.spiritABV}% vol spirit
+                    (${result.spiritAlcohol.toFixed(1)} L pure alcohol)
+                    <br>Final volume ${result.finalVolume.toFixed(0)} L at ${result.targetABV}% vol,
+                    sugar ${result.finalSugar.toFixed(0)} g/L
+                </div>
+                ${result.warnings.map(warning => `<p class="import-rejects">${warning}</p>`).join('')}
+            `;
+        };
+        overlay.addEventListener('input', update);
+        update();
+    }
+
+    // Bench trials for a batch. getTrials() returns the batch's trials; the handlers return
+    // true when the change was saved, after which the dialog redraws.
+    showBenchTrials(title, { getTrials, defaultVolume, onCreate, onSaveGlasses, onChoose, onApply }) {
+        const agents = BenchTrials.agents;
+        const format = (value, digits = 1) => Number.isFinite(value) ? value.toFixed(digits) : '';
+        const overlay = this.createDialog(title, '');
+
+        const renderTrial = (trial) => {
+            const rows = trial.glasses.map(glass => `
+                <tr>
+                    <td>${glass.rate === 0 ? 'Control' : glass.index}</td>
+                    <td>${glass.rate} ${trial.rateUnit}</td>
+                    <td>${format(glass.dose.amount)} ${glass.dose.unit}</td>
+                    <td><input type="text" data-field="observations" data-glass="${glass.index}" value="${escapeHTML(glass.observations)}" ${trial.status === 'applied' ? 'disabled' : ''}></td>
+                    <td><input type="number" step="any" data-field="result" data-glass="${glass.index}" value="${glass.result ?? ''}" ${trial.status === 'applied' ? 'disabled' : ''}></td>
+                    <td><input type="radio" name="choice-${trial.id}" value="${glass.index}" ${trial.chosenGlass === glass.index ? 'checked' : ''} ${trial.status === 'applied' ? 'disabled' : ''}></td>
+                </tr>
+            `).join('');
+            const chosen = trial.glasses.find(glass => glass.index === trial.chosenGlass);
+            let footer = `
+                <button type="button" class="trial-save-btn">Save results</button>
+                <button type="button" class="trial-choose-btn">Choose selected glass</button>
+            `;
+            if (trial.status === 'decided') {
+                footer += `
+                    <label>Tank volume (L) <input type="number" class="trial-volume" min="0" step="1" value="${defaultVolume ?? ''}"></label>
+                    <span class="trial-scaled"></span>
+                    <button type="button" class="trial-apply-btn">Add to tank</button>
+                `;
+            } else if (trial.status === 'applied') {
+                footer = `<p>Applied ${chosen?.rate ?? 0} ${trial.rateUnit}: ${format(trial.application?.amount)} g to ${trial.application?.volume} L.</p>`;
+            }
+            return `
+                <div class="bench-trial" data-trial="${trial.id}" data-rate-unit="${trial.rateUnit}" data-chosen-rate="${chosen?.rate ?? ''}">
+                    <h4>${trial.product} — ${new Date(trial.createdAt).toLocaleDateString()} — ${trial.status}</h4>
+                    <p>${trial.sampleVolume} mL samples${trial.stockConcentration ? `, ${trial.stockConcentration} g/L stock` : ''}${trial.notes ? `. ${trial.notes}` : ''}</p>
+                    <table class="audit-table">
+                        <thead><tr><th>Glass</th><th>Rate</th><th>Dose per glass</th><th>Observations</th><th>${trial.measure}</th><th>Winner</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                    <div class="dialog-actions">${footer}</div>
+                </div>
+            `;
+        };
+
+        const render = () => {
+            const trials = [...getTrials()].reverse();
+            overlay.querySelector('.dialog-body').innerHTML = `
+                ${trials.length ? trials.map(renderTrial).join('') : '<p>No bench trials yet.</p>'}
+                <h4>New trial</h4>
+                <div class="import-options trial-form">
+                    <label>Agent
+                        <select name="agent">
+                            ${Object.entries(agents).map(([id, agent]) => `<option value="${id}">${agent.name}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>Product name <input type="text" name="name" placeholder="optional"></label>
+                    <label>Rates (comma separated) <input type="text" name="rates" placeholder="e.g. 20, 40, 60, 80"></label>
+                    <label>Rate unit
+                        <select name="rateUnit">
+                            ${['g/hL', 'g/L', 'mg/L'].map(unit => `<option value="${unit}">${unit}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>Sample volume (mL) <input type="number" name="sampleVolume" min="0" step="1" value="100"></label>
+                    <label>Stock solution (g/L) <input type="number" name="stockConcentration" min="0" step="1" placeholder="none"></label>
+                    <label><input type="checkbox" name="includeControl" checked> Include a control glass</label>
+                </div>
+                <button type="button" class="trial-create-btn">Create trial</button>
+            `;
+            overlay.querySelector('[name="agent"]').addEventListener('change', (e) => {
+                overlay.querySelector('[name="rateUnit"]').value = agents[e.target.value].rateUnit;
+            });
+        };
+
+        const updateScaled = (container) => {
+            const scaled = container.querySelector('.trial-scaled');
+            if (!scaled) return;
+            const volume = parseFloat(container.querySelector('.trial-volume').value);
+            const rate = parseFloat(container.dataset.chosenRate);
+            scaled.textContent = volume > 0 && Number.isFinite(rate)
+                ? `${BenchTrials.scale(rate, container.dataset.rateUnit, volume).toFixed(1)} g`
+                : '';
+        };
+
+        overlay.addEventListener('input', (e) => {
+            const container = e.target.closest('.bench-trial');
+            if (container && e.target.classList.contains('trial-volume')) updateScaled(container);
+        });
+
+        overlay.addEventListener('click', (e) => {
+            const container = e.target.closest('.bench-trial');
+            const trialId = container?.dataset.trial;
+            let saved = false;
+            if (e.target.classList.contains('trial-create-btn')) {
+                const value = (name) => overlay.querySelector(`.trial-form [name="${name}"]`);
+                saved = onCreate({
+                    agent: value('agent').value,
+                    name: value('name').value.trim(),
+                    rates: value('rates').value.split(/[,;\s]+/).map(parseFloat).filter(Number.isFinite),
+                    rateUnit: value('rateUnit').value,
+                    sampleVolume: parseFloat(value('sampleVolume').value),
+                    stockConcentration: parseFloat(value('stockConcentration').value),
+                    includeControl: value('includeControl').checked
+                });
+            } else if (e.target.classList.contains('trial-save-btn')) {
+                const glasses = {};
+                container.querySelectorAll('[data-glass]').forEach(input => {
+                    const index = Number(input.dataset.glass);
+                    glasses[index] = glasses[index] ?? {};
+                    glasses[index][input.dataset.field] = input.dataset.field === 'result'
+                        ? parseFloat(input.value)
+                        : input.value.trim();
+                });
+                saved = onSaveGlasses(trialId, glasses);
+            } else if (e.target.classList.contains('trial-choose-btn')) {
+                const choice = container.querySelector(`input[name="choice-${trialId}"]:checked`);
+                if (!choice) {
+                    this.showError('Select the winning glass');
+                    return;
+                }
+                saved = onChoose(trialId, Number(choice.value));
+            } else if (e.target.classList.contains('trial-apply-btn')) {
+                saved = onApply(trialId, parseFloat(container.querySelector('.trial-volume').value));
+            } else {
+                return;
+            }
+            if (saved) {
+                render();
+                overlay.querySelectorAll('.bench-trial').forEach(updateScaled);
+            }
+        });
+
+        render();
+        overlay.querySelectorAll('.bench-trial').forEach(updateScaled);
+    }
+
+    // Profile assignment for the current tank, stage profiles by wine style, a profile editor
+    // and JSON import/export. Callbacks return true when the dialog should redraw.
+    showValidationProfiles(title, { getState, onAssignTank, onSetStage, onAssignStage, onSave, onDelete, onExport, onImport }) {
+        const stages = ValidationProfiles.stages;
+        const wineTypes = { white: 'White', rose: 'Rosé', red: 'Red' };
+        const bands = [
+            ['min', 'Min'], ['max', 'Max'], ['warnBelow', 'Warn below'], ['warnAbove', 'Warn above'],
+            ['criticalBelow', 'Critical below'], ['criticalAbove', 'Critical above']
+        ];
+        const overlay = this.createDialog(title, '');
+        let editing = null;
+
+        const options = (profiles, selected, emptyLabel) => `
+            <option value="">${emptyLabel}</option>
+            ${profiles.map(profile => `<option value="${escapeHTML(profile.id)}" ${profile.id === selected ? 'selected' : ''}>${escapeHTML(profile.name)}</option>`).join('')}
+        `;
+
+        const render = () => {
+            const state = getState();
+            if (editing === null) editing = state.active?.id ?? state.profiles[0]?.id ?? '';
+            const profile = state.profiles.find(entry => entry.id === editing) ?? null;
+            const stageRows = Object.entries(stages).map(([stage, label]) => `
+                <tr>
+                    <td>${label}</td>
+                    ${['', ...Object.keys(wineTypes)].map(wineType => `
+                        <td><select class="stage-profile" data-stage="${stage}" data-wine-type="${wineType}">
+                            ${options(state.profiles, state.assignments.stages[wineType ? `${stage}:${wineType}` : stage], wineType ? 'As any style' : 'Default limits')}
+                        </select></td>
+                    `).join('')}
+                </tr>
+            `).join('');
+            const fieldRows = ValidationProfiles.fields.map(field => {
+                const rule = Validator.rules[field];
+                return `
+                    <tr>
+                        <td>${rule.name}${rule.unit ? ` (${rule.unit})` : ''}</td>
+                        ${bands.map(([band]) => `
+                            <td><input type="number" step="any" data-field="${field}" data-band="${band}"
+                                value="${profile?.rules?.[field]?.[band] ?? ''}"
+                                placeholder="${band === 'min' || band === 'max' ? rule[band] : ''}"></td>
+                        `).join('')}
+                    </tr>
+                `;
+            }).join('');
+
+            overlay.querySelector('.dialog-body').innerHTML = `
+                <h4>Tank ${escapeHTML(state.tankId)}</h4>
+                <div class="import-options">
+                    <label>Profile
+                        <select class="tank-profile">${options(state.profiles, state.assignments.tanks[state.tankId], 'From batch stage')}</select>
+                    </label>
+                    <label>Batch stage
+                        <select class="batch-stage" ${state.hasBatches ? '' : 'disabled'}>
+                            <option value="">Not set</option>
+                            ${Object.entries(stages).map(([stage, label]) => `<option value="${stage}" ${stage === state.stage ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                    </label>
+                </div>
+                <p>In use: <strong>${escapeHTML(state.active?.name ?? 'Default limits')}</strong></p>
+                <h4>Stage profiles</h4>
+                <table class="audit-table">
+                    <thead><tr><th>Stage</th><th>Any style</th>${Object.values(wineTypes).map(label => `<th>${label}</th>`).join('')}</tr></thead>
+                    <tbody>${stageRows}</tbody>
+                </table>
+                <h4>Profiles</h4>
+                <div class="import-options profile-form">
+                    <label>Edit
+                        <select class="edit-profile">${options(state.profiles, editing, 'New profile')}</select>
+                    </label>
+                    <label>Id <input type="text" name="id" value="${escapeHTML(profile?.id)}" ${profile ? 'disabled' : ''}></label>
+                    <label>Name <input type="text" name="name" value="${escapeHTML(profile?.name)}"></label>
+                </div>
+                <table class="audit-table">
+                    <thead><tr><th>Field</th>${bands.map(([, label]) => `<th>${label}</th>`).join('')}</tr></thead>
+                    <tbody>${fieldRows}</tbody>
+                </table>
+                <div class="dialog-actions">
+                    <button type="button" class="profile-save-btn">Save profile</button>
+                    ${profile ? `<button type="button" class="profile-delete-btn">${profile.builtIn ? 'Reset to default' : 'Delete profile'}</button>` : ''}
+                    <button type="button" class="profile-export-btn">Export JSON</button>
+                    <button type="button" class="profile-import-btn">Import JSON</button>
+                    <input type="file" class="profile-import-file" accept=".json,application/json" hidden>
+                </div>
+            `;
+        };
+
+        // Rules from the editor; messages of the profile being edited are kept for bands still set
+        const readProfile = () => {
+            const state = getState();
+            const existing = state.profiles.find(entry => entry.id === editing) ?? null;
+            const rules = {};
+            overlay.querySelectorAll('[data-band]').forEach(input => {
+                const value = parseFloat(input.value);
+                if (!Number.isFinite(value)) return;
+                rules[input.dataset.field] = rules[input.dataset.field] ?? {};
+                rules[input.dataset.field][input.dataset.band] = value;
+            });
+            Object.entries(rules).forEach(([field, rule]) => {
+                const messages = Object.fromEntries(Object.entries(existing?.rules?.[field]?.messages ?? {})
+                    .filter(([band]) => band in rule));
+                if (Object.keys(messages).length) rule.messages = messages;
+            });
+            return {
+                id: existing ? existing.id : overlay.querySelector('.profile-form [name="id"]').value.trim(),
+                name: overlay.querySelector('.profile-form [name="name"]').value.trim(),
+                rules
+            };
+        };
+
+        overlay.addEventListener('change', (e) => {
+            const target = e.target;
+            let saved = false;
+            if (target.classList.contains('tank-profile')) {
+                saved = onAssignTank(target.value || null);
+            } else if (target.classList.contains('batch-stage')) {
+                saved = onSetStage(target.value || null);
+            } else if (target.classList.contains('stage-profile')) {
+                saved = onAssignStage(target.dataset.stage, target.dataset.wineType || null, target.value || null);
+            } else if (target.classList.contains('edit-profile')) {
+                editing = target.value;
+                saved = true;
+            } else if (target.classList.contains('profile-import-file')) {
+                const file = target.files[0];
+                if (!file) return;
+                const reader = new FileReader();
+                reader.onload = (event) => {
+                    if (onImport(event.target.result)) render();
+                };
+                reader.readAsText(file);
+                return;
+            } else {
+                return;
+            }
+            if (saved) render();
+        });
+
+        overlay.addEventListener('click', (e) => {
+            const target = e.target;
+            let saved = false;
+            if (target.classList.contains('profile-save-btn')) {
+                const profile = readProfile();
+                saved = onSave(profile);
+                if (saved) editing = profile.id;
+            } else if (target.classList.contains('profile-delete-btn')) {
+                const profile = getState().profiles.find(entry => entry.id === editing);
+                if (!profile || !confirm(profile.builtIn ? `Reset ${profile.name} to its default limits?` : `Delete ${profile.name}?`)) return;
+                saved = onDelete(profile.id);
+                if (saved && !profile.builtIn) editing = null;
+            } else if (target.classList.contains('profile-export-btn')) {
+                onExport();
+                return;
+            } else if (target.classList.contains('profile-import-btn')) {
+                overlay.querySelector('.profile-import-file').click();
+                return;
+            } else {
+                return;
+            }
+            if (saved) render();
+        });
+
+        render();
+    }
+
+    // Display and entry units for the current user, with presets for each unit system.
+    // onSave(preferences) returns true to close the dialog.
+    showUnitSettings(preferences, onSave) {
+        const select = (role, field) => `
+            <select name="${role}-${field}">
+                ${Units.choices(field).map(([unit, label]) =>
+                    `<option value="${unit}" ${preferences[role][field] === unit ? 'selected' : ''}>${label}</option>`
+                ).join('')}
+            </select>
+        `;
+        const body = `
+            <div class="import-options">
+                ${Object.entries(Units.systems).map(([system, definition]) =>
+                    `<button type="button" class="unit-system-btn" data-system="${system}">${definition.label}</button>`
+                ).join('')}
+            </div>
+            <table class="audit-table">
+                <thead><tr><th>Field</th><th>Shown in</th><th>Entered in</th></tr></thead>
+                <tbody>
+                    ${Units.fields.map(field => `
+                        <tr>
+                            <td>${Validator.rules[field].name}</td>
+                            <td>${select('display', field)}</td>
+                            <td>${select('entry', field)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p>Readings are always stored in °C, Baumé and litres.</p>
+        `;
+        const overlay = this.createDialog('Units', body, [{
+            label: 'Save',
+            onClick: (dialog) => {
+                const chosen = { display: {}, entry: {} };
+                Units.fields.forEach(field => {
+                    chosen.display[field] = dialog.querySelector(`[name="display-${field}"]`).value;
+                    chosen.entry[field] = dialog.querySelector(`[name="entry-${field}"]`).value;
+                });
+                if (onSave(chosen)) {
+                    dialog.remove();
+                }
+            }
+        }]);
+
+        overlay.addEventListener('click', (e) => {
+            const system = Units.systems[e.target.dataset.system];
+            if (!system) return;
+            Object.entries(system.units).forEach(([field, unit]) => {
+                overlay.querySelector(`[name="display-${field}"]`).value = unit;
+                overlay.querySelector(`[name="entry-${field}"]`).value = unit;
+            });
+        });
+    }
+
+    // history: AlertLog records, newest first; stats: AlertLog.stats()
+    showAlertHistory(tankId, history, stats) {
+        const when = (value) => value ? new Date(value).toLocaleString() : '—';
+        const duration = (minutes) => {
+            if (minutes === null) return '—';
+            return minutes < 90 ? `${Math.round(minutes)} min` : `${(minutes / 60).toFixed(1)} h`;
+        };
+        const deliveries = (record) => record.events
+            .filter(event => event.action === 'notified' || event.action === 'held')
+            .map(event => event.action === 'held'
+                ? `Held for quiet hours until ${when(event.until)}`
+                : `L${event.level} ${event.channel ?? ''}${event.to ? ` to ${escapeHTML(event.to)}` : ''}: ${event.ok ? 'sent' : `failed (${escapeHTML(event.error)})`}`)
+            .join('<br>') || '—';
+        const rows = history.map(record => `
+            <tr>
+                <td>${when(record.raisedAt)}</td>
+                <td>${escapeHTML(record.message)}</td>
+                <td>${record.severity}</td>
+                <td>${record.state === 'snoozed' ? `snoozed until ${when(record.snoozedUntil)}` : record.state}</td>
+                <td>${record.acknowledgedAt ? `${escapeHTML(record.acknowledgedBy)}, ${when(record.acknowledgedAt)}` : '—'}</td>
+                <td>${record.resolvedAt ? `${escapeHTML(record.resolvedBy)}, ${when(record.resolvedAt)}${record.resolution ? `: ${escapeHTML(record.resolution)}` : ''}` : '—'}</td>
+                <td>${deliveries(record)}</td>
+            </tr>
+        `).join('');
+
+        const body = `
+            <p>
+                ${stats.total} alert${stats.total === 1 ? '' : 's'}: ${stats.open} open, ${stats.acknowledged} acknowledged,
+                ${stats.snoozed} snoozed, ${stats.resolved} resolved.
+                Mean time to acknowledge: ${duration(stats.meanTimeToAcknowledge)}.
+                Mean time to resolve: ${duration(stats.meanTimeToResolve)}.
+            </p>
+            ${history.length
+                ? `<table class="audit-table">
+                        <thead><tr><th>Raised</th><th>Alert</th><th>Severity</th><th>State</th><th>Acknowledged</th><th>Resolved</th><th>Notifications</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                   </table>`
+                : '<p>No alerts have been raised for this tank.</p>'}
+        `;
+        this.createDialog(`Alert History - Tank ${tankId}`, body);
+    }
+
+    getAlertClass(field, value, profile = null) {
         if (value === null || value === undefined) return '';
         
-        const warnings = Validator.getWarnings(field, value);
-        if (warnings.some(w => w.includes('Critical'))) return 'alert-critical';
-        if (warnings.length > 0) return 'alert-warning';
+        const checks = Validator.checkBands(field, value, profile);
+        if (checks.some(check => check.level === 'critical')) return 'alert-critical';
+        if (checks.length > 0) return 'alert-warning';
         return '';
     }
 
@@ -180,8 +1674,8 @@ class UIManager {
             row.innerHTML = `
                 <td>${tank.id}</td>
                 <td>${formattedTime}</td>
-                <td>${latest.temperature ?? ''}</td>
-                <td>${latest.sugar ?? ''}</td>
+                <td>${Units.toDisplay('temperature', latest.temperature) ?? ''}</td>
+                <td>${Units.toDisplay('sugar', latest.sugar) ?? ''}</td>
                 <td>${latest.sg ?? ''}</td>
                 <td>${latest.ph ?? ''}</td>
                 <td>${latest.ta ?? ''}</td>
@@ -243,6 +1737,83 @@ class UIManager {
                 <h4>Status</h4>
                 <p>${this.getStatusMessage(analysis)}</p>
             </div>
+
+            ${this.renderAlcoholInsight(data)}
+        `;
+
+        container.querySelector('.alcohol-wine-type')?.addEventListener('change', (e) => {
+            this.setAlcoholWineType(this.currentTankId, e.target.value);
+            this.renderQuickInsights();
+        });
+    }
+
+    // Per-tank choice of sugar-to-alcohol factor; falls back to the batch's wine type
+    getAlcoholWineType(tankId) {
+        try {
+            const stored = JSON.parse(localStorage.getItem('alcoholWineTypes') || '{}');
+            if (stored[tankId]) return stored[tankId];
+        } catch (error) {
+            console.warn('Failed to read alcohol settings', error);
+        }
+        return this.batchManager?.getBatchByTank(tankId)?.wineType ?? 'red';
+    }
+
+    setAlcoholWineType(tankId, wineType) {
+        try {
+            const stored = JSON.parse(localStorage.getItem('alcoholWineTypes') || '{}');
+            stored[tankId] = wineType;
+            localStorage.setItem('alcoholWineTypes', JSON.stringify(stored));
+        } catch (error) {
+            console.warn('Failed to save alcohol settings', error);
+        }
+    }
+
+    renderAlcoholInsight(data) {
+        const wineType = this.getAlcoholWineType(this.currentTankId);
+        const estimate = this.batchManager
+            ? this.batchManager.estimateTankAlcohol(this.currentTankId, data, wineType)
+            : FermentationCalculations.estimateAlcohol(data, { wineType });
+        if (!estimate) return '';
+
+        const labels = { white: 'White', rose: 'Rosé', red: 'Red' };
+        const options = Object.entries(FermentationCalculations.ALCOHOL_SUGAR_FACTORS).map(([type, factor]) =>
+            `<option value="${type}" ${type === estimate.wineType ? 'selected' : ''}>${labels[type] ?? type} (${factor} g/L per % vol)</option>`
+        ).join('');
+        const lab = estimate.lab
+            ? `
+                <div class="metric">
+                    <span class="metric-label">Lab Alcohol</span>
+                    <span class="metric-value">${estimate.lab.value.toFixed(1)}% vol</span>
+                </div>
+                <p class="${estimate.lab.reconciled ? '' : 'alcohol-mismatch'}">
+                    ${estimate.lab.reconciled
+                        ? 'Lab result agrees with the hydrometer estimate'
+                        : `Lab result differs by ${estimate.lab.difference > 0 ? '+' : ''}${estimate.lab.difference.toFixed(1)}% vol - check hydrometer calibration or sample`}
+                    ${estimate.lab.timestamp ? `(${new Date(estimate.lab.timestamp).toLocaleDateString()})` : ''}
+                </p>
+            `
+            : '';
+
+        return `
+            <div class="insight-card">
+                <h4>Alcohol</h4>
+                <div class="metric">
+                    <span class="metric-label">Potential</span>
+                    <span class="metric-value">${estimate.potentialAlcohol.toFixed(1)}% vol</span>
+                </div>
+                <div class="metric">
+                    <span class="metric-label">Estimated Now</span>
+                    <span class="metric-value">${estimate.estimatedABV.toFixed(1)}% vol</span>
+                </div>
+                <div class="metric">
+                    <span class="metric-label">SG</span>
+                    <span class="metric-value">${estimate.initialSG.toFixed(3)} → ${estimate.currentSG.toFixed(3)}</span>
+                </div>
+                ${lab}
+                <label>Conversion factor
+                    <select class="alcohol-wine-type">${options}</select>
+                </label>
+            </div>
         `;
     }
 
@@ -271,16 +1842,18 @@ class UIManager {
     loadFormData(reading) {
         const formattedTimestamp = formatForDateTimeInput(reading.timestamp);
         this.elements.timestamp.value = formattedTimestamp || '';
-        this.elements.temperature.value = reading.temperature ?? '';
-        this.elements.sugar.value = reading.sugar ?? '';
-        this.elements.sg.value = reading.sg ?? '';
+        // Derived values are left blank so they are worked out again from what is saved
+        const derived = reading.derivedFields ?? [];
+        this.elements.temperature.value = this.toEntryUnit('temperature', reading.temperature);
+        this.elements.sugar.value = derived.includes('sugar') ? '' : this.toEntryUnit('sugar', reading.sugar);
+        this.elements.sg.value = derived.includes('sg') ? '' : reading.sg ?? '';
         this.elements.ph.value = reading.ph ?? '';
         this.elements.ta.value = reading.ta ?? '';
-        this.elements.volume.value = reading.volume ?? '';
+        this.elements.volume.value = this.toEntryUnit('volume', reading.volume);
         this.elements.notes.value = reading.notes ?? '';
         
         // Update sugar conversion
-        if (reading.sugar) {
+        if (reading.sugar && !derived.includes('sugar')) {
             const gl = FermentationCalculations.baumeToGL(reading.sugar);
             this.elements.sugarGL.value = gl.toFixed(1);
             if (this.elements.brix) {
@@ -305,22 +1878,43 @@ class UIManager {
         // Add notes if present
         const notes = this.elements.notes.value.trim();
         if (notes) data.notes = notes;
+
+        // Validator converts from these to the stored units
+        data.units = Units.getPreferences().entry;
         
         return data;
     }
 
+    // A stored value as the reading form shows it, rounded to the entry unit's precision
+    toEntryUnit(field, value) {
+        if (!Number.isFinite(value)) return value ?? '';
+        const unit = Units.entryUnit(field);
+        return Units.round(field, Units.fromCanonical(field, value, unit), unit);
+    }
+
+    // Elements marked data-unit-field="temperature" (table headers, form labels) show the
+    // unit in use; data-unit-role="entry" marks reading form labels
+    applyUnitLabels() {
+        const preferences = Units.getPreferences();
+        document.querySelectorAll('[data-unit-field]').forEach(element => {
+            const role = element.dataset.unitRole === 'entry' ? 'entry' : 'display';
+            const field = element.dataset.unitField;
+            element.textContent = Units.label(field, preferences[role][field]);
+        });
+    }
+
     resetForm() {
         this.elements.readingForm.reset();
         this.elements.sugarGL.value = '';
         if (this.elements.brix) this.elements.brix.value = '';
-        this.editingIndex = null;
+        this.editingId = null;
         if (this.elements.submitBtn) {
             this.elements.submitBtn.textContent = 'Save Reading';
         }
     }
 
-    setEditMode(index) {
-        this.editingIndex = index;
+    setEditMode(readingId) {
+        this.editingId = readingId;
         if (this.elements.submitBtn) {
             this.elements.submitBtn.textContent = 'Update Reading';
         }
@@ -344,7 +1938,8 @@ class UIManager {
         }, 5000);
     }
 
-    showSuccess(message) {
+    // action: optional { label, handler } rendered as a button in the toast (e.g. Undo)
+    showSuccess(message, action = null) {
         // Create or update success display
         let successDiv = document.getElementById('success-message');
         if (!successDiv) {
@@ -357,8 +1952,22 @@ class UIManager {
         successDiv.textContent = message;
         successDiv.style.display = 'block';
         
-        setTimeout(() => {
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.type = 'button';
+            actionBtn.className = 'toast-action-btn';
+            actionBtn.textContent = action.label;
+            actionBtn.addEventListener('click', () => {
+                successDiv.style.display = 'none';
+                action.handler();
+            });
+            successDiv.appendChild(actionBtn);
+        }
+        
+        // A newer toast replaces the old one, so it shouldn't be hidden by the old timer
+        clearTimeout(this.successTimer);
+        this.successTimer = setTimeout(() => {
             successDiv.style.display = 'none';
-        }, 3000);
+        }, action ? 6000 : 3000);
     }
 }
\ No newline at end of file
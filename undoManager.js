@@ -0,0 +1,176 @@
+// undoManager.js - Command-based undo/redo for log and batch operations
+class UndoManager {
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.subscribers = [];
+    }
+
+    // Runs a command ({ label, execute, undo, redo? }) and makes it undoable
+    execute(command) {
+        const result = command.execute();
+        this.record(command);
+        return result;
+    }
+
+    // Registers a command whose effect has already been applied
+    record(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.notifyChange();
+    }
+
+    // A command that throws stays where it was
+    undo() {
+        const command = this.undoStack[this.undoStack.length - 1];
+        if (!command) return null;
+        command.undo();
+        this.undoStack.pop();
+        this.redoStack.push(command);
+        this.notifyChange();
+        return command;
+    }
+
+    redo() {
+        const command = this.redoStack[this.redoStack.length - 1];
+        if (!command) return null;
+        if (command.redo) {
+            command.redo();
+        } else {
+            command.execute();
+        }
+        this.redoStack.pop();
+        this.undoStack.push(command);
+        this.notifyChange();
+        return command;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    peekUndoLabel() {
+        return this.undoStack[this.undoStack.length - 1]?.label ?? null;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notifyChange();
+    }
+
+    subscribe(callback) {
+        this.subscribers.push(callback);
+    }
+
+    notifyChange() {
+        this.subscribers.forEach(callback => callback(this));
+    }
+}
+
+// DataManager returns null when the reading isn't in the log any more. Throwing instead
+// leaves the command on its stack and lets the caller report the failure.
+function requireReading(result) {
+    if (!result) {
+        throw new Error('the reading is no longer in the log');
+    }
+    return result;
+}
+
+// Command factories for the DataManager and BatchManager mutations that can be undone
+const CellarCommands = {
+    addReading: (dataManager, tankId, reading, options = {}) => {
+        let added = null;
+        return {
+            label: 'Add reading',
+            execute: () => {
+                added = dataManager.addReading(tankId, reading, options);
+                return added;
+            },
+            undo: () => requireReading(dataManager.deleteReading(tankId, added.id, { reason: 'Undo' })),
+            redo: () => CellarCommands.restoreDeleted(dataManager, tankId, added, 'Redo')
+        };
+    },
+
+    updateReading: (dataManager, tankId, readingId, reading, options = {}) => {
+        let before = null;
+        let after = null;
+        return {
+            label: 'Edit reading',
+            execute: () => {
+                before = dataManager.getReading(tankId, readingId);
+                after = dataManager.updateReading(tankId, readingId, reading, options);
+                return after;
+            },
+            undo: () => requireReading(dataManager.updateReading(tankId, readingId, before, { reason: 'Undo' })),
+            redo: () => requireReading(dataManager.updateReading(tankId, readingId, after, { reason: 'Redo' }))
+        };
+    },
+
+    deleteReading: (dataManager, tankId, readingId, options = {}) => {
+        let removed = null;
+        return {
+            label: 'Delete reading',
+            execute: () => {
+                removed = dataManager.deleteReading(tankId, readingId, options);
+                return removed;
+            },
+            undo: () => CellarCommands.restoreDeleted(dataManager, tankId, removed, 'Undo'),
+            redo: () => requireReading(dataManager.deleteReading(tankId, readingId, { reason: 'Redo' }))
+        };
+    },
+
+    // Brings a deleted reading back through the audit trail when there is one
+    restoreDeleted: (dataManager, tankId, reading, reason) => {
+        const deletion = [...dataManager.getReadingHistory(reading.id)].reverse()
+            .find(entry => entry.action === 'delete');
+        if (deletion) {
+            return dataManager.restoreReading(tankId, deletion.id, { reason });
+        }
+        return dataManager.addReading(tankId, reading, { reason });
+    },
+
+    // The variety field applies changes as the user types, so this records an applied change
+    tankVariety: (dataManager, tankId, previous, next) => ({
+        label: 'Set variety',
+        execute: () => dataManager.setTankVariety(tankId, next),
+        undo: () => dataManager.setTankVariety(tankId, previous)
+    }),
+
+    // Wraps any BatchManager mutation (transfer, blend, treatment, status change, ...) by
+    // capturing the batches and transfers before and after it, plus the workflow tasks when
+    // a CollaborationManager is given (nutrient stages complete theirs). Undo and redo apply
+    // only that difference, and refuse if a value it set has been changed again since.
+    batchOperation: (batchManager, label, operation, collaboration = null) => {
+        let before = null;
+        let after = null;
+        const capture = () => ({
+            ...batchManager.captureState(),
+            tasks: collaboration?.captureTasks() ?? new Map()
+        });
+        return {
+            label,
+            execute: () => {
+                before = capture();
+                const result = operation();
+                after = capture();
+                return result;
+            },
+            undo: () => batchManager.applyStateChange(after, before, collaboration),
+            redo: () => batchManager.applyStateChange(before, after, collaboration)
+        };
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.UndoManager = UndoManager;
+    window.CellarCommands = CellarCommands;
+}
@@ -0,0 +1,187 @@
+// units.js - Unit systems for entry, display and export
+// Readings are always stored in the canonical unit of each field (°C, Baumé, litres); other
+// units are converted on the way in and on the way out. Sugar scales aren't linear, so they
+// go through FermentationCalculations.convertGravity.
+const UNIT_DEFINITIONS = {
+    temperature: {
+        canonical: 'C',
+        digits: 1,
+        units: {
+            C: { label: '°C', toCanonical: (v) => v, fromCanonical: (v) => v },
+            F: { label: '°F', toCanonical: (v) => (v - 32) * 5 / 9, fromCanonical: (v) => v * 9 / 5 + 32 }
+        }
+    },
+    sugar: {
+        canonical: 'baume',
+        digits: 1,
+        units: {
+            baume: { label: 'Baumé', scale: 'baume' },
+            brix: { label: '°Brix', scale: 'brix' },
+            oechsle: { label: '°Oe', scale: 'oechsle', digits: 0 },
+            kmw: { label: 'KMW', scale: 'kmw' }
+        }
+    },
+    volume: {
+        canonical: 'L',
+        digits: 1,
+        units: {
+            L: { label: 'L', factor: 1 },
+            hL: { label: 'hL', factor: 100, digits: 2 },
+            gal: { label: 'US gal', factor: 3.785411784 }
+        }
+    }
+};
+
+const UNIT_SYSTEMS = {
+    metric: { label: 'Metric (°C, Baumé, L)', units: { temperature: 'C', sugar: 'baume', volume: 'L' } },
+    us: { label: 'US (°F, °Brix, US gal)', units: { temperature: 'F', sugar: 'brix', volume: 'gal' } }
+};
+
+class Units {
+    static get fields() {
+        return Object.keys(UNIT_DEFINITIONS);
+    }
+
+    static get systems() {
+        return UNIT_SYSTEMS;
+    }
+
+    // [[unit, label]] for a field, or [] when the field has no units to choose
+    static choices(field) {
+        return Object.entries(UNIT_DEFINITIONS[field]?.units ?? {}).map(([unit, definition]) => [unit, definition.label]);
+    }
+
+    static canonical(field) {
+        return UNIT_DEFINITIONS[field]?.canonical ?? null;
+    }
+
+    static label(field, unit = Units.canonical(field)) {
+        return UNIT_DEFINITIONS[field]?.units[unit]?.label ?? '';
+    }
+
+    static definition(field, unit) {
+        const definition = UNIT_DEFINITIONS[field]?.units[unit];
+        if (!definition) {
+            throw new Error(`Unknown unit for ${field}: ${unit}`);
+        }
+        return definition;
+    }
+
+    // Six decimals are kept so a converted value doesn't store float noise (18.000000000000004)
+    static toCanonical(field, value, unit) {
+        if (!Number.isFinite(value) || !UNIT_DEFINITIONS[field] || !unit || unit === Units.canonical(field)) return value;
+        const definition = Units.definition(field, unit);
+        let canonical;
+        if (definition.scale) {
+            canonical = FermentationCalculations.convertGravity(value, definition.scale, 'baume');
+        } else if (definition.factor) {
+            canonical = value * definition.factor;
+        } else {
+            canonical = definition.toCanonical(value);
+        }
+        return Math.round(canonical * 1e6) / 1e6;
+    }
+
+    static fromCanonical(field, value, unit) {
+        if (!Number.isFinite(value) || !UNIT_DEFINITIONS[field] || !unit || unit === Units.canonical(field)) return value;
+        const definition = Units.definition(field, unit);
+        if (definition.scale) return FermentationCalculations.convertGravity(value, 'baume', definition.scale);
+        if (definition.factor) return value / definition.factor;
+        return definition.fromCanonical(value);
+    }
+
+    static convert(field, value, from, to) {
+        return Units.fromCanonical(field, Units.toCanonical(field, value, from), to);
+    }
+
+    // Rounded to the unit's usual precision, for showing and exporting; other fields pass through
+    static round(field, value, unit = Units.canonical(field)) {
+        if (!Number.isFinite(value) || !UNIT_DEFINITIONS[field]) return value;
+        const digits = UNIT_DEFINITIONS[field].units[unit]?.digits ?? UNIT_DEFINITIONS[field].digits;
+        return Math.round(value * 10 ** digits) / 10 ** digits;
+    }
+
+    // Preferences are kept per user (the audit trail's current user): { display: { field: unit },
+    // entry: { field: unit } }. Anything not set is canonical.
+    static getPreferences(user = Units.currentUser()) {
+        const stored = Units.loadPreferences()[user] ?? {};
+        const complete = (units) => Object.fromEntries(Units.fields.map(field => [
+            field,
+            UNIT_DEFINITIONS[field].units[units?.[field]] ? units[field] : Units.canonical(field)
+        ]));
+        return { display: complete(stored.display), entry: complete(stored.entry) };
+    }
+
+    static setPreferences(preferences, user = Units.currentUser()) {
+        const all = Units.loadPreferences();
+        all[user] = { display: { ...preferences.display }, entry: { ...preferences.entry } };
+        try {
+            localStorage.setItem('unit_preferences', JSON.stringify(all));
+        } catch (error) {
+            console.warn('Failed to save unit preferences', error);
+        }
+        return Units.getPreferences(user);
+    }
+
+    static loadPreferences() {
+        try {
+            return JSON.parse(localStorage.getItem('unit_preferences') ?? '{}');
+        } catch (error) {
+            console.warn('Failed to load unit preferences', error);
+            return {};
+        }
+    }
+
+    static currentUser() {
+        return typeof AuditTrail !== 'undefined' ? AuditTrail.currentUser() : 'Unknown';
+    }
+
+    static displayUnit(field) {
+        return Units.getPreferences().display[field] ?? Units.canonical(field);
+    }
+
+    static entryUnit(field) {
+        return Units.getPreferences().entry[field] ?? Units.canonical(field);
+    }
+
+    // A stored value in the user's display unit, rounded; other fields pass through
+    static toDisplay(field, value) {
+        if (!UNIT_DEFINITIONS[field] || !Number.isFinite(value)) return value;
+        const unit = Units.displayUnit(field);
+        return Units.round(field, Units.fromCanonical(field, value, unit), unit);
+    }
+
+    // "64.4 °F"; an empty string for missing values
+    static format(field, value, { unit = Units.displayUnit(field) } = {}) {
+        if (!Number.isFinite(value)) return '';
+        return `${Units.round(field, Units.fromCanonical(field, value, unit), unit)} ${Units.label(field, unit)}`;
+    }
+
+    // A copy of a reading with its unit fields in the given units ({ field: unit })
+    static convertReading(reading, units) {
+        const converted = { ...reading };
+        Object.entries(units ?? {}).forEach(([field, unit]) => {
+            if (Number.isFinite(reading[field]) && unit !== Units.canonical(field)) {
+                converted[field] = Units.round(field, Units.fromCanonical(field, reading[field], unit), unit);
+            }
+        });
+        return converted;
+    }
+
+    // Unit named in a column header such as "Temperature (°F)", "Volume [gal]" or just "Brix"
+    static fromHeader(field, header) {
+        if (!UNIT_DEFINITIONS[field]) return null;
+        const match = String(header ?? '').match(/[([]\s*([^)\]]+?)\s*[)\]]/);
+        const text = (match ? match[1] : String(header ?? '')).trim().toLowerCase().replace(/\s+/g, ' ');
+        const aliases = {
+            temperature: { C: ['°c', 'c', 'celsius', 'deg c'], F: ['°f', 'f', 'fahrenheit', 'deg f'] },
+            sugar: { baume: ['baumé', 'baume', 'be', '°be'], brix: ['°brix', 'brix', '°bx', 'bx'], oechsle: ['°oe', 'oe', 'oechsle'], kmw: ['kmw', 'babo'] },
+            volume: { L: ['l', 'litres', 'liters', 'litri'], hL: ['hl'], gal: ['gal', 'us gal', 'gallons'] }
+        }[field];
+        return Object.keys(aliases).find(unit => aliases[unit].includes(text)) ?? null;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.Units = Units;
+}
@@ -0,0 +1,23 @@
+// utils.js - Small helpers shared by the app scripts
+
+// Makes user-supplied text (imported files, names, notes) safe to put in HTML text or a
+// quoted attribute
+function escapeHTML(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Reading ids are unique across the whole store (see ReadingStore's v2 index). DataManager
+// assigns them too, with or without a ReadingStore.
+function createReadingId() {
+    return `RDG-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+if (typeof window !== 'undefined') {
+    window.escapeHTML = escapeHTML;
+    window.createReadingId = createReadingId;
+}
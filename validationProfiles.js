@@ -0,0 +1,277 @@
+// validationProfiles.js - Editable validation rule profiles for tanks and batch stages
+// A profile holds per-field rules: min/max replace Validator's hard limits and the warning
+// bands (warnBelow, warnAbove, criticalBelow, criticalAbove) drive form warnings and log
+// highlighting. Built-in profiles can be edited; stored edits are laid over the defaults.
+const PROFILE_FIELDS = ['temperature', 'sugar', 'sg', 'ph', 'ta', 'volume'];
+const PROFILE_BANDS = ['min', 'max', 'warnBelow', 'warnAbove', 'criticalBelow', 'criticalAbove'];
+
+const DEFAULT_PROFILES = {
+    'white-ferment': {
+        name: 'White fermentation',
+        rules: {
+            temperature: { warnBelow: 12, warnAbove: 18, criticalBelow: 8, criticalAbove: 22 },
+            ph: { warnBelow: 3.0, warnAbove: 3.5 },
+            sugar: { warnBelow: 2, messages: { warnBelow: 'Fermentation nearly complete' } }
+        }
+    },
+    'red-ferment': {
+        name: 'Red fermentation',
+        rules: {
+            temperature: { warnBelow: 22, warnAbove: 30, criticalBelow: 18, criticalAbove: 34 },
+            ph: { warnBelow: 3.2, warnAbove: 3.8 },
+            sugar: { warnBelow: 2, messages: { warnBelow: 'Fermentation nearly complete' } }
+        }
+    },
+    mlf: {
+        name: 'Malolactic fermentation',
+        rules: {
+            temperature: { warnBelow: 18, warnAbove: 22, criticalBelow: 15, criticalAbove: 25 },
+            ph: { warnBelow: 3.2, warnAbove: 3.8, criticalBelow: 3.0 }
+        }
+    },
+    'cold-stabilization': {
+        name: 'Cold stabilization',
+        rules: {
+            temperature: { min: -8, warnBelow: -5, warnAbove: -2, criticalAbove: 2 },
+            ph: { warnAbove: 3.8 }
+        }
+    }
+};
+
+// Stages a batch can be in
+const BATCH_STAGES = {
+    'pre-fermentation': 'Pre-fermentation',
+    fermentation: 'Alcoholic fermentation',
+    mlf: 'Malolactic fermentation',
+    'cold-stabilization': 'Cold stabilization',
+    aging: 'Aging'
+};
+
+// Stage assignments are keyed by stage, or by stage:wineType for one wine style
+const DEFAULT_STAGE_PROFILES = {
+    'fermentation:white': 'white-ferment',
+    'fermentation:rose': 'white-ferment',
+    'fermentation:red': 'red-ferment',
+    mlf: 'mlf',
+    'cold-stabilization': 'cold-stabilization'
+};
+
+class ValidationProfiles {
+    constructor(batchManager = null) {
+        this.batchManager = batchManager;
+        const stored = this.loadStored();
+        this.profiles = this.mergeProfiles(stored.profiles);
+        this.assignments = {
+            tanks: { ...stored.assignments?.tanks },
+            stages: { ...DEFAULT_STAGE_PROFILES, ...stored.assignments?.stages }
+        };
+    }
+
+    static get fields() {
+        return PROFILE_FIELDS;
+    }
+
+    static get stages() {
+        return BATCH_STAGES;
+    }
+
+    mergeProfiles(stored = {}) {
+        const profiles = {};
+        Object.entries(DEFAULT_PROFILES).forEach(([id, profile]) => {
+            profiles[id] = { id, builtIn: true, ...profile };
+        });
+        Object.entries(stored ?? {}).forEach(([id, profile]) => {
+            profiles[id] = { id, builtIn: id in DEFAULT_PROFILES, ...profile };
+        });
+        return profiles;
+    }
+
+    getProfiles() {
+        return Object.values(this.profiles);
+    }
+
+    getProfile(profileId) {
+        return this.profiles[profileId] ?? null;
+    }
+
+    // Checks a profile's shape; returns a list of problems (empty when it can be used)
+    static check(profile) {
+        const errors = [];
+        if (!profile || typeof profile !== 'object') {
+            return ['Not a profile'];
+        }
+        if (!profile.id || typeof profile.id !== 'string') errors.push('Profile id is required');
+        if (!profile.name || typeof profile.name !== 'string') errors.push('Profile name is required');
+        Object.entries(profile.rules ?? {}).forEach(([field, rule]) => {
+            if (!PROFILE_FIELDS.includes(field)) {
+                errors.push(`Unknown field: ${field}`);
+                return;
+            }
+            PROFILE_BANDS.forEach(band => {
+                if (rule?.[band] !== undefined && rule[band] !== null && !Number.isFinite(rule[band])) {
+                    errors.push(`${field} ${band} must be a number`);
+                }
+            });
+            if (Number.isFinite(rule?.min) && Number.isFinite(rule?.max) && rule.min >= rule.max) {
+                errors.push(`${field} min must be below max`);
+            }
+        });
+        return errors;
+    }
+
+    // Keeps only known fields and numeric bands, so stored and imported profiles stay clean
+    static normalize(profile) {
+        const rules = {};
+        Object.entries(profile.rules ?? {}).forEach(([field, rule]) => {
+            if (!PROFILE_FIELDS.includes(field) || !rule) return;
+            const clean = {};
+            PROFILE_BANDS.forEach(band => {
+                if (Number.isFinite(rule[band])) clean[band] = rule[band];
+            });
+            if (rule.messages && typeof rule.messages === 'object') {
+                const messages = Object.fromEntries(Object.entries(rule.messages)
+                    .filter(([band, message]) => PROFILE_BANDS.includes(band) && typeof message === 'string' && message));
+                if (Object.keys(messages).length) clean.messages = messages;
+            }
+            if (Object.keys(clean).length) rules[field] = clean;
+        });
+        return { id: profile.id.trim(), name: profile.name.trim(), rules };
+    }
+
+    saveProfile(profile) {
+        const errors = ValidationProfiles.check(profile);
+        if (errors.length) {
+            throw new Error(errors.join('; '));
+        }
+        const clean = ValidationProfiles.normalize(profile);
+        this.profiles[clean.id] = { ...clean, builtIn: clean.id in DEFAULT_PROFILES };
+        this.save();
+        return this.profiles[clean.id];
+    }
+
+    // Custom profiles are removed; built-in ones go back to their defaults
+    deleteProfile(profileId) {
+        if (!this.profiles[profileId]) return false;
+        if (profileId in DEFAULT_PROFILES) {
+            this.profiles[profileId] = { id: profileId, builtIn: true, ...DEFAULT_PROFILES[profileId] };
+        } else {
+            delete this.profiles[profileId];
+            ['tanks', 'stages'].forEach(kind => {
+                Object.keys(this.assignments[kind]).forEach(key => {
+                    if (this.assignments[kind][key] === profileId) delete this.assignments[kind][key];
+                });
+            });
+        }
+        this.save();
+        return true;
+    }
+
+    // profileId null clears the assignment
+    assignToTank(tankId, profileId) {
+        this.assign('tanks', tankId, profileId);
+    }
+
+    assignToStage(stage, profileId, wineType = null) {
+        this.assign('stages', wineType ? `${stage}:${wineType}` : stage, profileId);
+    }
+
+    assign(kind, key, profileId) {
+        if (profileId && !this.profiles[profileId]) {
+            throw new Error(`Unknown profile: ${profileId}`);
+        }
+        if (profileId) {
+            this.assignments[kind][key] = profileId;
+        } else {
+            delete this.assignments[kind][key];
+        }
+        this.save();
+    }
+
+    // The profile for a tank: its own assignment first, then the stage (and wine style) of the
+    // batch in it. Null means Validator's defaults apply.
+    getProfileForTank(tankId) {
+        const tankProfile = this.assignments.tanks[tankId];
+        if (tankProfile && this.profiles[tankProfile]) {
+            return this.profiles[tankProfile];
+        }
+        const batch = this.batchManager?.getBatchByTank(tankId) ?? null;
+        return this.getProfileForStage(batch?.stage, batch?.wineType);
+    }
+
+    getProfileForStage(stage, wineType = null) {
+        if (!stage) return null;
+        const profileId = (wineType && this.assignments.stages[`${stage}:${wineType}`]) ?? this.assignments.stages[stage];
+        return this.profiles[profileId] ?? null;
+    }
+
+    // Custom and edited profiles plus assignments, as JSON
+    exportProfiles() {
+        return JSON.stringify({
+            type: 'validation-profiles',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            profiles: this.getProfiles().map(profile => ValidationProfiles.normalize(profile)),
+            assignments: this.assignments
+        }, null, 2);
+    }
+
+    // Adds or replaces profiles by id from exported JSON; assignments to profiles that exist
+    // afterwards are taken too. Returns { imported, rejected: [{ id, errors }] }.
+    importProfiles(json) {
+        let data;
+        try {
+            data = typeof json === 'string' ? JSON.parse(json) : json;
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+        const profiles = Array.isArray(data) ? data : data?.profiles;
+        if (!Array.isArray(profiles)) {
+            throw new Error('The file contains no validation profiles');
+        }
+
+        const imported = [];
+        const rejected = [];
+        profiles.forEach((profile, index) => {
+            const errors = ValidationProfiles.check(profile);
+            if (errors.length) {
+                rejected.push({ id: profile?.id ?? `#${index + 1}`, errors });
+                return;
+            }
+            const clean = ValidationProfiles.normalize(profile);
+            this.profiles[clean.id] = { ...clean, builtIn: clean.id in DEFAULT_PROFILES };
+            imported.push(clean.id);
+        });
+        ['tanks', 'stages'].forEach(kind => {
+            Object.entries(data?.assignments?.[kind] ?? {}).forEach(([key, profileId]) => {
+                if (this.profiles[profileId]) this.assignments[kind][key] = profileId;
+            });
+        });
+        this.save();
+        return { imported, rejected };
+    }
+
+    loadStored() {
+        try {
+            return JSON.parse(localStorage.getItem('validation_profiles') ?? '{}');
+        } catch (error) {
+            console.warn('Failed to load validation profiles', error);
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            const profiles = Object.fromEntries(this.getProfiles()
+                .filter(profile => !profile.builtIn || JSON.stringify(ValidationProfiles.normalize(profile)) !==
+                    JSON.stringify(ValidationProfiles.normalize({ id: profile.id, ...DEFAULT_PROFILES[profile.id] })))
+                .map(profile => [profile.id, ValidationProfiles.normalize(profile)]));
+            localStorage.setItem('validation_profiles', JSON.stringify({ profiles, assignments: this.assignments }));
+        } catch (error) {
+            console.warn('Failed to save validation profiles', error);
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ValidationProfiles = ValidationProfiles;
+}
@@ -43,8 +43,22 @@ class Validator {
         }
     };
 
-    static validate(field, value) {
+    // The field's rule with a profile's hard limits (min/max) laid over the defaults
+    static ruleFor(field, profile = null) {
         const rule = this.rules[field];
+        if (!rule) return null;
+        const override = profile?.rules?.[field];
+        return {
+            ...rule,
+            min: Number.isFinite(override?.min) ? override.min : rule.min,
+            max: Number.isFinite(override?.max) ? override.max : rule.max
+        };
+    }
+
+    // unit is the unit the value was entered in (see Units); the value comes back canonical
+    // and limits in error messages are given in the entry unit
+    static validate(field, value, profile = null, unit = null) {
+        const rule = this.ruleFor(field, profile);
         if (!rule) return { valid: true, value };
         
         // Allow empty values (optional fields)
@@ -52,34 +66,44 @@ class Validator {
             return { valid: true, value: null };
         }
         
-        const numValue = parseFloat(value);
+        const entered = parseFloat(value);
         
-        if (isNaN(numValue)) {
+        if (isNaN(entered)) {
             return { 
                 valid: false, 
                 error: `${rule.name} must be a number` 
             };
         }
+
+        const converted = unit && typeof Units !== 'undefined';
+        const numValue = converted ? Units.toCanonical(field, entered, unit) : entered;
+        const limit = (bound) => converted
+            ? Units.format(field, bound, { unit })
+            : `${bound}${rule.unit ? ' ' + rule.unit : ''}`;
         
         if (numValue < rule.min) {
             return { 
                 valid: false, 
-                error: `${rule.name} must be at least ${rule.min}${rule.unit ? ' ' + rule.unit : ''}` 
+                error: `${rule.name} must be at least ${limit(rule.min)}` 
             };
         }
         
         if (numValue > rule.max) {
             return { 
                 valid: false, 
-                error: `${rule.name} must be at most ${rule.max}${rule.unit ? ' ' + rule.unit : ''}` 
+                error: `${rule.name} must be at most ${limit(rule.max)}` 
             };
         }
         
         return { valid: true, value: numValue };
     }
 
-    static validateForm(formData) {
+    // profile is an optional ValidationProfiles profile; its limits replace the defaults and
+    // its warning bands are checked for every valid value. formData.units optionally gives the
+    // unit each field was entered in.
+    static validateForm(formData, profile = null) {
         const errors = [];
+        const warnings = [];
         const validated = {};
         let hasValidData = false;
         
@@ -95,12 +119,13 @@ class Validator {
         
         for (const field of numericFields) {
             if (field in formData) {
-                const result = this.validate(field, formData[field]);
+                const result = this.validate(field, formData[field], profile, formData.units?.[field]);
                 
                 if (!result.valid) {
                     errors.push(result.error);
                 } else if (result.value !== null) {
                     validated[field] = result.value;
+                    warnings.push(...this.getWarnings(field, result.value, profile));
                     hasValidData = true;
                 }
             }
@@ -120,29 +145,162 @@ class Validator {
         return { 
             valid: errors.length === 0, 
             errors, 
+            warnings,
             data: validated 
         };
     }
 
-    static getWarnings(field, value) {
+    // Warning bands used when no profile applies
+    static defaultWarnings = {
+        temperature: {
+            warnBelow: 10,
+            warnAbove: 25,
+            criticalAbove: 30,
+            messages: {
+                warnBelow: 'Low temperature may slow fermentation',
+                warnAbove: 'High temperature may stress yeast',
+                criticalAbove: 'Critical: Temperature too high for fermentation'
+            }
+        },
+        ph: {
+            warnBelow: 3.0,
+            warnAbove: 3.8,
+            messages: {
+                warnBelow: 'Very low pH - consider adjustment',
+                warnAbove: 'High pH - monitor for spoilage'
+            }
+        },
+        sugar: {
+            warnBelow: 2,
+            messages: { warnBelow: 'Fermentation nearly complete' }
+        }
+    };
+
+    // Warning and critical bands a value falls in: [{ level, band, message }]
+    static checkBands(field, value, profile = null) {
+        if (value === null || value === undefined || !Number.isFinite(Number(value))) return [];
+        const number = Number(value);
+        const bands = profile ? profile.rules?.[field] : this.defaultWarnings[field];
+        if (!bands) return [];
+        const rule = this.rules[field] ?? { name: field };
+        const limit = (value) => typeof Units !== 'undefined' && Units.canonical(field)
+            ? Units.format(field, value)
+            : `${value}${rule.unit ? ` ${rule.unit}` : ''}`;
+        const context = profile?.name ? ` for ${profile.name}` : '';
+        const checks = [
+            ['warnBelow', 'warning', (limit) => number < limit, 'below'],
+            ['warnAbove', 'warning', (limit) => number > limit, 'above'],
+            ['criticalBelow', 'critical', (limit) => number < limit, 'below'],
+            ['criticalAbove', 'critical', (limit) => number > limit, 'above']
+        ];
+        return checks
+            .filter(([band, , breached]) => Number.isFinite(bands[band]) && breached(bands[band]))
+            .map(([band, level, , direction]) => ({
+                level,
+                band,
+                message: bands.messages?.[band] ??
+                    `${level === 'critical' ? 'Critical: ' : ''}${rule.name} ${direction} ${limit(bands[band])}${context}`
+            }));
+    }
+
+    static getWarnings(field, value, profile = null) {
+        return this.checkBands(field, value, profile).map(check => check.message);
+    }
+
+    // How far a reading may stray from its neighbours and from itself before it is queried
+    static consistencyLimits = {
+        sgBaumeTolerance: 0.5,      // Baumé between the entered sugar and the SG's equivalent
+        sugarRise: 1,               // Baumé rise over the previous reading
+        sugarDropPerDay: 6,         // Baumé per day
+        temperatureJump: 10,        // °C within a day
+        phJump: 0.4,
+        taJump: 2                   // g/L
+    };
+
+    // Plausibility checks on a validated reading. These are soft: the caller asks the user to
+    // confirm rather than rejecting the reading. context: { readings (the tank's log), original
+    // (the reading being edited, whose unchanged fields aren't queried again), capacity (L),
+    // batchCreatedAt, now }. Returns [{ field, message }].
+    static checkConsistency(reading, { readings = [], original = null, capacity = null, batchCreatedAt = null, now = new Date() } = {}) {
+        const limits = this.consistencyLimits;
         const warnings = [];
-        
-        if (field === 'temperature' && value !== null) {
-            if (value < 10) warnings.push('Low temperature may slow fermentation');
-            if (value > 25) warnings.push('High temperature may stress yeast');
-            if (value > 30) warnings.push('Critical: Temperature too high for fermentation');
+        const changed = (field) => !original || original[field] !== reading[field];
+        const baume = (entry) => Number.isFinite(entry?.sugar) ? entry.sugar
+            : Number.isFinite(entry?.sg) ? Math.max(0, FermentationCalculations.sgToBaume(entry.sg)) : null;
+        const format = (timestamp) => new Date(timestamp).toLocaleString();
+        // Values are quoted in the user's display units where unit support is loaded
+        const show = (field, value) => typeof Units !== 'undefined' && Units.canonical(field)
+            ? Units.format(field, value)
+            : `${field === 'sugar' ? value.toFixed(1) : value}${this.rules[field].unit ? ` ${this.rules[field].unit}` : ''}`;
+        const time = new Date(reading.timestamp);
+
+        if (changed('timestamp') && !isNaN(time)) {
+            if (time > now) {
+                warnings.push({ field: 'timestamp', message: 'Date & Time is in the future' });
+            }
+            if (batchCreatedAt && time < new Date(batchCreatedAt)) {
+                warnings.push({ field: 'timestamp', message: `Date & Time is before the batch in this tank was created (${format(batchCreatedAt)})` });
+            }
         }
-        
-        if (field === 'ph' && value !== null) {
-            if (value < 3.0) warnings.push('Very low pH - consider adjustment');
-            if (value > 3.8) warnings.push('High pH - monitor for spoilage');
+
+        if (Number.isFinite(reading.sg) && Number.isFinite(reading.sugar) && (changed('sg') || changed('sugar'))) {
+            const expected = Math.max(0, FermentationCalculations.sgToBaume(reading.sg));
+            if (Math.abs(reading.sugar - expected) > limits.sgBaumeTolerance) {
+                warnings.push({
+                    field: 'sugar',
+                    message: `SG ${reading.sg.toFixed(3)} is ${show('sugar', expected)}, but sugar was entered as ${show('sugar', reading.sugar)}`
+                });
+            }
         }
-        
-        if (field === 'sugar' && value !== null) {
-            if (value < 2 && value > 0) warnings.push('Fermentation nearly complete');
-            if (value === 0) warnings.push('Fermentation complete - ready for next stage');
+
+        if (changed('volume') && Number.isFinite(reading.volume) && capacity > 0 && reading.volume > capacity) {
+            warnings.push({ field: 'volume', message: `Volume ${show('volume', reading.volume)} exceeds the tank capacity of ${show('volume', capacity)}` });
         }
-        
+
+        // Neighbouring readings in the log, leaving out the one being edited
+        const others = readings
+            .filter(entry => entry.id !== original?.id && !isNaN(new Date(entry.timestamp)))
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        // The nearest readings either side that have the value being compared
+        const previousWith = (value) => [...others].reverse()
+            .find(entry => new Date(entry.timestamp) < time && value(entry) !== null) ?? null;
+        const nextWith = (value) => others
+            .find(entry => new Date(entry.timestamp) > time && value(entry) !== null) ?? null;
+        const days = (entry) => Math.abs(time - new Date(entry.timestamp)) / 86400000;
+
+        const sugar = baume(reading);
+        if (sugar !== null && (changed('sugar') || changed('sg') || changed('timestamp'))) {
+            const previous = previousWith(baume);
+            const next = nextWith(baume);
+            const before = baume(previous);
+            const after = baume(next);
+            if (before !== null && sugar - before > limits.sugarRise) {
+                warnings.push({ field: 'sugar', message: `Sugar rose from ${show('sugar', before)} to ${show('sugar', sugar)} since the previous reading (${format(previous.timestamp)})` });
+            } else if (before !== null && before - sugar > limits.sugarDropPerDay * Math.max(days(previous), 1 / 24)) {
+                warnings.push({ field: 'sugar', message: `Sugar fell from ${show('sugar', before)} to ${show('sugar', sugar)} since the previous reading (${format(previous.timestamp)}), faster than fermentation normally goes` });
+            }
+            if (after !== null && after - sugar > limits.sugarRise) {
+                warnings.push({ field: 'sugar', message: `Sugar is lower than the ${show('sugar', after)} of the following reading (${format(next.timestamp)})` });
+            }
+        }
+
+        [
+            ['temperature', limits.temperatureJump, true],
+            ['ph', limits.phJump, false],
+            ['ta', limits.taJump, false]
+        ].forEach(([field, limit, withinDay]) => {
+            if (!Number.isFinite(reading[field]) || !(changed(field) || changed('timestamp'))) return;
+            const previous = previousWith(entry => Number.isFinite(entry[field]) ? entry[field] : null);
+            if (!previous || (withinDay && days(previous) > 1)) return;
+            const change = reading[field] - previous[field];
+            if (Math.abs(change) > limit) {
+                warnings.push({
+                    field,
+                    message: `${this.rules[field].name} changed from ${show(field, previous[field])} to ${show(field, reading[field])} since the previous reading (${format(previous.timestamp)})`
+                });
+            }
+        });
+
         return warnings;
     }
 }
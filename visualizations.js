@@ -14,7 +14,7 @@ class VisualizationEngine {
 
     renderFermentationCurve(containerId, tankId, dataManager) {
         const data = dataManager.getTankData(tankId);
-        const sugarData = data.filter(d => d.sugar !== undefined)
+        const sugarData = this.inDisplayUnits(data.filter(d => d.sugar !== undefined))
             .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
         
         if (sugarData.length < 2) return;
@@ -25,7 +25,7 @@ class VisualizationEngine {
         const chartData = {
             labels: sugarData.map(d => new Date(d.timestamp).toLocaleDateString()),
             datasets: [{
-                label: 'Sugar (Baumé)',
+                label: `Sugar (${this.unitLabel('sugar')})`,
                 data: sugarData.map(d => d.sugar),
                 borderColor: this.colorPalette.primary,
                 backgroundColor: this.colorPalette.primary + '20',
@@ -76,7 +76,7 @@ class VisualizationEngine {
                             const point = context[0];
                             const reading = sugarData[point.dataIndex];
                             return [
-                                `Temperature: ${reading.temperature || 'N/A'}°C`,
+                                `Temperature: ${reading.temperature ?? 'N/A'} ${this.unitLabel('temperature')}`,
                                 `pH: ${reading.ph || 'N/A'}`,
                                 `SG: ${reading.sg || 'N/A'}`
                             ];
@@ -88,7 +88,7 @@ class VisualizationEngine {
                 y: {
                     title: {
                         display: true,
-                        text: 'Sugar (Baumé)'
+                        text: `Sugar (${this.unitLabel('sugar')})`
                     }
                 },
                 x: {
@@ -101,6 +101,18 @@ class VisualizationEngine {
         });
     }
 
+    // Readings are stored in °C, Baumé and litres; charts show the user's display units
+    inDisplayUnits(readings) {
+        if (typeof Units === 'undefined') return readings;
+        const units = Units.getPreferences().display;
+        return readings.map(reading => Units.convertReading(reading, units));
+    }
+
+    unitLabel(field) {
+        if (typeof Units === 'undefined') return { temperature: '°C', sugar: 'Baumé', volume: 'L' }[field];
+        return Units.label(field, Units.displayUnit(field));
+    }
+
     calculateTrendLine(data) {
         if (data.length < 3) return null;
         
@@ -142,7 +154,7 @@ class VisualizationEngine {
 
     renderMultiParameterDashboard(containerId, tankId, dataManager) {
         const data = dataManager.getTankData(tankId);
-        const recent = data.slice(0, 20).reverse();
+        const recent = this.inDisplayUnits(data.slice(0, 20).reverse());
         
         const ctx = document.getElementById(containerId)?.getContext('2d');
         if (!ctx) return;
@@ -151,7 +163,7 @@ class VisualizationEngine {
             labels: recent.map(d => new Date(d.timestamp).toLocaleDateString()),
             datasets: [
                 {
-                    label: 'Temperature (°C)',
+                    label: `Temperature (${this.unitLabel('temperature')})`,
                     data: recent.map(d => d.temperature),
                     borderColor: this.colorPalette.critical,
                     yAxisID: 'y'
@@ -163,7 +175,7 @@ class VisualizationEngine {
                     yAxisID: 'y1'
                 },
                 {
-                    label: 'Sugar (Baumé)',
+                    label: `Sugar (${this.unitLabel('sugar')})`,
                     data: recent.map(d => d.sugar),
                     borderColor: this.colorPalette.primary,
                     yAxisID: 'y2'
@@ -189,7 +201,7 @@ class VisualizationEngine {
                     position: 'left',
                     title: {
                         display: true,
-                        text: 'Temperature (°C)'
+                        text: `Temperature (${this.unitLabel('temperature')})`
                     }
                 },
                 y1: {
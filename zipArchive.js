@@ -0,0 +1,215 @@
+// zipArchive.js - Minimal ZIP reader/writer for backup archives and spreadsheet files
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_UTF8_FLAG = 0x0800;
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// Writes entries uncompressed (method 0). Reading also accepts deflated entries (method 8),
+// which is what spreadsheet applications and most zip tools produce.
+class ZipArchive {
+    constructor() {
+        this.files = new Map();
+    }
+
+    static crc32(bytes) {
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    static toDosDateTime(date) {
+        const year = Math.max(1980, date.getFullYear());
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    static fromDosDateTime(date, time) {
+        return new Date(
+            ((date >> 9) & 0x7f) + 1980,
+            ((date >> 5) & 0x0f) - 1,
+            date & 0x1f,
+            (time >> 11) & 0x1f,
+            (time >> 5) & 0x3f,
+            (time & 0x1f) * 2
+        );
+    }
+
+    addFile(name, content, modified = new Date()) {
+        const data = typeof content === 'string' ? new TextEncoder().encode(content) : new Uint8Array(content);
+        this.files.set(name, { name, data, modified });
+        return this;
+    }
+
+    has(name) {
+        return this.files.has(name);
+    }
+
+    fileNames() {
+        return Array.from(this.files.keys());
+    }
+
+    getFile(name) {
+        return this.files.get(name)?.data ?? null;
+    }
+
+    getText(name) {
+        const data = this.getFile(name);
+        return data ? new TextDecoder().decode(data) : null;
+    }
+
+    toUint8Array() {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        this.files.forEach(file => {
+            const nameBytes = encoder.encode(file.name);
+            const crc = ZipArchive.crc32(file.data);
+            const { time, date } = ZipArchive.toDosDateTime(file.modified);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, ZIP_LOCAL_HEADER, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, ZIP_UTF8_FLAG, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, file.data.length, true);
+            local.setUint32(22, file.data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, ZIP_CENTRAL_HEADER, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, ZIP_UTF8_FLAG, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, file.data.length, true);
+            central.setUint32(24, file.data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), nameBytes, file.data);
+            centralParts.push(new Uint8Array(central.buffer), nameBytes);
+            offset += 30 + nameBytes.length + file.data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, ZIP_END_OF_CENTRAL_DIRECTORY, true);
+        end.setUint16(8, this.files.size, true);
+        end.setUint16(10, this.files.size, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+        return output;
+    }
+
+    toBlob(type = 'application/zip') {
+        return new Blob([this.toUint8Array()], { type });
+    }
+
+    static async inflate(bytes) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot read compressed zip entries');
+        }
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    // Accepts a Blob/File, ArrayBuffer or Uint8Array
+    static async read(input) {
+        const buffer = typeof Blob !== 'undefined' && input instanceof Blob ? await input.arrayBuffer() : input;
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        let endOffset = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset === -1) {
+            throw new Error('Not a zip archive');
+        }
+
+        const entryCount = view.getUint16(endOffset + 10, true);
+        let offset = view.getUint32(endOffset + 16, true);
+        if (entryCount === 0xffff || offset === 0xffffffff) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+
+        const archive = new ZipArchive();
+        const decoder = new TextDecoder();
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== ZIP_CENTRAL_HEADER) {
+                throw new Error('Corrupt zip central directory');
+            }
+            const method = view.getUint16(offset + 10, true);
+            const time = view.getUint16(offset + 12, true);
+            const date = view.getUint16(offset + 14, true);
+            const crc = view.getUint32(offset + 16, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) {
+                continue;
+            }
+
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+            let data;
+            if (method === 0) {
+                data = raw.slice();
+            } else if (method === 8) {
+                data = await ZipArchive.inflate(raw);
+            } else {
+                throw new Error(`Unsupported compression method ${method} for ${name}`);
+            }
+            if (ZipArchive.crc32(data) !== crc) {
+                throw new Error(`Checksum mismatch for ${name}`);
+            }
+            archive.files.set(name, { name, data, modified: ZipArchive.fromDosDateTime(date, time) });
+        }
+        return archive;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ZipArchive = ZipArchive;
+}